@@ -13,6 +13,16 @@ const PriceFetcher = require('./priceFetcher');
 const GasCalculator = require('./gasCalculator');
 const SlippageCalculator = require('./slippageCalculator');
 const OpportunityAnalyzer = require('./opportunityAnalyzer');
+const TradeSizeOptimizer = require('./tradeSizeOptimizer');
+const TriangularScanner = require('./triangularScanner');
+const CycleDetector = require('./cycleDetector');
+const PoolRegistry = require('./poolRegistry');
+const PoolStream = require('./poolStream');
+const ReorgTracker = require('./reorgTracker');
+const PriceGuard = require('./priceGuard');
+const DepegMonitor = require('./depegMonitor');
+const RouteSimulator = require('./routeSimulator');
+const dexAdapters = require('./dexAdapters');
 const telegramNotifier = require('./telegram');
 const { sleep, validateNumeric } = require('./utils');
 
@@ -24,19 +34,23 @@ class ArbitrageBot extends EventEmitter {
         this.currentProviderIndex = 0;
         this.isRunning = false;
         this.isInitialized = false;
-        this.limit = pLimit(4);
+        // Pair scans run concurrently so their reads share multicall batches
+        this.limit = pLimit(config.settings?.scanConcurrency || 4);
         // Core components
         this.priceFetcher = null;
+        this.poolRegistry = null;
+        this.poolStream = null;
+        this.wsProvider = null;
+        this.reorgTracker = null;
+        this.priceGuard = null;
+        this.depegMonitor = null;
         this.gasCalculator = null;
         this.slippageCalculator = null;
         this.opportunityAnalyzer = null;
-        
-        // Processing queue
-        this.processQueue = new PQueue({ 
-            concurrency: 2,
-            interval: 1000,
-            intervalCap: 5
-        });
+        this.tradeSizeOptimizer = null;
+        this.triangularScanner = null;
+        this.cycleDetector = null;
+        this.routeSimulator = null;
         
         // Statistics
         this.stats = {
@@ -47,9 +61,33 @@ class ArbitrageBot extends EventEmitter {
             totalNetProfit: 0,
             bestOpportunity: null,
             errors: 0,
-            lastScan: null
+            lastScan: null,
+            lastBlock: null,
+            eventScans: 0,
+            skippedBlocks: 0,
+            retractedOpportunities: 0,
+            pausedScans: 0,
+            degradedOpportunities: 0,
+            suppressedOpportunities: 0,
+            rejectedBySimulation: 0
         };
         
+        // Profitable opportunities of recent blocks, re-checked when a reorg orphans their block
+        this.recentOpportunities = [];
+        
+        // Pairs being re-evaluated after a pool event
+        this.streamingPairs = new Set();
+        
+        // Scans run one at a time, each pinned to its own block
+        this.scanLock = Promise.resolve();
+        this.blockProvider = null;
+        this.blockListener = null;
+        this.pendingBlock = null;
+        this.blockScanRunning = false;
+        
+        // Periodic Chainlink vs TWAP comparison
+        this.crossCheckTimer = null;
+        
         // Configuration
         this.scanInterval = parseInt(process.env.CHECK_INTERVAL_MS) || 30000;
         this.minNetProfit = parseFloat(process.env.MIN_NET_PROFIT_USD) || 0.20;
@@ -72,11 +110,54 @@ class ArbitrageBot extends EventEmitter {
             this.priceFetcher = new PriceFetcher(provider);
             await this.priceFetcher.initialize();
             
-            this.gasCalculator = new GasCalculator(provider);
+            if (config.settings?.priceGuard?.enabled) {
+                this.priceGuard = new PriceGuard(this.priceFetcher, config.settings.priceGuard);
+            }
+            
+            if (config.settings?.depeg?.enabled) {
+                await this.initializeDepegMonitor();
+            }
+            
+            if (this.priceFetcher.twapOracle) {
+                await this.startPriceCrossChecks();
+            }
+            
+            if (config.settings?.poolRegistry?.enabled) {
+                await this.initializePoolRegistry(provider);
+            }
+            
+            this.gasCalculator = new GasCalculator(provider, this.priceFetcher, config.settings?.gasEstimation);
             await this.gasCalculator.initialize();
             
             this.slippageCalculator = new SlippageCalculator(provider);
             this.opportunityAnalyzer = new OpportunityAnalyzer(this.minNetProfit);
+            this.tradeSizeOptimizer = new TradeSizeOptimizer(this.priceFetcher, config.settings?.tradeSize);
+            
+            if (config.settings?.triangular?.enabled) {
+                this.triangularScanner = new TriangularScanner(this.priceFetcher, {
+                    referenceAmountUSD: parseFloat(process.env.INPUT_AMOUNT_USD) || 1000,
+                    ...config.settings.triangular
+                });
+            }
+            
+            if (config.settings?.cycleDetection?.enabled) {
+                this.cycleDetector = new CycleDetector(this.priceFetcher, {
+                    referenceAmountUSD: parseFloat(process.env.INPUT_AMOUNT_USD) || 1000,
+                    ...config.settings.cycleDetection
+                });
+            }
+            
+            if (config.settings?.reorg?.enabled) {
+                this.reorgTracker = new ReorgTracker(provider, config.settings.reorg);
+            }
+            
+            if (config.settings?.simulation?.enabled) {
+                this.routeSimulator = new RouteSimulator(provider, this.priceFetcher, config.settings.simulation);
+            }
+            
+            if (config.settings?.streaming?.enabled) {
+                await this.setupStreaming();
+            }
             
             this.isInitialized = true;
             logger.logSuccess('✅ Arbitrage Engine initialized');
@@ -87,6 +168,176 @@ class ArbitrageBot extends EventEmitter {
         }
     }
     
+    /**
+     * Load the pool index and catch it up from its last indexed block
+     * without holding up the first scan, then follow new pools
+     */
+    async initializePoolRegistry(provider) {
+        this.poolRegistry = new PoolRegistry(provider, config.settings.poolRegistry);
+        await this.poolRegistry.load();
+        
+        // Catch up in the background: until a factory's index reaches the head,
+        // its DEX keeps resolving pools through factory getPair/getPool calls
+        this.priceFetcher.setPoolRegistry(this.poolRegistry);
+        this.poolRegistry.sync().catch(error => logger.logWarning(`Pool registry catch-up failed: ${error.message}`));
+        this.poolRegistry.start();
+    }
+    
+    /**
+     * Stream pool events over a WebSocket provider. Without one the engine
+     * keeps polling only.
+     */
+    async setupStreaming() {
+        const endpoint = process.env.POLYGON_WS_URL ||
+            (process.env.ALCHEMY_API_KEY ? `wss://polygon-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}` : null);
+            
+        if (!endpoint) {
+            logger.logWarning('No WebSocket endpoint configured, streaming disabled');
+            return;
+        }
+        
+        try {
+            this.wsProvider = new ethers.WebSocketProvider(endpoint, 137);
+            await this.wsProvider.getBlockNumber();
+            
+            this.attachPoolStream(new PoolStream(this.wsProvider, config.settings.streaming));
+            logger.logSuccess('✅ Pool event streaming enabled');
+            
+        } catch (error) {
+            logger.logWarning(`WebSocket connection failed, polling only: ${error.message}`);
+            this.wsProvider = null;
+        }
+    }
+    
+    attachPoolStream(poolStream) {
+        this.poolStream = poolStream;
+        
+        // Routes on a changed pool are priced from its streamed state
+        poolStream.on('poolUpdate', ({ address, state }) => this.priceFetcher.applyPoolState(address, state));
+        
+        poolStream.on('routesChanged', routes => {
+            this.evaluatePairs(routes).catch(error => logger.logError('Event-driven scan failed', error));
+        });
+    }
+    
+    // Read the stablecoin feeds before the first scan, then keep watching them
+    async initializeDepegMonitor() {
+        this.depegMonitor = new DepegMonitor(this.priceFetcher, config.settings.depeg);
+        
+        this.depegMonitor.on('depeg', status => {
+            telegramNotifier.sendDepegAlert(status, this.depegMonitor.settings).catch(error =>
+                logger.logError('Failed to send depeg alert', error));
+        });
+        
+        this.depegMonitor.on('recovered', status => {
+            telegramNotifier.sendDepegRecovery(status).catch(error =>
+                logger.logError('Failed to send depeg recovery', error));
+        });
+        
+        await this.depegMonitor.check();
+        this.depegMonitor.start();
+    }
+    
+    // Compare Chainlink with the V3 TWAP now and every crossCheckIntervalMs
+    async startPriceCrossChecks() {
+        const crossCheck = () => this.priceFetcher.crossCheckPrices()
+            .catch(error => logger.logWarning(`Price cross-check failed: ${error.message}`));
+            
+        await crossCheck();
+        
+        this.crossCheckTimer = setInterval(crossCheck, config.settings.twap.crossCheckIntervalMs || 300000);
+        this.crossCheckTimer.unref?.();
+    }
+    
+    // Source of each cached USD price and how far the TWAP was from Chainlink
+    getPriceSources() {
+        return Object.fromEntries(Object.keys(config.tokens).map(symbol => {
+            const info = this.priceFetcher.getPriceSourceInfo(symbol);
+            return [symbol, {
+                source: info.source || null,
+                price: info.price ?? null,
+                stale: info.lastKnown?.stale || false,
+                twapDeviation: info.crossCheck?.deviation ?? null
+            }];
+        }));
+    }
+    
+    // With pauseScanning, no scan runs while a stablecoin is off peg
+    isScanPaused() {
+        if (!this.depegMonitor?.shouldPause()) {
+            return false;
+        }
+        
+        this.stats.pausedScans++;
+        const symbols = this.depegMonitor.getDepegged().map(status => status.symbol).join(', ');
+        logger.logWarning(`Scan paused: ${symbols} off peg`);
+        return true;
+    }
+    
+    /**
+     * Re-scan only the pairs whose pools changed. Pairs already being
+     * re-evaluated are skipped; the next event or poll picks them up.
+     */
+    async evaluatePairs(pairKeys) {
+        if (!this.isRunning || this.isScanPaused()) {
+            return [];
+        }
+        
+        const pairs = pairKeys
+            .filter(key => !this.streamingPairs.has(key))
+            .map(key => key.split('/'));
+            
+        if (pairs.length === 0) {
+            return [];
+        }
+        
+        pairs.forEach(pair => this.streamingPairs.add(pair.join('/')));
+        
+        try {
+            // The head is at or past the block that carried the event
+            const block = await this.getBlock();
+            await this.observeBlock(block);
+            
+            const { opportunities, profitable } = await this.atBlock(block, async () => {
+                const results = await Promise.all(pairs.map(([baseToken, quoteToken]) =>
+                    this.limit(() => this.scanPair(baseToken, quoteToken).catch(error => {
+                        logger.logError(`Failed to scan pair ${baseToken}/${quoteToken}`, error);
+                        return [];
+                    }))
+                ));
+                
+                const opportunities = this.stampBlock(results.flat(), block);
+                return { opportunities, profitable: await this.analyzeOpportunities(opportunities) };
+            });
+            
+            if (profitable.length > 0) {
+                await this.processProfitableOpportunities(profitable);
+            }
+            
+            this.recordOpportunities(profitable);
+            this.stats.eventScans++;
+            this.stats.opportunitiesFound += opportunities.length;
+            this.stats.profitableOpportunities += profitable.length;
+            this.stats.totalNetProfit += profitable.reduce((sum, opp) => sum + opp.analysis.netProfit, 0);
+            
+            return profitable;
+            
+        } finally {
+            pairs.forEach(pair => this.streamingPairs.delete(pair.join('/')));
+        }
+    }
+    
+    // Pools a pair was priced on feed the stream; curve and balancer stay polled
+    trackPools(pairKey, prices) {
+        if (!this.poolStream) {
+            return;
+        }
+        
+        for (const { dex, poolInfo } of prices) {
+            this.poolStream.track(poolInfo?.pool || poolInfo?.pair, dex, poolInfo?.type, pairKey);
+        }
+    }
+    
     async setupProviders() {
         const endpoints = this.collectRPCEndpoints();
         
@@ -170,11 +421,26 @@ class ArbitrageBot extends EventEmitter {
         this.currentProviderIndex = (this.currentProviderIndex + 1) % this.providers.length;
         const newProvider = this.getProvider();
         
+        // Follow new blocks on the new provider
+        if (this.blockListener) {
+            this.blockProvider.off('block', this.blockListener);
+            this.blockProvider = newProvider;
+            newProvider.on('block', this.blockListener);
+        }
+        
         // Update components
         if (this.priceFetcher) {
             this.priceFetcher.updateProvider(newProvider);
         }
         
+        if (this.poolRegistry) {
+            this.poolRegistry.updateProvider(newProvider);
+        }
+        
+        if (this.reorgTracker) {
+            this.reorgTracker.updateProvider(newProvider);
+        }
+        
         if (this.gasCalculator) {
             this.gasCalculator.updateProvider(newProvider);
         }
@@ -183,6 +449,10 @@ class ArbitrageBot extends EventEmitter {
             this.slippageCalculator.updateProvider(newProvider);
         }
         
+        if (this.routeSimulator) {
+            this.routeSimulator.updateProvider(newProvider);
+        }
+        
         logger.logInfo(`Rotated to provider ${this.currentProviderIndex + 1}/${this.providers.length}`);
         return true;
     }
@@ -200,37 +470,255 @@ class ArbitrageBot extends EventEmitter {
         this.isRunning = true;
         logger.logInfo('🚀 Starting arbitrage monitoring...');
         
-        // Start scanning loop
+        // Scan on every new block, or poll every scanInterval
+        if (config.settings?.blockSync?.enabled) {
+            this.startBlockScans();
+            return;
+        }
+        
         this.scanLoop().catch(error => {
             logger.logError('Scan loop crashed', error);
             this.handleCriticalError(error);
         });
     }
     
-    async scanLoop() {
-        while (this.isRunning) {
+    /**
+     * Run fn with every read pinned to block. Scans are serialized so two
+     * scans never share (or move) the pinned block under each other.
+     */
+    atBlock(block, fn) {
+        const run = this.scanLock.then(async () => {
+            this.priceFetcher.setBlock(block);
             try {
-                const scanStart = Date.now();
-                
-                // Update gas prices before scan
-                await this.gasCalculator.updateGasPrice();
-                
-                // Scan for opportunities
-                const opportunities = await this.scanForOpportunities();
+                return await fn();
+            } finally {
+                this.priceFetcher.setBlock(null);
+            }
+        });
+        
+        this.scanLock = run.catch(() => {});
+        return run;
+    }
+    
+    async getBlock(blockTag = 'latest') {
+        const block = await this.getProvider().getBlock(blockTag);
+        if (!block) {
+            throw new Error(`Block ${blockTag} not available from provider`);
+        }
+        
+        return { number: block.number, hash: block.hash, parentHash: block.parentHash };
+    }
+    
+    // Check a scanned block against the recent chain before trusting its quotes
+    async observeBlock(block) {
+        if (!this.reorgTracker) {
+            return;
+        }
+        
+        const reorg = await this.reorgTracker.addBlock(block);
+        if (reorg) {
+            await this.handleReorg(reorg);
+        }
+    }
+    
+    /**
+     * Opportunities observed on orphaned blocks are re-evaluated at the new
+     * head; the ones that no longer hold are retracted
+     */
+    async handleReorg(reorg) {
+        const orphanedHashes = new Set(reorg.orphaned.map(block => block.hash));
+        const affected = this.recentOpportunities.filter(opportunity => orphanedHashes.has(opportunity.blockHash));
+        
+        for (const opportunity of affected) {
+            const confirmed = await this.revalidateOpportunity(opportunity, reorg.head).catch(error => {
+                logger.logDebug(`Re-evaluation after reorg failed: ${error.message}`);
+                return null;
+            });
+            
+            if (confirmed) {
+                opportunity.blockNumber = reorg.head.number;
+                opportunity.blockHash = reorg.head.hash;
+                logger.logInfo(`Opportunity ${opportunity.pair || opportunity.token} still holds after reorg`);
+            } else {
+                await this.retractOpportunity(opportunity, reorg);
+            }
+        }
+    }
+    
+    /**
+     * The same pair and DEX route, still profitable at block. Multi-hop
+     * routes are not re-derived and count as not confirmed.
+     */
+    async revalidateOpportunity(opportunity, block) {
+        if (opportunity.route || !opportunity.quoteToken) {
+            return null;
+        }
+        
+        return this.atBlock(block, async () => {
+            const candidates = await this.scanPair(opportunity.token, opportunity.quoteToken);
+            const match = candidates.find(candidate =>
+                candidate.buyDex === opportunity.buyDex && candidate.sellDex === opportunity.sellDex);
                 
-                // Analyze and filter
-                const profitable = await this.analyzeOpportunities(opportunities);
+            if (!match) {
+                return null;
+            }
+            
+            const [profitable] = await this.analyzeOpportunities([match]);
+            return profitable || null;
+        });
+    }
+    
+    async retractOpportunity(opportunity, reorg) {
+        this.recentOpportunities = this.recentOpportunities.filter(recent => recent !== opportunity);
+        
+        this.stats.profitableOpportunities--;
+        this.stats.totalNetProfit -= opportunity.analysis.netProfit;
+        this.stats.retractedOpportunities++;
+        
+        if (this.stats.bestOpportunity === opportunity) {
+            this.stats.bestOpportunity = null;
+        }
+        
+        logger.logWarning(`↩️ Retracted ${opportunity.pair || opportunity.token} ${opportunity.buyDex} → ${opportunity.sellDex} ` +
+            `from orphaned block ${opportunity.blockNumber}`);
+            
+        if (opportunity.alerted) {
+            await telegramNotifier.sendRetraction(opportunity, reorg);
+        }
+    }
+    
+    recordOpportunities(profitable) {
+        if (!this.reorgTracker) {
+            return;
+        }
+        
+        const oldest = this.reorgTracker.head.number - this.reorgTracker.settings.trackDepth;
+        this.recentOpportunities = [...this.recentOpportunities, ...profitable]
+            .filter(opportunity => opportunity.blockNumber > oldest);
+    }
+    
+    // Record where each opportunity was observed
+    stampBlock(opportunities, block) {
+        for (const opportunity of opportunities) {
+            opportunity.blockNumber = block.number;
+            opportunity.blockHash = block.hash;
+        }
+        
+        return opportunities;
+    }
+    
+    /**
+     * One full scan with every read at the same block (the latest one when
+     * no block is given)
+     */
+    async runScan(block = null) {
+        const scanStart = Date.now();
+        
+        if (this.isScanPaused()) {
+            return [];
+        }
+        
+        // Update gas prices before scan
+        await this.gasCalculator.updateGasPrice();
+        
+        block = block || await this.getBlock();
+        await this.observeBlock(block);
+        
+        const { opportunities, profitable } = await this.atBlock(block, async () => {
+            // Scan for opportunities
+            const opportunities = this.stampBlock(await this.scanForOpportunities(), block);
+            
+            // Follow pools discovered by this scan
+            if (this.poolStream) {
+                this.poolStream.subscribe();
+            }
+            
+            // Analyze and filter
+            const profitable = await this.analyzeOpportunities(opportunities);
+            
+            return { opportunities, profitable };
+        });
+        
+        // Process profitable opportunities
+        if (profitable.length > 0) {
+            await this.processProfitableOpportunities(profitable);
+        }
+        
+        // Update statistics
+        this.updateStats(opportunities, profitable);
+        this.recordOpportunities(profitable);
+        this.stats.lastBlock = block.number;
+        
+        const scanDuration = Date.now() - scanStart;
+        logger.logInfo(`Scan of block ${block.number} completed in ${scanDuration}ms - Found ${profitable.length} profitable opportunities`);
+        
+        return profitable;
+    }
+    
+    /**
+     * Block-synchronous mode: scan each new head. Blocks that arrive while a
+     * scan runs collapse into the newest one.
+     */
+    startBlockScans() {
+        this.blockProvider = this.getProvider();
+        this.blockListener = blockNumber => this.onBlock(blockNumber);
+        this.blockProvider.on('block', this.blockListener);
+        
+        logger.logInfo('Scanning on every new block');
+    }
+    
+    stopBlockScans() {
+        if (this.blockProvider && this.blockListener) {
+            this.blockProvider.off('block', this.blockListener);
+        }
+        
+        this.blockProvider = null;
+        this.blockListener = null;
+        this.pendingBlock = null;
+    }
+    
+    onBlock(blockNumber) {
+        if (this.pendingBlock !== null) {
+            this.stats.skippedBlocks++;
+        }
+        
+        this.pendingBlock = Math.max(this.pendingBlock ?? 0, blockNumber);
+        
+        if (!this.blockScanRunning) {
+            this.scanPendingBlocks().catch(error => logger.logError('Block scan crashed', error));
+        }
+    }
+    
+    async scanPendingBlocks() {
+        this.blockScanRunning = true;
+        
+        try {
+            while (this.isRunning && this.pendingBlock !== null) {
+                const blockNumber = this.pendingBlock;
+                this.pendingBlock = null;
                 
-                // Process profitable opportunities
-                if (profitable.length > 0) {
-                    await this.processProfitableOpportunities(profitable);
+                try {
+                    await this.runScan(await this.getBlock(blockNumber));
+                    
+                } catch (error) {
+                    logger.logError(`Error scanning block ${blockNumber}`, error);
+                    this.stats.errors++;
+                    
+                    if (error.message.includes('provider') || error.message.includes('network')) {
+                        await this.rotateProvider();
+                    }
                 }
-                
-                // Update statistics
-                this.updateStats(opportunities, profitable);
-                
-                const scanDuration = Date.now() - scanStart;
-                logger.logInfo(`Scan completed in ${scanDuration}ms - Found ${profitable.length} profitable opportunities`);
+            }
+            
+        } finally {
+            this.blockScanRunning = false;
+        }
+    }
+    
+    async scanLoop() {
+        while (this.isRunning) {
+            try {
+                await this.runScan();
                 
                 // Wait for next scan
                 await sleep(this.scanInterval);
@@ -249,85 +737,165 @@ class ArbitrageBot extends EventEmitter {
         }
     }
     
-async scanForOpportunities() {
-const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
-    this.limit(async () => {
-        try {
-            const pairOpportunities = await this.scanPair(baseToken, quoteToken);
-            return pairOpportunities;
-        } catch (error) {
-            logger.logError(`Failed to scan pair ${baseToken}/${quoteToken}`, error);
-            return [];
+    async scanForOpportunities() {
+        const opportunities = [];
+        const tradingPairs = config.tradingPairs || [];
+        
+        const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
+            this.limit(async () => {
+                try {
+                    return await this.scanPair(baseToken, quoteToken);
+                } catch (error) {
+                    logger.logError(`Failed to scan pair ${baseToken}/${quoteToken}`, error);
+                    return [];
+                }
+            })
+        );
+        
+        // Triangular cycles run alongside the pair scans and share their batches
+        if (this.triangularScanner) {
+            scanPromises.push(
+                this.triangularScanner.scan().catch(error => {
+                    logger.logError('Failed to scan triangular cycles', error);
+                    return [];
+                })
+            );
         }
-    })
-);
-
-    const results = await Promise.all(scanPromises);
-    results.forEach(pairOps => opportunities.push(...pairOps));
-    
-    return opportunities;
-}
-
+        
+        if (this.cycleDetector) {
+            scanPromises.push(
+                this.cycleDetector.scan().catch(error => {
+                    logger.logError('Failed to detect cycles', error);
+                    return [];
+                })
+            );
+        }
+        
+        const results = await Promise.all(scanPromises);
+        
+        // Triangular scan and cycle detection can find the same route
+        const seenRoutes = new Set();
+        for (const opportunity of results.flat()) {
+            if (opportunity.route) {
+                const key = opportunity.route.map(leg => `${leg.dex}:${leg.tokenIn}>${leg.tokenOut}`).sort().join('|');
+                if (seenRoutes.has(key)) continue;
+                seenRoutes.add(key);
+            }
+            opportunities.push(opportunity);
+        }
+        
+        return opportunities;
+    }
     
-    async scanToken(tokenSymbol) {
+    async scanPair(baseSymbol, quoteSymbol) {
         const opportunities = [];
-        const token = config.tokens[tokenSymbol];
         
-        if (!token) {
+        if (!config.tokens[baseSymbol] || !config.tokens[quoteSymbol]) {
             return opportunities;
         }
         
-        // Get prices from all DEXes
+        const inputAmountUSD = parseFloat(process.env.INPUT_AMOUNT_USD) || 1000;
+        
+        // Quote the pair directly on every DEX, in quote token units, at the
+        // trade size so each DEX's pool is the one that fills it best. The
+        // bid (selling base) and the ask (buying it) are quoted separately.
         const dexNames = Object.keys(config.dexes);
-        const pricePromises = dexNames.map(dex => 
-            this.priceFetcher.getTokenPrice(tokenSymbol, dex).catch(error => ({
+        const quoteSide = side => Promise.all(dexNames.map(dex =>
+            this.priceFetcher.getPairPrice(baseSymbol, quoteSymbol, dex, inputAmountUSD, side).catch(error => ({
                 success: false,
                 dex,
                 error: error.message
             }))
-        );
+        ));
         
-        const prices = await Promise.all(pricePromises);
+        const [bids, asks] = await Promise.all([quoteSide('sell'), quoteSide('buy')]);
+        const markets = await this.checkMarkets(baseSymbol, quoteSymbol, bids, asks);
         
-        // Find valid prices
-        const validPrices = prices.filter(p => 
-            p.success && 
-            p.price > 0 && 
-            p.liquidity > 100
-        );
+        this.trackPools(`${baseSymbol}/${quoteSymbol}`, markets.flatMap(market => [market.bid, market.ask]));
         
-        if (validPrices.length < 2) {
-            return opportunities;
+        // Buy at one DEX's ask, sell at another's bid
+        const candidates = this.findSpreads(markets).map(({ buy, sell, spread }) => ({
+            token: baseSymbol,
+            quoteToken: quoteSymbol,
+            pair: `${baseSymbol}/${quoteSymbol}`,
+            buyDex: buy.dex,
+            sellDex: sell.dex,
+            buyPrice: buy.price,
+            sellPrice: sell.price,
+            spread: spread,
+            buyLiquidity: buy.liquidity,
+            sellLiquidity: sell.liquidity,
+            buyPool: buy.poolInfo,
+            sellPool: sell.poolInfo,
+            buyOracleCheck: buy.oracleCheck,
+            sellOracleCheck: sell.oracleCheck,
+            buyCandidates: buy.candidates || [],
+            sellCandidates: sell.candidates || [],
+            timestamp: Date.now()
+        }));
+        
+        // Quotes only flag candidates; confirm each route is executable at the
+        // reference trade size. analyzeOpportunities then sizes it optimally.
+        for (const candidate of candidates) {
+            try {
+                const amountIn = await this.priceFetcher.getTradeAmount(quoteSymbol, inputAmountUSD);
+                candidate.roundTrip = await this.priceFetcher.quoteRoundTrip(candidate, amountIn);
+                opportunities.push(candidate);
+                
+            } catch (error) {
+                logger.logDebug(`Round trip quote failed for ${candidate.pair} ${candidate.buyDex} → ${candidate.sellDex}: ${error.message}`);
+            }
         }
         
-        // Check all price pairs for arbitrage
-        for (let i = 0; i < validPrices.length; i++) {
-            for (let j = i + 1; j < validPrices.length; j++) {
-                const buyPrice = validPrices[i].price < validPrices[j].price ? validPrices[i] : validPrices[j];
-                const sellPrice = validPrices[i].price > validPrices[j].price ? validPrices[i] : validPrices[j];
+        return opportunities;
+    }
+    
+    // Quotes that pass the oracle deviation guard (all of them without one)
+    async checkPrices(baseSymbol, quoteSymbol, prices) {
+        if (!this.priceGuard) {
+            return prices;
+        }
+        
+        return this.priceGuard.filter(baseSymbol, quoteSymbol, prices);
+    }
+    
+    /**
+     * DEXes with a liquid bid and ask that pass the oracle guard, as
+     * { dex, bid, ask }. A DEX whose bid is rejected is dropped without
+     * checking its ask, so a broken pool counts once.
+     */
+    async checkMarkets(baseSymbol, quoteSymbol, bids, asks) {
+        const isLiquid = quote => quote.success && quote.price > 0 && quote.liquidity > 100;
+        
+        const validBids = await this.checkPrices(baseSymbol, quoteSymbol, bids.filter(isLiquid));
+        const bidOf = dex => validBids.find(bid => bid.dex === dex);
+        
+        const validAsks = await this.checkPrices(baseSymbol, quoteSymbol, asks.filter(ask => isLiquid(ask) && bidOf(ask.dex)));
+        
+        return validAsks.map(ask => ({ dex: ask.dex, bid: bidOf(ask.dex), ask }));
+    }
+    
+    /**
+     * Every ordered pair of markets where selling at one's bid beats buying
+     * at the other's ask by more than 0.1%. Both sides already carry their
+     * pool's fee and price impact, so a pool's own fee is never a spread.
+     */
+    findSpreads(markets) {
+        const spreads = [];
+        
+        for (const buy of markets) {
+            for (const sell of markets) {
+                if (buy === sell) continue;
                 
-                // Calculate spread
-                const spread = ((sellPrice.price - buyPrice.price) / buyPrice.price) * 100;
+                const spread = ((sell.bid.price - buy.ask.price) / buy.ask.price) * 100;
                 
-                if (spread > 0.1) { // At least 0.1% spread
-                    opportunities.push({
-                        token: tokenSymbol,
-                        buyDex: buyPrice.dex,
-                        sellDex: sellPrice.dex,
-                        buyPrice: buyPrice.price,
-                        sellPrice: sellPrice.price,
-                        spread: spread,
-                        buyLiquidity: buyPrice.liquidity,
-                        sellLiquidity: sellPrice.liquidity,
-                        buyPool: buyPrice.poolInfo,
-                        sellPool: sellPrice.poolInfo,
-                        timestamp: Date.now()
-                    });
+                if (spread > 0.1) {
+                    spreads.push({ buy: buy.ask, sell: sell.bid, spread });
                 }
             }
         }
         
-        return opportunities;
+        return spreads;
     }
     
     async analyzeOpportunities(opportunities) {
@@ -335,13 +903,22 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
         
         for (const opportunity of opportunities) {
             try {
+                // Size each route at its own optimum rather than the global INPUT_AMOUNT_USD
+                const sized = await this.sizeOpportunity(opportunity);
+                
                 // Calculate real costs
-                const analysis = await this.calculateRealProfit(opportunity);
+                const analysis = await this.calculateRealProfit(sized);
                 
                 if (analysis.netProfit > this.minNetProfit) {
+                    const degraded = this.checkPriceFreshness(sized);
+                    if (degraded === false) {
+                        continue;
+                    }
+                    
                     profitable.push({
-                        ...opportunity,
-                        analysis
+                        ...sized,
+                        analysis,
+                        ...(degraded && { degraded })
                     });
                 }
                 
@@ -356,17 +933,78 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
         return profitable;
     }
     
+    /**
+     * USD figures of an opportunity rest on the prices of its tokens and of
+     * MATIC for gas. If any of them is a last known price past its staleness
+     * limit, the opportunity is suppressed (false) or returned with a
+     * degraded note, per settings.priceStore.onStale; null when all are fresh.
+     */
+    checkPriceFreshness(opportunity) {
+        const tokens = opportunity.route
+            ? opportunity.route.flatMap(leg => [leg.tokenIn, leg.tokenOut])
+            : [opportunity.token, opportunity.quoteToken];
+        const symbols = [...new Set([...tokens, 'WMATIC'])].filter(symbol => config.tokens[symbol]);
+        
+        const stale = this.priceFetcher.getStalePrices(symbols);
+        if (stale.length === 0) {
+            return null;
+        }
+        
+        const label = opportunity.pair || opportunity.token;
+        const prices = stale.map(({ symbol, price, source, age }) => ({ symbol, price, source, age }));
+        const names = prices.map(entry => `${entry.symbol} (${Math.round(entry.age / 60000)} min old)`).join(', ');
+        
+        if ((config.settings?.priceStore?.onStale || 'degrade') === 'suppress') {
+            this.stats.suppressedOpportunities++;
+            logger.logWarning(`Opportunity ${label} suppressed: stale price for ${names}`);
+            return false;
+        }
+        
+        this.stats.degradedOpportunities++;
+        logger.logWarning(`Opportunity ${label} degraded: stale price for ${names}`);
+        return { reason: 'stale_price', prices };
+    }
+    
+    async sizeOpportunity(opportunity) {
+        if (!opportunity.roundTrip || !this.tradeSizeOptimizer) {
+            return opportunity;
+        }
+        
+        const sizing = await this.tradeSizeOptimizer.optimizeRoundTrip(opportunity);
+        if (!sizing) {
+            return opportunity;
+        }
+        
+        return {
+            ...opportunity,
+            roundTrip: sizing.roundTrip,
+            sizing: {
+                amountUSD: sizing.amountUSD,
+                curve: sizing.curve,
+                evaluations: sizing.evaluations
+            }
+        };
+    }
+    
     async calculateRealProfit(opportunity) {
+        if (opportunity.roundTrip) {
+            return this.calculateQuotedProfit(opportunity);
+        }
+        
         const inputAmount = parseFloat(process.env.INPUT_AMOUNT_USD) || 1000;
         
         // Calculate gross profit
         const grossProfit = inputAmount * (opportunity.spread / 100);
         
-        // Get real-time gas cost
-        const gasCost = await this.gasCalculator.calculateTotalGasCost(
+        // Get real-time gas cost, from the quoter's estimates where it gave them
+        const gas = await this.gasCalculator.calculateRouteGasCost(
             opportunity.token,
             opportunity.buyDex,
-            opportunity.sellDex
+            opportunity.sellDex,
+            [
+                { dex: opportunity.buyDex, poolInfo: opportunity.buyPool },
+                { dex: opportunity.sellDex, poolInfo: opportunity.sellPool }
+            ]
         );
         
         // Calculate swap fees
@@ -386,6 +1024,7 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
         );
         
         // Calculate net profit
+        const gasCost = gas.gasCost;
         const totalCosts = gasCost + swapFees + slippage;
         const netProfit = grossProfit - totalCosts;
         
@@ -393,6 +1032,7 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
             inputAmount,
             grossProfit,
             gasCost,
+            gas: { units: gas.gasUnits, source: gas.source, legs: gas.legs },
             swapFees,
             slippage,
             totalCosts,
@@ -401,26 +1041,70 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
         };
     }
     
-    calculateSwapFees(inputAmount, buyPool, sellPool) {
-        let totalFees = 0;
+    /**
+     * Profit from an executable round-trip quote. Pool fees and price impact
+     * are already in the quoted output, so only gas is deducted; swap fees are
+     * reported for information.
+     */
+    async calculateQuotedProfit(opportunity) {
+        const { amountInUSD, amountOutUSD } = opportunity.roundTrip;
         
-        // Buy side fees
-        if (buyPool?.feeTier) {
-            // V3 pool
-            totalFees += inputAmount * (buyPool.feeTier / 1000000);
-        } else {
-            // V2 pool - 0.3%
-            totalFees += inputAmount * 0.003;
-        }
+        const grossProfit = amountOutUSD - amountInUSD;
         
-        // Sell side fees
-        if (sellPool?.feeTier) {
-            totalFees += inputAmount * (sellPool.feeTier / 1000000);
-        } else {
-            totalFees += inputAmount * 0.003;
-        }
+        // Each leg at the quoted size, with what the quoter measured of it
+        const legs = opportunity.roundTrip.legs || [];
+        const amounts = opportunity.roundTrip.raw?.amounts || [];
+        const gas = await this.gasCalculator.calculateRouteGasCost(
+            opportunity.token,
+            opportunity.buyDex,
+            opportunity.sellDex,
+            this.priceFetcher.getRoute(opportunity).map(({ dex, tokenIn, tokenOut, poolInfo }, i) => ({
+                dex,
+                tokenIn,
+                tokenOut,
+                amountIn: amounts[i],
+                poolInfo: legs[i]?.execution ? { ...poolInfo, execution: legs[i].execution } : poolInfo
+            }))
+        );
+        const gasCost = gas.gasCost;
+        
+        const swapFees = this.calculateSwapFees(
+            amountInUSD,
+            opportunity.buyPool,
+            opportunity.sellPool
+        );
         
-        return totalFees;
+        const totalCosts = gasCost;
+        const netProfit = grossProfit - totalCosts;
+        
+        // Gas is the same at every size, so it shifts the whole curve
+        const profitCurve = opportunity.sizing?.curve.map(point => ({
+            amountUSD: point.amountUSD,
+            netProfit: point.grossProfit === null ? null : point.grossProfit - gasCost
+        })) || null;
+        
+        return {
+            inputAmount: amountInUSD,
+            grossProfit,
+            gasCost,
+            gas: { units: gas.gasUnits, source: gas.source, legs: gas.legs },
+            swapFees,
+            slippage: 0,
+            totalCosts,
+            netProfit,
+            roi: (netProfit / amountInUSD) * 100,
+            quoteBased: true,
+            optimalSize: opportunity.sizing?.amountUSD || null,
+            profitCurve
+        };
+    }
+    
+    calculateSwapFees(inputAmount, buyPool, sellPool) {
+        // Pool-reported fee in ppm (V3 tier, dynamic Algebra fee, Curve,
+        // Balancer), else the family default (0.3% for V2 pairs)
+        const feeOf = (pool) => dexAdapters.forPool(pool).getFee(pool) / 1000000;
+        
+        return inputAmount * (feeOf(buyPool) + feeOf(sellPool));
     }
     
     async processProfitableOpportunities(opportunities) {
@@ -429,11 +1113,17 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
         
         for (const opportunity of topOpportunities) {
             try {
+                // Only routes that execute in the simulated transaction are alerted
+                if (this.routeSimulator && !await this.simulateOpportunity(opportunity)) {
+                    continue;
+                }
+                
                 // Log opportunity
                 this.logOpportunity(opportunity);
                 
                 // Send notification
                 await telegramNotifier.sendArbitrageAlert(opportunity);
+                opportunity.alerted = true;
                 
                 // Update best opportunity
                 if (!this.stats.bestOpportunity || 
@@ -447,20 +1137,70 @@ const scanPromises = tradingPairs.map(([baseToken, quoteToken]) =>
         }
     }
     
+    /**
+     * Run the opportunity's legs in one simulated transaction and keep the
+     * result on it as opportunity.simulation. It survives when every leg
+     * executes and the simulated output, less gas, still clears minNetProfit.
+     */
+    async simulateOpportunity(opportunity) {
+        const label = opportunity.pair || opportunity.token;
+        const simulation = await this.routeSimulator.simulate(opportunity);
+        
+        if (simulation.success) {
+            simulation.netProfit = simulation.amountOutUSD - opportunity.roundTrip.amountInUSD - opportunity.analysis.gasCost;
+        }
+        
+        opportunity.simulation = simulation;
+        
+        if (!simulation.success) {
+            this.stats.rejectedBySimulation++;
+            logger.logWarning(`Opportunity ${label} failed simulation: ${simulation.reason}`);
+            return false;
+        }
+        
+        if (simulation.netProfit <= this.minNetProfit) {
+            this.stats.rejectedBySimulation++;
+            logger.logWarning(`Opportunity ${label} unprofitable in simulation: $${simulation.netProfit.toFixed(2)} net`);
+            return false;
+        }
+        
+        return true;
+    }
+    
     logOpportunity(opportunity) {
-        const { token, buyDex, sellDex, spread, analysis } = opportunity;
+        const { token, pair, buyDex, sellDex, spread, analysis, roundTrip } = opportunity;
+        const included = analysis.quoteBased ? ' (included in quote)' : '';
+        const curve = analysis.profitCurve
+            ? '\nProfit Curve: ' + analysis.profitCurve
+                .map(point => `$${Math.round(point.amountUSD)}: ${point.netProfit === null ? 'n/a' : `$${point.netProfit.toFixed(2)}`}`)
+                .join(' | ')
+            : '';
+        const prices = opportunity.buyPrice && opportunity.sellPrice
+            ? `\nAsk / Bid: ${opportunity.buyPrice.toPrecision(6)} on ${buyDex} / ${opportunity.sellPrice.toPrecision(6)} on ${sellDex}`
+            : '';
+        const quoted = roundTrip
+            ? `\nRound Trip: ${roundTrip.amountIn} ${opportunity.quoteToken} → ` +
+                roundTrip.legs.map(leg => `${leg.amountOut} ${leg.tokenOut} (${leg.dex})`).join(' → ')
+            : '';
+        const simulated = opportunity.simulation?.success
+            ? `\nSimulated: ${opportunity.simulation.amountIn} → ${opportunity.simulation.amountOut} ${opportunity.simulation.token}` +
+                (opportunity.simulation.gasUsed ? ` (${opportunity.simulation.gasUsed} gas)` : '')
+            : '';
+        const gas = analysis.gas
+            ? ` (${analysis.gas.units} gas, ${analysis.gas.legs.filter(leg => leg.source === 'estimated').length}/${analysis.gas.legs.length} legs estimated)`
+            : '';
         
         logger.logSuccess(`
 💎 ARBITRAGE OPPORTUNITY FOUND!
-Token: ${token}
+Token: ${pair || token}
 Route: ${buyDex} → ${sellDex}
-Spread: ${spread.toFixed(2)}%
-Input: $${analysis.inputAmount}
+Spread: ${spread.toFixed(2)}%${prices}${quoted}${simulated}
+Input: $${analysis.inputAmount.toFixed(2)}${analysis.optimalSize ? ' (optimal size)' : ''}
 Gross Profit: $${analysis.grossProfit.toFixed(2)}
-Gas Cost: $${analysis.gasCost.toFixed(2)}
-Swap Fees: $${analysis.swapFees.toFixed(2)}
-Slippage: $${analysis.slippage.toFixed(2)}
-NET PROFIT: $${analysis.netProfit.toFixed(2)} (${analysis.roi.toFixed(2)}% ROI)
+Gas Cost: $${analysis.gasCost.toFixed(2)}${gas}
+Swap Fees: $${analysis.swapFees.toFixed(2)}${included}
+Slippage: $${analysis.slippage.toFixed(2)}${included}
+NET PROFIT: $${analysis.netProfit.toFixed(2)} (${analysis.roi.toFixed(2)}% ROI)${curve}
         `);
     }
     
@@ -483,11 +1223,33 @@ NET PROFIT: $${analysis.netProfit.toFixed(2)} (${analysis.roi.toFixed(2)}% ROI)
         logger.logInfo('Stopping Arbitrage Engine...');
         this.isRunning = false;
         
-        // Clear queue
-        this.processQueue.clear();
-        await this.processQueue.onIdle();
+        // Let the scan in progress finish before its components go away
+        await this.scanLock;
+        
+        this.stopBlockScans();
         
         // Cleanup components
+        if (this.poolStream) {
+            this.poolStream.stop();
+        }
+        
+        if (this.wsProvider) {
+            await this.wsProvider.destroy();
+        }
+        
+        if (this.poolRegistry) {
+            await this.poolRegistry.stop();
+        }
+        
+        if (this.depegMonitor) {
+            await this.depegMonitor.stop();
+        }
+        
+        if (this.crossCheckTimer) {
+            clearInterval(this.crossCheckTimer);
+            this.crossCheckTimer = null;
+        }
+        
         if (this.priceFetcher) {
             await this.priceFetcher.cleanup();
         }
@@ -505,6 +1267,16 @@ NET PROFIT: $${analysis.netProfit.toFixed(2)} (${analysis.roi.toFixed(2)}% ROI)
         
         return {
             ...this.stats,
+            multicall: this.priceFetcher ? this.priceFetcher.multicall.getStats() : null,
+            poolRegistry: this.poolRegistry ? this.poolRegistry.getStats() : null,
+            streaming: this.poolStream ? this.poolStream.getStats() : null,
+            reorgs: this.reorgTracker ? this.reorgTracker.getStats() : null,
+            priceGuard: this.priceGuard ? this.priceGuard.getStats() : null,
+            depeg: this.depegMonitor ? this.depegMonitor.getStats() : null,
+            simulation: this.routeSimulator ? this.routeSimulator.getStats() : null,
+            priceSources: this.priceFetcher ? this.getPriceSources() : null,
+            priceStore: this.priceFetcher ? this.priceFetcher.priceStore.getStats() : null,
+            sourceHealth: this.priceFetcher ? this.priceFetcher.getSourceStats() : null,
             runtime: Math.floor(runtime / 1000),
             scansPerHour: hours > 0 ? (this.stats.totalScans / hours).toFixed(1) : 0,
             profitPerHour: hours > 0 ? (this.stats.totalNetProfit / hours).toFixed(2) : 0,
@@ -6,6 +6,8 @@ const { ethers } = require('ethers');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./logger');
+const dexAdapters = require('./dexAdapters');
+const priceSources = require('./priceSources');
 
 class ConfigValidator {
     static async validateAll() {
@@ -86,6 +88,19 @@ class ConfigValidator {
                     if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 18) {
                         warnings.push(`Invalid decimals for ${symbol}: ${token.decimals}`);
                     }
+                    
+                    for (const entry of token.priceSources || []) {
+                        if (!priceSources.has(entry.source)) {
+                            errors.push(`Unknown price source for ${symbol}: ${entry.source}`);
+                            continue;
+                        }
+                        
+                        priceSources.get(entry.source).validateEntry(symbol, entry, errors);
+                    }
+                    
+                    if (token.priceSources?.length === 0) {
+                        warnings.push(`No price sources for ${symbol}: USD conversions will fail`);
+                    }
                 }
             }
             
@@ -94,20 +109,76 @@ class ConfigValidator {
                 errors.push('No DEXes configured');
             } else {
                 for (const [name, dex] of Object.entries(config.dexes)) {
-                    if (!dex.type || !['v2', 'v3'].includes(dex.type)) {
+                    if (!dexAdapters.has(dex.type)) {
                         warnings.push(`Invalid DEX type for ${name}: ${dex.type}`);
+                        continue;
                     }
                     
-                    if (dex.type === 'v2' && !ethers.isAddress(dex.router)) {
-                        errors.push(`Invalid router for ${name}`);
+                    dexAdapters.get(dex.type).validateConfig(name, dex, errors);
+                    
+                    // Without a deploy block the pool registry backfills from genesis
+                    if (config.settings?.poolRegistry?.enabled && dexAdapters.get(dex.type).poolEvent &&
+                        !Number.isInteger(dex.deployBlock)) {
+                        warnings.push(`No deployBlock for ${name}: pool registry backfills from block 0`);
+                    }
+                }
+            }
+            
+            // Validate trading pairs
+            if (!Array.isArray(config.tradingPairs) || config.tradingPairs.length === 0) {
+                errors.push('No trading pairs configured');
+            } else {
+                for (const pair of config.tradingPairs) {
+                    if (!Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1]) {
+                        errors.push(`Invalid trading pair: ${JSON.stringify(pair)}`);
+                        continue;
                     }
                     
-                    if (dex.type === 'v3' && !ethers.isAddress(dex.factory)) {
-                        errors.push(`Invalid factory for ${name}`);
+                    const unknown = pair.filter(symbol => !config.tokens?.[symbol]);
+                    if (unknown.length > 0) {
+                        errors.push(`Trading pair ${pair.join('/')} uses unknown tokens: ${unknown.join(', ')}`);
                     }
                 }
             }
             
+            // Validate oracle deviation guard
+            const priceGuard = config.settings?.priceGuard;
+            if (priceGuard?.enabled) {
+                if (priceGuard.action && !['drop', 'flag'].includes(priceGuard.action)) {
+                    errors.push(`Invalid priceGuard action: ${priceGuard.action} (expected drop or flag)`);
+                }
+                
+                for (const [symbol, deviation] of Object.entries({ default: priceGuard.maxDeviation, ...priceGuard.tokenDeviation })) {
+                    if (deviation !== undefined && !(deviation > 0)) {
+                        warnings.push(`Invalid priceGuard deviation for ${symbol}: ${deviation}`);
+                    }
+                }
+            }
+            
+            // Validate last known price store
+            const priceStore = config.settings?.priceStore;
+            if (priceStore) {
+                if (priceStore.onStale && !['degrade', 'suppress'].includes(priceStore.onStale)) {
+                    errors.push(`Invalid priceStore onStale: ${priceStore.onStale} (expected degrade or suppress)`);
+                }
+                
+                if (priceStore.maxStalenessMs !== undefined && !(priceStore.maxStalenessMs > 0)) {
+                    warnings.push(`Invalid priceStore maxStalenessMs: ${priceStore.maxStalenessMs}`);
+                }
+            }
+            
+            // Validate route simulation
+            const simulation = config.settings?.simulation;
+            if (simulation?.enabled && simulation.executor !== undefined && !ethers.isAddress(simulation.executor)) {
+                errors.push(`Invalid simulation executor: ${simulation.executor}`);
+            }
+            
+            // Validate swap gas estimation
+            const gasEstimation = config.settings?.gasEstimation;
+            if (gasEstimation?.cacheTtlMs !== undefined && !(gasEstimation.cacheTtlMs > 0)) {
+                warnings.push(`Invalid gasEstimation cacheTtlMs: ${gasEstimation.cacheTtlMs}`);
+            }
+            
         } catch (error) {
             errors.push(`Failed to load config: ${error.message}`);
         }
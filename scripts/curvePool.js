@@ -0,0 +1,197 @@
+/**
+ * Curve Pool - StableSwap pool state and local get_dy simulation
+ */
+
+const { ethers } = require('ethers');
+
+const CURVE_POOL_ABI = [
+    'function coins(uint256 i) view returns (address)',
+    'function underlying_coins(uint256 i) view returns (address)',
+    'function balances(uint256 i) view returns (uint256)',
+    'function A() view returns (uint256)',
+    'function fee() view returns (uint256)',
+    'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)',
+    'function get_dy_underlying(int128 i, int128 j, uint256 dx) view returns (uint256)',
+    'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) returns (uint256)',
+    'function exchange_underlying(int128 i, int128 j, uint256 dx, uint256 min_dy) returns (uint256)'
+];
+
+// Crypto pools (tricrypto etc.) index coins with uint256
+const CURVE_CRYPTO_ABI = [
+    'function get_dy(uint256 i, uint256 j, uint256 dx) view returns (uint256)',
+    'function get_dy_underlying(uint256 i, uint256 j, uint256 dx) view returns (uint256)',
+    'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy) returns (uint256)',
+    'function exchange_underlying(uint256 i, uint256 j, uint256 dx, uint256 min_dy) returns (uint256)'
+];
+
+const ERC20_DECIMALS_ABI = [
+    'function decimals() view returns (uint8)'
+];
+
+const poolInterface = new ethers.Interface(CURVE_POOL_ABI);
+const cryptoInterface = new ethers.Interface(CURVE_CRYPTO_ABI);
+const erc20Interface = new ethers.Interface(ERC20_DECIMALS_ABI);
+
+const PRECISION = 10n ** 18n;
+const FEE_DENOMINATOR = 10n ** 10n;
+const MAX_COINS = 8;
+const MAX_ITERATIONS = 255;
+
+/**
+ * StableSwap invariant D for normalized balances xp
+ */
+function getD(xp, amp) {
+    const n = BigInt(xp.length);
+    const sum = xp.reduce((a, b) => a + b, 0n);
+    if (sum === 0n) return 0n;
+    
+    const ann = amp * n;
+    let d = sum;
+    
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        let dP = d;
+        for (const x of xp) {
+            dP = dP * d / (x * n);
+        }
+        
+        const prev = d;
+        d = (ann * sum + dP * n) * d / ((ann - 1n) * d + (n + 1n) * dP);
+        
+        if (d > prev ? d - prev <= 1n : prev - d <= 1n) break;
+    }
+    
+    return d;
+}
+
+/**
+ * New normalized balance of coin j when coin i is set to x, keeping D constant
+ */
+function getY(i, j, x, xp, amp) {
+    const n = BigInt(xp.length);
+    const d = getD(xp, amp);
+    const ann = amp * n;
+    
+    let c = d;
+    let sum = 0n;
+    
+    for (let k = 0; k < xp.length; k++) {
+        if (k === j) continue;
+        const balance = k === i ? x : xp[k];
+        sum += balance;
+        c = c * d / (balance * n);
+    }
+    
+    c = c * d / (ann * n);
+    const b = sum + d / ann;
+    
+    let y = d;
+    for (let k = 0; k < MAX_ITERATIONS; k++) {
+        const prev = y;
+        y = (y * y + c) / (2n * y + b - d);
+        
+        if (y > prev ? y - prev <= 1n : prev - y <= 1n) break;
+    }
+    
+    return y;
+}
+
+class CurvePool {
+    constructor(state) {
+        this.address = state.address;
+        this.coins = state.coins;
+        this.decimals = state.decimals;
+        this.balances = state.balances;
+        this.A = BigInt(state.A);
+        this.fee = BigInt(state.fee);
+        this.underlying = !!state.underlying;
+        this.indexType = state.indexType || 'int128';
+        
+        // Rates scale every coin to 18 decimals
+        this.rates = this.decimals.map(d => 10n ** BigInt(36 - d));
+    }
+    
+    /**
+     * Read coins, balances, A and fee. With underlying the pool is quoted in
+     * its underlying coins (e.g. USDC instead of amUSDC); balances are the
+     * wrapped balances, which Aave-style wrappers hold 1:1.
+     */
+    static async load(multicall, poolAddress, options = {}) {
+        const coinMethod = options.underlying ? 'underlying_coins' : 'coins';
+        const indexes = Array.from({ length: MAX_COINS }, (_, i) => i);
+        const call = (method, args) => multicall.tryCall(poolAddress, poolInterface, method, args);
+        
+        const [coinResults, balanceResults, A, fee] = await Promise.all([
+            Promise.all(indexes.map(i => call(coinMethod, [i]))),
+            Promise.all(indexes.map(i => call('balances', [i]))),
+            call('A'),
+            call('fee')
+        ]);
+        
+        const count = coinResults.findIndex(coin => coin === null);
+        const coins = coinResults.slice(0, count === -1 ? MAX_COINS : count);
+        
+        if (coins.length < 2 || A === null || fee === null) {
+            throw new Error(`Not a Curve pool: ${poolAddress}`);
+        }
+        
+        const decimals = await Promise.all(coins.map(coin =>
+            multicall.call(coin, erc20Interface, 'decimals')
+        ));
+        
+        return new CurvePool({
+            address: poolAddress,
+            coins,
+            decimals: decimals.map(Number),
+            balances: balanceResults.slice(0, coins.length).map(balance => balance ?? 0n),
+            A,
+            fee,
+            underlying: options.underlying,
+            indexType: options.indexType
+        });
+    }
+    
+    indexOf(tokenAddress) {
+        return this.coins.findIndex(coin => coin.toLowerCase() === tokenAddress.toLowerCase());
+    }
+    
+    // Pool fee in parts per million, the unit used for V3 fee tiers
+    get feePpm() {
+        return Number(this.fee / 10000n);
+    }
+    
+    getQuoteCall(i, j, dx) {
+        const iface = this.indexType === 'uint256' ? cryptoInterface : poolInterface;
+        const method = this.underlying ? 'get_dy_underlying' : 'get_dy';
+        
+        return { target: this.address, iface, method, args: [i, j, dx] };
+    }
+    
+    // Swap of dx of coin i for at least minDy of coin j, paid to the caller
+    getSwapCall(i, j, dx, minDy) {
+        const iface = this.indexType === 'uint256' ? cryptoInterface : poolInterface;
+        const method = this.underlying ? 'exchange_underlying' : 'exchange';
+        
+        return { target: this.address, iface, method, args: [i, j, dx, minDy] };
+    }
+    
+    /**
+     * Local get_dy: StableSwap output of coin j for dx of coin i, fee deducted
+     */
+    getDy(i, j, dx) {
+        const xp = this.balances.map((balance, k) => balance * this.rates[k] / PRECISION);
+        const x = xp[i] + dx * this.rates[i] / PRECISION;
+        const y = getY(i, j, x, xp, this.A);
+        
+        if (xp[j] <= y + 1n) return 0n;
+        
+        const dy = (xp[j] - y - 1n) * PRECISION / this.rates[j];
+        return dy - this.fee * dy / FEE_DENOMINATOR;
+    }
+}
+
+CurvePool.getD = getD;
+CurvePool.getY = getY;
+CurvePool.ABI = CURVE_POOL_ABI;
+CurvePool.FEE_DENOMINATOR = FEE_DENOMINATOR;
+
+module.exports = CurvePool;
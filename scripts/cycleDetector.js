@@ -0,0 +1,148 @@
+/**
+ * Cycle Detector - Bellman-Ford search for profitable cycles in the token/DEX graph
+ */
+
+const pLimit = require('p-limit');
+
+const config = require('../config/polygon.json');
+const logger = require('./logger');
+const TriangularScanner = require('./triangularScanner');
+
+class CycleDetector {
+    constructor(priceFetcher, options = {}) {
+        this.priceFetcher = priceFetcher;
+        
+        this.tokens = options.tokens || Object.keys(config.tokens);
+        this.startTokens = options.startTokens || ['USDC', 'USDT', 'WETH', 'WMATIC'];
+        this.dexes = options.dexes || Object.keys(config.dexes);
+        this.maxHops = options.maxHops || 4;
+        this.minProfitPercent = options.minProfitPercent ?? 0.1; // % at the reference size
+        this.minLiquidity = options.minLiquidity ?? 100;
+        this.referenceAmountUSD = options.referenceAmountUSD || 1000;
+        
+        this.limit = pLimit(options.concurrency || 32);
+    }
+    
+    /**
+     * Directed graph over the configured tokens. Each edge is the best pool
+     * for tokenIn → tokenOut across DEXes, weighted by -log(rate) where rate
+     * is the quoted output per input at the reference size, fees included.
+     */
+    async buildGraph() {
+        const graph = new Map(this.tokens.map(token => [token, []]));
+        const pairs = [];
+        
+        for (const tokenIn of this.tokens) {
+            for (const tokenOut of this.tokens) {
+                if (tokenIn !== tokenOut) pairs.push([tokenIn, tokenOut]);
+            }
+        }
+        
+        await Promise.all(pairs.map(([tokenIn, tokenOut]) => this.limit(async () => {
+            const quotes = await this.priceFetcher.getEdgeQuotes(
+                tokenIn, tokenOut, this.dexes, this.referenceAmountUSD, this.minLiquidity
+            );
+            if (quotes.length === 0) return;
+            
+            const best = quotes.reduce((a, b) => (b.price > a.price ? b : a));
+            graph.get(tokenIn).push({
+                dex: best.dex,
+                tokenIn,
+                tokenOut,
+                price: best.price,
+                liquidity: best.liquidity,
+                poolInfo: best.poolInfo,
+                weight: -Math.log(best.price)
+            });
+        })));
+        
+        return graph;
+    }
+    
+    /**
+     * Hop-bounded Bellman-Ford from each start token. Layer k holds the
+     * lightest simple path of k edges to every token; an edge back to the
+     * start closes a cycle, which is profitable when its total weight is
+     * below -log(1 + minProfitPercent).
+     */
+    findCycles(graph) {
+        const threshold = -Math.log(1 + this.minProfitPercent / 100);
+        const cycles = new Map();
+        
+        for (const start of this.startTokens) {
+            if (!graph.has(start)) continue;
+            
+            let layer = new Map([[start, { weight: 0, edges: [] }]]);
+            
+            for (let hop = 1; hop <= this.maxHops && layer.size > 0; hop++) {
+                const next = new Map();
+                
+                for (const [token, path] of layer) {
+                    const visited = new Set(path.edges.map(edge => edge.tokenIn));
+                    
+                    for (const edge of graph.get(token)) {
+                        const weight = path.weight + edge.weight;
+                        const edges = [...path.edges, edge];
+                        
+                        if (edge.tokenOut === start) {
+                            if (hop >= 2 && weight < threshold) {
+                                this.addCycle(cycles, edges, weight);
+                            }
+                            continue;
+                        }
+                        
+                        if (visited.has(edge.tokenOut) || hop === this.maxHops) continue;
+                        
+                        const current = next.get(edge.tokenOut);
+                        if (!current || weight < current.weight) {
+                            next.set(edge.tokenOut, { weight, edges });
+                        }
+                    }
+                }
+                
+                layer = next;
+            }
+        }
+        
+        return [...cycles.values()].sort((a, b) => a.weight - b.weight);
+    }
+    
+    // The same cycle reached from different start tokens is kept once
+    addCycle(cycles, edges, weight) {
+        const key = edges
+            .map(edge => `${edge.dex}:${edge.tokenIn}>${edge.tokenOut}`)
+            .sort()
+            .join('|');
+            
+        if (!cycles.has(key) || weight < cycles.get(key).weight) {
+            cycles.set(key, { edges, weight });
+        }
+    }
+    
+    async scan() {
+        const graph = await this.buildGraph();
+        const cycles = this.findCycles(graph);
+        
+        // Confirm each cycle leg by leg at the reference size
+        const opportunities = [];
+        await Promise.all(cycles.map(({ edges }) => this.limit(async () => {
+            const candidate = TriangularScanner.routeToOpportunity(edges, 'cycle');
+            
+            try {
+                const amountIn = await this.priceFetcher.getTradeAmount(candidate.token, this.referenceAmountUSD);
+                candidate.roundTrip = await this.priceFetcher.quoteRoundTrip(candidate, amountIn);
+                opportunities.push(candidate);
+                
+            } catch (error) {
+                logger.logDebug(`Cycle quote failed for ${candidate.pair}: ${error.message}`);
+            }
+        })));
+        
+        const edgeCount = [...graph.values()].reduce((sum, edges) => sum + edges.length, 0);
+        logger.logDebug(`Cycle detection: ${edgeCount} edges, ${cycles.length} negative cycles, ${opportunities.length} quoted`);
+        
+        return opportunities;
+    }
+}
+
+module.exports = CycleDetector;
@@ -0,0 +1,142 @@
+/**
+ * Depeg Monitor - Stablecoin prices from their Chainlink USD feeds
+ *
+ * USD figures are converted at each stablecoin's feed price, so a depeg
+ * already shows in reported profits; this monitor makes it an event. A
+ * stablecoin further than thresholdPercent from $1 emits 'depeg', and
+ * 'recovered' once it is back within recoveryPercent. With pauseScanning
+ * the engine does not scan while any stablecoin is off peg.
+ */
+
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+class DepegMonitor extends EventEmitter {
+    constructor(priceFetcher, options = {}) {
+        super();
+        
+        this.priceFetcher = priceFetcher;
+        this.settings = {
+            tokens: ['USDC', 'USDT'],
+            thresholdPercent: 0.5,
+            // Lower than the threshold so a price hovering at it doesn't flap
+            recoveryPercent: 0.25,
+            pauseScanning: false,
+            checkIntervalMs: 60000,
+            ...options
+        };
+        
+        // Last reading by symbol: { symbol, price, deviation, depegged, since, checkedAt }
+        this.status = new Map();
+        this.checking = null;
+        this.timer = null;
+        
+        this.stats = { checks: 0, failures: 0, depegs: 0 };
+    }
+    
+    // Concurrent callers share one round of feed reads
+    check() {
+        if (!this.checking) {
+            this.checking = this.checkAll().finally(() => {
+                this.checking = null;
+            });
+        }
+        
+        return this.checking;
+    }
+    
+    async checkAll() {
+        this.stats.checks++;
+        
+        await Promise.all(this.settings.tokens.map(async symbol => {
+            try {
+                this.update(symbol, await this.priceFetcher.getChainlinkPrice(symbol));
+            } catch (error) {
+                // Keep the previous reading; one failed read is no reason to flip state
+                this.stats.failures++;
+                logger.logWarning(`Depeg check failed for ${symbol}: ${error.message}`);
+            }
+        }));
+        
+        return this.getDepegged();
+    }
+    
+    update(symbol, price) {
+        const previous = this.status.get(symbol);
+        const wasDepegged = previous?.depegged || false;
+        const deviation = (price - 1) * 100;
+        const limit = wasDepegged ? this.settings.recoveryPercent : this.settings.thresholdPercent;
+        const depegged = Math.abs(deviation) > limit;
+        
+        const status = {
+            symbol,
+            price,
+            deviation,
+            depegged,
+            since: depegged ? (wasDepegged ? previous.since : Date.now()) : null,
+            checkedAt: Date.now()
+        };
+        this.status.set(symbol, status);
+        
+        if (depegged && !wasDepegged) {
+            this.stats.depegs++;
+            logger.logWarning(`💱 ${symbol} off peg: $${price.toFixed(4)} (${deviation.toFixed(2)}%)`);
+            this.emit('depeg', status);
+        } else if (!depegged && wasDepegged) {
+            logger.logSuccess(`💱 ${symbol} back on peg: $${price.toFixed(4)}`);
+            this.emit('recovered', status);
+        }
+        
+        return status;
+    }
+    
+    isDepegged(symbol) {
+        return this.status.get(symbol)?.depegged || false;
+    }
+    
+    getDepegged() {
+        return [...this.status.values()].filter(status => status.depegged);
+    }
+    
+    shouldPause() {
+        return this.settings.pauseScanning && this.getDepegged().length > 0;
+    }
+    
+    start(intervalMs = this.settings.checkIntervalMs) {
+        if (this.timer) {
+            return;
+        }
+        
+        this.timer = setInterval(() => {
+            this.check().catch(error => logger.logWarning(`Depeg check failed: ${error.message}`));
+        }, intervalMs);
+        
+        // Don't keep the process alive
+        this.timer.unref?.();
+    }
+    
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        
+        if (this.checking) {
+            await this.checking.catch(() => {});
+        }
+    }
+    
+    getStats() {
+        return {
+            ...this.stats,
+            paused: this.shouldPause(),
+            tokens: Object.fromEntries([...this.status.values()].map(status => [status.symbol, {
+                price: status.price,
+                deviation: status.deviation,
+                depegged: status.depegged
+            }]))
+        };
+    }
+}
+
+module.exports = DepegMonitor;
@@ -0,0 +1,183 @@
+/**
+ * Algebra Adapter - QuickSwap V3 pools: one pool per pair with a dynamic fee
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../logger');
+const V3PoolModel = require('../v3PoolModel');
+const V3Adapter = require('./v3Adapter');
+
+class AlgebraAdapter extends V3Adapter {
+    get modelType() {
+        return 'algebra';
+    }
+    
+    // The dynamic fee is not in Swap logs, so streamed pools are read again
+    get pricesFromStream() {
+        return false;
+    }
+    
+    async discoverPools(token, quoteToken) {
+        const indexed = this.getIndexedPools(token, quoteToken);
+        if (indexed) {
+            return indexed.map(pool => ({ address: pool.address }));
+        }
+        
+        const address = await this.multicall.call(
+            this.dex.factory, this.interfaces.algebraFactory, 'poolByPair', [token.address, quoteToken.address]
+        );
+        
+        return address === ethers.ZeroAddress ? [] : [{ address }];
+    }
+    
+    /**
+     * The fee moves with volatility, so it is read from the pool's current
+     * globalState alongside the quote
+     */
+    async quote(token, quoteToken, amountIn = ethers.parseUnits('1', token.decimals)) {
+        try {
+            const [pool] = await this.discoverPools(token, quoteToken);
+            if (!pool) return null;
+            
+            const [globalState, liquidity, amountOut] = await Promise.all([
+                this.multicall.call(pool.address, this.interfaces.algebraPool, 'globalState'),
+                this.multicall.call(pool.address, this.interfaces.algebraPool, 'liquidity'),
+                this.quoteOnQuoter(token, quoteToken, amountIn)
+            ]);
+            
+            if (liquidity === 0n) return null;
+            
+            const { liquidityUSD, depth } = await this.getDepth(pool, token, quoteToken);
+            
+            return {
+                amountOut,
+                liquidity: liquidityUSD,
+                poolInfo: {
+                    type: 'algebra',
+                    pool: pool.address,
+                    feeTier: Number(globalState[2]), // ppm, current dynamic fee
+                    quoteToken: quoteToken.symbol,
+                    depth
+                },
+                candidates: [{ pool: pool.address, feeTier: Number(globalState[2]), amountOut }]
+            };
+            
+        } catch (error) {
+            logger.logDebug(`Algebra quote failed for ${token.symbol}/${quoteToken.symbol}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    async quoteBuy(token, quoteToken, amountOut) {
+        try {
+            const [pool] = await this.discoverPools(token, quoteToken);
+            if (!pool) return null;
+            
+            const [globalState, liquidity, amountIn] = await Promise.all([
+                this.multicall.call(pool.address, this.interfaces.algebraPool, 'globalState'),
+                this.multicall.call(pool.address, this.interfaces.algebraPool, 'liquidity'),
+                this.quoteExactOut(quoteToken, token, amountOut)
+            ]);
+            
+            if (liquidity === 0n) return null;
+            
+            const { liquidityUSD, depth } = await this.getDepth(pool, token, quoteToken);
+            
+            return {
+                amountIn,
+                liquidity: liquidityUSD,
+                poolInfo: {
+                    type: 'algebra',
+                    pool: pool.address,
+                    feeTier: Number(globalState[2]),
+                    quoteToken: quoteToken.symbol,
+                    depth
+                },
+                candidates: [{ pool: pool.address, feeTier: Number(globalState[2]), amountIn }]
+            };
+            
+        } catch (error) {
+            logger.logDebug(`Algebra buy quote failed for ${token.symbol}/${quoteToken.symbol}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    async quoteExactOut(tokenIn, tokenOut, amountOut) {
+        const [amountIn] = await this.multicall.call(this.dex.quoter, this.interfaces.algebraQuoter, 'quoteExactOutputSingle', [
+            tokenIn.address,
+            tokenOut.address,
+            amountOut,
+            0
+        ]);
+        
+        return amountIn;
+    }
+    
+    // The pair has a single pool, so the quoter needs no fee from poolInfo
+    async quoteExactIn(tokenIn, tokenOut, amountIn, poolInfo = null) {
+        if (!poolInfo) {
+            return super.quoteExactIn(tokenIn, tokenOut, amountIn);
+        }
+        
+        return { amountOut: await this.quoteOnQuoter(tokenIn, tokenOut, amountIn), poolInfo };
+    }
+    
+    // The router finds the pair's only pool, and the pool sets the fee
+    async buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        return {
+            target: this.dex.router,
+            spender: this.dex.router,
+            data: this.interfaces.algebraRouter.encodeFunctionData('exactInputSingle', [{
+                tokenIn: tokenIn.address,
+                tokenOut: tokenOut.address,
+                recipient,
+                deadline: this.getDeadline(),
+                amountIn,
+                amountOutMinimum: minAmountOut,
+                limitSqrtPrice: 0
+            }])
+        };
+    }
+    
+    async quoteOnQuoter(tokenIn, tokenOut, amountIn) {
+        const [amountOut] = await this.multicall.call(this.dex.quoter, this.interfaces.algebraQuoter, 'quoteExactInputSingle', [
+            tokenIn.address,
+            tokenOut.address,
+            amountIn,
+            0
+        ]);
+        
+        return amountOut;
+    }
+    
+    // The fee is dynamic, so the registry keeps none; tick spacing is fixed
+    static poolFromLog(args) {
+        return { address: args.pool, token0: args.token0, token1: args.token1, fee: null, tickSpacing: AlgebraAdapter.TICK_SPACING };
+    }
+    
+    static validateConfig(name, dex, errors) {
+        if (!ethers.isAddress(dex.factory) || !ethers.isAddress(dex.quoter)) {
+            errors.push(`Invalid factory or quoter for ${name}`);
+        }
+    }
+}
+
+AlgebraAdapter.abis = {
+    algebraFactory: [
+        'function poolByPair(address tokenA, address tokenB) view returns (address)'
+    ],
+    algebraPool: V3PoolModel.ALGEBRA_ABI,
+    algebraQuoter: [
+        'function quoteExactInputSingle(address tokenIn, address tokenOut, uint256 amountIn, uint160 limitSqrtPrice) returns (uint256 amountOut, uint16 fee)',
+        'function quoteExactOutputSingle(address tokenIn, address tokenOut, uint256 amountOut, uint160 limitSqrtPrice) returns (uint256 amountIn, uint16 fee)'
+    ],
+    algebraRouter: [
+        'function exactInputSingle((address tokenIn, address tokenOut, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice) params) payable returns (uint256 amountOut)'
+    ]
+};
+AlgebraAdapter.TICK_SPACING = 60;
+AlgebraAdapter.poolEvent = 'event Pool(address indexed token0, address indexed token1, address pool)';
+AlgebraAdapter.gasProfile = { swap: 230000 }; // Adaptive fee writes a volatility timepoint
+AlgebraAdapter.baseSlippage = 0.001; // 0.1% (concentrated liquidity, as V3)
+
+module.exports = AlgebraAdapter;
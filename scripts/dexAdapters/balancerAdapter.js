@@ -0,0 +1,187 @@
+/**
+ * Balancer Adapter - Balancer V2 weighted and stable pools behind the Vault
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../logger');
+const DexAdapter = require('./baseAdapter');
+
+// Balancer SwapKind
+const GIVEN_IN = 0;
+const GIVEN_OUT = 1;
+
+class BalancerAdapter extends DexAdapter {
+    // Configured pools holding both tokens
+    async discoverPools(token, quoteToken) {
+        const pools = await Promise.all((this.dex.pools || []).map(poolConfig =>
+            this.getPool(poolConfig).catch(() => null)
+        ));
+        
+        return pools.filter(pool => pool &&
+            pool.tokens.some(t => t.toLowerCase() === token.address.toLowerCase()) &&
+            pool.tokens.some(t => t.toLowerCase() === quoteToken.address.toLowerCase()));
+    }
+    
+    /**
+     * Quote through Vault.queryBatchSwap, taking the best configured pool
+     * that holds both tokens
+     */
+    async quote(token, quoteToken, amountIn = ethers.parseUnits('1', token.decimals)) {
+        const quotes = await this.querySwaps(GIVEN_IN, token, quoteToken, amountIn);
+        
+        // Vault deltas are from the caller's side: the output is negative
+        const ranked = this.rankQuotes(quotes.map(quote => quote && { pool: quote.pool, amountOut: -quote.deltas[1] }));
+        if (ranked.length === 0) {
+            return null;
+        }
+        
+        const best = ranked[0];
+        
+        return {
+            amountOut: best.amountOut,
+            ...await this.describe(best.pool, quoteToken),
+            candidates: ranked.map(quote => ({ pool: quote.pool.address, feeTier: quote.pool.feePpm, amountOut: quote.amountOut }))
+        };
+    }
+    
+    // GIVEN_OUT query: the input the Vault takes for exactly amountOut of token
+    async quoteBuy(token, quoteToken, amountOut) {
+        const quotes = await this.querySwaps(GIVEN_OUT, quoteToken, token, amountOut);
+        
+        const ranked = this.rankCosts(quotes.map(quote => quote && { pool: quote.pool, amountIn: quote.deltas[0] }));
+        if (ranked.length === 0) {
+            return null;
+        }
+        
+        const best = ranked[0];
+        
+        return {
+            amountIn: best.amountIn,
+            ...await this.describe(best.pool, quoteToken),
+            candidates: ranked.map(quote => ({ pool: quote.pool.address, feeTier: quote.pool.feePpm, amountIn: quote.amountIn }))
+        };
+    }
+    
+    // Vault deltas of a single swap tokenIn → tokenOut on every pool holding both
+    async querySwaps(kind, tokenIn, tokenOut, amount) {
+        const pools = await this.discoverPools(tokenIn, tokenOut);
+        
+        return Promise.all(pools.map(async (pool) => {
+            try {
+                const deltas = await this.multicall.call(this.dex.vault, this.interfaces.balancerVault, 'queryBatchSwap', [
+                    kind,
+                    [{ poolId: pool.id, assetInIndex: 0, assetOutIndex: 1, amount, userData: '0x' }],
+                    [tokenIn.address, tokenOut.address],
+                    { sender: ethers.ZeroAddress, fromInternalBalance: false, recipient: ethers.ZeroAddress, toInternalBalance: false }
+                ]);
+                
+                return { pool, deltas };
+                
+            } catch (error) {
+                logger.logDebug(`Balancer quote failed on ${pool.name || pool.id}: ${error.message}`);
+                return null;
+            }
+        }));
+    }
+    
+    // Vault single swap (GIVEN_IN) on the pool the leg was quoted on
+    async buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        const { poolId } = await this.resolvePool(tokenIn, tokenOut, amountIn, poolInfo?.poolId ? poolInfo : null);
+        
+        return {
+            target: this.dex.vault,
+            spender: this.dex.vault,
+            data: this.interfaces.balancerVault.encodeFunctionData('swap', [
+                { poolId, kind: 0, assetIn: tokenIn.address, assetOut: tokenOut.address, amount: amountIn, userData: '0x' },
+                { sender: recipient, fromInternalBalance: false, recipient, toInternalBalance: false },
+                minAmountOut,
+                this.getDeadline()
+            ])
+        };
+    }
+    
+    // { liquidity, poolInfo } of the pool a quote was taken on
+    async describe(pool, quoteToken) {
+        const { liquidityUSD } = await this.getDepth(pool);
+        
+        return {
+            liquidity: liquidityUSD,
+            poolInfo: {
+                type: 'balancer',
+                pool: pool.address,
+                poolId: pool.id,
+                poolType: pool.poolType,
+                name: pool.name,
+                vault: this.dex.vault, // Also lends pooled tokens as zero-fee flash loans
+                feeTier: pool.feePpm,
+                quoteToken: quoteToken.symbol
+            }
+        };
+    }
+    
+    async getDepth(pool) {
+        return { liquidityUSD: await this.valueBalances(pool.tokens, pool.balances), depth: null };
+    }
+    
+    async getPool(poolConfig) {
+        const cacheKey = this.priceFetcher.cacheKey('balancer', poolConfig.id.toLowerCase());
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        // The pool address is the first 20 bytes of the pool id
+        const address = ethers.getAddress(ethers.dataSlice(poolConfig.id, 0, 20));
+        
+        const [poolTokens, swapFee] = await Promise.all([
+            this.multicall.call(this.dex.vault, this.interfaces.balancerVault, 'getPoolTokens', [poolConfig.id]),
+            this.multicall.call(address, this.interfaces.balancerPool, 'getSwapFeePercentage')
+        ]);
+        
+        const pool = {
+            id: poolConfig.id,
+            name: poolConfig.name,
+            poolType: poolConfig.poolType || 'weighted',
+            address,
+            tokens: [...poolTokens[0]],
+            balances: [...poolTokens[1]],
+            // 1e18 = 100%; fee tiers are kept in parts per million
+            feePpm: Number(swapFee / 10n ** 12n)
+        };
+        
+        this.cache.set(cacheKey, pool);
+        return pool;
+    }
+    
+    static validateConfig(name, dex, errors) {
+        if (!ethers.isAddress(dex.vault)) {
+            errors.push(`Invalid vault for ${name}`);
+        }
+        
+        if (!Array.isArray(dex.pools) || dex.pools.length === 0) {
+            errors.push(`No pools configured for ${name}`);
+        } else if (dex.pools.some(pool => !ethers.isHexString(pool.id, 32))) {
+            errors.push(`Invalid pool id for ${name}`);
+        }
+    }
+}
+
+BalancerAdapter.abis = {
+    balancerVault: [
+        'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+        'function queryBatchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[] assetDeltas)',
+        'function swap((bytes32 poolId, uint8 kind, address assetIn, address assetOut, uint256 amount, bytes userData) singleSwap, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds, uint256 limit, uint256 deadline) payable returns (uint256 amountCalculated)'
+    ],
+    balancerPool: [
+        'function getSwapFeePercentage() view returns (uint256)'
+    ]
+};
+BalancerAdapter.defaultFee = 3000;
+BalancerAdapter.gasProfile = {
+    swap: 150000,
+    stable: 200000 // StableMath solves the invariant iteratively
+};
+BalancerAdapter.baseSlippage = 0.002; // 0.2% (weighted pools behave like V2 at their weights)
+
+module.exports = BalancerAdapter;
@@ -0,0 +1,232 @@
+/**
+ * DEX Adapter - Base class for one DEX family (a config.dexes[*].type)
+ *
+ * An adapter finds the pools for a pair, quotes exact-input swaps on them
+ * and values their depth in USD. Its static profile (ABIs, fee, gas,
+ * slippage, config checks) is what the cost models and the validator use.
+ * Quotes are { amountOut, liquidity, poolInfo } with poolInfo.type set to
+ * the adapter's type; every pool that could fill the trade is listed in
+ * candidates ({ pool, feeTier, amountOut }, best first). Buy quotes are the
+ * exact-output counterpart: { amountIn, ... } with candidates cheapest first.
+ * buildSwap() encodes the router call that would execute a quoted leg.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../logger');
+const config = require('../../config/polygon.json');
+
+class DexAdapter {
+    constructor(priceFetcher, dex) {
+        this.priceFetcher = priceFetcher;
+        this.dex = dex;
+        
+        // Reads go through the fetcher's multicall batcher and cache
+        this.multicall = priceFetcher.multicall;
+        this.interfaces = priceFetcher.interfaces;
+        this.cache = priceFetcher.cache;
+    }
+    
+    // Pools on this DEX that trade token against quoteToken
+    async discoverPools(token, quoteToken) {
+        throw new Error(`${this.constructor.name} does not implement discoverPools`);
+    }
+    
+    /**
+     * Pools for the pair from the pool registry, or null when no registry is
+     * attached or it has not caught up with this DEX's factory yet
+     */
+    getIndexedPools(token, quoteToken) {
+        const registry = this.priceFetcher.poolRegistry;
+        if (!registry || !this.dex.factory) {
+            return null;
+        }
+        
+        return registry.getPools(this.dex.factory, token.address, quoteToken.address);
+    }
+    
+    // { amountOut, liquidity, poolInfo } for amountIn of token, or null
+    async quote(token, quoteToken, amountIn) {
+        throw new Error(`${this.constructor.name} does not implement quote`);
+    }
+    
+    /**
+     * Cost in quoteToken of buying exactly amountOut of token:
+     * { amountIn, liquidity, poolInfo, candidates }, or null. DEXes without
+     * exact-output quoting spend the USD equivalent through quote() in the
+     * buy direction and scale the cost to amountOut, which is exact for the
+     * fee and close for the price impact.
+     */
+    async quoteBuy(token, quoteToken, amountOut) {
+        const [tokenPrice, quotePrice] = await Promise.all([
+            this.priceFetcher.getTokenPriceUSD(token.symbol),
+            this.priceFetcher.getTokenPriceUSD(quoteToken.symbol)
+        ]);
+        
+        const value = parseFloat(ethers.formatUnits(amountOut, token.decimals)) * tokenPrice / quotePrice;
+        const spend = ethers.parseUnits(value.toFixed(quoteToken.decimals), quoteToken.decimals);
+        
+        const quote = await this.quote(quoteToken, token, spend);
+        if (!quote || quote.amountOut === 0n) {
+            return null;
+        }
+        
+        const costOf = received => spend * amountOut / received;
+        
+        return {
+            amountIn: costOf(quote.amountOut),
+            liquidity: quote.liquidity,
+            poolInfo: { ...quote.poolInfo, quoteToken: quoteToken.symbol },
+            candidates: (quote.candidates || [])
+                .filter(candidate => candidate.amountOut > 0n)
+                .map(({ pool, feeTier, amountOut: received }) => ({ pool, feeTier, amountIn: costOf(received) }))
+        };
+    }
+    
+    // { liquidityUSD, depth } of a pool returned by discoverPools
+    async getDepth(pool, token, quoteToken) {
+        throw new Error(`${this.constructor.name} does not implement getDepth`);
+    }
+    
+    /**
+     * Quote for one route leg: { amountOut, poolInfo, execution }, execution
+     * being what the quoter measured of the swap, when it reports anything.
+     * Adapters that can reuse the pool picked by an earlier quote (poolInfo)
+     * override this; by default the pair is quoted again.
+     */
+    async quoteExactIn(tokenIn, tokenOut, amountIn, poolInfo = null) {
+        const quote = await this.quote(tokenIn, tokenOut, amountIn);
+        if (!quote) {
+            throw new Error(`No ${this.dex.name} pool for ${tokenIn.symbol}/${tokenOut.symbol}`);
+        }
+        
+        return { amountOut: quote.amountOut, poolInfo: quote.poolInfo, execution: quote.poolInfo?.execution || null };
+    }
+    
+    /**
+     * Quote for consecutive route legs on this DEX taken as one path:
+     * { amountsOut, executions }, one entry per hop. tokens runs from the
+     * first leg's tokenIn to the last leg's tokenOut. Null where the DEX
+     * quotes leg by leg.
+     */
+    async quotePath(tokens, poolInfos, amountIn) {
+        return null;
+    }
+    
+    /**
+     * Router call swapping exactly amountIn of tokenIn for at least
+     * minAmountOut of tokenOut, paid to recipient, on the pool the leg was
+     * quoted on: { target, spender, data }, spender being the address that
+     * pulls tokenIn and so needs the allowance
+     */
+    async buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        throw new Error(`${this.constructor.name} does not implement buildSwap`);
+    }
+    
+    // poolInfo of the pool a leg trades on: the one it was quoted on, else the best one now
+    async resolvePool(tokenIn, tokenOut, amountIn, poolInfo) {
+        if (poolInfo) {
+            return poolInfo;
+        }
+        
+        const quote = await this.quote(tokenIn, tokenOut, amountIn);
+        if (!quote) {
+            throw new Error(`No ${this.dex.name} pool for ${tokenIn.symbol}/${tokenOut.symbol}`);
+        }
+        
+        return quote.poolInfo;
+    }
+    
+    // Swap deadline a few minutes out, for routers that require one
+    getDeadline() {
+        return BigInt(Math.floor(Date.now() / 1000) + DexAdapter.SWAP_DEADLINE_SECONDS);
+    }
+    
+    /**
+     * USD value of a multi-token pool's balances. Tokens outside
+     * config.tokens are valued at the average of the known ones, which is
+     * exact for balanced stable pools and an estimate for weighted pools.
+     */
+    async valueBalances(tokenAddresses, balances) {
+        try {
+            let knownValue = 0;
+            let knownTokens = 0;
+            
+            for (let k = 0; k < tokenAddresses.length; k++) {
+                const token = Object.values(config.tokens).find(t =>
+                    t.address.toLowerCase() === tokenAddresses[k].toLowerCase());
+                if (!token) continue;
+                
+                const amount = parseFloat(ethers.formatUnits(balances[k], token.decimals));
+                knownValue += amount * await this.priceFetcher.getTokenPriceUSD(token.symbol);
+                knownTokens++;
+            }
+            
+            return knownTokens > 0 ? knownValue * tokenAddresses.length / knownTokens : 0;
+            
+        } catch (error) {
+            logger.logDebug(`Pool liquidity failed: ${error.message}`);
+            return 0;
+        }
+    }
+    
+    /**
+     * Pool quotes for the same amountIn ({ pool, amountOut }, null where a
+     * pool failed), best execution first: the first is the pool to trade on,
+     * the rest are its alternatives
+     */
+    rankQuotes(quotes) {
+        return quotes
+            .filter(quote => quote && quote.amountOut > 0n)
+            .sort((a, b) => (a.amountOut === b.amountOut ? 0 : a.amountOut < b.amountOut ? 1 : -1));
+    }
+    
+    // Buy quotes for the same amountOut ({ pool, amountIn }), cheapest first
+    rankCosts(quotes) {
+        return quotes
+            .filter(quote => quote && quote.amountIn > 0n)
+            .sort((a, b) => (a.amountIn === b.amountIn ? 0 : a.amountIn > b.amountIn ? 1 : -1));
+    }
+    
+    // Swap fee in parts per million
+    static getFee(poolInfo) {
+        return poolInfo?.feeTier ?? this.defaultFee;
+    }
+    
+    // Gas units for one swap; gasProfile may hold an entry per pool type
+    static getSwapGas(poolInfo) {
+        return this.gasProfile[poolInfo?.poolType] || this.gasProfile.swap;
+    }
+    
+    /**
+     * Registry record for one poolEvent log: { address, token0, token1, fee,
+     * tickSpacing }. Only adapters that set poolEvent are indexed.
+     */
+    static poolFromLog(args) {
+        throw new Error(`${this.name} does not index pools`);
+    }
+    
+    /**
+     * Pool state carried by one stateEvent log. Only adapters that set
+     * stateEvent are streamed; the others are refreshed by polling.
+     */
+    static stateFromEvent(args) {
+        throw new Error(`${this.name} does not stream pool state`);
+    }
+    
+    // Push problems with a config.dexes entry of this type onto errors
+    static validateConfig(name, dex, errors) {
+    }
+}
+
+// ABIs by name, merged into PriceFetcher.interfaces
+DexAdapter.abis = {};
+// Factory event announcing a new pool; null for DEXes with configured pools
+DexAdapter.poolEvent = null;
+// Pool event emitted on every state change, for streaming
+DexAdapter.stateEvent = null;
+DexAdapter.defaultFee = 3000;
+DexAdapter.gasProfile = { swap: 150000 };
+DexAdapter.baseSlippage = 0.003;
+DexAdapter.SWAP_DEADLINE_SECONDS = 300;
+
+module.exports = DexAdapter;
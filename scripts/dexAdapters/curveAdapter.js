@@ -0,0 +1,130 @@
+/**
+ * Curve Adapter - StableSwap pools listed in config (dex.pools)
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../logger');
+const CurvePool = require('../curvePool');
+const DexAdapter = require('./baseAdapter');
+
+class CurveAdapter extends DexAdapter {
+    // Configured pools holding both coins, with their coin indexes
+    async discoverPools(token, quoteToken) {
+        const pools = await Promise.all((this.dex.pools || []).map(poolConfig =>
+            this.getPool(poolConfig).then(pool => ({ pool, poolConfig }), () => null)
+        ));
+        
+        return pools
+            .filter(Boolean)
+            .map(({ pool, poolConfig }) => ({
+                address: pool.address,
+                pool,
+                poolConfig,
+                i: pool.indexOf(token.address),
+                j: pool.indexOf(quoteToken.address)
+            }))
+            .filter(({ i, j }) => i !== -1 && j !== -1);
+    }
+    
+    /**
+     * Quote on the configured pool holding both coins that returns the most.
+     * Pools with quote: 'local' are priced by the StableSwap simulation
+     * instead of get_dy.
+     */
+    async quote(token, quoteToken, amountIn = ethers.parseUnits('1', token.decimals)) {
+        const pools = await this.discoverPools(token, quoteToken);
+        
+        const quotes = await Promise.all(pools.map(async (entry) => {
+            const { pool, poolConfig, i, j } = entry;
+            
+            try {
+                if (poolConfig.quote === 'local') {
+                    return { entry, amountOut: pool.getDy(i, j, amountIn) };
+                }
+                
+                const { target, iface, method, args } = pool.getQuoteCall(i, j, amountIn);
+                return { entry, amountOut: await this.multicall.call(target, iface, method, args) };
+                
+            } catch (error) {
+                logger.logDebug(`Curve quote failed on ${poolConfig.name || pool.address}: ${error.message}`);
+                return null;
+            }
+        }));
+        
+        const ranked = this.rankQuotes(quotes);
+        if (ranked.length === 0) {
+            return null;
+        }
+        
+        const { entry, amountOut } = ranked[0];
+        const { pool, poolConfig, i, j } = entry;
+        const { liquidityUSD } = await this.getDepth(entry);
+        
+        return {
+            amountOut,
+            liquidity: liquidityUSD,
+            poolInfo: {
+                type: 'curve',
+                pool: pool.address,
+                name: poolConfig.name,
+                i,
+                j,
+                underlying: pool.underlying,
+                feeTier: pool.feePpm,
+                quoteToken: quoteToken.symbol
+            },
+            candidates: ranked.map(quote => ({ pool: quote.entry.pool.address, feeTier: quote.entry.pool.feePpm, amountOut: quote.amountOut }))
+        };
+    }
+    
+    // exchange (or exchange_underlying) on the pool the leg was quoted on; Curve pays the caller
+    async buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        const pools = await this.discoverPools(tokenIn, tokenOut);
+        const entry = pools.find(({ address }) => address.toLowerCase() === poolInfo?.pool?.toLowerCase()) || pools[0];
+        if (!entry) {
+            throw new Error(`No ${this.dex.name} pool for ${tokenIn.symbol}/${tokenOut.symbol}`);
+        }
+        
+        const { target, iface, method, args } = entry.pool.getSwapCall(entry.i, entry.j, amountIn, minAmountOut);
+        
+        return { target, spender: target, data: iface.encodeFunctionData(method, args) };
+    }
+    
+    async getDepth({ pool }) {
+        return { liquidityUSD: await this.valueBalances(pool.coins, pool.balances), depth: null };
+    }
+    
+    async getPool(poolConfig) {
+        const cacheKey = this.priceFetcher.cacheKey('curve', poolConfig.address.toLowerCase());
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const pool = await CurvePool.load(this.multicall, poolConfig.address, {
+            underlying: poolConfig.underlying,
+            indexType: poolConfig.indexType
+        });
+        
+        this.cache.set(cacheKey, pool);
+        return pool;
+    }
+    
+    static validateConfig(name, dex, errors) {
+        if (!Array.isArray(dex.pools) || dex.pools.length === 0) {
+            errors.push(`No pools configured for ${name}`);
+        } else if (dex.pools.some(pool => !ethers.isAddress(pool.address))) {
+            errors.push(`Invalid pool address for ${name}`);
+        }
+    }
+}
+
+CurveAdapter.abis = {
+    curvePool: CurvePool.ABI
+};
+CurveAdapter.defaultFee = 400; // 0.04%, the usual StableSwap fee
+CurveAdapter.gasProfile = { swap: 300000 }; // Underlying swaps also unwrap/wrap aTokens
+CurveAdapter.baseSlippage = 0.0005; // 0.05% (StableSwap curve is flat near peg)
+
+module.exports = CurveAdapter;
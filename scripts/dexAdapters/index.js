@@ -0,0 +1,68 @@
+/**
+ * DEX Adapter Registry - Adapter classes keyed by config.dexes[*].type
+ *
+ * A new DEX family is a new adapter module registered here; PriceFetcher,
+ * GasCalculator, SlippageCalculator, ConfigValidator and the fee model all
+ * look the family up by type.
+ */
+
+const config = require('../../config/polygon.json');
+
+class DexAdapterRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+    
+    register(type, Adapter) {
+        this.adapters.set(type, Adapter);
+    }
+    
+    has(type) {
+        return this.adapters.has(type);
+    }
+    
+    get(type) {
+        const Adapter = this.adapters.get(type);
+        if (!Adapter) {
+            throw new Error(`No DEX adapter for type: ${type}`);
+        }
+        
+        return Adapter;
+    }
+    
+    getTypes() {
+        return [...this.adapters.keys()];
+    }
+    
+    // Adapter class for a configured DEX name; unknown DEXes are treated as V2
+    forDex(dexName) {
+        const type = config.dexes[dexName]?.type;
+        return this.has(type) ? this.get(type) : this.get('v2');
+    }
+    
+    // Adapter class for a quote's poolInfo; no poolInfo means a V2 pair
+    forPool(poolInfo) {
+        return this.has(poolInfo?.type) ? this.get(poolInfo.type) : this.get('v2');
+    }
+    
+    create(priceFetcher, dex) {
+        const Adapter = this.get(dex.type);
+        return new Adapter(priceFetcher, dex);
+    }
+    
+    // ABIs of every registered family, by name
+    getAbis() {
+        return Object.assign({}, ...[...this.adapters.values()].map(Adapter => Adapter.abis));
+    }
+}
+
+const registry = new DexAdapterRegistry();
+
+registry.register('v2', require('./v2Adapter'));
+registry.register('v3', require('./v3Adapter'));
+registry.register('algebra', require('./algebraAdapter'));
+registry.register('curve', require('./curveAdapter'));
+registry.register('balancer', require('./balancerAdapter'));
+
+// Singleton
+module.exports = registry;
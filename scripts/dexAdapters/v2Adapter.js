@@ -0,0 +1,224 @@
+/**
+ * V2 Adapter - Uniswap V2 style constant-product pairs (QuickSwap, SushiSwap)
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../logger');
+const DexAdapter = require('./baseAdapter');
+
+const FEE_DENOMINATOR = 1000000n;
+
+class V2Adapter extends DexAdapter {
+    async discoverPools(token, quoteToken) {
+        const indexed = this.getIndexedPools(token, quoteToken);
+        if (indexed) {
+            return indexed.map(pool => ({ address: pool.address }));
+        }
+        
+        const pairAddress = await this.multicall.call(
+            this.dex.factory, this.interfaces.v2Factory, 'getPair', [token.address, quoteToken.address]
+        );
+        
+        return pairAddress === ethers.ZeroAddress ? [] : [{ address: pairAddress }];
+    }
+    
+    /**
+     * Quote amountIn of token (default: 1 unit) in quoteToken through the router.
+     * Returns null when the pair does not exist or the quote fails.
+     */
+    async quote(token, quoteToken, amountIn = ethers.parseUnits('1', token.decimals)) {
+        try {
+            const [pair] = await this.discoverPools(token, quoteToken);
+            if (!pair) return null;
+            
+            // Get price quote and liquidity
+            const [amountOut, { liquidityUSD }] = await Promise.all([
+                this.quoteExactIn(token, quoteToken, amountIn, { pair: pair.address }).then(quoted => quoted.amountOut),
+                this.getDepth(pair, token, quoteToken)
+            ]);
+            
+            return {
+                amountOut,
+                liquidity: liquidityUSD,
+                poolInfo: {
+                    type: 'v2',
+                    pair: pair.address,
+                    quoteToken: quoteToken.symbol
+                },
+                // One pair per factory, so no alternatives on this DEX
+                candidates: [{ pool: pair.address, feeTier: V2Adapter.defaultFee, amountOut }]
+            };
+            
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Exact-output cost from the streamed reserves, or the router's getAmountsIn
+    async quoteBuy(token, quoteToken, amountOut) {
+        try {
+            const [pair] = await this.discoverPools(token, quoteToken);
+            if (!pair) return null;
+            
+            const streamed = this.getStreamedReserves(pair.address, quoteToken, token);
+            const [amountIn, { liquidityUSD }] = await Promise.all([
+                streamed
+                    ? V2Adapter.getAmountIn(amountOut, streamed.reserveIn, streamed.reserveOut)
+                    : this.multicall.call(
+                        this.dex.router, this.interfaces.v2Router, 'getAmountsIn', [amountOut, [quoteToken.address, token.address]]
+                    ).then(amounts => amounts[0]),
+                this.getDepth(pair, token, quoteToken)
+            ]);
+            
+            return {
+                amountIn,
+                liquidity: liquidityUSD,
+                poolInfo: {
+                    type: 'v2',
+                    pair: pair.address,
+                    quoteToken: quoteToken.symbol
+                },
+                candidates: [{ pool: pair.address, feeTier: V2Adapter.defaultFee, amountIn }]
+            };
+            
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * A pair streamed from Sync logs is priced from its reserves; otherwise
+     * the router prices the direct path without looking the pair up again
+     */
+    async quoteExactIn(tokenIn, tokenOut, amountIn, poolInfo = null) {
+        const streamed = poolInfo?.pair && this.getStreamedReserves(poolInfo.pair, tokenIn, tokenOut);
+        if (streamed) {
+            return { amountOut: V2Adapter.getAmountOut(amountIn, streamed.reserveIn, streamed.reserveOut), poolInfo };
+        }
+        
+        const amounts = await this.multicall.call(
+            this.dex.router, this.interfaces.v2Router, 'getAmountsOut', [amountIn, [tokenIn.address, tokenOut.address]]
+        );
+        
+        return { amountOut: amounts[1], poolInfo };
+    }
+    
+    // The router swaps along the direct path, so the pair needs no lookup
+    async buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        return {
+            target: this.dex.router,
+            spender: this.dex.router,
+            data: this.interfaces.v2Router.encodeFunctionData('swapExactTokensForTokens', [
+                amountIn,
+                minAmountOut,
+                [tokenIn.address, tokenOut.address],
+                recipient,
+                this.getDeadline()
+            ])
+        };
+    }
+    
+    // Reserves of tokenIn and tokenOut from the pair's last streamed Sync, null when not streamed
+    getStreamedReserves(pairAddress, tokenIn, tokenOut) {
+        const state = this.priceFetcher.getPoolState(pairAddress);
+        if (!state?.reserve0 || !state?.reserve1) {
+            return null;
+        }
+        
+        // Pairs sort their tokens by address
+        const inIsToken0 = BigInt(tokenIn.address) < BigInt(tokenOut.address);
+        
+        return {
+            reserveIn: inIsToken0 ? state.reserve0 : state.reserve1,
+            reserveOut: inIsToken0 ? state.reserve1 : state.reserve0
+        };
+    }
+    
+    async getDepth(pair, token, quoteToken) {
+        try {
+            let tokenReserve, quoteReserve;
+            const streamed = this.getStreamedReserves(pair.address, token, quoteToken);
+            
+            if (streamed) {
+                tokenReserve = streamed.reserveIn;
+                quoteReserve = streamed.reserveOut;
+            } else {
+                const [reserves, token0] = await Promise.all([
+                    this.multicall.call(pair.address, this.interfaces.v2Pair, 'getReserves'),
+                    this.multicall.call(pair.address, this.interfaces.v2Pair, 'token0')
+                ]);
+                
+                const isToken0 = token.address.toLowerCase() === token0.toLowerCase();
+                tokenReserve = isToken0 ? reserves[0] : reserves[1];
+                quoteReserve = isToken0 ? reserves[1] : reserves[0];
+            }
+            
+            // Convert reserves to USD
+            const tokenAmount = parseFloat(ethers.formatUnits(tokenReserve, token.decimals));
+            const quoteAmount = parseFloat(ethers.formatUnits(quoteReserve, quoteToken.decimals));
+            
+            const tokenPrice = await this.priceFetcher.getTokenPriceUSD(token.symbol);
+            const quotePrice = await this.priceFetcher.getTokenPriceUSD(quoteToken.symbol);
+            
+            return { liquidityUSD: (tokenAmount * tokenPrice) + (quoteAmount * quotePrice), depth: null };
+            
+        } catch (error) {
+            logger.logError('Failed to get V2 liquidity', error);
+            return { liquidityUSD: 0, depth: null };
+        }
+    }
+    
+    // UniswapV2Library.getAmountOut at defaultFee
+    static getAmountOut(amountIn, reserveIn, reserveOut) {
+        const amountInWithFee = amountIn * (FEE_DENOMINATOR - BigInt(V2Adapter.defaultFee));
+        
+        return amountInWithFee * reserveOut / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+    
+    // UniswapV2Library.getAmountIn at defaultFee
+    static getAmountIn(amountOut, reserveIn, reserveOut) {
+        if (amountOut >= reserveOut) {
+            throw new Error('INSUFFICIENT_LIQUIDITY');
+        }
+        
+        return reserveIn * amountOut * FEE_DENOMINATOR / ((reserveOut - amountOut) * (FEE_DENOMINATOR - BigInt(V2Adapter.defaultFee))) + 1n;
+    }
+    
+    static poolFromLog(args) {
+        return { address: args.pair, token0: args.token0, token1: args.token1, fee: V2Adapter.defaultFee, tickSpacing: null };
+    }
+    
+    static stateFromEvent(args) {
+        return { reserve0: args.reserve0, reserve1: args.reserve1 };
+    }
+    
+    static validateConfig(name, dex, errors) {
+        if (!ethers.isAddress(dex.router)) {
+            errors.push(`Invalid router for ${name}`);
+        }
+    }
+}
+
+V2Adapter.abis = {
+    v2Router: [
+        'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
+        'function getAmountsIn(uint amountOut, address[] path) view returns (uint[] amounts)',
+        'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)',
+        'function factory() view returns (address)'
+    ],
+    v2Factory: [
+        'function getPair(address tokenA, address tokenB) view returns (address)'
+    ],
+    v2Pair: [
+        'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)',
+        'function token0() view returns (address)',
+        'function token1() view returns (address)'
+    ]
+};
+V2Adapter.poolEvent = 'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)';
+V2Adapter.stateEvent = 'event Sync(uint112 reserve0, uint112 reserve1)';
+V2Adapter.defaultFee = 3000; // 0.3%
+V2Adapter.gasProfile = { swap: 150000 };
+V2Adapter.baseSlippage = 0.003; // 0.3%
+
+module.exports = V2Adapter;
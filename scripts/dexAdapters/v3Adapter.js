@@ -0,0 +1,523 @@
+/**
+ * V3 Adapter - Uniswap V3 concentrated liquidity pools with fixed fee tiers
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../logger');
+const V3PoolModel = require('../v3PoolModel');
+const config = require('../../config/polygon.json');
+const DexAdapter = require('./baseAdapter');
+
+class V3Adapter extends DexAdapter {
+    constructor(priceFetcher, dex) {
+        super(priceFetcher, dex);
+        
+        this.feeTiers = dex.feeTiers || V3Adapter.FEE_TIERS;
+        
+        // QuoterV2 also reports the swap's gas and the ticks it crosses
+        this.quoterVersion = dex.quoterVersion || 1;
+        
+        // Depth model: price bands (bps) reported per pool, and the band
+        // used as the pool's headline liquidity figure
+        this.depthSettings = {
+            bandsBps: [50, 100, 200],
+            liquidityBandBps: 200,
+            bitmapWords: 2,
+            ...config.settings?.v3Depth
+        };
+        
+        // Last model read from chain per pool: { model, block, loadedAt }
+        this.loadedModels = new Map();
+    }
+    
+    // Pool layout passed to V3PoolModel.load
+    get modelType() {
+        return 'v3';
+    }
+    
+    // Swap logs carry everything a quote needs besides the tick data
+    get pricesFromStream() {
+        return true;
+    }
+    
+    // One pool per fee tier that exists, in feeTiers order
+    async discoverPools(token, quoteToken) {
+        const indexed = this.getIndexedPools(token, quoteToken);
+        if (indexed) {
+            return this.feeTiers
+                .map(feeTier => indexed.find(pool => pool.fee === feeTier))
+                .filter(Boolean)
+                .map(pool => ({ address: pool.address, feeTier: pool.fee }));
+        }
+        
+        const pools = await Promise.all(this.feeTiers.map(async (feeTier) => {
+            try {
+                const address = await this.multicall.call(
+                    this.dex.factory, this.interfaces.v3Factory, 'getPool', [token.address, quoteToken.address, feeTier]
+                );
+                return address === ethers.ZeroAddress ? null : { address, feeTier };
+                
+            } catch (error) {
+                return null;
+            }
+        }));
+        
+        return pools.filter(Boolean);
+    }
+    
+    /**
+     * Quote amountIn of token (default: 1 unit) in quoteToken on the fee
+     * tier that returns the most for that amount
+     */
+    async quote(token, quoteToken, amountIn = ethers.parseUnits('1', token.decimals)) {
+        const pools = await this.discoverPools(token, quoteToken);
+        
+        // Query all fee tiers concurrently so the reads share multicall batches
+        const tierQuotes = await Promise.all(pools.map(async (pool) => {
+            try {
+                const streamed = await this.quoteFromStream(false, token, quoteToken, amountIn, pool);
+                if (streamed) {
+                    return { pool, amountOut: streamed.amount, execution: streamed.execution };
+                }
+                
+                const [liquidity, quoted] = await Promise.all([
+                    this.multicall.call(pool.address, this.interfaces.v3Pool, 'liquidity'),
+                    this.callQuoter(false, token, quoteToken, amountIn, pool.feeTier)
+                ]);
+                
+                // Skip if no liquidity
+                if (liquidity === 0n) return null;
+                
+                return { pool, amountOut: quoted.amount, execution: quoted.execution };
+                
+            } catch (error) {
+                return null;
+            }
+        }));
+        
+        const ranked = this.rankQuotes(tierQuotes);
+        if (ranked.length === 0) {
+            return null;
+        }
+        
+        const selected = ranked[0];
+        const { liquidityUSD, depth } = await this.getDepth(selected.pool, token, quoteToken);
+        
+        return {
+            amountOut: selected.amountOut,
+            liquidity: liquidityUSD,
+            poolInfo: {
+                type: 'v3',
+                pool: selected.pool.address,
+                feeTier: selected.pool.feeTier,
+                quoteToken: quoteToken.symbol,
+                depth,
+                execution: await this.withPriceImpact(selected.pool.address, selected.execution)
+            },
+            candidates: ranked.map(({ pool, amountOut }) => ({ pool: pool.address, feeTier: pool.feeTier, amountOut }))
+        };
+    }
+    
+    // Exact-output cost on every fee tier, cheapest first
+    async quoteBuy(token, quoteToken, amountOut) {
+        const pools = await this.discoverPools(token, quoteToken);
+        
+        const tierQuotes = await Promise.all(pools.map(async (pool) => {
+            try {
+                const streamed = await this.quoteFromStream(true, quoteToken, token, amountOut, pool);
+                if (streamed) {
+                    return { pool, amountIn: streamed.amount, execution: streamed.execution };
+                }
+                
+                const [liquidity, quoted] = await Promise.all([
+                    this.multicall.call(pool.address, this.interfaces.v3Pool, 'liquidity'),
+                    this.callQuoter(true, quoteToken, token, amountOut, pool.feeTier)
+                ]);
+                
+                if (liquidity === 0n) return null;
+                
+                return { pool, amountIn: quoted.amount, execution: quoted.execution };
+                
+            } catch (error) {
+                return null;
+            }
+        }));
+        
+        const ranked = this.rankCosts(tierQuotes);
+        if (ranked.length === 0) {
+            return null;
+        }
+        
+        const selected = ranked[0];
+        const { liquidityUSD, depth } = await this.getDepth(selected.pool, token, quoteToken);
+        
+        return {
+            amountIn: selected.amountIn,
+            liquidity: liquidityUSD,
+            poolInfo: {
+                type: 'v3',
+                pool: selected.pool.address,
+                feeTier: selected.pool.feeTier,
+                quoteToken: quoteToken.symbol,
+                depth,
+                execution: await this.withPriceImpact(selected.pool.address, selected.execution)
+            },
+            candidates: ranked.map(({ pool, amountIn }) => ({ pool: pool.address, feeTier: pool.feeTier, amountIn }))
+        };
+    }
+    
+    // A leg priced earlier keeps its fee tier; otherwise the pair is quoted again
+    async quoteExactIn(tokenIn, tokenOut, amountIn, poolInfo = null) {
+        if (!poolInfo?.feeTier) {
+            return super.quoteExactIn(tokenIn, tokenOut, amountIn);
+        }
+        
+        const streamed = poolInfo.pool ? await this.quoteFromStream(false, tokenIn, tokenOut, amountIn, { address: poolInfo.pool }) : null;
+        const { amount, execution } = streamed || await this.callQuoter(false, tokenIn, tokenOut, amountIn, poolInfo.feeTier);
+        
+        return { amountOut: amount, poolInfo, execution };
+    }
+    
+    /**
+     * Consecutive legs through QuoterV2's quoteExactInput on a packed path.
+     * The quoter returns only the path's output, so each shorter prefix is
+     * quoted in the same multicall batch for the amounts in between. Every
+     * hop's execution carries its own ticks crossed and price after; the
+     * path's gasEstimate sits on the first hop. Streamed pools are priced
+     * locally leg by leg, and a pool crossed twice would be quoted on its
+     * state before the first crossing, so those paths return null.
+     */
+    async quotePath(tokens, poolInfos, amountIn) {
+        const pools = poolInfos.map(poolInfo => poolInfo?.pool?.toLowerCase());
+        
+        if (this.quoterVersion !== 2 || poolInfos.some(poolInfo => !poolInfo?.feeTier || !poolInfo.pool) ||
+            new Set(pools).size < pools.length || pools.some(pool => this.pricesFromStream && this.priceFetcher.getPoolState(pool))) {
+            return null;
+        }
+        
+        const feeTiers = poolInfos.map(poolInfo => poolInfo.feeTier);
+        const quotes = await Promise.all(poolInfos.map((poolInfo, i) =>
+            this.callPathQuoter(false, tokens.slice(0, i + 2), feeTiers.slice(0, i + 1), amountIn)
+        ));
+        const path = quotes[quotes.length - 1];
+        
+        const executions = await Promise.all(poolInfos.map((poolInfo, i) => this.withPriceImpact(poolInfo.pool, {
+            gasEstimate: i === 0 ? path.gasEstimate : null,
+            ticksCrossed: path.ticksCrossedList[i],
+            sqrtPriceX96After: path.sqrtPriceX96AfterList[i],
+            hop: i,
+            hops: poolInfos.length
+        })));
+        
+        return { amountsOut: quotes.map(quote => quote.amount), executions };
+    }
+    
+    // SwapRouter exactInputSingle on the leg's fee tier
+    async buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        const { feeTier } = await this.resolvePool(tokenIn, tokenOut, amountIn, poolInfo?.feeTier ? poolInfo : null);
+        
+        return {
+            target: this.dex.router,
+            spender: this.dex.router,
+            data: this.interfaces.v3Router.encodeFunctionData('exactInputSingle', [{
+                tokenIn: tokenIn.address,
+                tokenOut: tokenOut.address,
+                fee: feeTier,
+                recipient,
+                deadline: this.getDeadline(),
+                amountIn,
+                amountOutMinimum: minAmountOut,
+                sqrtPriceLimitX96: 0
+            }])
+        };
+    }
+    
+    /**
+     * One single-pool quote on the fee tier: the amount out (exact input) or
+     * in (exact output), and from QuoterV2 the swap's execution, { gasEstimate,
+     * ticksCrossed, sqrtPriceX96After }. The original Quoter reports no execution.
+     */
+    async callQuoter(exactOutput, tokenIn, tokenOut, amount, feeTier) {
+        const method = exactOutput ? 'quoteExactOutputSingle' : 'quoteExactInputSingle';
+        
+        if (this.quoterVersion !== 2) {
+            const quoted = await this.multicall.call(this.dex.quoter, this.interfaces.v3Quoter, method, [
+                tokenIn.address,
+                tokenOut.address,
+                feeTier,
+                amount,
+                0
+            ]);
+            
+            return { amount: quoted, execution: null };
+        }
+        
+        const [quoted, sqrtPriceX96After, ticksCrossed, gasEstimate] = await this.multicall.call(
+            this.dex.quoter, this.interfaces.v3QuoterV2, method, [{
+                tokenIn: tokenIn.address,
+                tokenOut: tokenOut.address,
+                [exactOutput ? 'amount' : 'amountIn']: amount,
+                fee: feeTier,
+                sqrtPriceLimitX96: 0
+            }]
+        );
+        
+        return {
+            amount: quoted,
+            execution: {
+                gasEstimate: Number(gasEstimate),
+                ticksCrossed: Number(ticksCrossed),
+                sqrtPriceX96After: sqrtPriceX96After.toString()
+            }
+        };
+    }
+    
+    /**
+     * One QuoterV2 quote along tokens through the fee tiers between them:
+     * the amount out (quoteExactInput) or in (quoteExactOutput), the path's
+     * gasEstimate, and the ticks crossed and price after of each hop, in
+     * tokens order for both directions
+     */
+    async callPathQuoter(exactOutput, tokens, feeTiers, amount) {
+        // Exact-output paths are encoded from the token bought back to the token sold
+        const path = exactOutput
+            ? V3Adapter.encodePath([...tokens].reverse(), [...feeTiers].reverse())
+            : V3Adapter.encodePath(tokens, feeTiers);
+            
+        const [quoted, sqrtPriceX96AfterList, ticksCrossedList, gasEstimate] = await this.multicall.call(
+            this.dex.quoter, this.interfaces.v3QuoterV2, exactOutput ? 'quoteExactOutput' : 'quoteExactInput', [path, amount]
+        );
+        
+        const inOrder = list => exactOutput ? [...list].reverse() : [...list];
+        
+        return {
+            amount: quoted,
+            gasEstimate: Number(gasEstimate),
+            ticksCrossedList: inOrder(ticksCrossedList).map(Number),
+            sqrtPriceX96AfterList: inOrder(sqrtPriceX96AfterList).map(String)
+        };
+    }
+    
+    /**
+     * Quote simulated on the pool model from the pool's streamed Swap state,
+     * in the shape of callQuoter's. Null when the pool is not streamed, has
+     * no active liquidity or the swap runs past the loaded ticks, so the
+     * quoter prices it instead.
+     */
+    async quoteFromStream(exactOutput, tokenIn, tokenOut, amount, pool) {
+        if (!this.pricesFromStream || !this.priceFetcher.getPoolState(pool.address)) {
+            return null;
+        }
+        
+        const model = await this.getPoolModel(pool.address);
+        if (model.liquidity === 0n) {
+            return null;
+        }
+        
+        const zeroForOne = tokenIn.address.toLowerCase() === model.token0.toLowerCase();
+        const swap = exactOutput ? model.simulateSwapExactOut(zeroForOne, amount) : model.simulateSwap(zeroForOne, amount);
+        
+        if (!swap.complete) {
+            return null;
+        }
+        
+        return {
+            amount: exactOutput ? swap.amountIn : swap.amountOut,
+            execution: {
+                gasEstimate: null,
+                ticksCrossed: swap.ticksCrossed,
+                sqrtPriceX96After: swap.sqrtPriceX96After.toString()
+            }
+        };
+    }
+    
+    /**
+     * Execution with priceImpact added: how far the swap moves the price of
+     * the token sold, as a fraction of the price before it, whichever of the
+     * pool's tokens that is
+     */
+    async withPriceImpact(poolAddress, execution) {
+        if (!execution) {
+            return null;
+        }
+        
+        try {
+            const { sqrtPriceX96 } = await this.getPoolModel(poolAddress);
+            const ratio = Number(BigInt(execution.sqrtPriceX96After) * 10n ** 12n / sqrtPriceX96) / 1e12;
+            
+            const moved = ratio * ratio;
+            
+            return { ...execution, priceImpact: 1 - Math.min(moved, 1 / moved) };
+            
+        } catch (error) {
+            return { ...execution, priceImpact: null };
+        }
+    }
+    
+    /**
+     * Pool model at the pinned block. A streamed Swap only moves price, tick
+     * and active liquidity, so the tick data last read from chain is reused
+     * under it until it is as old as the streamed state may be.
+     */
+    async getPoolModel(poolAddress) {
+        const address = poolAddress.toLowerCase();
+        const cacheKey = this.priceFetcher.cacheKey('v3model', address);
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const streamed = this.pricesFromStream ? this.priceFetcher.getPoolState(address) : null;
+        const loaded = this.loadedModels.get(address);
+        let model;
+        
+        if (streamed && loaded && Date.now() - loaded.loadedAt <= this.priceFetcher.poolStateTtlMs) {
+            // A read at or after the streamed Swap is already as new
+            model = loaded.block !== null && loaded.block >= streamed.blockNumber ? loaded.model : loaded.model.withState(streamed);
+        } else {
+            model = await V3PoolModel.load(this.multicall, poolAddress, {
+                bitmapWords: this.depthSettings.bitmapWords,
+                type: this.modelType
+            });
+            
+            this.loadedModels.set(address, { model, block: this.priceFetcher.block?.number ?? null, loadedAt: Date.now() });
+        }
+        
+        this.cache.set(cacheKey, model);
+        return model;
+    }
+    
+    /**
+     * USD depth of a pool within each configured price band, from the
+     * initialized ticks around the current price
+     */
+    async getDepth(pool, token, quoteToken) {
+        try {
+            const model = await this.getPoolModel(pool.address);
+            
+            const tokenIsToken0 = token.address.toLowerCase() === model.token0.toLowerCase();
+            const token0 = tokenIsToken0 ? token : quoteToken;
+            const token1 = tokenIsToken0 ? quoteToken : token;
+            
+            const [price0, price1] = await Promise.all([
+                this.priceFetcher.getTokenPriceUSD(token0.symbol),
+                this.priceFetcher.getTokenPriceUSD(token1.symbol)
+            ]);
+            
+            const bands = [...new Set([...this.depthSettings.bandsBps, this.depthSettings.liquidityBandBps])];
+            const depth = {};
+            
+            for (const bandBps of bands) {
+                const { amount0, amount1 } = model.getDepth(bandBps);
+                
+                depth[bandBps] =
+                    parseFloat(ethers.formatUnits(amount0, token0.decimals)) * price0 +
+                    parseFloat(ethers.formatUnits(amount1, token1.decimals)) * price1;
+            }
+            
+            return {
+                liquidityUSD: depth[this.depthSettings.liquidityBandBps],
+                depth
+            };
+            
+        } catch (error) {
+            logger.logError('Failed to calculate V3 liquidity', error);
+            return { liquidityUSD: 0, depth: null };
+        }
+    }
+    
+    /**
+     * Simulate an exact-input swap locally against the loaded tick data
+     */
+    async simulateSwap(poolAddress, tokenIn, amountIn) {
+        const model = await this.getPoolModel(poolAddress);
+        const zeroForOne = tokenIn.address.toLowerCase() === model.token0.toLowerCase();
+        
+        return model.simulateSwap(zeroForOne, amountIn);
+    }
+    
+    // QuoterV2 measures the swap inside the pool; the router call around it is added
+    static getSwapGas(poolInfo) {
+        const execution = poolInfo?.execution;
+        
+        // A path quote's gasEstimate, on its first hop, covers the later hops' swaps but not their router calls
+        if (execution?.hop > 0) {
+            return this.gasProfile.routerOverhead;
+        }
+        
+        return execution?.gasEstimate ? execution.gasEstimate + this.gasProfile.routerOverhead : super.getSwapGas(poolInfo);
+    }
+    
+    // Packed QuoterV2 path: token, fee, token, ..., token
+    static encodePath(tokens, feeTiers) {
+        const types = ['address', ...feeTiers.flatMap(() => ['uint24', 'address'])];
+        const values = [tokens[0].address, ...feeTiers.flatMap((feeTier, i) => [feeTier, tokens[i + 1].address])];
+        
+        return ethers.solidityPacked(types, values);
+    }
+    
+    static poolFromLog(args) {
+        return {
+            address: args.pool,
+            token0: args.token0,
+            token1: args.token1,
+            fee: Number(args.fee),
+            tickSpacing: Number(args.tickSpacing)
+        };
+    }
+    
+    static stateFromEvent(args) {
+        return { sqrtPriceX96: args.sqrtPriceX96, liquidity: args.liquidity, tick: Number(args.tick) };
+    }
+    
+    static validateConfig(name, dex, errors) {
+        if (!ethers.isAddress(dex.factory) || !ethers.isAddress(dex.quoter)) {
+            errors.push(`Invalid factory or quoter for ${name}`);
+        }
+        
+        if (dex.quoterVersion !== undefined && ![1, 2].includes(dex.quoterVersion)) {
+            errors.push(`Unknown quoterVersion for ${name}`);
+        }
+    }
+}
+
+V3Adapter.FEE_TIERS = [100, 500, 3000, 10000]; // 0.01%, 0.05%, 0.3%, 1%
+
+V3Adapter.abis = {
+    v3Factory: [
+        'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)'
+    ],
+    v3Pool: [
+        'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)',
+        'function liquidity() view returns (uint128)',
+        'function token0() view returns (address)',
+        'function token1() view returns (address)',
+        'function fee() view returns (uint24)',
+        'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)'
+    ],
+    v3Quoter: [
+        'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) returns (uint256 amountOut)',
+        'function quoteExactOutputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountOut, uint160 sqrtPriceLimitX96) returns (uint256 amountIn)'
+    ],
+    v3Router: [
+        'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)'
+    ],
+    v3QuoterV2: [
+        'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+        'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+        'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+        'function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
+    ]
+};
+V3Adapter.poolEvent = 'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)';
+// Algebra pools emit the same Swap signature (price in place of sqrtPriceX96)
+V3Adapter.stateEvent = 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)';
+V3Adapter.defaultFee = 3000;
+V3Adapter.gasProfile = {
+    swap: 200000, // Without a QuoterV2 gas estimate
+    routerOverhead: 60000 // SwapRouter call, transfers and callback around the pool swap
+};
+V3Adapter.baseSlippage = 0.001; // 0.1% (tighter spreads)
+
+module.exports = V3Adapter;
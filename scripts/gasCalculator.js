@@ -1,22 +1,36 @@
 /**
  * Gas Calculator - Real-time gas cost estimation
+ *
+ * Swap gas comes from eth_estimateGas on each leg's router call where the
+ * leg's amounts are known, cached per DEX, pool and input token. The static
+ * per-DEX table is the fallback for legs that cannot be estimated.
  */
 
 const { ethers } = require('ethers');
+const config = require('../config/polygon.json');
 const logger = require('./logger');
 const { validateNumeric } = require('./utils');
+const dexAdapters = require('./dexAdapters');
+const RouteSimulator = require('./routeSimulator');
+
+// Base cost of a transaction, included in every eth_estimateGas result
+const TX_BASE_GAS = 21000;
 
 class GasCalculator {
-    constructor(provider) {
+    constructor(provider, priceFetcher, options = {}) {
+        // Gas is priced in USD at the fetcher's MATIC price
+        if (!priceFetcher) {
+            throw new Error('GasCalculator requires a PriceFetcher');
+        }
+        
         this.provider = provider;
+        this.priceFetcher = priceFetcher;
         this.gasPrice = null;
         this.lastUpdate = 0;
         this.updateInterval = 60000; // 1 minute
         
-        // Gas estimates for different operations
+        // Gas estimates for non-swap operations; swaps come from the DEX adapters
         this.gasEstimates = {
-            v2Swap: 150000,
-            v3Swap: 200000,
             approve: 50000,
             wrapETH: 30000
         };
@@ -27,6 +41,20 @@ class GasCalculator {
             'WBTC': 1.2,
             'default': 1.0
         };
+        
+        this.settings = {
+            enabled: false,
+            cacheTtlMs: 600000,   // 10 minutes
+            ...options
+        };
+        
+        // Estimates legs from the simulator's executor, with its state overrides
+        this.swapEstimator = this.settings.enabled
+            ? new RouteSimulator(provider, priceFetcher, config.settings?.simulation)
+            : null;
+            
+        // Estimated gas by DEX, pool and input token: { gas, timestamp }, gas null where estimation failed
+        this.swapGasCache = new Map();
     }
     
     async initialize() {
@@ -36,6 +64,11 @@ class GasCalculator {
     
     updateProvider(newProvider) {
         this.provider = newProvider;
+        
+        if (this.swapEstimator) {
+            this.swapEstimator.updateProvider(newProvider);
+            this.swapGasCache.clear();
+        }
     }
     
     async updateGasPrice() {
@@ -65,34 +98,103 @@ class GasCalculator {
         }
     }
     
-    async calculateTotalGasCost(tokenSymbol, buyDex, sellDex) {
+    /**
+     * swaps optionally lists every hop of a route, as DEX names or as
+     * { dex, poolInfo } so pool-type specific estimates can apply
+     */
+    async calculateTotalGasCost(tokenSymbol, buyDex, sellDex, swaps = null) {
+        const { gasCost } = await this.calculateRouteGasCost(tokenSymbol, buyDex, sellDex, swaps);
+        return gasCost;
+    }
+    
+    /**
+     * Gas cost of a route in USD with where its gas came from:
+     * { gasCost, gasUnits, source, legs }, see estimateRouteGas
+     */
+    async calculateRouteGasCost(tokenSymbol, buyDex, sellDex, swaps = null) {
         // Ensure gas price is current
         await this.updateGasPrice();
         
-        // Calculate gas units
-        const gasUnits = this.estimateGasUnits(tokenSymbol, buyDex, sellDex);
+        const { gasUnits, source, legs } = await this.estimateRouteGas(tokenSymbol, buyDex, sellDex, swaps);
         
         // Calculate cost in MATIC
         const gasCostWei = this.gasPrice * BigInt(gasUnits);
         const gasCostMatic = parseFloat(ethers.formatEther(gasCostWei));
         
-        // Convert to USD (assuming MATIC = $0.90)
-        const maticPrice = 0.90; // In production, fetch from oracle
-        const gasCostUSD = gasCostMatic * maticPrice;
+        // Convert to USD at the fetcher's MATIC price (last known if every source is down)
+        const maticPrice = await this.priceFetcher.getTokenPriceUSD('WMATIC');
         
-        return gasCostUSD;
+        return { gasCost: gasCostMatic * maticPrice, gasUnits, source, legs };
     }
     
-    estimateGasUnits(tokenSymbol, buyDex, sellDex) {
-        let totalGas = 0;
+    /**
+     * Gas units of a route, estimating the legs given as { dex, poolInfo,
+     * tokenIn, tokenOut, amountIn } (token symbols, raw amountIn). Returns
+     * { gasUnits, source, legs: [{ dex, gas, source }] } with each source
+     * 'estimated' or 'fallback', and the route's 'mixed' when it has both.
+     * Fallback legs are costed together by estimateGasUnits; estimated legs
+     * at their estimate without the base cost, which the route pays once.
+     */
+    async estimateRouteGas(tokenSymbol, buyDex, sellDex, swaps = null) {
+        const legs = await Promise.all((swaps || [buyDex, sellDex]).map(async (swap) => {
+            const leg = typeof swap === 'string' ? { dex: swap } : swap;
+            const estimate = await this.estimateSwapGas(leg);
+            
+            return estimate === null
+                ? { dex: leg.dex, gas: this.getSwapGas(leg.dex, leg.poolInfo), source: 'fallback', swap }
+                : { dex: leg.dex, gas: estimate - TX_BASE_GAS, source: 'estimated', swap };
+        }));
+        
+        const estimated = legs.filter(leg => leg.source === 'estimated');
+        const fallback = legs.filter(leg => leg.source === 'fallback');
         
-        // Buy side gas
-        const buyDexType = this.getDexType(buyDex);
-        totalGas += buyDexType === 'v3' ? this.gasEstimates.v3Swap : this.gasEstimates.v2Swap;
+        let gasUnits = fallback.length > 0
+            ? this.estimateGasUnits(tokenSymbol, buyDex, sellDex, fallback.map(leg => leg.swap))
+            : 0;
+        if (estimated.length > 0) {
+            gasUnits += estimated.reduce((sum, leg) => sum + leg.gas, TX_BASE_GAS);
+        }
         
-        // Sell side gas
-        const sellDexType = this.getDexType(sellDex);
-        totalGas += sellDexType === 'v3' ? this.gasEstimates.v3Swap : this.gasEstimates.v2Swap;
+        return {
+            gasUnits,
+            source: fallback.length === 0 ? 'estimated' : estimated.length === 0 ? 'fallback' : 'mixed',
+            legs: legs.map(({ dex, gas, source }) => ({ dex, gas, source }))
+        };
+    }
+    
+    // eth_estimateGas of one leg, null when it cannot be estimated
+    async estimateSwapGas({ dex, poolInfo, tokenIn, tokenOut, amountIn }) {
+        if (!this.swapEstimator || !tokenIn || !tokenOut || !amountIn) {
+            return null;
+        }
+        
+        const key = `${dex}:${poolInfo?.pool || poolInfo?.pair || poolInfo?.poolId || 'default'}:${tokenIn}`;
+        const cached = this.swapGasCache.get(key);
+        if (cached && Date.now() - cached.timestamp < this.settings.cacheTtlMs) {
+            return cached.gas;
+        }
+        
+        let gas = null;
+        try {
+            gas = await this.swapEstimator.estimateSwapGas(
+                dex, config.tokens[tokenIn], config.tokens[tokenOut], BigInt(amountIn), poolInfo);
+        } catch (error) {
+            logger.logDebug(`Gas estimate for ${tokenIn}→${tokenOut} on ${dex} failed, using the gas table: ${error.shortMessage || error.message}`);
+        }
+        
+        this.swapGasCache.set(key, { gas, timestamp: Date.now() });
+        return gas;
+    }
+    
+    estimateGasUnits(tokenSymbol, buyDex, sellDex, swaps = null) {
+        let totalGas = 0;
+        
+        // One swap per hop: buy and sell for pairs, every leg for multi-hop routes
+        for (const swap of swaps || [buyDex, sellDex]) {
+            totalGas += typeof swap === 'string'
+                ? this.getSwapGas(swap)
+                : this.getSwapGas(swap.dex, swap.poolInfo);
+        }
         
         // Token-specific multiplier
         const multiplier = this.tokenMultipliers[tokenSymbol] || this.tokenMultipliers.default;
@@ -104,13 +206,13 @@ class GasCalculator {
         return totalGas;
     }
     
-    getDexType(dexName) {
-        // Simple check - in production would use config
-        return dexName.includes('v3') || dexName === 'uniswap' ? 'v3' : 'v2';
+    // Adapter gas profile of the DEX's family, per pool type where it has several
+    getSwapGas(dexName, poolInfo = null) {
+        return dexAdapters.forDex(dexName).getSwapGas(poolInfo);
     }
     
     async cleanup() {
-        // Nothing to cleanup
+        this.swapGasCache.clear();
     }
 }
 
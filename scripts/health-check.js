@@ -22,6 +22,18 @@ async function runHealthCheck() {
             throw new Error('Price fetching failed');
         }
         
+        // Price sources answered during initialization; report each one
+        const sources = engine.priceFetcher.getSourceStats();
+        for (const [name, stats] of Object.entries(sources)) {
+            const latency = stats.avgLatencyMs === null ? 'unused' : `${stats.successes}/${stats.requests} ok, ${stats.avgLatencyMs}ms avg`;
+            const error = stats.healthy === false ? `, last error: ${stats.lastError}` : '';
+            logger.logInfo(`Price source ${name}: ${latency}${error}`);
+        }
+        
+        if (!Object.values(sources).some(stats => stats.successes > 0)) {
+            throw new Error('No price source answered');
+        }
+        
         // Test gas calculation
         const gasCost = await engine.gasCalculator.calculateTotalGasCost('WETH', 'quickswap', 'sushiswap');
         if (gasCost <= 0) {
@@ -0,0 +1,234 @@
+/**
+ * Multicall - Batches on-chain reads into Multicall3 aggregate3 calls
+ */
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// Multicall3 is deployed at the same address on every major EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Error(string) selector used by require/revert with a message
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+class Multicall {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.address = options.address || MULTICALL3_ADDRESS;
+        this.maxBatchSize = options.maxBatchSize || 200;
+        this.batchWindowMs = options.batchWindowMs ?? 5;
+        this.blockTag = 'latest';
+        
+        this.interface = new ethers.Interface(MULTICALL3_ABI);
+        
+        // Auto-batching queue
+        this.pending = [];
+        this.flushTimer = null;
+        
+        this.stats = {
+            requests: 0,
+            calls: 0,
+            failedCalls: 0,
+            failedRequests: 0
+        };
+    }
+    
+    updateProvider(newProvider) {
+        this.provider = newProvider;
+    }
+    
+    setBlockTag(blockTag) {
+        this.blockTag = blockTag ?? 'latest';
+    }
+    
+    /**
+     * Queue a single read. Reads queued within the same batch window are sent
+     * together in one aggregate3 request. Rejects if this call reverts.
+     */
+    call(target, iface, method, args = [], options = {}) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({
+                target,
+                iface,
+                method,
+                args,
+                blockTag: options.blockTag ?? this.blockTag,
+                resolve,
+                reject
+            });
+            
+            if (this.pending.length >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.batchWindowMs);
+            }
+        });
+    }
+    
+    /**
+     * Same as call() but resolves to null instead of rejecting on revert
+     */
+    async tryCall(target, iface, method, args = [], options = {}) {
+        try {
+            return await this.call(target, iface, method, args, options);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        const queued = this.pending;
+        this.pending = [];
+        
+        if (queued.length === 0) return;
+        
+        // Calls must share a block tag to be aggregated together
+        const byBlockTag = new Map();
+        for (const entry of queued) {
+            const key = String(entry.blockTag);
+            if (!byBlockTag.has(key)) byBlockTag.set(key, []);
+            byBlockTag.get(key).push(entry);
+        }
+        
+        await Promise.all([...byBlockTag.values()].map(async (entries) => {
+            try {
+                const results = await this.aggregate(entries, { blockTag: entries[0].blockTag });
+                
+                results.forEach((result, index) => {
+                    if (result.success) {
+                        entries[index].resolve(result.value);
+                    } else {
+                        entries[index].reject(new Error(result.error));
+                    }
+                });
+                
+            } catch (error) {
+                entries.forEach(entry => entry.reject(error));
+            }
+        }));
+    }
+    
+    /**
+     * Execute a list of reads at a single block tag.
+     * Each call is { target, iface, method, args }; a revert in one call
+     * does not affect the others.
+     */
+    async aggregate(calls, options = {}) {
+        const blockTag = options.blockTag ?? this.blockTag;
+        const results = [];
+        
+        for (let i = 0; i < calls.length; i += this.maxBatchSize) {
+            const chunk = calls.slice(i, i + this.maxBatchSize);
+            results.push(...await this.aggregateChunk(chunk, blockTag));
+        }
+        
+        return results;
+    }
+    
+    async aggregateChunk(calls, blockTag) {
+        // Encode up front so one malformed call cannot sink the whole batch
+        const prepared = calls.map(({ target, iface, method, args = [] }) => {
+            try {
+                return {
+                    target: ethers.getAddress(target.toLowerCase()),
+                    allowFailure: true,
+                    callData: iface.encodeFunctionData(method, args)
+                };
+            } catch (error) {
+                return { error: `${method} could not be encoded: ${error.shortMessage || error.message}` };
+            }
+        });
+        
+        const encoded = prepared.filter(call => !call.error);
+        let returnData = [];
+        
+        if (encoded.length > 0) {
+            try {
+                this.stats.requests++;
+                this.stats.calls += encoded.length;
+                
+                const data = await this.provider.call({
+                    to: this.address,
+                    data: this.interface.encodeFunctionData('aggregate3', [encoded]),
+                    blockTag
+                });
+                
+                [returnData] = this.interface.decodeFunctionResult('aggregate3', data);
+                
+            } catch (error) {
+                this.stats.failedRequests++;
+                logger.logDebug(`Multicall request failed: ${error.message}`);
+                throw new Error(`Multicall failed: ${error.message}`);
+            }
+        }
+        
+        let next = 0;
+        return calls.map(({ iface, method }, index) => {
+            if (prepared[index].error) {
+                this.stats.failedCalls++;
+                return { success: false, error: prepared[index].error };
+            }
+            
+            const { success, returnData: callData } = returnData[next++];
+            
+            if (!success) {
+                this.stats.failedCalls++;
+                return { success: false, error: `${method} reverted: ${this.decodeRevert(callData)}` };
+            }
+            
+            try {
+                const decoded = iface.decodeFunctionResult(method, callData);
+                return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+            } catch (error) {
+                // Typically an empty return from a non-contract address
+                this.stats.failedCalls++;
+                return { success: false, error: `${method} returned undecodable data` };
+            }
+        });
+    }
+    
+    decodeRevert(data) {
+        if (!data || data === '0x') {
+            return 'no reason';
+        }
+        
+        if (data.startsWith(ERROR_STRING_SELECTOR)) {
+            try {
+                const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], '0x' + data.slice(10));
+                return reason;
+            } catch (error) {
+                // Fall through to raw data
+            }
+        }
+        
+        return data;
+    }
+    
+    getStats() {
+        return { ...this.stats };
+    }
+    
+    cleanup() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        const error = new Error('Multicall closed');
+        this.pending.forEach(entry => entry.reject(error));
+        this.pending = [];
+    }
+}
+
+Multicall.MULTICALL3_ADDRESS = MULTICALL3_ADDRESS;
+
+module.exports = Multicall;
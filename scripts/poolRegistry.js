@@ -0,0 +1,311 @@
+/**
+ * Pool Registry - Pools of every factory DEX, indexed from creation events
+ *
+ * Backfills PairCreated / PoolCreated logs from each factory's deployBlock,
+ * then follows new blocks. The index is persisted under data/ so a restart
+ * only catches up from the last indexed block, re-reading the last
+ * reorgDepth blocks in case a reorg replaced them.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const dexAdapters = require('./dexAdapters');
+const config = require('../config/polygon.json');
+
+// How RPCs word a getLogs range or result-size cap
+const RANGE_ERROR = /block range|range (is )?too|too (large|wide|many)|more than \d+ results|response size|limited to|exceed(s|ed)? (the )?max/i;
+
+class PoolRegistry {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.settings = {
+            file: 'data/pool_registry.json',
+            blockRange: 5000,
+            reorgDepth: 64,       // indexed blocks re-read on every catch-up
+            syncIntervalMs: 60000,
+            saveIntervalMs: 10000,
+            ...options
+        };
+        this.filePath = path.resolve(__dirname, '..', this.settings.file);
+        this.dexes = options.dexes || config.dexes;
+        
+        // Index per factory (lowercase address):
+        // { dex, type, lastBlock, synced, pools: { pairKey: [pool] } }
+        this.factories = {};
+        
+        // Halved when the RPC rejects a getLogs range as too wide
+        this.blockRange = this.settings.blockRange;
+        
+        this.syncing = null;
+        this.stopped = false;
+        this.timer = null;
+        this.lastSave = 0;
+        this.saveLock = Promise.resolve();
+    }
+    
+    updateProvider(newProvider) {
+        this.provider = newProvider;
+    }
+    
+    // Configured DEXes whose adapter indexes pools from a factory event
+    getIndexedDexes() {
+        return Object.entries(this.dexes)
+            .filter(([, dex]) => dex.factory && dexAdapters.has(dex.type) && dexAdapters.get(dex.type).poolEvent);
+    }
+    
+    async load() {
+        try {
+            if (await fs.pathExists(this.filePath)) {
+                const saved = await fs.readJson(this.filePath);
+                this.factories = saved.factories || {};
+            }
+            
+            const pools = Object.values(this.factories).reduce((sum, entry) => sum + this.countPools(entry), 0);
+            logger.logInfo(`Pool registry loaded: ${pools} pools from ${Object.keys(this.factories).length} factories`);
+            
+        } catch (error) {
+            logger.logWarning(`Pool registry unreadable, rebuilding: ${error.message}`);
+            this.factories = {};
+        }
+    }
+    
+    // Factories sync concurrently, so saves take turns with the temp file
+    save() {
+        const run = this.saveLock.then(() => this.writeIndex());
+        this.saveLock = run.catch(() => {});
+        return run;
+    }
+    
+    // Written to a temp file first so a crash never leaves a truncated index
+    async writeIndex() {
+        const tempPath = `${this.filePath}.tmp`;
+        
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, { updatedAt: new Date().toISOString(), factories: this.factories });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+        
+        this.lastSave = Date.now();
+    }
+    
+    /**
+     * Index every factory up to the current block. Concurrent callers share
+     * the sync in progress.
+     */
+    async sync() {
+        if (!this.syncing) {
+            this.syncing = this.syncAll().finally(() => {
+                this.syncing = null;
+            });
+        }
+        
+        return this.syncing;
+    }
+    
+    async syncAll() {
+        const head = await this.provider.getBlockNumber();
+        
+        await Promise.all(this.getIndexedDexes().map(async ([name, dex]) => {
+            try {
+                await this.syncFactory(name, dex, head);
+            } catch (error) {
+                logger.logWarning(`Pool registry sync failed for ${dex.name || name}: ${error.message}`);
+            }
+        }));
+        
+        await this.save();
+    }
+    
+    async syncFactory(name, dex, head) {
+        const Adapter = dexAdapters.get(dex.type);
+        const iface = new ethers.Interface([Adapter.poolEvent]);
+        const event = iface.fragments.find(fragment => fragment.type === 'event');
+        
+        const key = dex.factory.toLowerCase();
+        const entry = this.factories[key] || (this.factories[key] = {
+            dex: name,
+            type: dex.type,
+            lastBlock: (dex.deployBlock || 0) - 1,
+            synced: false,
+            pools: {}
+        });
+        
+        // Once caught up, blocks near the old head are read again: a reorg may have replaced them
+        const recheckFrom = entry.synced
+            ? Math.max(entry.lastBlock + 1 - this.settings.reorgDepth, dex.deployBlock || 0)
+            : null;
+        const startBlock = recheckFrom ?? entry.lastBlock + 1;
+        const rechecked = new Set();
+        let added = 0;
+        
+        for (let fromBlock = startBlock; fromBlock <= head;) {
+            if (this.stopped) {
+                return;
+            }
+            
+            const toBlock = Math.min(fromBlock + this.blockRange - 1, head);
+            const logs = await this.getLogs(dex, event, fromBlock, toBlock);
+            if (logs === null) {
+                continue;
+            }
+            
+            for (const log of logs) {
+                const parsed = iface.parseLog(log);
+                if (!parsed) continue;
+                
+                const pool = Adapter.poolFromLog(parsed.args);
+                rechecked.add(pool.address.toLowerCase());
+                if (this.addPool(entry, { ...pool, createdBlock: log.blockNumber })) {
+                    added++;
+                }
+            }
+            
+            entry.lastBlock = Math.max(entry.lastBlock, toBlock);
+            fromBlock = toBlock + 1;
+            
+            // Long backfills keep their progress
+            if (Date.now() - this.lastSave > this.settings.saveIntervalMs) {
+                await this.save();
+            }
+        }
+        
+        if (recheckFrom !== null) {
+            this.removeOrphanedPools(entry, recheckFrom, rechecked, dex.name || name);
+        }
+        
+        if (!entry.synced) {
+            entry.synced = true;
+            logger.logSuccess(`Pool registry caught up on ${dex.name || name}: ${this.countPools(entry)} pools`);
+        } else if (added > 0) {
+            logger.logInfo(`Pool registry: ${added} new ${dex.name || name} pools since block ${startBlock}`);
+        }
+    }
+    
+    /**
+     * Factory logs of a block range, or null when the RPC rejected the range
+     * as too wide and it was halved for the retry
+     */
+    async getLogs(dex, event, fromBlock, toBlock) {
+        try {
+            return await this.provider.getLogs({
+                address: dex.factory,
+                topics: [event.topicHash],
+                fromBlock,
+                toBlock
+            });
+            
+        } catch (error) {
+            const message = `${error.message} ${error.error?.message || ''}`;
+            if (toBlock === fromBlock || !RANGE_ERROR.test(message)) {
+                throw error;
+            }
+            
+            // Concurrent factories may have halved it already
+            const range = toBlock - fromBlock + 1;
+            if (this.blockRange >= range) {
+                this.blockRange = Math.max(1, Math.floor(range / 2));
+                logger.logWarning(`getLogs range of ${range} blocks rejected, using ${this.blockRange}`);
+            }
+            
+            return null;
+        }
+    }
+    
+    // Pools created in re-read blocks whose creation log is gone were orphaned by a reorg
+    removeOrphanedPools(entry, fromBlock, rechecked, dexName) {
+        for (const [pairKey, pools] of Object.entries(entry.pools)) {
+            const kept = pools.filter(pool => pool.createdBlock < fromBlock || rechecked.has(pool.address.toLowerCase()));
+            if (kept.length === pools.length) continue;
+            
+            logger.logWarning(`Pool registry: ${pools.length - kept.length} ${dexName} pools orphaned by a reorg since block ${fromBlock}`);
+            if (kept.length > 0) {
+                entry.pools[pairKey] = kept;
+            } else {
+                delete entry.pools[pairKey];
+            }
+        }
+    }
+    
+    // Logs replayed after a retry are ignored
+    addPool(entry, pool) {
+        const pairKey = PoolRegistry.pairKey(pool.token0, pool.token1);
+        const pools = entry.pools[pairKey] || (entry.pools[pairKey] = []);
+        
+        if (pools.some(existing => existing.address.toLowerCase() === pool.address.toLowerCase())) {
+            return false;
+        }
+        
+        pools.push({
+            address: ethers.getAddress(pool.address),
+            token0: ethers.getAddress(pool.token0),
+            token1: ethers.getAddress(pool.token1),
+            fee: pool.fee,
+            tickSpacing: pool.tickSpacing,
+            createdBlock: pool.createdBlock
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Pools a factory created for the pair, in either token order. Null until
+     * the factory's backfill has reached the chain head once.
+     */
+    getPools(factory, tokenA, tokenB) {
+        const entry = this.factories[factory.toLowerCase()];
+        if (!entry?.synced) {
+            return null;
+        }
+        
+        return entry.pools[PoolRegistry.pairKey(tokenA, tokenB)] || [];
+    }
+    
+    countPools(entry) {
+        return Object.values(entry.pools).reduce((sum, pools) => sum + pools.length, 0);
+    }
+    
+    // Follow new blocks after the initial catch-up
+    start(intervalMs = this.settings.syncIntervalMs) {
+        if (this.timer) {
+            return;
+        }
+        
+        this.stopped = false;
+        
+        this.timer = setInterval(() => {
+            this.sync().catch(error => logger.logWarning(`Pool registry sync failed: ${error.message}`));
+        }, intervalMs);
+        
+        // Don't keep the process alive
+        this.timer.unref?.();
+    }
+    
+    // A backfill in progress stops after its current chunk
+    async stop() {
+        this.stopped = true;
+        
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        
+        if (this.syncing) {
+            await this.syncing.catch(() => {});
+        }
+    }
+    
+    getStats() {
+        return Object.fromEntries(Object.values(this.factories).map(entry => [entry.dex, {
+            pools: this.countPools(entry),
+            lastBlock: entry.lastBlock,
+            synced: entry.synced
+        }]));
+    }
+    
+    static pairKey(tokenA, tokenB) {
+        return [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('_');
+    }
+}
+
+module.exports = PoolRegistry;
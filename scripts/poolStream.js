@@ -0,0 +1,181 @@
+/**
+ * Pool Stream - Live pool state from Sync (V2) and Swap (V3) logs
+ *
+ * Pools are tracked together with the routes priced on them. A log on a
+ * tracked pool updates its in-memory state and emits 'poolUpdate'; the
+ * routes touched within debounceMs are then emitted once as 'routesChanged'
+ * so only those are re-evaluated. The bot hands each new state to
+ * PriceFetcher, which prices V2 and V3 pools from it without RPC reads.
+ *
+ * The provider only needs on(filter, listener) / off(filter, listener), as
+ * on an ethers WebSocketProvider.
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const dexAdapters = require('./dexAdapters');
+
+class PoolStream extends EventEmitter {
+    constructor(provider, options = {}) {
+        super();
+        
+        this.provider = provider;
+        this.settings = {
+            debounceMs: 250,
+            ...options
+        };
+        
+        // Tracked pools by lowercase address: { address, dex, type, routes, state }
+        this.pools = new Map();
+        
+        // State event interface per adapter type; V3 and Algebra share a topic
+        this.stateEvents = new Map();
+        for (const type of dexAdapters.getTypes()) {
+            const { stateEvent } = dexAdapters.get(type);
+            if (stateEvent) {
+                const iface = new ethers.Interface([stateEvent]);
+                const event = iface.fragments.find(fragment => fragment.type === 'event');
+                this.stateEvents.set(type, { iface, topic: event.topicHash });
+            }
+        }
+        
+        this.filter = null;
+        this.listener = log => this.handleLog(log);
+        this.subscribedVersion = 0;
+        this.version = 0;
+        
+        this.pendingRoutes = new Set();
+        this.flushTimer = null;
+        
+        this.stats = { logs: 0, updates: 0, flushes: 0 };
+    }
+    
+    // Whether pools of this DEX type can be streamed
+    supports(type) {
+        return this.stateEvents.has(type);
+    }
+    
+    /**
+     * Track a pool for a route key (e.g. 'WMATIC/USDC'). Takes effect on the
+     * next subscribe().
+     */
+    track(address, dex, type, route) {
+        if (!address || !this.supports(type)) {
+            return false;
+        }
+        
+        const key = address.toLowerCase();
+        let entry = this.pools.get(key);
+        
+        if (!entry) {
+            entry = { address: ethers.getAddress(address), dex, type, routes: new Set(), state: null };
+            this.pools.set(key, entry);
+            this.version++;
+        }
+        
+        entry.routes.add(route);
+        return true;
+    }
+    
+    // (Re)subscribe when the tracked pool set has changed
+    subscribe() {
+        if (this.subscribedVersion === this.version || this.pools.size === 0) {
+            return;
+        }
+        
+        if (this.filter) {
+            this.provider.off(this.filter, this.listener);
+        }
+        
+        this.filter = {
+            address: [...this.pools.values()].map(entry => entry.address),
+            topics: [[...new Set([...this.stateEvents.values()].map(({ topic }) => topic))]]
+        };
+        
+        this.provider.on(this.filter, this.listener);
+        this.subscribedVersion = this.version;
+        
+        logger.logInfo(`Streaming ${this.pools.size} pools`);
+    }
+    
+    handleLog(log) {
+        const entry = this.pools.get(log.address?.toLowerCase());
+        const stateEvent = entry && this.stateEvents.get(entry.type);
+        
+        if (!stateEvent || log.topics?.[0] !== stateEvent.topic) {
+            return;
+        }
+        
+        this.stats.logs++;
+        
+        // Logs can arrive out of order across reconnects; keep the newest state
+        if (entry.state && log.blockNumber < entry.state.blockNumber) {
+            return;
+        }
+        
+        try {
+            const parsed = stateEvent.iface.parseLog(log);
+            
+            entry.state = {
+                ...dexAdapters.get(entry.type).stateFromEvent(parsed.args),
+                blockNumber: log.blockNumber,
+                updatedAt: Date.now()
+            };
+            
+        } catch (error) {
+            logger.logDebug(`Unreadable log on ${entry.address}: ${error.message}`);
+            return;
+        }
+        
+        this.stats.updates++;
+        this.emit('poolUpdate', { address: entry.address, dex: entry.dex, type: entry.type, state: entry.state });
+        
+        for (const route of entry.routes) {
+            this.pendingRoutes.add(route);
+        }
+        
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.settings.debounceMs);
+        }
+    }
+    
+    flush() {
+        this.flushTimer = null;
+        
+        if (this.pendingRoutes.size === 0) {
+            return;
+        }
+        
+        const routes = [...this.pendingRoutes];
+        this.pendingRoutes.clear();
+        this.stats.flushes++;
+        
+        this.emit('routesChanged', routes);
+    }
+    
+    getPoolState(address) {
+        return this.pools.get(address.toLowerCase())?.state || null;
+    }
+    
+    getStats() {
+        return { pools: this.pools.size, ...this.stats };
+    }
+    
+    stop() {
+        if (this.filter) {
+            this.provider.off(this.filter, this.listener);
+            this.filter = null;
+            this.subscribedVersion = 0;
+        }
+        
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        this.pendingRoutes.clear();
+    }
+}
+
+module.exports = PoolStream;
@@ -5,36 +5,12 @@
 const { ethers } = require('ethers');
 const NodeCache = require('node-cache');
 const logger = require('./logger');
+const Multicall = require('./multicall');
+const dexAdapters = require('./dexAdapters');
+const TwapOracle = require('./twapOracle');
+const PriceStore = require('./priceStore');
+const priceSources = require('./priceSources');
 const config = require('../config/polygon.json');
-const CHAINLINK_FEEDS = {
-    'WETH': '0xF9680D99D6C9589e2a93a78A04A279e509205945',    // ETH/USD
-    'WBTC': '0xDE31F8bFBD8c84b5360CFACCa3539B938dd78ae6',    // BTC/USD
-    'WMATIC': '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0',  // MATIC/USD
-    'LINK': '0xd9FFdb71EbE7496cC440152d43986Aae0AB76665',    // LINK/USD
-    'AAVE': '0x72484B12719E23115761D5DA1646945632979bB6',    // AAVE/USD
-    'CRV': '0x336584C8E6Dc19637A5b36206B1c79923111b405',     // CRV/USD
-    'USDC': null,  // Stablecoin - return 1.0
-    'USDT': null   // Stablecoin - return 1.0
-};
-
-// CoinGecko token IDs
-const COINGECKO_IDS = {
-    'WETH': 'ethereum',
-    'WBTC': 'wrapped-bitcoin',
-    'WMATIC': 'matic-network',
-    'LINK': 'chainlink',
-    'AAVE': 'aave',
-    'CRV': 'curve-dao-token',
-    'USDC': 'usd-coin',
-    'USDT': 'tether'
-};
-
-// Add this ABI constant (Chainlink AggregatorV3Interface)
-const CHAINLINK_AGGREGATOR_ABI = [
-    'function decimals() view returns (uint8)',
-    'function description() view returns (string)',
-    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
-];
 
 class PriceFetcher {
     constructor(provider) {
@@ -45,56 +21,79 @@ class PriceFetcher {
             deleteOnExpire: true
         });
         
-        // Contract ABIs
+        // Contract ABIs: every DEX family's and price source's
         this.abis = {
-            v2Router: [
-                'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
-                'function factory() view returns (address)'
-            ],
-            v2Factory: [
-                'function getPair(address tokenA, address tokenB) view returns (address)'
-            ],
-            v2Pair: [
-                'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)',
-                'function token0() view returns (address)',
-                'function token1() view returns (address)'
-            ],
-            v3Factory: [
-                'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)'
-            ],
-            v3Pool: [
-                'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)',
-                'function liquidity() view returns (uint128)',
-                'function token0() view returns (address)',
-                'function token1() view returns (address)',
-                'function fee() view returns (uint24)'
-            ],
-            v3Quoter: [
-                'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) returns (uint256 amountOut)'
-            ]
+            ...dexAdapters.getAbis(),
+            ...priceSources.getAbis()
         };
         
-        // V3 fee tiers
-        this.v3FeeTiers = [100, 500, 3000, 10000]; // 0.01%, 0.05%, 0.3%, 1%
+        this.interfaces = Object.fromEntries(
+            Object.entries(this.abis).map(([name, abi]) => [name, new ethers.Interface(abi)])
+        );
+        
+        // All on-chain reads are batched through Multicall3
+        this.multicall = new Multicall(provider, config.settings?.multicall);
+        
+        // DEX adapters by config entry, created on first use
+        this.adapters = new Map();
+        
+        // Indexed factory pools; adapters fall back to factory lookups without it
+        this.poolRegistry = null;
+        
+        // Pool state streamed from Sync/Swap logs by lowercase address; adapters
+        // price from it instead of reading the pool while it is recent enough
+        this.poolStates = new Map();
+        this.poolStateTtlMs = config.settings?.streaming?.stateTtlMs ?? 60000;
         
         // Token prices cache for USD conversion
         this.tokenPrices = new Map();
+        
+        // On-chain TWAP source, after Chainlink and before CoinGecko
+        this.twapOracle = config.settings?.twap?.enabled ? new TwapOracle(this, config.settings.twap) : null;
+        
+        // USD price sources by name, tried in each token's configured order
+        this.priceSources = priceSources.createAll(this);
+        
+        // Latest Chainlink vs TWAP comparison by symbol
+        this.sourceChecks = new Map();
+        
+        // Last live price of every token, the fallback when all sources fail
+        this.priceStore = new PriceStore(config.settings?.priceStore);
+        
+        // Block the current scan is pinned to ({ number, hash }), null for 'latest'
+        this.block = null;
     }
     
     async initialize() {
         logger.logInfo('Initializing PriceFetcher...');
         
+        await this.priceStore.load();
+        
         // Pre-fetch stable token prices
         await this.updateTokenPrices();
         
         logger.logSuccess('PriceFetcher initialized');
     }
     
+    /**
+     * Pin every read to one block so a scan never compares quotes taken at
+     * different heights. Cached pool state and quotes are keyed by block.
+     */
+    setBlock(block) {
+        this.block = block;
+        this.multicall.setBlockTag(block ? block.number : 'latest');
+    }
+    
+    cacheKey(...parts) {
+        return [...parts, this.block ? this.block.number : 'latest'].join('_');
+    }
+    
     updateProvider(newProvider) {
         this.provider = newProvider;
+        this.multicall.updateProvider(newProvider);
         logger.logInfo('PriceFetcher provider updated');
     }
-
+    
 async getTokenPriceUSD(symbol) {
     try {
         // Check cache first (using existing this.tokenPrices Map)
@@ -107,39 +106,28 @@ async getTokenPriceUSD(symbol) {
             return cached.price;
         }
         
-        // Handle stablecoins
-        if (symbol === 'USDC' || symbol === 'USDT') {
-            const price = 1.0;
-            this.tokenPrices.set(cacheKey, {
-                price,
-                timestamp: Date.now(),
-                source: 'stablecoin'
-            });
-            return price;
-        }
-        
         let price = null;
         let source = null;
+        let detail = null;
         
-        // Try Chainlink first
-        try {
-            price = await this.getChainlinkPrice(symbol);
-            source = 'chainlink';
-            logger.logDebug(`Chainlink price: ${symbol} = $${price}`);
-        } catch (chainlinkError) {
-            logger.logWarning(`Chainlink failed for ${symbol}: ${chainlinkError.message}`);
-            
-            // Fallback to CoinGecko
+        // The token's sources in priority order, first answer wins
+        for (const entry of priceSources.getEntries(symbol)) {
             try {
-                price = await this.getCoinGeckoPrice(symbol);
-                source = 'coingecko';
-                logger.logDebug(`CoinGecko price: ${symbol} = $${price}`);
-            } catch (geckoError) {
-                logger.logError(`CoinGecko also failed for ${symbol}`, geckoError);
-                throw new Error(`Failed to get price for ${symbol} from all sources`);
+                const result = await this.getSourcePrice(entry.source, symbol, entry);
+                price = result.price;
+                source = entry.source;
+                detail = result.detail;
+                logger.logDebug(`${source} price: ${symbol} = $${price}`);
+                break;
+            } catch (sourceError) {
+                logger.logWarning(`${entry.source} failed for ${symbol}: ${sourceError.message}`);
             }
         }
         
+        if (price === null) {
+            throw new Error(`Failed to get price for ${symbol} from all sources`);
+        }
+        
         // Validate price
         if (!price || price <= 0 || !isFinite(price)) {
             throw new Error(`Invalid price received for ${symbol}: ${price}`);
@@ -149,129 +137,71 @@ async getTokenPriceUSD(symbol) {
         this.tokenPrices.set(cacheKey, {
             price,
             timestamp: Date.now(),
-            source
+            source,
+            detail
         });
+        this.priceStore.record(symbol, price, source);
         
         return price;
         
     } catch (error) {
         logger.logError(`Failed to get USD price for ${symbol}`, error);
         
-        // Last resort fallback prices
-        const fallbackPrices = {
-            'WETH': 2400,
-            'WBTC': 68000,
-            'WMATIC': 0.90,
-            'LINK': 15,
-            'AAVE': 100,
-            'CRV': 0.5
-        };
+        // Last resort: the last live price, flagged once past maxStalenessMs
+        const lastKnown = this.priceStore.get(symbol);
         
-        if (fallbackPrices[symbol]) {
-            logger.logWarning(`Using hardcoded fallback price for ${symbol}: $${fallbackPrices[symbol]}`);
-            return fallbackPrices[symbol];
+        if (lastKnown) {
+            const minutes = Math.round(lastKnown.age / 60000);
+            logger.logWarning(`Using last known ${symbol} price: $${lastKnown.price} from ${lastKnown.source}, ${minutes} min old${lastKnown.stale ? ' (stale)' : ''}`);
+            return lastKnown.price;
         }
         
         throw error;
     }
 }
 
-// Add these helper methods to your PriceFetcher class:
-
-async getChainlinkPrice(symbol) {
-    const feedAddress = CHAINLINK_FEEDS[symbol];
-    
-    if (!feedAddress) {
-        throw new Error(`No Chainlink feed address for ${symbol}`);
+/**
+ * { price, updatedAt, detail } from one named source, with the token's
+ * entry for it (or entry when given, e.g. one not in config)
+ */
+async getSourcePrice(sourceName, symbol, entry = null) {
+    const source = this.priceSources.get(sourceName);
+    if (!source) {
+        throw new Error(`Unknown price source: ${sourceName}`);
     }
     
-    try {
-        // Create contract instance
-        const priceFeed = new ethers.Contract(
-            feedAddress,
-            CHAINLINK_AGGREGATOR_ABI,
-            this.provider
-        );
-        
-        // Get latest price data
-        const [roundId, answer, startedAt, updatedAt, answeredInRound] = 
-            await priceFeed.latestRoundData();
-        
-        // Check if price is stale (more than 1 hour old)
-        const currentTime = Math.floor(Date.now() / 1000);
-        if (currentTime - Number(updatedAt) > 3600) {
-            throw new Error(`Chainlink price is stale (last update: ${new Date(Number(updatedAt) * 1000).toISOString()})`);
-        }
-        
-        // Get decimals
-        const decimals = await priceFeed.decimals();
-        
-        // Convert price to number
-        const price = parseFloat(ethers.formatUnits(answer, decimals));
-        
-        if (price <= 0) {
-            throw new Error(`Invalid Chainlink price: ${price}`);
-        }
-        
-        return price;
-        
-    } catch (error) {
-        throw new Error(`Chainlink query failed: ${error.message}`);
+    const sourceEntry = entry || priceSources.getEntries(symbol).find(candidate => candidate.source === sourceName);
+    if (!sourceEntry) {
+        throw new Error(`No ${sourceName} source configured for ${symbol}`);
     }
+    
+    return source.getPrice(symbol, sourceEntry);
+}
+
+async getChainlinkPrice(symbol) {
+    return (await this.getSourcePrice('chainlink', symbol)).price;
 }
 
 async getCoinGeckoPrice(symbol) {
-    const tokenId = COINGECKO_IDS[symbol];
-    
-    if (!tokenId) {
-        throw new Error(`No CoinGecko ID for ${symbol}`);
-    }
-    
-    try {
-        // CoinGecko API endpoint
-        const url = `https://api.coingecko.com/api/v3/simple/price?ids=${tokenId}&vs_currencies=usd`;
-        
-        // Fetch with timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        const response = await fetch(url, {
-            signal: controller.signal,
-            headers: {
-                'Accept': 'application/json'
-            }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        // Extract price
-        const price = data[tokenId]?.usd;
-        
-        if (!price || price <= 0) {
-            throw new Error(`Invalid CoinGecko price: ${price}`);
-        }
-        
-        return price;
-        
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error('CoinGecko request timeout');
-        }
-        throw error;
-    }
+    return (await this.getSourcePrice('coingecko', symbol)).price;
+}
+
+// Tokens that list sourceName among their price sources
+getSymbolsWithSource(sourceName) {
+    return Object.keys(config.tokens).filter(symbol =>
+        priceSources.getEntries(symbol).some(entry => entry.source === sourceName));
+}
+
+// Success, latency and staleness of every price source, by name
+getSourceStats() {
+    return Object.fromEntries([...this.priceSources].map(([name, source]) => [name, source.getStats()]));
 }
 
 // Optional: Add method to refresh all token prices
 async updateTokenPrices() {
     logger.logInfo('Updating all token prices...');
     
-    const tokens = Object.keys(CHAINLINK_FEEDS);
+    const tokens = Object.keys(config.tokens);
     const results = await Promise.allSettled(
         tokens.map(symbol => this.getTokenPriceUSD(symbol))
     );
@@ -289,25 +219,77 @@ async updateTokenPrices() {
     logger.logInfo(`Updated ${successCount}/${tokens.length} token prices`);
 }
 
+/**
+ * Compare Chainlink with the V3 TWAP for every fed token. Disagreement past
+ * maxSourceDeviation is logged; results are reported by getPriceSourceInfo.
+ */
+async crossCheckPrices() {
+    if (!this.twapOracle) {
+        return {};
+    }
+    
+    const maxDeviation = this.twapOracle.settings.maxSourceDeviation ?? 2;
+    const symbols = this.getSymbolsWithSource('chainlink');
+    
+    await Promise.all(symbols.map(async symbol => {
+        const [chainlink, twap] = await Promise.allSettled([
+            this.getChainlinkPrice(symbol),
+            this.twapOracle.getTwap(symbol)
+        ]);
+        
+        const check = {
+            chainlink: chainlink.status === 'fulfilled' ? chainlink.value : null,
+            twap: twap.status === 'fulfilled' ? twap.value.price : null,
+            twapPool: twap.status === 'fulfilled' ? `${twap.value.dex}:${twap.value.pool}` : null,
+            deviation: null,
+            agrees: null,
+            checkedAt: Date.now()
+        };
+        
+        if (check.chainlink && check.twap) {
+            check.deviation = ((check.twap - check.chainlink) / check.chainlink) * 100;
+            check.agrees = Math.abs(check.deviation) <= maxDeviation;
+            
+            if (!check.agrees) {
+                logger.logWarning(`${symbol} price sources disagree: Chainlink $${check.chainlink} vs TWAP $${check.twap.toFixed(6)} (${check.deviation.toFixed(2)}%)`);
+            }
+        }
+        
+        this.sourceChecks.set(symbol, check);
+    }));
+    
+    return Object.fromEntries(this.sourceChecks);
+}
+
 // Optional: Add method to get price source info
 getPriceSourceInfo(symbol) {
     const cacheKey = `${symbol}_USD`;
     const cached = this.tokenPrices.get(cacheKey);
+    const crossCheck = this.sourceChecks.get(symbol) || null;
+    
+    const lastKnown = this.priceStore.get(symbol);
     
     if (!cached) {
-        return { cached: false };
+        return { cached: false, crossCheck, lastKnown };
     }
     
     return {
         cached: true,
         price: cached.price,
         source: cached.source,
+        detail: cached.detail,
+        crossCheck,
+        lastKnown,
         age: Date.now() - cached.timestamp,
         timestamp: new Date(cached.timestamp).toISOString()
     };
 }
-    async getTokenPrice(tokenSymbol, dexName) {
-        const cacheKey = `${tokenSymbol}_${dexName}`;
+    /**
+     * USD price of tokenSymbol on one DEX: what selling it yields (side
+     * 'sell', the bid) or what buying it costs (side 'buy', the ask)
+     */
+    async getTokenPrice(tokenSymbol, dexName, amountUSD = null, side = 'sell') {
+        const cacheKey = this.cacheKey(tokenSymbol, dexName, amountUSD || 1, side);
         const cached = this.cache.get(cacheKey);
         
         if (cached) {
@@ -325,13 +307,7 @@ getPriceSourceInfo(symbol) {
                 throw new Error(`Unknown DEX: ${dexName}`);
             }
             
-            let result;
-            
-            if (dex.type === 'v3') {
-                result = await this.getV3Price(token, dex);
-            } else {
-                result = await this.getV2Price(token, dex);
-            }
+            const result = await this.getQuotedPrice(token, dex, amountUSD, side);
             
             // Cache successful result
             if (result.success) {
@@ -350,195 +326,386 @@ getPriceSourceInfo(symbol) {
         }
     }
     
-    async getV2Price(token, dex) {
+    /**
+     * Price of baseSymbol in quoteSymbol units on one DEX. With amountUSD the
+     * quote is taken for that trade size instead of 1 base token. Side 'sell'
+     * is the bid (base sold for quote, exact input); side 'buy' is the ask
+     * (quote spent for exactly that much base, exact output).
+     */
+    async getPairPrice(baseSymbol, quoteSymbol, dexName, amountUSD = null, side = 'sell') {
+        const cacheKey = this.cacheKey(baseSymbol, quoteSymbol, dexName, amountUSD || 1, side);
+        const cached = this.cache.get(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
         try {
-            const router = new ethers.Contract(dex.router, this.abis.v2Router, this.provider);
-            const factory = new ethers.Contract(dex.factory, this.abis.v2Factory, this.provider);
+            const baseToken = config.tokens[baseSymbol];
+            const quoteToken = config.tokens[quoteSymbol];
+            if (!baseToken || !quoteToken) {
+                throw new Error(`Unknown pair: ${baseSymbol}/${quoteSymbol}`);
+            }
             
-            // Try multiple quote tokens
-            const quoteTokens = ['USDC', 'USDT', 'WETH', 'WMATIC'];
+            const dex = config.dexes[dexName];
+            if (!dex) {
+                throw new Error(`Unknown DEX: ${dexName}`);
+            }
             
-            for (const quoteSymbol of quoteTokens) {
-                if (quoteSymbol === token.symbol) continue;
+            const amount = amountUSD
+                ? await this.getTradeAmount(baseSymbol, amountUSD)
+                : ethers.parseUnits('1', baseToken.decimals);
                 
-                const quoteToken = config.tokens[quoteSymbol];
-                if (!quoteToken) continue;
+            const quote = side === 'buy'
+                ? await this.quoteBuy(baseToken, quoteToken, dex, amount)
+                : await this.quotePair(baseToken, quoteToken, dex, amount);
                 
-                try {
-                    // Check if pair exists
-                    const pairAddress = await factory.getPair(token.address, quoteToken.address);
-                    if (pairAddress === ethers.ZeroAddress) continue;
-                    
-                    // Get price quote
-                    const amountIn = ethers.parseUnits('1', token.decimals);
-                    const amounts = await router.getAmountsOut(amountIn, [token.address, quoteToken.address]);
-                    
-                    const amountOut = amounts[1];
-                    const price = await this.convertToUSD(amountOut, quoteToken);
-                    
-                    // Get liquidity
-                    const liquidity = await this.getV2Liquidity(pairAddress, token, quoteToken);
-                    
-                    return {
-                        success: true,
-                        price,
-                        liquidity,
-                        dex: dex.name,
-                        poolInfo: {
-                            type: 'v2',
-                            pair: pairAddress,
-                            quoteToken: quoteSymbol
-                        }
-                    };
-                    
-                } catch (error) {
-                    continue;
-                }
+            if (!quote) {
+                throw new Error(`No ${dex.type} pool for ${baseSymbol}/${quoteSymbol}`);
             }
             
-            throw new Error('No valid V2 pairs found');
+            // Price is expressed in quote token units per 1 base token
+            const baseAmount = parseFloat(ethers.formatUnits(amount, baseToken.decimals));
+            const priceOf = quoteAmount => parseFloat(ethers.formatUnits(quoteAmount, quoteToken.decimals)) / baseAmount;
+            
+            const result = {
+                success: true,
+                side,
+                price: priceOf(side === 'buy' ? quote.amountIn : quote.amountOut),
+                liquidity: quote.liquidity,
+                dex: dexName,
+                dexName: dex.name,
+                poolInfo: quote.poolInfo,
+                candidates: (quote.candidates || []).map(({ pool, feeTier, amountIn, amountOut }) => ({
+                    pool,
+                    feeTier,
+                    quoteToken: quoteSymbol,
+                    price: priceOf(side === 'buy' ? amountIn : amountOut)
+                }))
+            };
+            
+            this.cache.set(cacheKey, result);
+            return result;
             
         } catch (error) {
-            throw new Error(`V2 price fetch failed: ${error.message}`);
+            logger.logDebug(`Pair ${side} price failed for ${baseSymbol}/${quoteSymbol} on ${dexName}: ${error.message}`);
+            return {
+                success: false,
+                error: error.message,
+                dex: dexName
+            };
         }
     }
     
-    async getV3Price(token, dex) {
+    /**
+     * USD price of token on the pool, across the usual quote tokens and each
+     * DEX's pools for them, that pays the most USD for amountUSD of it (side
+     * 'sell') or charges the least USD for it (side 'buy')
+     */
+    async getQuotedPrice(token, dex, amountUSD = null, side = 'sell') {
         try {
-            const factory = new ethers.Contract(dex.factory, this.abis.v3Factory, this.provider);
-            const quoter = new ethers.Contract(dex.quoter, this.abis.v3Quoter, this.provider);
+            const amount = amountUSD
+                ? await this.getTradeAmount(token.symbol, amountUSD)
+                : ethers.parseUnits('1', token.decimals);
+            const tokenAmount = parseFloat(ethers.formatUnits(amount, token.decimals));
+            const buying = side === 'buy';
             
-            // Try multiple quote tokens
-            // Try multiple quote tokens
             const quoteTokens = ['USDC', 'USDT', 'WETH', 'WMATIC'];
             
-            for (const quoteSymbol of quoteTokens) {
-                if (quoteSymbol === token.symbol) continue;
+            const candidates = quoteTokens
+                .filter(quoteSymbol => quoteSymbol !== token.symbol && config.tokens[quoteSymbol])
+                .map(quoteSymbol => config.tokens[quoteSymbol]);
+                
+            // Quote every candidate concurrently so the reads share a multicall batch
+            const quotes = await Promise.all(candidates.map(quoteToken => buying
+                ? this.quoteBuy(token, quoteToken, dex, amount)
+                : this.quotePair(token, quoteToken, dex, amount)
+            ));
+            
+            // Every pool of every quote token, valued in USD per token traded
+            const priced = [];
+            await Promise.all(quotes.map(async (quote, i) => {
+                if (!quote) return;
                 
-                const quoteToken = config.tokens[quoteSymbol];
-                if (!quoteToken) continue;
+                const quoteToken = candidates[i];
+                const priceOf = async quoteAmount => await this.convertToUSD(quoteAmount, quoteToken) / tokenAmount;
                 
-                // Try all fee tiers
-                for (const feeTier of this.v3FeeTiers) {
-                    try {
-                        // Check if pool exists
-                        const poolAddress = await factory.getPool(token.address, quoteToken.address, feeTier);
-                        if (poolAddress === ethers.ZeroAddress) continue;
-                        
-                        // Get pool info
-                        const pool = new ethers.Contract(poolAddress, this.abis.v3Pool, this.provider);
-                        const [slot0, liquidity] = await Promise.all([
-                            pool.slot0(),
-                            pool.liquidity()
-                        ]);
-                        
-                        // Skip if no liquidity
-                        if (liquidity === 0n) continue;
-                        
-                        // Get price quote
-                        const amountIn = ethers.parseUnits('1', token.decimals);
-                        const amountOut = await quoter.quoteExactInputSingle.staticCall(
-                            token.address,
-                            quoteToken.address,
-                            feeTier,
-                            amountIn,
-                            0
-                        );
-                        
-                        const price = await this.convertToUSD(amountOut, quoteToken);
-                        const liquidityUSD = await this.calculateV3Liquidity(pool, slot0, token, quoteToken);
-                        
-                        return {
-                            success: true,
-                            price,
-                            liquidity: liquidityUSD,
-                            dex: dex.name,
-                            poolInfo: {
-                                type: 'v3',
-                                pool: poolAddress,
-                                feeTier,
-                                quoteToken: quoteSymbol
-                            }
-                        };
-                        
-                    } catch (error) {
-                        continue;
-                    }
-                }
+                priced.push({
+                    quote,
+                    price: await priceOf(buying ? quote.amountIn : quote.amountOut),
+                    pools: await Promise.all((quote.candidates || []).map(async ({ pool, feeTier, amountIn, amountOut }) => ({
+                        pool,
+                        feeTier,
+                        quoteToken: quoteToken.symbol,
+                        price: await priceOf(buying ? amountIn : amountOut)
+                    })))
+                });
+            }));
+            
+            if (priced.length === 0) {
+                throw new Error('No configured pool holds this token');
             }
             
-            throw new Error('No valid V3 pools found');
+            // Best first: the highest bid, or the lowest ask
+            const byBest = (a, b) => (buying ? a.price - b.price : b.price - a.price);
+            const [best] = priced.sort(byBest);
+            
+            return {
+                success: true,
+                side,
+                price: best.price,
+                liquidity: best.quote.liquidity,
+                dex: dex.name,
+                poolInfo: best.quote.poolInfo,
+                candidates: priced.flatMap(entry => entry.pools).sort(byBest)
+            };
             
         } catch (error) {
-            throw new Error(`V3 price fetch failed: ${error.message}`);
+            throw new Error(`${dex.name} price fetch failed: ${error.message}`);
         }
     }
     
-    async getV2Liquidity(pairAddress, token, quoteToken) {
-        try {
-            const pair = new ethers.Contract(pairAddress, this.abis.v2Pair, this.provider);
-            const [reserves, token0] = await Promise.all([
-                pair.getReserves(),
-                pair.token0()
-            ]);
-            
-            const isToken0 = token.address.toLowerCase() === token0.toLowerCase();
-            const tokenReserve = isToken0 ? reserves[0] : reserves[1];
-            const quoteReserve = isToken0 ? reserves[1] : reserves[0];
-            
-            // Convert reserves to USD
-            const tokenAmount = parseFloat(ethers.formatUnits(tokenReserve, token.decimals));
-            const quoteAmount = parseFloat(ethers.formatUnits(quoteReserve, quoteToken.decimals));
-            
-            const tokenPrice = await this.getTokenPriceUSD(token.symbol);
-            const quotePrice = await this.getTokenPriceUSD(quoteToken.symbol);
-            
-            const liquidityUSD = (tokenAmount * tokenPrice) + (quoteAmount * quotePrice);
-            
-            return liquidityUSD;
-            
-        } catch (error) {
-            logger.logError('Failed to get V2 liquidity', error);
-            return 0;
+    /**
+     * Quote amountIn of token in quoteToken on any DEX type
+     */
+    async quotePair(token, quoteToken, dex, amountIn) {
+        return this.getAdapter(dex).quote(token, quoteToken, amountIn);
+    }
+    
+    /**
+     * Cost in quoteToken of buying exactly amountOut of token on any DEX type
+     */
+    async quoteBuy(token, quoteToken, dex, amountOut) {
+        return this.getAdapter(dex).quoteBuy(token, quoteToken, amountOut);
+    }
+    
+    setPoolRegistry(poolRegistry) {
+        this.poolRegistry = poolRegistry;
+    }
+    
+    // Drop cached state of a pool that is known to have changed
+    invalidatePool(address) {
+        const prefix = `v3model_${address.toLowerCase()}_`;
+        this.cache.del(this.cache.keys().filter(key => key.startsWith(prefix)));
+    }
+    
+    // New state of a streamed pool ({ ...stateFromEvent, blockNumber, updatedAt })
+    applyPoolState(address, state) {
+        this.poolStates.set(address.toLowerCase(), state);
+        this.invalidatePool(address);
+    }
+    
+    /**
+     * Streamed state of a pool, or null when there is none, it is older than
+     * poolStateTtlMs (the stream may have gone quiet) or newer than the pinned block
+     */
+    getPoolState(address) {
+        const state = this.poolStates.get(address.toLowerCase());
+        
+        if (!state || Date.now() - state.updatedAt > this.poolStateTtlMs) {
+            return null;
         }
+        
+        return this.block && state.blockNumber > this.block.number ? null : state;
     }
     
-    async calculateV3Liquidity(pool, slot0, token, quoteToken) {
-        try {
-            const liquidity = await pool.liquidity();
-            const sqrtPriceX96 = slot0[0];
+    // Adapter for a config.dexes entry (or an ad-hoc DEX object of a registered type)
+    getAdapter(dex) {
+        if (!this.adapters.has(dex)) {
+            this.adapters.set(dex, dexAdapters.create(this, dex));
+        }
+        
+        return this.adapters.get(dex);
+    }
+    
+    /**
+     * Directed edge tokenIn → tokenOut quoted on each DEX at amountUSD.
+     * Only successful quotes with enough liquidity are returned.
+     */
+    async getEdgeQuotes(tokenIn, tokenOut, dexNames, amountUSD, minLiquidity = 100) {
+        const quotes = await Promise.all(dexNames.map(dex =>
+            this.getPairPrice(tokenIn, tokenOut, dex, amountUSD)
+                .catch(error => ({ success: false, dex, error: error.message }))
+        ));
+        
+        return quotes.filter(quote =>
+            quote.success &&
+            quote.price > 0 &&
+            quote.liquidity > minLiquidity
+        );
+    }
+    
+    /**
+     * Convert a USD trade size into raw token units at the current USD price
+     */
+    async getTradeAmount(symbol, amountUSD) {
+        const token = config.tokens[symbol];
+        if (!token) {
+            throw new Error(`Unknown token: ${symbol}`);
+        }
+        
+        const priceUSD = await this.getTokenPriceUSD(symbol);
+        const amount = (amountUSD / priceUSD).toFixed(token.decimals);
+        
+        return ethers.parseUnits(amount, token.decimals);
+    }
+    
+    /**
+     * Exact-input quote for tokenIn -> tokenOut on one DEX. When poolInfo is
+     * given the quote is taken on that pool, otherwise a pool is looked up.
+     */
+    async quoteExactIn(dexName, tokenIn, tokenOut, amountIn, poolInfo = null) {
+        const dex = config.dexes[dexName];
+        if (!dex) {
+            throw new Error(`Unknown DEX: ${dexName}`);
+        }
+        
+        return this.getAdapter(dex).quoteExactIn(tokenIn, tokenOut, amountIn, poolInfo);
+    }
+    
+    // Router call executing one leg on dexName; see DexAdapter.buildSwap
+    async buildSwap(dexName, tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo = null) {
+        const dex = config.dexes[dexName];
+        if (!dex) {
+            throw new Error(`Unknown DEX: ${dexName}`);
+        }
+        
+        return this.getAdapter(dex).buildSwap(tokenIn, tokenOut, amountIn, minAmountOut, recipient, poolInfo);
+    }
+    
+    /**
+     * Executable round trip for an opportunity. Pair opportunities buy the
+     * base token with amountIn of the quote token on buyDex, then sell exactly
+     * what the buy leg returned on sellDex. Multi-hop opportunities carry their
+     * own legs in opportunity.route.
+     */
+    async quoteRoundTrip(opportunity, amountIn) {
+        const route = this.getRoute(opportunity);
+        const { amounts, executions } = await this.quoteRoute(route, amountIn);
+        const startToken = config.tokens[route[0].tokenIn];
+        const firstOut = config.tokens[route[0].tokenOut];
+        const amountOut = amounts[amounts.length - 1];
+        
+        const [amountInUSD, amountOutUSD] = await Promise.all([
+            this.convertToUSD(amountIn, startToken),
+            this.convertToUSD(amountOut, startToken)
+        ]);
+        
+        return {
+            amountIn: parseFloat(ethers.formatUnits(amountIn, startToken.decimals)),
+            baseAmount: parseFloat(ethers.formatUnits(amounts[1], firstOut.decimals)),
+            amountOut: parseFloat(ethers.formatUnits(amountOut, startToken.decimals)),
+            amountInUSD,
+            amountOutUSD,
+            returnPercent: Number((amountOut - amountIn) * 1000000n / amountIn) / 10000,
+            legs: route.map((leg, i) => ({
+                dex: leg.dex,
+                tokenIn: leg.tokenIn,
+                tokenOut: leg.tokenOut,
+                amountOut: parseFloat(ethers.formatUnits(amounts[i + 1], config.tokens[leg.tokenOut].decimals)),
+                execution: executions[i]
+            })),
+            raw: {
+                amountIn: amountIn.toString(),
+                baseAmount: amounts[1].toString(),
+                amountOut: amountOut.toString(),
+                amounts: amounts.map(amount => amount.toString())
+            }
+        };
+    }
+    
+    // Legs of an opportunity as [{ dex, tokenIn, tokenOut, poolInfo }]: buy then sell, or its own route
+    getRoute(opportunity) {
+        return opportunity.route || [
+            { dex: opportunity.buyDex, tokenIn: opportunity.quoteToken, tokenOut: opportunity.token, poolInfo: opportunity.buyPool },
+            { dex: opportunity.sellDex, tokenIn: opportunity.token, tokenOut: opportunity.quoteToken, poolInfo: opportunity.sellPool }
+        ];
+    }
+    
+    /**
+     * Quote a chain of swaps, each leg spending the previous leg's output.
+     * route is [{ dex, tokenIn, tokenOut, poolInfo }] with token symbols.
+     * Consecutive legs on one DEX are quoted as one path where its adapter
+     * supports it, the others leg by leg. Returns the raw amounts, starting
+     * with amountIn, and each leg's quoter execution (null where the quoter
+     * reports none).
+     */
+    async quoteRoute(route, amountIn) {
+        const amounts = [amountIn];
+        const executions = [];
+        
+        for (let start = 0; start < route.length;) {
+            let end = start + 1;
+            while (end < route.length && route[end].dex === route[start].dex) end++;
             
-            // Calculate price
-            const price = Math.pow(Number(sqrtPriceX96) / Math.pow(2, 96), 2);
+            const hops = route.slice(start, end);
+            const quoted = await this.quotePath(hops, amounts[amounts.length - 1]);
             
-            // Simplified liquidity calculation
-            // In production, this would need to account for tick ranges
-            const liquidityNumber = Number(liquidity);
-            const estimatedValue = liquidityNumber * Math.sqrt(price) / 1e12;
+            hops.forEach((leg, i) => {
+                if (quoted.amountsOut[i] === 0n) {
+                    throw new Error(`${leg.tokenIn}→${leg.tokenOut} on ${leg.dex} returned nothing`);
+                }
+            });
             
-            const quotePrice = await this.getTokenPriceUSD(quoteToken.symbol);
-            const liquidityUSD = estimatedValue * quotePrice * 0.1; // Conservative estimate
+            amounts.push(...quoted.amountsOut);
+            executions.push(...quoted.executions.map(execution => execution || null));
+            start = end;
+        }
+        
+        return { amounts, executions };
+    }
+    
+    // Consecutive legs on one DEX as { amountsOut, executions }: one path quote, else leg by leg
+    async quotePath(hops, amountIn) {
+        const dex = config.dexes[hops[0].dex];
+        if (!dex) {
+            throw new Error(`Unknown DEX: ${hops[0].dex}`);
+        }
+        
+        const tokens = [hops[0].tokenIn, ...hops.map(leg => leg.tokenOut)].map(symbol => config.tokens[symbol]);
+        const path = hops.length > 1 ? await this.getAdapter(dex).quotePath(tokens, hops.map(leg => leg.poolInfo), amountIn) : null;
+        if (path) {
+            return path;
+        }
+        
+        const amountsOut = [];
+        const executions = [];
+        
+        for (const [i, leg] of hops.entries()) {
+            const { amountOut, execution } = await this.quoteExactIn(
+                leg.dex, tokens[i], tokens[i + 1], i === 0 ? amountIn : amountsOut[i - 1], leg.poolInfo
+            );
             
-            return Math.max(100, liquidityUSD);
+            amountsOut.push(amountOut);
+            executions.push(execution);
             
-        } catch (error) {
-            logger.logError('Failed to calculate V3 liquidity', error);
-            return 1000; // Fallback
+            // Later legs would spend nothing
+            if (amountOut === 0n) break;
         }
+        
+        return { amountsOut, executions };
     }
     
+    // Stablecoins too are converted at their feed price, so a depeg shows in USD figures
     async convertToUSD(amount, token) {
-        if (token.symbol === 'USDC' || token.symbol === 'USDT') {
-            return parseFloat(ethers.formatUnits(amount, token.decimals));
-        }
-        
         const tokenPrice = await this.getTokenPriceUSD(token.symbol);
         const tokenAmount = parseFloat(ethers.formatUnits(amount, token.decimals));
         
         return tokenAmount * tokenPrice;
     }
     
+    /**
+     * Last known prices of symbols that no live source has confirmed within
+     * maxStalenessMs; anything computed from them is based on an old price
+     */
+    getStalePrices(symbols) {
+        return this.priceStore.getStale(symbols);
+    }
+    
     async cleanup() {
+        await this.priceStore.stop();
+        this.multicall.cleanup();
+        this.poolStates.clear();
         this.cache.flushAll();
         this.cache.close();
         logger.logInfo('PriceFetcher cleaned up');
@@ -0,0 +1,179 @@
+/**
+ * Price Guard - Oracle sanity check on DEX quotes
+ *
+ * Every DEX quote of a pair is compared with the price implied by the
+ * Chainlink feeds (or V3 TWAPs) of its two tokens. A quote further off
+ * than the allowed deviation comes from a broken pool or a bad quote path
+ * rather than from the market; it is dropped (or only flagged) and counted
+ * per reason and per pool.
+ */
+
+const logger = require('./logger');
+
+class PriceGuard {
+    constructor(priceFetcher, options = {}) {
+        this.priceFetcher = priceFetcher;
+        this.settings = {
+            action: 'drop',       // 'drop' outliers or 'flag' and keep them
+            maxDeviation: 5,      // percent, for tokens without their own limit
+            tokenDeviation: {},   // percent by token symbol
+            ...options
+        };
+        
+        this.stats = {
+            checked: 0,
+            passed: 0,
+            unchecked: 0,
+            rejected: 0,
+            flagged: 0,
+            reasons: {},
+            // Rejections by DEX and pool: { dex, pair, pool, rejections, lastReason, lastDeviation, lastSeen }
+            pools: {}
+        };
+    }
+    
+    // Allowed deviation of a pair: the looser of its two tokens' limits
+    getMaxDeviation(baseSymbol, quoteSymbol) {
+        const { maxDeviation, tokenDeviation } = this.settings;
+        
+        return Math.max(tokenDeviation[baseSymbol] ?? maxDeviation, tokenDeviation[quoteSymbol] ?? maxDeviation);
+    }
+    
+    // Oracle USD price of a token at the pinned block (Chainlink, else TWAP), null without either
+    async getReferenceUSD(symbol) {
+        if (symbol === 'USD') {
+            return 1;
+        }
+        
+        const cacheKey = this.priceFetcher.cacheKey('oracle', symbol);
+        const cached = this.priceFetcher.cache.get(cacheKey);
+        
+        if (cached !== undefined) {
+            return cached;
+        }
+        
+        let price = null;
+        
+        try {
+            price = await this.priceFetcher.getChainlinkPrice(symbol);
+        } catch (error) {
+            logger.logDebug(`No Chainlink reference for ${symbol}: ${error.message}`);
+        }
+        
+        // The V3 TWAP stands in for a missing or stale feed
+        if (price === null && this.priceFetcher.twapOracle) {
+            try {
+                price = await this.priceFetcher.twapOracle.getPrice(symbol);
+            } catch (error) {
+                logger.logDebug(`No TWAP reference for ${symbol}: ${error.message}`);
+            }
+        }
+        
+        this.priceFetcher.cache.set(cacheKey, price);
+        return price;
+    }
+    
+    // Oracle price of baseSymbol in quoteSymbol units
+    async getReferencePrice(baseSymbol, quoteSymbol) {
+        const [base, quote] = await Promise.all([
+            this.getReferenceUSD(baseSymbol),
+            this.getReferenceUSD(quoteSymbol)
+        ]);
+        
+        return base && quote ? base / quote : null;
+    }
+    
+    /**
+     * Check quotes of baseSymbol in quoteSymbol units (quoteSymbol 'USD' for
+     * getTokenPrice results) and return the ones to keep. In 'flag' mode
+     * outliers are kept with an oracleCheck { reference, deviation, reason }.
+     */
+    async filter(baseSymbol, quoteSymbol, quotes) {
+        if (quotes.length === 0) {
+            return quotes;
+        }
+        
+        const pair = `${baseSymbol}/${quoteSymbol}`;
+        const reference = await this.getReferencePrice(baseSymbol, quoteSymbol);
+        const maxDeviation = this.getMaxDeviation(baseSymbol, quoteSymbol);
+        const kept = [];
+        
+        for (const quote of quotes) {
+            this.stats.checked++;
+            
+            if (!(quote.price > 0) || !isFinite(quote.price)) {
+                this.reject(quote, pair, 'invalid_price', null);
+                continue;
+            }
+            
+            if (!reference) {
+                this.stats.unchecked++;
+                kept.push(quote);
+                continue;
+            }
+            
+            const deviation = ((quote.price - reference) / reference) * 100;
+            
+            if (Math.abs(deviation) <= maxDeviation) {
+                this.stats.passed++;
+                kept.push(quote);
+                continue;
+            }
+            
+            const reason = deviation > 0 ? 'above_oracle' : 'below_oracle';
+            
+            if (this.settings.action === 'flag') {
+                this.record(quote, pair, reason, deviation);
+                this.stats.flagged++;
+                kept.push({ ...quote, oracleCheck: { reference, deviation, reason } });
+            } else {
+                this.reject(quote, pair, reason, deviation);
+            }
+        }
+        
+        return kept;
+    }
+    
+    reject(quote, pair, reason, deviation) {
+        this.record(quote, pair, reason, deviation);
+        this.stats.rejected++;
+    }
+    
+    record(quote, pair, reason, deviation) {
+        const pool = quote.poolInfo?.pool || quote.poolInfo?.pair || null;
+        const key = `${quote.dex}:${pool || pair}`;
+        const detail = deviation === null ? reason : `${deviation > 0 ? '+' : ''}${deviation.toFixed(2)}% vs oracle`;
+        
+        this.stats.reasons[reason] = (this.stats.reasons[reason] || 0) + 1;
+        
+        let entry = this.stats.pools[key];
+        if (!entry) {
+            entry = this.stats.pools[key] = { dex: quote.dex, pair, pool, rejections: 0 };
+            
+            // Warn once per pool; repeats are visible in the stats
+            logger.logWarning(`🛡️ ${pair} quote on ${quote.dex} ${pool ? `(${pool}) ` : ''}failed the oracle check: ${detail}`);
+        } else {
+            logger.logDebug(`${pair} quote on ${quote.dex} failed the oracle check: ${detail}`);
+        }
+        
+        entry.rejections++;
+        entry.lastReason = reason;
+        entry.lastDeviation = deviation;
+        entry.lastSeen = Date.now();
+    }
+    
+    getStats() {
+        // Worst pools first
+        const pools = Object.values(this.stats.pools).sort((a, b) => b.rejections - a.rejections);
+        
+        return {
+            ...this.stats,
+            pools,
+            rejectionRate: this.stats.checked > 0
+                ? ((this.stats.rejected + this.stats.flagged) / this.stats.checked * 100).toFixed(1)
+                : 0
+        };
+    }
+}
+
+module.exports = PriceGuard;
@@ -0,0 +1,140 @@
+/**
+ * Price Source - Base class for one USD price source (a priceSources[*].source)
+ *
+ * Sources are declared per token in config.tokens[*].priceSources, in order
+ * of priority; settings.priceSources[name] holds the source-wide timeout,
+ * rate limit, staleness limit and API key. getPrice() applies those around
+ * the subclass's fetch() and keeps the per-source health stats.
+ */
+
+class PriceSource {
+    constructor(priceFetcher, options = {}) {
+        this.priceFetcher = priceFetcher;
+        this.settings = {
+            timeoutMs: 5000,
+            // Requests per minute, null for no limit
+            rateLimitPerMinute: null,
+            // Older answers are rejected as stale, null to accept any age
+            maxAgeSeconds: null,
+            ...options
+        };
+        
+        // Start times of the requests of the last minute
+        this.recentRequests = [];
+        
+        this.stats = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            timeouts: 0,
+            rateLimited: 0,
+            stale: 0,
+            totalLatencyMs: 0,
+            lastLatencyMs: null,
+            lastAgeSeconds: null,
+            lastSuccessAt: null,
+            lastError: null,
+            lastErrorAt: null
+        };
+    }
+    
+    /**
+     * { price, updatedAt, detail } of symbol from this source. entry is the
+     * token's priceSources entry; it may override timeoutMs and maxAgeSeconds.
+     */
+    async getPrice(symbol, entry = {}) {
+        const settings = { ...this.settings, ...entry };
+        
+        if (this.isRateLimited()) {
+            this.stats.rateLimited++;
+            throw new Error(`${this.constructor.sourceName} rate limit reached (${settings.rateLimitPerMinute}/min)`);
+        }
+        this.recentRequests.push(Date.now());
+        this.stats.requests++;
+        
+        const start = Date.now();
+        let timer = null;
+        
+        try {
+            const result = await Promise.race([
+                this.fetch(symbol, entry, settings),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        const error = new Error(`${this.constructor.sourceName} timed out after ${settings.timeoutMs}ms`);
+                        error.code = 'TIMEOUT';
+                        reject(error);
+                    }, settings.timeoutMs);
+                })
+            ]);
+            
+            if (!(result.price > 0) || !isFinite(result.price)) {
+                throw new Error(`Invalid ${this.constructor.sourceName} price: ${result.price}`);
+            }
+            
+            const age = result.updatedAt ? (Date.now() - result.updatedAt) / 1000 : null;
+            if (age !== null && settings.maxAgeSeconds && age > settings.maxAgeSeconds) {
+                const error = new Error(`${this.constructor.sourceName} price is stale (last update: ${new Date(result.updatedAt).toISOString()})`);
+                error.code = 'STALE';
+                throw error;
+            }
+            
+            this.stats.successes++;
+            this.stats.lastAgeSeconds = age;
+            this.stats.lastSuccessAt = Date.now();
+            
+            return { updatedAt: null, detail: null, ...result };
+            
+        } catch (error) {
+            this.stats.failures++;
+            if (error.code === 'TIMEOUT') this.stats.timeouts++;
+            if (error.code === 'STALE') this.stats.stale++;
+            this.stats.lastError = error.message;
+            this.stats.lastErrorAt = Date.now();
+            throw error;
+            
+        } finally {
+            clearTimeout(timer);
+            this.stats.lastLatencyMs = Date.now() - start;
+            this.stats.totalLatencyMs += this.stats.lastLatencyMs;
+        }
+    }
+    
+    // { price, updatedAt (ms, null if unknown), detail } of symbol
+    async fetch(symbol, entry, settings) {
+        throw new Error(`${this.constructor.name} does not implement fetch`);
+    }
+    
+    isRateLimited() {
+        if (!this.settings.rateLimitPerMinute) {
+            return false;
+        }
+        
+        const since = Date.now() - 60000;
+        this.recentRequests = this.recentRequests.filter(time => time > since);
+        
+        return this.recentRequests.length >= this.settings.rateLimitPerMinute;
+    }
+    
+    getStats() {
+        const { totalLatencyMs, ...stats } = this.stats;
+        
+        return {
+            ...stats,
+            avgLatencyMs: stats.requests > 0 ? Math.round(totalLatencyMs / stats.requests) : null,
+            successRate: stats.requests > 0 ? (stats.successes / stats.requests) * 100 : null,
+            // Healthy while the latest request succeeded; null until first used
+            healthy: stats.requests === 0 ? null : (stats.lastSuccessAt || 0) >= (stats.lastErrorAt || 0)
+        };
+    }
+    
+    // Push problems with a token's priceSources entry of this source onto errors
+    static validateEntry(symbol, entry, errors) {
+    }
+}
+
+// Name tokens use in their priceSources entries
+PriceSource.sourceName = 'base';
+// ABIs by name, merged into PriceFetcher.interfaces
+PriceSource.abis = {};
+
+module.exports = PriceSource;
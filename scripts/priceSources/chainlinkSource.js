@@ -0,0 +1,52 @@
+/**
+ * Chainlink Source - USD price from a token's Chainlink aggregator
+ *
+ * Entry: { source: 'chainlink', feed }. The answer's updatedAt is checked
+ * against maxAgeSeconds like any other source's timestamp.
+ */
+
+const { ethers } = require('ethers');
+const PriceSource = require('./baseSource');
+
+class ChainlinkSource extends PriceSource {
+    async fetch(symbol, entry) {
+        if (!entry.feed) {
+            throw new Error(`No Chainlink feed address for ${symbol}`);
+        }
+        
+        try {
+            // Latest round and decimals in one batch
+            const iface = this.priceFetcher.interfaces.chainlinkAggregator;
+            const [roundData, decimals] = await Promise.all([
+                this.priceFetcher.multicall.call(entry.feed, iface, 'latestRoundData'),
+                this.priceFetcher.multicall.call(entry.feed, iface, 'decimals')
+            ]);
+            const [, answer, , updatedAt] = roundData;
+            
+            return {
+                price: parseFloat(ethers.formatUnits(answer, decimals)),
+                updatedAt: Number(updatedAt) * 1000
+            };
+            
+        } catch (error) {
+            throw new Error(`Chainlink query failed: ${error.message}`);
+        }
+    }
+    
+    static validateEntry(symbol, entry, errors) {
+        if (!ethers.isAddress(entry.feed)) {
+            errors.push(`Invalid Chainlink feed for ${symbol}: ${entry.feed}`);
+        }
+    }
+}
+
+ChainlinkSource.sourceName = 'chainlink';
+ChainlinkSource.abis = {
+    chainlinkAggregator: [
+        'function decimals() view returns (uint8)',
+        'function description() view returns (string)',
+        'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+    ]
+};
+
+module.exports = ChainlinkSource;
@@ -0,0 +1,61 @@
+/**
+ * CoinGecko Source - USD price from the CoinGecko simple price API
+ *
+ * Entry: { source: 'coingecko', id }. The API key is read from the
+ * environment variable named by apiKeyEnv and sent in apiKeyHeader; the
+ * free tier's rate limit is enforced by rateLimitPerMinute.
+ */
+
+const PriceSource = require('./baseSource');
+
+class CoinGeckoSource extends PriceSource {
+    constructor(priceFetcher, options = {}) {
+        super(priceFetcher, {
+            baseUrl: 'https://api.coingecko.com/api/v3',
+            apiKeyEnv: 'COINGECKO_API_KEY',
+            apiKeyHeader: 'x-cg-demo-api-key',
+            ...options
+        });
+    }
+    
+    async fetch(symbol, entry, settings) {
+        if (!entry.id) {
+            throw new Error(`No CoinGecko ID for ${symbol}`);
+        }
+        
+        const url = `${this.settings.baseUrl}/simple/price?ids=${entry.id}&vs_currencies=usd&include_last_updated_at=true`;
+        const headers = { 'Accept': 'application/json' };
+        
+        const apiKey = this.settings.apiKeyEnv && process.env[this.settings.apiKeyEnv];
+        if (apiKey) {
+            headers[this.settings.apiKeyHeader] = apiKey;
+        }
+        
+        const response = await fetch(url, {
+            signal: AbortSignal.timeout(settings.timeoutMs),
+            headers
+        });
+        
+        if (!response.ok) {
+            throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        const quote = data[entry.id];
+        
+        return {
+            price: quote?.usd,
+            updatedAt: quote?.last_updated_at ? quote.last_updated_at * 1000 : null
+        };
+    }
+    
+    static validateEntry(symbol, entry, errors) {
+        if (!entry.id) {
+            errors.push(`No CoinGecko id for ${symbol}`);
+        }
+    }
+}
+
+CoinGeckoSource.sourceName = 'coingecko';
+
+module.exports = CoinGeckoSource;
@@ -0,0 +1,68 @@
+/**
+ * Price Source Registry - USD price sources keyed by priceSources[*].source
+ *
+ * A new source is a new module registered here; tokens then list it in
+ * their config.tokens[*].priceSources and PriceFetcher tries it in order.
+ */
+
+const config = require('../../config/polygon.json');
+
+class PriceSourceRegistry {
+    constructor() {
+        this.sources = new Map();
+    }
+    
+    register(Source) {
+        this.sources.set(Source.sourceName, Source);
+    }
+    
+    has(name) {
+        return this.sources.has(name);
+    }
+    
+    get(name) {
+        const Source = this.sources.get(name);
+        if (!Source) {
+            throw new Error(`No price source: ${name}`);
+        }
+        
+        return Source;
+    }
+    
+    getNames() {
+        return [...this.sources.keys()];
+    }
+    
+    // One instance of every source, with its settings.priceSources entry
+    createAll(priceFetcher) {
+        return new Map(this.getNames().map(name =>
+            [name, new (this.get(name))(priceFetcher, config.settings?.priceSources?.[name])]));
+    }
+    
+    /**
+     * A token's priceSources entries in priority order; tokens that declare
+     * none use settings.priceSources.defaultSources
+     */
+    getEntries(symbol) {
+        const token = config.tokens[symbol];
+        if (!token) {
+            return [];
+        }
+        
+        return token.priceSources || config.settings?.priceSources?.defaultSources || [];
+    }
+    
+    // ABIs of every registered source, by name
+    getAbis() {
+        return Object.assign({}, ...[...this.sources.values()].map(Source => Source.abis));
+    }
+}
+
+const registry = new PriceSourceRegistry();
+
+registry.register(require('./chainlinkSource'));
+registry.register(require('./twapSource'));
+registry.register(require('./coingeckoSource'));
+
+// Singleton
+module.exports = registry;
@@ -0,0 +1,30 @@
+/**
+ * TWAP Source - USD price from the Uniswap V3 TWAP oracle
+ *
+ * Entry: { source: 'twap' }. The oracle picks the pool itself, so a token
+ * needs nothing but its address; settings.twap must be enabled.
+ */
+
+const PriceSource = require('./baseSource');
+
+class TwapSource extends PriceSource {
+    async fetch(symbol) {
+        const oracle = this.priceFetcher.twapOracle;
+        if (!oracle) {
+            throw new Error('TWAP oracle is disabled');
+        }
+        
+        const twap = await oracle.getTwap(symbol);
+        
+        return {
+            price: twap.price,
+            // The mean runs up to the latest observation
+            updatedAt: Date.now(),
+            detail: { dex: twap.dex, pool: twap.pool, quoteToken: twap.quoteToken, windowSeconds: twap.windowSeconds }
+        };
+    }
+}
+
+TwapSource.sourceName = 'twap';
+
+module.exports = TwapSource;
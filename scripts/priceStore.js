@@ -0,0 +1,131 @@
+/**
+ * Price Store - Last known good USD price of every token
+ *
+ * Every price a live source returns is recorded with its source and time
+ * and persisted under data/, so when all sources fail the fetcher falls
+ * back to a real observation instead of a hard-coded guess. A price older
+ * than maxStalenessMs is stale: opportunities that depend on it are
+ * degraded or suppressed by the engine.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const logger = require('./logger');
+
+class PriceStore {
+    constructor(options = {}) {
+        this.settings = {
+            file: 'data/last_prices.json',
+            maxStalenessMs: 3600000,
+            saveIntervalMs: 10000,
+            ...options
+        };
+        this.filePath = path.resolve(__dirname, '..', this.settings.file);
+        
+        // Last live price by symbol: { price, source, observedAt }
+        this.prices = {};
+        
+        // Nothing is written before the saved prices are read, so a fresh
+        // store never overwrites them
+        this.loaded = false;
+        this.saveTimer = null;
+        this.saving = null;
+    }
+    
+    async load() {
+        try {
+            if (await fs.pathExists(this.filePath)) {
+                const saved = await fs.readJson(this.filePath);
+                
+                // Prices recorded since startup are newer than the saved ones
+                this.prices = { ...(saved.prices || {}), ...this.prices };
+            }
+            
+            logger.logInfo(`Price store loaded: ${Object.keys(this.prices).length} last known prices`);
+            
+        } catch (error) {
+            logger.logWarning(`Price store unreadable, starting empty: ${error.message}`);
+        }
+        
+        this.loaded = true;
+    }
+    
+    // Written to a temp file first so a crash never leaves a truncated store
+    async save() {
+        const tempPath = `${this.filePath}.tmp`;
+        
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, { updatedAt: new Date().toISOString(), prices: this.prices });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+    }
+    
+    record(symbol, price, source) {
+        this.prices[symbol] = { price, source, observedAt: Date.now() };
+        this.scheduleSave();
+    }
+    
+    // Writes are batched: one save per saveIntervalMs at most
+    scheduleSave() {
+        if (!this.loaded || this.saveTimer) {
+            return;
+        }
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saving = this.save()
+                .catch(error => logger.logWarning(`Price store save failed: ${error.message}`))
+                .finally(() => {
+                    this.saving = null;
+                });
+        }, this.settings.saveIntervalMs);
+        
+        // Don't keep the process alive
+        this.saveTimer.unref?.();
+    }
+    
+    /**
+     * Last known price of symbol with its age and whether it is past
+     * maxStalenessMs, null if it was never observed
+     */
+    get(symbol) {
+        const entry = this.prices[symbol];
+        if (!entry) {
+            return null;
+        }
+        
+        const age = Date.now() - entry.observedAt;
+        
+        return { symbol, ...entry, age, stale: age > this.settings.maxStalenessMs };
+    }
+    
+    isStale(symbol) {
+        return this.get(symbol)?.stale || false;
+    }
+    
+    // Entries of the given symbols that are past maxStalenessMs
+    getStale(symbols = Object.keys(this.prices)) {
+        return symbols.map(symbol => this.get(symbol)).filter(entry => entry?.stale);
+    }
+    
+    // Pending writes are flushed so the latest prices survive a restart
+    async stop() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            await this.save().catch(error => logger.logWarning(`Price store save failed: ${error.message}`));
+        }
+        
+        if (this.saving) {
+            await this.saving;
+        }
+    }
+    
+    getStats() {
+        return {
+            tokens: Object.keys(this.prices).length,
+            stale: this.getStale().map(entry => entry.symbol)
+        };
+    }
+}
+
+module.exports = PriceStore;
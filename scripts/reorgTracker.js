@@ -0,0 +1,171 @@
+/**
+ * Reorg Tracker - Recent block hashes and the reorgs that replaced them
+ *
+ * Each block the engine scans is checked against the hashes kept for the
+ * blocks below it. A stored hash that is no longer canonical means those
+ * blocks were orphaned. Scanned blocks can be far apart, so the common
+ * ancestor is found by walking the orphaned branch down its parent hashes,
+ * and the depth of the reorg is measured from there.
+ */
+
+const logger = require('./logger');
+
+class ReorgTracker {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.settings = {
+            trackDepth: 64,
+            ...options
+        };
+        
+        // { hash, parentHash } by block number, for the last trackDepth blocks
+        this.blocks = new Map();
+        this.head = null;
+        
+        this.stats = {
+            startTime: Date.now(),
+            reorgs: 0,
+            orphanedBlocks: 0,
+            maxDepth: 0,
+            lastReorg: null
+        };
+    }
+    
+    updateProvider(newProvider) {
+        this.provider = newProvider;
+    }
+    
+    /**
+     * Record a new block ({ number, hash, parentHash }). Returns
+     * { depth, orphaned, ancestor, head } if stored blocks were orphaned,
+     * otherwise null. depth counts the blocks replaced above the common
+     * ancestor; when the node no longer serves the orphaned branch it is
+     * measured from the highest stored block still canonical, an upper bound.
+     */
+    async addBlock(block) {
+        const orphaned = [];
+        let canonical = null;
+        
+        // Walk down from the highest stored block until one is still canonical
+        const numbers = [...this.blocks.keys()].sort((a, b) => b - a);
+        
+        for (const number of numbers) {
+            // A head below ours is more likely a lagging provider than a reorg;
+            // those blocks are checked once the chain passes them again
+            if (number > block.number) {
+                continue;
+            }
+            
+            const stored = this.blocks.get(number);
+            const canonicalHash = await this.getCanonicalHash(number, block);
+            
+            if (canonicalHash === stored.hash) {
+                if (number < block.number) {
+                    canonical = number;
+                }
+                break;
+            }
+            
+            orphaned.push({ number, ...stored });
+            this.blocks.delete(number);
+        }
+        
+        this.blocks.set(block.number, { hash: block.hash, parentHash: block.parentHash });
+        this.head = block;
+        this.prune();
+        
+        if (orphaned.length === 0) {
+            return null;
+        }
+        
+        orphaned.reverse();
+        const ancestor = await this.findAncestor(orphaned[0], canonical, block);
+        const highest = orphaned[orphaned.length - 1].number;
+        
+        const reorg = {
+            depth: ancestor === null ? highest - orphaned[0].number + 1 : highest - ancestor,
+            orphaned: orphaned.map(({ number, hash }) => ({ number, hash })),
+            ancestor,
+            head: block
+        };
+        
+        this.stats.reorgs++;
+        this.stats.orphanedBlocks += reorg.depth;
+        this.stats.maxDepth = Math.max(this.stats.maxDepth, reorg.depth);
+        this.stats.lastReorg = { depth: reorg.depth, blockNumber: block.number, timestamp: Date.now() };
+        
+        logger.logWarning(`⛓️ Reorg of depth ${reorg.depth} at block ${block.number} (common ancestor: ${ancestor ?? 'unknown'})`);
+        return reorg;
+    }
+    
+    /**
+     * Highest block below an orphaned one that is still canonical, following
+     * the orphaned branch's parent hashes. floor is the highest stored block
+     * known to be canonical; without one the walk covers trackDepth blocks.
+     */
+    async findAncestor(orphan, floor, head) {
+        const lowest = floor ?? Math.max(orphan.number - 1 - this.settings.trackDepth, -1);
+        let parentHash = orphan.parentHash ?? (await this.provider.getBlock(orphan.hash))?.parentHash;
+        
+        for (let number = orphan.number - 1; number > lowest && parentHash; number--) {
+            if (parentHash === await this.getCanonicalHash(number, head)) {
+                return number;
+            }
+            
+            // Orphaned blocks are fetched by hash while the node still has them
+            const parent = await this.provider.getBlock(parentHash);
+            parentHash = parent ? parent.parentHash : null;
+        }
+        
+        return floor;
+    }
+    
+    // The new block carries its own hash and its parent's; anything else is fetched
+    async getCanonicalHash(number, block) {
+        if (number === block.number) {
+            return block.hash;
+        }
+        
+        if (number === block.number - 1 && block.parentHash) {
+            return block.parentHash;
+        }
+        
+        const canonical = await this.provider.getBlock(number);
+        return canonical ? canonical.hash : null;
+    }
+    
+    // Null for blocks that are no longer (or not yet) tracked
+    isCanonical(number, hash) {
+        if (!this.blocks.has(number)) {
+            return null;
+        }
+        
+        return this.blocks.get(number).hash === hash;
+    }
+    
+    prune() {
+        const oldest = this.head.number - this.settings.trackDepth;
+        
+        for (const number of this.blocks.keys()) {
+            if (number <= oldest) {
+                this.blocks.delete(number);
+            }
+        }
+    }
+    
+    getStats() {
+        const hours = (Date.now() - this.stats.startTime) / 3600000;
+        
+        return {
+            reorgs: this.stats.reorgs,
+            orphanedBlocks: this.stats.orphanedBlocks,
+            maxDepth: this.stats.maxDepth,
+            avgDepth: this.stats.reorgs > 0 ? this.stats.orphanedBlocks / this.stats.reorgs : 0,
+            reorgsPerHour: hours > 0 ? this.stats.reorgs / hours : 0,
+            lastReorg: this.stats.lastReorg,
+            trackedBlocks: this.blocks.size
+        };
+    }
+}
+
+module.exports = ReorgTracker;
@@ -0,0 +1,314 @@
+/**
+ * Route Simulator - Runs every leg of an opportunity back-to-back in one eth_call
+ *
+ * Quotes price each leg on its own; the simulation executes the swaps the
+ * way a transaction would, each spending what the previous one paid out.
+ * They are sent from a synthetic executor: an address given Multicall3's
+ * code by a state override, so that a single aggregate3 call makes the swaps
+ * in order with the executor as msg.sender. The same override writes the
+ * executor's starting balance and its router allowances straight into the
+ * tokens' storage, at mapping slots found once per token by probing.
+ * The same overrides let the gas calculator estimate single legs.
+ */
+
+const { ethers } = require('ethers');
+const config = require('../config/polygon.json');
+const logger = require('./logger');
+
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Written to a candidate slot while probing; a read returning it found the mapping
+const PROBE_VALUE = 123456789012345678901234567890n;
+
+class RouteSimulator {
+    constructor(provider, priceFetcher, options = {}) {
+        this.provider = provider;
+        this.priceFetcher = priceFetcher;
+        this.settings = {
+            executor: '0x00000000000000000000000000000000000E8ec0',
+            maxSlotSearch: 20,    // mapping slots tried per token and layout
+            ...options
+        };
+        
+        // Multicall3 runtime code, installed at the executor by every simulation
+        this.executorCode = null;
+        
+        // Mapping position by token and kind ('balance' or 'allowance'): { slot, vyper }
+        this.slots = new Map();
+        
+        this.stats = {
+            simulated: 0,
+            passed: 0,
+            reverted: 0,
+            shortfalls: 0,
+            errors: 0
+        };
+    }
+    
+    updateProvider(provider) {
+        this.provider = provider;
+    }
+    
+    /**
+     * Simulate an opportunity's round trip at its block. Returns { success,
+     * blockTag, token, amountIn, amountOut, amountOutUSD, returnPercent,
+     * gasUsed, failedLeg, reason, legs }, amounts in the route's start token
+     * and legs as [{ dex, tokenIn, tokenOut, amountOut }]. A failed leg
+     * carries the router's revert reason, or the shortfall when it paid out
+     * less than the next leg was quoted to spend.
+     */
+    async simulate(opportunity) {
+        const raw = opportunity.roundTrip?.raw?.amounts;
+        if (!raw) {
+            return { success: false, reason: 'No executable quote to simulate', legs: [] };
+        }
+        
+        this.stats.simulated++;
+        
+        const blockTag = opportunity.blockNumber ? ethers.toQuantity(opportunity.blockNumber) : 'latest';
+        const amounts = raw.map(amount => BigInt(amount));
+        const route = this.priceFetcher.getRoute(opportunity);
+        const start = config.tokens[route[0].tokenIn];
+        
+        const result = {
+            success: false,
+            blockTag,
+            token: start.symbol,
+            amountIn: parseFloat(ethers.formatUnits(amounts[0], start.decimals)),
+            amountOut: null,
+            amountOutUSD: null,
+            returnPercent: null,
+            gasUsed: null,
+            failedLeg: null,
+            reason: null,
+            legs: route.map(({ dex, tokenIn, tokenOut }) => ({ dex, tokenIn, tokenOut, amountOut: null }))
+        };
+        
+        try {
+            const legs = await this.buildLegs(route, amounts);
+            const overrides = await this.buildOverrides(legs, amounts[0], blockTag);
+            const tx = this.buildTransaction(legs);
+            
+            const data = await this.provider.send('eth_call', [tx, blockTag, overrides]);
+            const [results] = this.priceFetcher.multicall.interface.decodeFunctionResult('aggregate3', data);
+            
+            const amountOut = this.readLegs(legs, results, amounts[0], result);
+            if (amountOut === null) {
+                return result;
+            }
+            
+            result.success = true;
+            result.amountOut = parseFloat(ethers.formatUnits(amountOut, start.decimals));
+            result.amountOutUSD = await this.priceFetcher.convertToUSD(amountOut, start);
+            result.returnPercent = Number((amountOut - amounts[0]) * 1000000n / amounts[0]) / 10000;
+            result.gasUsed = await this.estimateGas(tx, blockTag, overrides);
+            
+            this.stats.passed++;
+            logger.logDebug(`Simulated ${result.legs.map(leg => leg.dex).join(' → ')}: ${result.amountIn} → ${result.amountOut} ${start.symbol}`);
+            
+        } catch (error) {
+            this.stats.errors++;
+            result.reason = `Simulation failed: ${error.shortMessage || error.message}`;
+        }
+        
+        return result;
+    }
+    
+    // Router call of every leg, each spending the amount it was quoted on
+    async buildLegs(route, amounts) {
+        const { executor } = this.settings;
+        
+        return Promise.all(route.map(async (leg, i) => {
+            const tokenIn = config.tokens[leg.tokenIn];
+            const tokenOut = config.tokens[leg.tokenOut];
+            
+            // No minimum: the simulation reports what the leg pays rather than enforcing it
+            const swap = await this.priceFetcher.buildSwap(leg.dex, tokenIn, tokenOut, amounts[i], 0n, executor, leg.poolInfo);
+            
+            return { dex: leg.dex, tokenIn, tokenOut, amountIn: amounts[i], swap };
+        }));
+    }
+    
+    // Executor code, its starting balance and an unlimited allowance for every leg's spender
+    async buildOverrides(legs, amountIn, blockTag) {
+        const { executor } = this.settings;
+        const stateDiffs = {};
+        
+        await this.writeMapping(stateDiffs, legs[0].tokenIn, 'balance', [executor], amountIn, blockTag);
+        
+        for (const leg of legs) {
+            await this.writeMapping(stateDiffs, leg.tokenIn, 'allowance', [executor, leg.swap.spender], ethers.MaxUint256, blockTag);
+        }
+        
+        return {
+            [executor]: { code: await this.getExecutorCode() },
+            ...this.toOverrides(stateDiffs)
+        };
+    }
+    
+    /**
+     * Gas of a single leg's router call, sent by the executor as a plain
+     * account holding amountIn of tokenIn approved to the leg's spender.
+     * Like any eth_estimateGas this includes the 21000 base transaction cost.
+     */
+    async estimateSwapGas(dex, tokenIn, tokenOut, amountIn, poolInfo = null, blockTag = 'latest') {
+        const { executor } = this.settings;
+        const swap = await this.priceFetcher.buildSwap(dex, tokenIn, tokenOut, amountIn, 0n, executor, poolInfo);
+        const stateDiffs = {};
+        
+        await this.writeMapping(stateDiffs, tokenIn, 'balance', [executor], amountIn, blockTag);
+        await this.writeMapping(stateDiffs, tokenIn, 'allowance', [executor, swap.spender], ethers.MaxUint256, blockTag);
+        
+        const tx = { from: executor, to: swap.target, data: swap.data };
+        return Number(await this.provider.send('eth_estimateGas', [tx, blockTag, this.toOverrides(stateDiffs)]));
+    }
+    
+    // Sets a token's balance or allowance entry in stateDiffs, keyed by token address
+    async writeMapping(stateDiffs, token, kind, keys, value, blockTag) {
+        const position = this.mappingKey(await this.findSlot(token, kind, blockTag), keys);
+        stateDiffs[token.address] = { ...stateDiffs[token.address], [position]: ethers.toBeHex(value, 32) };
+    }
+    
+    toOverrides(stateDiffs) {
+        return Object.fromEntries(Object.entries(stateDiffs).map(([address, stateDiff]) => [address, { stateDiff }]));
+    }
+    
+    // aggregate3 on the executor: each swap, then a read of the executor's balance of what it bought
+    buildTransaction(legs) {
+        const { executor } = this.settings;
+        
+        const calls = legs.flatMap(leg => [
+            { target: leg.swap.target, allowFailure: true, callData: leg.swap.data },
+            { target: leg.tokenOut.address, allowFailure: true, callData: erc20Interface.encodeFunctionData('balanceOf', [executor]) }
+        ]);
+        
+        return { to: executor, data: this.priceFetcher.multicall.interface.encodeFunctionData('aggregate3', [calls]) };
+    }
+    
+    /**
+     * What each leg paid out, from the balance read after it, filled into
+     * result.legs. Returns the route's output, or null with result.failedLeg
+     * and result.reason set at the first leg that reverted or came up short.
+     */
+    readLegs(legs, results, amountIn, result) {
+        const { multicall } = this.priceFetcher;
+        const balances = new Map([[legs[0].tokenIn.address, amountIn]]);
+        let amountOut = null;
+        
+        for (let i = 0; i < legs.length; i++) {
+            const { dex, tokenIn, tokenOut } = legs[i];
+            const swap = results[2 * i];
+            const balance = results[2 * i + 1];
+            
+            if (!swap.success) {
+                this.stats.reverted++;
+                result.failedLeg = i;
+                result.reason = `${tokenIn.symbol}→${tokenOut.symbol} on ${dex} reverted: ${multicall.decodeRevert(swap.returnData)}`;
+                return null;
+            }
+            
+            // Exact input: the leg spent all it was given
+            balances.set(tokenIn.address, (balances.get(tokenIn.address) || 0n) - legs[i].amountIn);
+            
+            const [after] = erc20Interface.decodeFunctionResult('balanceOf', balance.returnData);
+            amountOut = after - (balances.get(tokenOut.address) || 0n);
+            balances.set(tokenOut.address, after);
+            result.legs[i].amountOut = parseFloat(ethers.formatUnits(amountOut, tokenOut.decimals));
+            
+            const next = legs[i + 1];
+            if (next && amountOut < next.amountIn) {
+                this.stats.shortfalls++;
+                result.failedLeg = i;
+                result.reason = `${tokenIn.symbol}→${tokenOut.symbol} on ${dex} paid ` +
+                    `${ethers.formatUnits(next.amountIn - amountOut, tokenOut.decimals)} ${tokenOut.symbol} less than quoted`;
+                return null;
+            }
+        }
+        
+        return amountOut;
+    }
+    
+    // Gas of the whole simulated transaction, null where the node cannot estimate with overrides
+    async estimateGas(tx, blockTag, overrides) {
+        try {
+            return Number(await this.provider.send('eth_estimateGas', [tx, blockTag, overrides]));
+        } catch (error) {
+            logger.logDebug(`Simulation gas estimate unavailable: ${error.shortMessage || error.message}`);
+            return null;
+        }
+    }
+    
+    async getExecutorCode() {
+        if (this.executorCode) {
+            return this.executorCode;
+        }
+        
+        const code = await this.provider.send('eth_getCode', [this.priceFetcher.multicall.address, 'latest']);
+        if (!code || code === '0x') {
+            throw new Error('Multicall3 is not deployed on this chain');
+        }
+        
+        this.executorCode = code;
+        return code;
+    }
+    
+    /**
+     * Storage position of mapping[keys[0]][keys[1]]... for a mapping at
+     * { slot, vyper }: Solidity hashes key then position, Vyper the reverse
+     */
+    mappingKey({ slot, vyper }, keys) {
+        return keys.reduce((position, key) => ethers.keccak256(vyper
+            ? abiCoder.encode(['uint256', 'address'], [position, key])
+            : abiCoder.encode(['address', 'uint256'], [key, position])), slot);
+    }
+    
+    /**
+     * Slot of a token's balance or allowance mapping: the first slot (and
+     * layout) where an overridden value shows up in balanceOf or allowance
+     */
+    async findSlot(token, kind, blockTag) {
+        const cacheKey = `${token.address.toLowerCase()}:${kind}`;
+        if (this.slots.has(cacheKey)) {
+            return this.slots.get(cacheKey);
+        }
+        
+        const { executor, maxSlotSearch } = this.settings;
+        const keys = kind === 'balance' ? [executor] : [executor, executor];
+        const data = erc20Interface.encodeFunctionData(kind === 'balance' ? 'balanceOf' : 'allowance', keys);
+        
+        for (let slot = 0; slot < maxSlotSearch; slot++) {
+            for (const vyper of [false, true]) {
+                const layout = { slot, vyper };
+                const stateDiff = { [this.mappingKey(layout, keys)]: ethers.toBeHex(PROBE_VALUE, 32) };
+                
+                try {
+                    const value = await this.provider.send('eth_call', [
+                        { to: token.address, data }, blockTag, { [token.address]: { stateDiff } }
+                    ]);
+                    
+                    if (BigInt(value) === PROBE_VALUE) {
+                        this.slots.set(cacheKey, layout);
+                        return layout;
+                    }
+                    
+                } catch (error) {
+                    // A reverting read only rules this slot out
+                }
+            }
+        }
+        
+        throw new Error(`No ${kind} slot found for ${token.symbol} in its first ${maxSlotSearch} slots`);
+    }
+    
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = RouteSimulator;
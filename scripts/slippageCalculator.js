@@ -4,17 +4,12 @@
 
 const logger = require('./logger');
 const { validateNumeric } = require('./utils');
+const dexAdapters = require('./dexAdapters');
 
 class SlippageCalculator {
     constructor(provider) {
         this.provider = provider;
         
-        // Base slippage rates
-        this.baseSlippage = {
-            v2: 0.003, // 0.3%
-            v3: 0.001  // 0.1% (tighter spreads)
-        };
-        
         // Liquidity impact multipliers
         this.liquidityImpact = {
             veryLow: 5.0,    // < $1k liquidity
@@ -41,9 +36,14 @@ class SlippageCalculator {
     }
     
     calculateSingleSlippage(tradeSize, liquidity, poolInfo) {
-        // Base slippage
-        const poolType = poolInfo?.type || 'v2';
-        let slippage = this.baseSlippage[poolType] || this.baseSlippage.v2;
+        // Price impact the quoter measured for this trade, when it reported one
+        const measured = poolInfo?.execution?.priceImpact;
+        if (typeof measured === 'number') {
+            return Math.min(measured, 0.10);
+        }
+        
+        // Base slippage of the pool's DEX family
+        let slippage = dexAdapters.forPool(poolInfo).baseSlippage;
         
         // Liquidity impact
         const liquidityMultiplier = this.getLiquidityMultiplier(liquidity);
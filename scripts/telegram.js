@@ -6,6 +6,12 @@ const TelegramBot = require('node-telegram-bot-api');
 const logger = require('./logger');
 const { formatCurrency, getCurrentTimestamp, SimpleMutex } = require('./utils');
 
+// "0.05% USDC @ 1850.21": fee tier (or pool address), quote token and price
+function formatCandidate(candidate) {
+    const pool = candidate.feeTier !== undefined ? `${candidate.feeTier / 10000}%` : `${candidate.pool.slice(0, 8)}…`;
+    return `${pool} ${candidate.quoteToken} @ ${candidate.price.toPrecision(6)}`;
+}
+
 class TelegramNotifier {
     constructor() {
         this.bot = null;
@@ -74,28 +80,119 @@ class TelegramNotifier {
     }
     
     async sendArbitrageAlert(opportunity) {
-        const { token, buyDex, sellDex, spread, analysis } = opportunity;
+        const { token, pair, buyDex, sellDex, spread, analysis, roundTrip } = opportunity;
+        const included = analysis.quoteBased ? ' _(in quote)_' : '';
+        const curve = (analysis.profitCurve || [])
+            .map(point => `- ${formatCurrency(point.amountUSD)}: ${point.netProfit === null ? 'n/a' : formatCurrency(point.netProfit)}`)
+            .join('\n');
+        const sizing = analysis.optimalSize
+            ? `\n📐 *Trade Size:*\n- Optimal: ${formatCurrency(analysis.optimalSize)} → ${formatCurrency(analysis.netProfit)} net\n${curve}\n`
+            : '';
+        const quoted = roundTrip
+            ? `\n*Quoted:* ${roundTrip.amountIn.toFixed(2)} → ${roundTrip.amountOut.toFixed(2)} ${opportunity.quoteToken} (${roundTrip.returnPercent.toFixed(2)}%)`
+            : '';
+        const simulation = opportunity.simulation;
+        const simulated = simulation?.success
+            ? `\n✅ *Simulated:* ${simulation.amountIn.toFixed(2)} → ${simulation.amountOut.toFixed(2)} ${simulation.token}` +
+                (simulation.gasUsed ? `, ${simulation.gasUsed.toLocaleString()} gas` : '')
+            : '';
+        const gas = analysis.gas;
+        const gasSource = gas
+            ? ` _(${gas.units.toLocaleString()} gas, ${gas.source === 'mixed'
+                ? `${gas.legs.filter(leg => leg.source === 'estimated').length} of ${gas.legs.length} legs estimated`
+                : gas.source})_`
+            : '';
+        const block = opportunity.blockNumber ? `\n*Block:* ${opportunity.blockNumber}` : '';
+        const prices = opportunity.buyPrice && opportunity.sellPrice
+            ? `\n*Ask / Bid:* ${opportunity.buyPrice.toPrecision(6)} / ${opportunity.sellPrice.toPrecision(6)}`
+            : '';
+        const oracle = [['Buy', opportunity.buyOracleCheck], ['Sell', opportunity.sellOracleCheck]]
+            .filter(([, check]) => check)
+            .map(([side, check]) => `\n⚠️ *${side} quote:* ${check.deviation.toFixed(2)}% off oracle`)
+            .join('');
+        const pools = [['Buy', opportunity.buyCandidates], ['Sell', opportunity.sellCandidates]]
+            .filter(([, candidates]) => candidates?.length > 1)
+            .map(([side, candidates]) => `\n- ${side}: ${candidates.map(formatCandidate).join(', ')}`)
+            .join('');
+        const alternatives = pools ? `\n🏊 *Pools Considered:*${pools}\n` : '';
+        const stale = (opportunity.degraded?.prices || [])
+            .map(entry => `\n⚠️ *Stale price:* ${entry.symbol} $${entry.price} (${entry.source}, ${Math.round(entry.age / 60000)} min old)`)
+            .join('');
         
         const message = `
 🚨 *ARBITRAGE OPPORTUNITY* 🚨
 
-*Token:* \`${token}\`
+*Token:* \`${pair || token}\`
 *Route:* ${buyDex} → ${sellDex}
-*Spread:* ${spread.toFixed(2)}%
+*Spread:* ${spread.toFixed(2)}%${prices}${quoted}${simulated}${block}${oracle}${stale}
 
 💰 *Profit Analysis:*
 - Input: ${formatCurrency(analysis.inputAmount)}
 - Gross Profit: ${formatCurrency(analysis.grossProfit)}
-- Gas Cost: ${formatCurrency(analysis.gasCost)}
-- Swap Fees: ${formatCurrency(analysis.swapFees)}
-- Slippage: ${formatCurrency(analysis.slippage)}
+- Gas Cost: ${formatCurrency(analysis.gasCost)}${gasSource}
+- Swap Fees: ${formatCurrency(analysis.swapFees)}${included}
+- Slippage: ${formatCurrency(analysis.slippage)}${included}
 - *NET PROFIT:* ${formatCurrency(analysis.netProfit)}
 - *ROI:* ${analysis.roi.toFixed(2)}%
-
+${sizing}${alternatives}
 💧 *Liquidity:*
 - Buy: ${formatCurrency(opportunity.buyLiquidity)}
 - Sell: ${formatCurrency(opportunity.sellLiquidity)}
 
+⏰ *Time:* ${getCurrentTimestamp()}
+        `;
+        
+        return this.sendMessage(message);
+    }
+    
+    /**
+     * Follow-up to an alert whose block was orphaned and whose opportunity
+     * did not hold on the new chain
+     */
+    async sendRetraction(opportunity, reorg) {
+        const { token, pair, buyDex, sellDex, analysis } = opportunity;
+        
+        const message = `
+↩️ *OPPORTUNITY RETRACTED* ↩️
+
+*Token:* \`${pair || token}\`
+*Route:* ${buyDex} → ${sellDex}
+*Observed at block:* ${opportunity.blockNumber}
+*Reason:* block orphaned by a ${reorg.depth}-block reorg; not profitable at block ${reorg.head.number}
+*Reported Net Profit:* ${formatCurrency(analysis.netProfit)}
+
+⏰ *Time:* ${getCurrentTimestamp()}
+        `;
+        
+        return this.sendMessage(message);
+    }
+    
+    async sendDepegAlert(status, settings) {
+        const scanning = settings.pauseScanning
+            ? 'paused until it recovers'
+            : `continues; USD figures use the $${status.price.toFixed(4)} feed price`;
+        
+        const message = `
+⚠️ *STABLECOIN DEPEG* ⚠️
+
+*Token:* \`${status.symbol}\`
+*Price:* $${status.price.toFixed(4)} (${status.deviation > 0 ? '+' : ''}${status.deviation.toFixed(2)}%)
+*Threshold:* ±${settings.thresholdPercent}%
+*Scanning:* ${scanning}
+
+⏰ *Time:* ${getCurrentTimestamp()}
+        `;
+        
+        return this.sendMessage(message);
+    }
+    
+    async sendDepegRecovery(status) {
+        const message = `
+✅ *STABLECOIN BACK ON PEG* ✅
+
+*Token:* \`${status.symbol}\`
+*Price:* $${status.price.toFixed(4)} (${status.deviation > 0 ? '+' : ''}${status.deviation.toFixed(2)}%)
+
 ⏰ *Time:* ${getCurrentTimestamp()}
         `;
         
@@ -133,7 +230,10 @@ ${features}
 - Opportunities Found: ${stats.opportunitiesFound}
 - Profitable: ${stats.profitableOpportunities}
 - Total Net Profit: ${formatCurrency(stats.totalNetProfit)}
-- Success Rate: ${stats.successRate}%
+- Success Rate: ${stats.successRate}%${stats.reorgs ? `
+- Reorgs: ${stats.reorgs.reorgs} (max depth ${stats.reorgs.maxDepth}), ${stats.retractedOpportunities} retracted` : ''}${stats.priceGuard ? `
+- Oracle Rejections: ${stats.priceGuard.rejected} of ${stats.priceGuard.checked} quotes` : ''}${stats.degradedOpportunities || stats.suppressedOpportunities ? `
+- Stale Prices: ${stats.degradedOpportunities} degraded, ${stats.suppressedOpportunities} suppressed` : ''}
 
 ⏰ *Stopped:* ${getCurrentTimestamp()}
         `;
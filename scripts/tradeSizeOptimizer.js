@@ -0,0 +1,124 @@
+/**
+ * Trade Size Optimizer - Golden-section search for the most profitable input size
+ */
+
+const logger = require('./logger');
+
+// 1 / golden ratio
+const INV_PHI = (Math.sqrt(5) - 1) / 2;
+
+class TradeSizeOptimizer {
+    constructor(priceFetcher, options = {}) {
+        this.priceFetcher = priceFetcher;
+        
+        this.minAmountUSD = options.minAmountUSD || 50;
+        this.maxAmountUSD = options.maxAmountUSD || 50000;
+        this.maxLiquidityShare = options.maxLiquidityShare || 0.1; // Never size above 10% of the shallower pool
+        this.iterations = options.iterations || 12;
+        this.referenceSizesUSD = options.referenceSizesUSD || [100, 500, 1000, 5000, 10000];
+    }
+    
+    /**
+     * Find the input size that maximizes the round-trip output of a pair
+     * opportunity. Gas does not depend on size, so maximizing gross profit
+     * also maximizes net profit.
+     */
+    async optimizeRoundTrip(opportunity) {
+        const maxAmountUSD = this.getMaxAmountUSD(opportunity.buyLiquidity, opportunity.sellLiquidity);
+        
+        return this.optimize(async (amountUSD) => {
+            const amountIn = await this.priceFetcher.getTradeAmount(opportunity.quoteToken, amountUSD);
+            const roundTrip = await this.priceFetcher.quoteRoundTrip(opportunity, amountIn);
+            
+            return {
+                roundTrip,
+                grossProfit: roundTrip.amountOutUSD - roundTrip.amountInUSD
+            };
+        }, maxAmountUSD);
+    }
+    
+    getMaxAmountUSD(...liquidities) {
+        const known = liquidities.filter(liquidity => liquidity > 0);
+        if (known.length === 0) {
+            return this.maxAmountUSD;
+        }
+        
+        return Math.min(this.maxAmountUSD, Math.min(...known) * this.maxLiquidityShare);
+    }
+    
+    /**
+     * Golden-section search over log(size) in [minAmountUSD, maxAmountUSD].
+     * evaluate(amountUSD) resolves to { grossProfit, roundTrip }; a rejected
+     * evaluation (e.g. a quote reverting at that size) counts as -Infinity.
+     * Returns null when no size could be quoted.
+     */
+    async optimize(evaluate, maxAmountUSD = this.maxAmountUSD) {
+        const samples = new Map();
+        
+        const sample = async (amountUSD) => {
+            const key = amountUSD.toPrecision(8);
+            if (!samples.has(key)) {
+                samples.set(key, evaluate(amountUSD).then(
+                    result => ({ amountUSD, ...result }),
+                    error => {
+                        logger.logDebug(`Sizing quote failed at $${amountUSD.toFixed(2)}: ${error.message}`);
+                        return { amountUSD, grossProfit: -Infinity, roundTrip: null };
+                    }
+                ));
+            }
+            return samples.get(key);
+        };
+        
+        const upper = Math.max(maxAmountUSD, this.minAmountUSD);
+        let lo = Math.log(this.minAmountUSD);
+        let hi = Math.log(upper);
+        let x1 = hi - INV_PHI * (hi - lo);
+        let x2 = lo + INV_PHI * (hi - lo);
+        let [f1, f2] = await Promise.all([sample(Math.exp(x1)), sample(Math.exp(x2))]);
+        
+        for (let i = 0; i < this.iterations; i++) {
+            if (f1.grossProfit < f2.grossProfit) {
+                lo = x1;
+                x1 = x2;
+                f1 = f2;
+                x2 = lo + INV_PHI * (hi - lo);
+                f2 = await sample(Math.exp(x2));
+            } else {
+                hi = x2;
+                x2 = x1;
+                f2 = f1;
+                x1 = hi - INV_PHI * (hi - lo);
+                f1 = await sample(Math.exp(x1));
+            }
+        }
+        
+        const best = f1.grossProfit >= f2.grossProfit ? f1 : f2;
+        if (!best.roundTrip) {
+            return null;
+        }
+        
+        // Profit curve at the reference sizes that fit the route, plus the optimum
+        const references = await Promise.all(
+            this.referenceSizesUSD
+                .filter(amountUSD => amountUSD >= this.minAmountUSD && amountUSD <= upper)
+                .map(sample)
+        );
+        
+        const curve = [...references, best]
+            .sort((a, b) => a.amountUSD - b.amountUSD)
+            .map(point => ({
+                amountUSD: point.amountUSD,
+                grossProfit: point.roundTrip ? point.grossProfit : null
+            }));
+            
+        return {
+            amountUSD: best.amountUSD,
+            grossProfit: best.grossProfit,
+            roundTrip: best.roundTrip,
+            curve,
+            evaluations: samples.size
+        };
+    }
+}
+
+module.exports = TradeSizeOptimizer;
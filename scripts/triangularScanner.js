@@ -0,0 +1,183 @@
+/**
+ * Triangular Scanner - 3-hop cycles such as USDC → WETH → WMATIC → USDC
+ */
+
+const pLimit = require('p-limit');
+
+const config = require('../config/polygon.json');
+const logger = require('./logger');
+
+class TriangularScanner {
+    constructor(priceFetcher, options = {}) {
+        this.priceFetcher = priceFetcher;
+        
+        this.tokens = options.tokens || Object.keys(config.tokens);
+        // Cycles are reported from the first of these tokens they contain
+        this.startTokens = options.startTokens || ['USDC', 'USDT', 'WETH', 'WMATIC'];
+        this.dexes = options.dexes || Object.keys(config.dexes);
+        this.mixedDexes = options.mixedDexes ?? true;
+        this.minSpread = options.minSpread ?? 0.1; // % at the reference size
+        this.minLiquidity = options.minLiquidity ?? 100;
+        this.referenceAmountUSD = options.referenceAmountUSD || 1000;
+        
+        this.limit = pLimit(options.concurrency || 32);
+    }
+    
+    /**
+     * All 3-token cycles, one rotation each: A → B → C → A where A is the
+     * earliest start token in the cycle. Both directions are kept.
+     */
+    enumerateCycles() {
+        const cycles = [];
+        
+        for (const start of this.startTokens) {
+            if (!this.tokens.includes(start)) continue;
+            
+            // Tokens that would be preferred as start are left to their own rotation
+            const preferred = this.startTokens.slice(0, this.startTokens.indexOf(start));
+            const others = this.tokens.filter(token => token !== start && !preferred.includes(token));
+            
+            for (const middle of others) {
+                for (const last of others) {
+                    if (middle !== last) {
+                        cycles.push([start, middle, last]);
+                    }
+                }
+            }
+        }
+        
+        return cycles;
+    }
+    
+    /**
+     * Quote every directed edge used by the cycles on every DEX at the
+     * reference size. Returns a Map of 'A>B' to the usable quotes.
+     */
+    async loadEdges(cycles) {
+        const keys = new Set();
+        for (const [a, b, c] of cycles) {
+            keys.add(`${a}>${b}`);
+            keys.add(`${b}>${c}`);
+            keys.add(`${c}>${a}`);
+        }
+        
+        const edges = new Map();
+        
+        await Promise.all([...keys].map(key => this.limit(async () => {
+            const [tokenIn, tokenOut] = key.split('>');
+            edges.set(key, await this.priceFetcher.getEdgeQuotes(
+                tokenIn, tokenOut, this.dexes, this.referenceAmountUSD, this.minLiquidity
+            ));
+        })));
+        
+        return edges;
+    }
+    
+    /**
+     * Candidate DEX assignments for a cycle: all legs on one DEX, plus the
+     * best DEX per leg when mixing DEXes is allowed.
+     */
+    buildRoutes(cycle, edges) {
+        const hops = cycle.map((token, i) => [token, cycle[(i + 1) % cycle.length]]);
+        const quotes = hops.map(([tokenIn, tokenOut]) => edges.get(`${tokenIn}>${tokenOut}`) || []);
+        
+        if (quotes.some(legQuotes => legQuotes.length === 0)) {
+            return [];
+        }
+        
+        const toRoute = (legQuotes) => legQuotes.map((quote, i) => ({
+            dex: quote.dex,
+            tokenIn: hops[i][0],
+            tokenOut: hops[i][1],
+            price: quote.price,
+            liquidity: quote.liquidity,
+            poolInfo: quote.poolInfo
+        }));
+        
+        const routes = [];
+        
+        for (const dex of this.dexes) {
+            const legQuotes = quotes.map(legQuotes => legQuotes.find(quote => quote.dex === dex));
+            if (legQuotes.every(Boolean)) {
+                routes.push(toRoute(legQuotes));
+            }
+        }
+        
+        if (this.mixedDexes) {
+            const best = quotes.map(legQuotes => legQuotes.reduce((a, b) => (b.price > a.price ? b : a)));
+            if (new Set(best.map(quote => quote.dex)).size > 1) {
+                routes.push(toRoute(best));
+            }
+        }
+        
+        return routes;
+    }
+    
+    /**
+     * Opportunity in the same shape as pair opportunities, with the legs in route.
+     * Each leg is { dex, tokenIn, tokenOut, price, liquidity, poolInfo }.
+     */
+    static routeToOpportunity(route, type) {
+        const rate = route.reduce((product, leg) => product * leg.price, 1);
+        const minLiquidity = Math.min(...route.map(leg => leg.liquidity));
+        const tokens = [...route.map(leg => leg.tokenIn), route[0].tokenIn];
+        
+        return {
+            type,
+            token: route[0].tokenIn,
+            quoteToken: route[0].tokenIn,
+            pair: tokens.join('→'),
+            route: route.map(({ dex, tokenIn, tokenOut, poolInfo }) => ({ dex, tokenIn, tokenOut, poolInfo })),
+            buyDex: route[0].dex,
+            sellDex: route[route.length - 1].dex,
+            buyPrice: 1,
+            sellPrice: rate,
+            spread: (rate - 1) * 100,
+            buyLiquidity: minLiquidity,
+            sellLiquidity: minLiquidity,
+            buyPool: route[0].poolInfo,
+            sellPool: route[route.length - 1].poolInfo,
+            timestamp: Date.now()
+        };
+    }
+    
+    toOpportunity(route) {
+        return TriangularScanner.routeToOpportunity(route, 'triangular');
+    }
+    
+    async scan() {
+        const cycles = this.enumerateCycles();
+        const edges = await this.loadEdges(cycles);
+        
+        // Rates come from reference-size quotes; keep the best route per cycle
+        const candidates = [];
+        for (const cycle of cycles) {
+            const best = this.buildRoutes(cycle, edges)
+                .map(route => this.toOpportunity(route))
+                .reduce((a, b) => (!a || b.spread > a.spread ? b : a), null);
+                
+            if (best && best.spread > this.minSpread) {
+                candidates.push(best);
+            }
+        }
+        
+        // Confirm each cycle leg by leg, every leg spending the previous output
+        const opportunities = [];
+        await Promise.all(candidates.map(candidate => this.limit(async () => {
+            try {
+                const amountIn = await this.priceFetcher.getTradeAmount(candidate.token, this.referenceAmountUSD);
+                candidate.roundTrip = await this.priceFetcher.quoteRoundTrip(candidate, amountIn);
+                opportunities.push(candidate);
+                
+            } catch (error) {
+                logger.logDebug(`Cycle quote failed for ${candidate.pair}: ${error.message}`);
+            }
+        })));
+        
+        logger.logDebug(`Triangular scan: ${cycles.length} cycles, ${candidates.length} candidates, ${opportunities.length} quoted`);
+        
+        return opportunities;
+    }
+}
+
+module.exports = TriangularScanner;
@@ -0,0 +1,161 @@
+/**
+ * TWAP Oracle - Time-weighted prices from Uniswap V3 pool observations
+ *
+ * A token is priced on the deepest V3 pool against one of the quote
+ * stablecoins: observe() over windowSeconds gives the mean tick, the tick
+ * gives the price in the stablecoin, and the stablecoin's Chainlink price
+ * (or its $1 peg if the feed is down) turns that into USD.
+ *
+ * Pool depth is compared as the stablecoin side's virtual reserve (L·√P or
+ * L/√P), which is why only USD stablecoins are used as quote tokens.
+ */
+
+const logger = require('./logger');
+const config = require('../config/polygon.json');
+
+class TwapOracle {
+    constructor(priceFetcher, options = {}) {
+        this.priceFetcher = priceFetcher;
+        this.settings = {
+            windowSeconds: 1800,
+            quoteTokens: ['USDC', 'USDT'],
+            // Pool choice is re-made this often, not on every read
+            poolRefreshMs: 600000,
+            ...options
+        };
+        
+        this.multicall = priceFetcher.multicall;
+        this.iface = priceFetcher.interfaces.v3Pool;
+        
+        // Deepest pool by token symbol: { pool, timestamp }
+        this.pools = new Map();
+    }
+    
+    /**
+     * TWAP of symbol in USD with the pool it came from:
+     * { price, dex, pool, quoteToken, tick, windowSeconds }
+     */
+    async getTwap(symbol) {
+        const token = config.tokens[symbol];
+        if (!token) {
+            throw new Error(`Unknown token: ${symbol}`);
+        }
+        
+        const pool = await this.findPool(token);
+        if (!pool) {
+            throw new Error(`No V3 pool to take a TWAP of ${symbol} from`);
+        }
+        
+        const tick = await this.getMeanTick(pool.address, this.settings.windowSeconds);
+        const tokenIsToken0 = token.address.toLowerCase() === pool.token0.toLowerCase();
+        const [token0, token1] = tokenIsToken0 ? [token, pool.quoteToken] : [pool.quoteToken, token];
+        
+        // token1 per token0 at the mean tick
+        const price0 = Math.pow(1.0001, tick) * Math.pow(10, token0.decimals - token1.decimals);
+        const price = tokenIsToken0 ? price0 : 1 / price0;
+        
+        if (!(price > 0) || !isFinite(price)) {
+            throw new Error(`Invalid TWAP for ${symbol}: ${price}`);
+        }
+        
+        return {
+            price: price * await this.getQuoteUSD(pool.quoteToken.symbol),
+            dex: pool.dex,
+            pool: pool.address,
+            quoteToken: pool.quoteToken.symbol,
+            tick,
+            windowSeconds: this.settings.windowSeconds
+        };
+    }
+    
+    async getPrice(symbol) {
+        return (await this.getTwap(symbol)).price;
+    }
+    
+    // Arithmetic mean tick over the window, rounded towards negative infinity as in OracleLibrary
+    async getMeanTick(poolAddress, windowSeconds) {
+        const [tickCumulatives] = await this.multicall.call(poolAddress, this.iface, 'observe', [[windowSeconds, 0]]);
+        const delta = BigInt(tickCumulatives[1]) - BigInt(tickCumulatives[0]);
+        const window = BigInt(windowSeconds);
+        
+        let tick = delta / window;
+        if (delta < 0n && delta % window !== 0n) {
+            tick--;
+        }
+        
+        return Number(tick);
+    }
+    
+    async getQuoteUSD(symbol) {
+        try {
+            return await this.priceFetcher.getChainlinkPrice(symbol);
+        } catch (error) {
+            logger.logDebug(`TWAP quote token ${symbol} taken at its peg: ${error.message}`);
+            return 1;
+        }
+    }
+    
+    /**
+     * Deepest V3 pool of token against a quote stablecoin, across all V3
+     * DEXes and fee tiers
+     */
+    async findPool(token) {
+        const cached = this.pools.get(token.symbol);
+        if (cached && Date.now() - cached.timestamp < this.settings.poolRefreshMs) {
+            return cached.pool;
+        }
+        
+        const dexes = Object.entries(config.dexes).filter(([, dex]) => dex.type === 'v3');
+        const quoteTokens = this.settings.quoteTokens
+            .filter(symbol => symbol !== token.symbol && config.tokens[symbol])
+            .map(symbol => config.tokens[symbol]);
+            
+        const discovered = await Promise.all(dexes.flatMap(([dexName, dex]) => quoteTokens.map(async quoteToken => {
+            try {
+                const pools = await this.priceFetcher.getAdapter(dex).discoverPools(token, quoteToken);
+                return pools.map(pool => ({ ...pool, dex: dexName, quoteToken }));
+            } catch (error) {
+                return [];
+            }
+        })));
+        
+        const measured = await Promise.all(discovered.flat().map(candidate => this.measure(candidate)));
+        const pool = measured
+            .filter(candidate => candidate && candidate.depth > 0)
+            .sort((a, b) => b.depth - a.depth)[0] || null;
+            
+        this.pools.set(token.symbol, { pool, timestamp: Date.now() });
+        
+        if (pool) {
+            logger.logDebug(`TWAP pool for ${token.symbol}: ${pool.dex} ${pool.address} (${pool.quoteToken.symbol}, fee ${pool.feeTier})`);
+        }
+        
+        return pool;
+    }
+    
+    // Candidate with its token0 and the quote token's virtual reserve, null if unreadable
+    async measure(candidate) {
+        try {
+            const [slot0, liquidity, token0] = await Promise.all([
+                this.multicall.call(candidate.address, this.iface, 'slot0'),
+                this.multicall.call(candidate.address, this.iface, 'liquidity'),
+                this.multicall.call(candidate.address, this.iface, 'token0')
+            ]);
+            
+            const sqrtPrice = Number(slot0[0]) / 2 ** 96;
+            const quoteIsToken0 = candidate.quoteToken.address.toLowerCase() === token0.toLowerCase();
+            const reserve = quoteIsToken0 ? Number(liquidity) / sqrtPrice : Number(liquidity) * sqrtPrice;
+            
+            return {
+                ...candidate,
+                token0,
+                depth: sqrtPrice > 0 ? reserve / Math.pow(10, candidate.quoteToken.decimals) : 0
+            };
+            
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = TwapOracle;
@@ -0,0 +1,453 @@
+/**
+ * V3 Pool Model - Tick-accurate Uniswap V3 liquidity and swap simulation
+ */
+
+const { ethers } = require('ethers');
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const FEE_DENOMINATOR = 1000000n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+// TickMath constants: sqrt(1.0001^-(2^i)) in Q128.128
+const TICK_RATIOS = [
+    [0x2n, 0xfff97272373d413259a46990580e213an],
+    [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+    [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+    [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+    [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+    [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+    [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+    [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+    [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+    [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+    [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+    [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+    [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+    [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+    [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+    [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+    [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+    [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+    [0x80000n, 0x48a170391f7dc42444e8fa2n]
+];
+
+const POOL_ABI = [
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)',
+    'function liquidity() view returns (uint128)',
+    'function fee() view returns (uint24)',
+    'function tickSpacing() view returns (int24)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function tickBitmap(int16 wordPosition) view returns (uint256)',
+    'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)'
+];
+
+// Algebra (QuickSwap V3) pools keep the dynamic fee in globalState and the bitmap in tickTable
+const ALGEBRA_POOL_ABI = [
+    'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+    'function liquidity() view returns (uint128)',
+    'function tickSpacing() view returns (int24)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function tickTable(int16 wordPosition) view returns (uint256)',
+    'function ticks(int24 tick) view returns (uint128 liquidityTotal, int128 liquidityDelta, uint256 outerFeeGrowth0Token, uint256 outerFeeGrowth1Token, int56 outerTickCumulative, uint160 outerSecondsPerLiquidity, uint32 outerSecondsSpent, bool initialized)'
+];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+const algebraInterface = new ethers.Interface(ALGEBRA_POOL_ABI);
+
+// Full-precision math helpers (BigInt equivalents of FullMath / UnsafeMath)
+
+function mulDiv(a, b, denominator) {
+    return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+    const product = a * b;
+    const result = product / denominator;
+    return product % denominator === 0n ? result : result + 1n;
+}
+
+function divRoundingUp(a, b) {
+    return a % b === 0n ? a / b : a / b + 1n;
+}
+
+function getSqrtRatioAtTick(tick) {
+    if (tick < MIN_TICK || tick > MAX_TICK) {
+        throw new Error(`Tick out of range: ${tick}`);
+    }
+    
+    const absTick = BigInt(Math.abs(tick));
+    let ratio = (absTick & 0x1n) !== 0n
+        ? 0xfffcb933bd6fad37aa2d162d1a594001n
+        : 0x100000000000000000000000000000000n;
+        
+    for (const [mask, multiplier] of TICK_RATIOS) {
+        if ((absTick & mask) !== 0n) {
+            ratio = (ratio * multiplier) >> 128n;
+        }
+    }
+    
+    if (tick > 0) {
+        ratio = MAX_UINT256 / ratio;
+    }
+    
+    // Q128.128 -> Q64.96, rounding up
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+function getTickAtSqrtRatio(sqrtPriceX96) {
+    // Float estimate, then correct to the greatest tick with ratio <= sqrtPriceX96
+    const estimate = Math.floor(2 * Math.log(Number(sqrtPriceX96) / Number(Q96)) / Math.log(1.0001));
+    let tick = Math.max(MIN_TICK, Math.min(MAX_TICK, estimate));
+    
+    while (tick < MAX_TICK && getSqrtRatioAtTick(tick + 1) <= sqrtPriceX96) tick++;
+    while (tick > MIN_TICK && getSqrtRatioAtTick(tick) > sqrtPriceX96) tick--;
+    
+    return tick;
+}
+
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+    if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+    
+    const numerator1 = liquidity << 96n;
+    const numerator2 = sqrtB - sqrtA;
+    
+    return roundUp
+        ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+        : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+    if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+    
+    return roundUp
+        ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+        : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+    if (amountIn === 0n) return sqrtPriceX96;
+    
+    if (zeroForOne) {
+        // Token0 in: price moves down, rounding up
+        const numerator1 = liquidity << 96n;
+        const denominator = numerator1 + amountIn * sqrtPriceX96;
+        return mulDivRoundingUp(numerator1, sqrtPriceX96, denominator);
+    }
+    
+    // Token1 in: price moves up, rounding down
+    return sqrtPriceX96 + (amountIn << 96n) / liquidity;
+}
+
+/**
+ * Port of SwapMath.computeSwapStep for exact-input swaps
+ */
+function computeSwapStep(sqrtCurrent, sqrtTarget, liquidity, amountRemaining, feePips) {
+    const zeroForOne = sqrtCurrent >= sqrtTarget;
+    const fee = BigInt(feePips);
+    
+    const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    let amountIn = zeroForOne
+        ? getAmount0Delta(sqrtTarget, sqrtCurrent, liquidity, true)
+        : getAmount1Delta(sqrtCurrent, sqrtTarget, liquidity, true);
+        
+    const sqrtNext = amountRemainingLessFee >= amountIn
+        ? sqrtTarget
+        : getNextSqrtPriceFromInput(sqrtCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+        
+    const reachedTarget = sqrtNext === sqrtTarget;
+    let amountOut;
+    
+    if (zeroForOne) {
+        if (!reachedTarget) amountIn = getAmount0Delta(sqrtNext, sqrtCurrent, liquidity, true);
+        amountOut = getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false);
+    } else {
+        if (!reachedTarget) amountIn = getAmount1Delta(sqrtCurrent, sqrtNext, liquidity, true);
+        amountOut = getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+    }
+    
+    const feeAmount = reachedTarget
+        ? mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee)
+        : amountRemaining - amountIn;
+        
+    return { sqrtNext, amountIn, amountOut, feeAmount };
+}
+
+// sqrt(1 + bps / 10000) as a Q96 multiplier
+function bandMultiplierX96(bps) {
+    const factor = Math.sqrt(1 + bps / 10000);
+    return BigInt(Math.round(factor * 1e12)) * Q96 / 1000000000000n;
+}
+
+class V3PoolModel {
+    constructor(state) {
+        this.address = state.address;
+        this.token0 = state.token0;
+        this.token1 = state.token1;
+        this.fee = Number(state.fee);
+        this.tickSpacing = Number(state.tickSpacing);
+        this.sqrtPriceX96 = BigInt(state.sqrtPriceX96);
+        this.tick = Number(state.tick);
+        this.liquidity = BigInt(state.liquidity);
+        
+        // Initialized ticks sorted ascending: [{ tick, liquidityNet }]
+        this.ticks = [...state.ticks]
+            .map(t => ({ tick: Number(t.tick), liquidityNet: BigInt(t.liquidityNet) }))
+            .sort((a, b) => a.tick - b.tick);
+            
+        // Tick range covered by the loaded bitmap words
+        this.minLoadedTick = Math.max(MIN_TICK, Number(state.minLoadedTick ?? MIN_TICK));
+        this.maxLoadedTick = Math.min(MAX_TICK, Number(state.maxLoadedTick ?? MAX_TICK));
+    }
+    
+    /**
+     * Load pool state, the tick bitmap around the current tick, and the
+     * liquidityNet of every initialized tick found in those words.
+     * With type 'algebra' the pool is read through Algebra's layout and the
+     * current dynamic fee is used.
+     */
+    static async load(multicall, poolAddress, options = {}) {
+        const words = options.bitmapWords ?? 2;
+        const algebra = options.type === 'algebra';
+        const iface = algebra ? algebraInterface : poolInterface;
+        const call = (method, args) => multicall.call(poolAddress, iface, method, args);
+        
+        const [slot0, liquidity, poolFee, tickSpacing, token0, token1] = await Promise.all([
+            call(algebra ? 'globalState' : 'slot0'),
+            call('liquidity'),
+            algebra ? null : call('fee'),
+            call('tickSpacing'),
+            call('token0'),
+            call('token1')
+        ]);
+        
+        const fee = algebra ? slot0[2] : poolFee;
+        
+        const tick = Number(slot0[1]);
+        const spacing = Number(tickSpacing);
+        const compressed = Math.floor(tick / spacing);
+        const currentWord = compressed >> 8;
+        
+        const wordPositions = [];
+        for (let word = currentWord - words; word <= currentWord + words; word++) {
+            wordPositions.push(word);
+        }
+        
+        const bitmaps = await Promise.all(wordPositions.map(word => call(algebra ? 'tickTable' : 'tickBitmap', [word])));
+        
+        const initializedTicks = [];
+        bitmaps.forEach((bitmap, index) => {
+            const word = BigInt(bitmap);
+            if (word === 0n) return;
+            
+            for (let bit = 0; bit < 256; bit++) {
+                if ((word >> BigInt(bit)) & 1n) {
+                    initializedTicks.push(((wordPositions[index] << 8) + bit) * spacing);
+                }
+            }
+        });
+        
+        const tickData = await Promise.all(initializedTicks.map(t => call('ticks', [t])));
+        
+        return new V3PoolModel({
+            address: poolAddress,
+            token0,
+            token1,
+            fee,
+            tickSpacing: spacing,
+            sqrtPriceX96: slot0[0],
+            tick,
+            liquidity,
+            ticks: initializedTicks.map((t, i) => ({ tick: t, liquidityNet: tickData[i][1] })),
+            minLoadedTick: (wordPositions[0] << 8) * spacing,
+            maxLoadedTick: (((wordPositions[wordPositions.length - 1] + 1) << 8) - 1) * spacing
+        });
+    }
+    
+    // Next initialized tick at or below (zeroForOne) or strictly above the given tick
+    nextInitializedTick(tick, zeroForOne) {
+        if (zeroForOne) {
+            for (let i = this.ticks.length - 1; i >= 0; i--) {
+                if (this.ticks[i].tick <= tick) return this.ticks[i];
+            }
+        } else {
+            for (const entry of this.ticks) {
+                if (entry.tick > tick) return entry;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Simulate an exact-input swap, crossing initialized ticks.
+     * complete is false if the swap ran past the loaded bitmap range.
+     */
+    simulateSwap(zeroForOne, amountIn) {
+        let sqrtPriceX96 = this.sqrtPriceX96;
+        let tick = this.tick;
+        let liquidity = this.liquidity;
+        let remaining = BigInt(amountIn);
+        let amountOut = 0n;
+        let feePaid = 0n;
+        let ticksCrossed = 0;
+        let complete = true;
+        
+        while (remaining > 0n) {
+            const next = this.nextInitializedTick(tick, zeroForOne);
+            const boundary = zeroForOne ? this.minLoadedTick : this.maxLoadedTick;
+            const targetTick = next ? next.tick : boundary;
+            const sqrtTarget = getSqrtRatioAtTick(targetTick);
+            
+            if (liquidity === 0n && !next) {
+                complete = false;
+                break;
+            }
+            
+            const step = liquidity === 0n
+                ? { sqrtNext: sqrtTarget, amountIn: 0n, amountOut: 0n, feeAmount: 0n }
+                : computeSwapStep(sqrtPriceX96, sqrtTarget, liquidity, remaining, this.fee);
+                
+            remaining -= step.amountIn + step.feeAmount;
+            amountOut += step.amountOut;
+            feePaid += step.feeAmount;
+            sqrtPriceX96 = step.sqrtNext;
+            
+            if (step.sqrtNext !== sqrtTarget) {
+                tick = getTickAtSqrtRatio(sqrtPriceX96);
+                break;
+            }
+            
+            if (!next) {
+                // Reached the edge of what we loaded; liquidity beyond is unknown
+                complete = false;
+                tick = zeroForOne ? targetTick - 1 : targetTick;
+                break;
+            }
+            
+            liquidity = zeroForOne ? liquidity - next.liquidityNet : liquidity + next.liquidityNet;
+            tick = zeroForOne ? next.tick - 1 : next.tick;
+            ticksCrossed++;
+        }
+        
+        return {
+            amountIn: BigInt(amountIn) - remaining,
+            amountOut,
+            feePaid,
+            sqrtPriceX96After: sqrtPriceX96,
+            tickAfter: tick,
+            ticksCrossed,
+            complete
+        };
+    }
+    
+    /**
+     * Smallest exact input that buys at least amountOut, found by bisection
+     * over simulateSwap. complete is false if amountOut is not reachable
+     * within the loaded bitmap range.
+     */
+    simulateSwapExactOut(zeroForOne, amountOut) {
+        const target = BigInt(amountOut);
+        
+        let high = 1n;
+        let swap = this.simulateSwap(zeroForOne, high);
+        while (swap.amountOut < target) {
+            if (!swap.complete) {
+                return { ...swap, complete: false };
+            }
+            
+            high *= 2n;
+            swap = this.simulateSwap(zeroForOne, high);
+        }
+        
+        let low = high / 2n;
+        while (high - low > 1n) {
+            const mid = (low + high) / 2n;
+            const attempt = this.simulateSwap(zeroForOne, mid);
+            
+            if (attempt.amountOut >= target) {
+                high = mid;
+                swap = attempt;
+            } else {
+                low = mid;
+            }
+        }
+        
+        return swap;
+    }
+    
+    // The same pool at a new price, tick and active liquidity, keeping the loaded tick data
+    withState({ sqrtPriceX96, tick, liquidity }) {
+        return new V3PoolModel({ ...this, sqrtPriceX96, tick, liquidity });
+    }
+    
+    /**
+     * Token amounts available within a price band around the current price:
+     * amount1 received by pushing the price down by bandBps, and amount0
+     * received by pushing it up by bandBps.
+     */
+    getDepth(bandBps) {
+        // Liquidity beyond the loaded bitmap words is unknown, so clamp the band to it
+        const sqrtMin = getSqrtRatioAtTick(this.minLoadedTick);
+        const sqrtMax = getSqrtRatioAtTick(this.maxLoadedTick);
+        const bandLow = this.sqrtPriceX96 * bandMultiplierX96(-bandBps) / Q96;
+        const bandHigh = this.sqrtPriceX96 * bandMultiplierX96(bandBps) / Q96;
+        const sqrtLow = bandLow > sqrtMin ? bandLow : sqrtMin;
+        const sqrtHigh = bandHigh < sqrtMax ? bandHigh : sqrtMax;
+        
+        // Price down: walk initialized ticks descending
+        let amount1 = 0n;
+        let sqrtCurrent = this.sqrtPriceX96;
+        let liquidity = this.liquidity;
+        for (let i = this.ticks.length - 1; i >= 0 && sqrtCurrent > sqrtLow; i--) {
+            const entry = this.ticks[i];
+            if (entry.tick > this.tick) continue;
+            
+            const sqrtTick = getSqrtRatioAtTick(entry.tick);
+            const sqrtNext = sqrtTick > sqrtLow ? sqrtTick : sqrtLow;
+            amount1 += getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false);
+            
+            sqrtCurrent = sqrtNext;
+            if (sqrtTick > sqrtLow) liquidity -= entry.liquidityNet;
+        }
+        if (sqrtCurrent > sqrtLow && liquidity > 0n) {
+            amount1 += getAmount1Delta(sqrtLow, sqrtCurrent, liquidity, false);
+        }
+        
+        // Price up: walk initialized ticks ascending
+        let amount0 = 0n;
+        sqrtCurrent = this.sqrtPriceX96;
+        liquidity = this.liquidity;
+        for (const entry of this.ticks) {
+            if (sqrtCurrent >= sqrtHigh) break;
+            if (entry.tick <= this.tick) continue;
+            
+            const sqrtTick = getSqrtRatioAtTick(entry.tick);
+            const sqrtNext = sqrtTick < sqrtHigh ? sqrtTick : sqrtHigh;
+            amount0 += getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+            
+            sqrtCurrent = sqrtNext;
+            if (sqrtTick < sqrtHigh) liquidity += entry.liquidityNet;
+        }
+        if (sqrtCurrent < sqrtHigh && liquidity > 0n) {
+            amount0 += getAmount0Delta(sqrtCurrent, sqrtHigh, liquidity, false);
+        }
+        
+        return { amount0, amount1 };
+    }
+}
+
+V3PoolModel.getSqrtRatioAtTick = getSqrtRatioAtTick;
+V3PoolModel.getTickAtSqrtRatio = getTickAtSqrtRatio;
+V3PoolModel.computeSwapStep = computeSwapStep;
+V3PoolModel.getAmount0Delta = getAmount0Delta;
+V3PoolModel.getAmount1Delta = getAmount1Delta;
+V3PoolModel.ALGEBRA_ABI = ALGEBRA_POOL_ABI;
+V3PoolModel.MIN_TICK = MIN_TICK;
+V3PoolModel.MAX_TICK = MAX_TICK;
+
+module.exports = V3PoolModel;
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование пулов Algebra (QuickSwap V3) с динамической комиссией (без сети)
+ * Запуск: npm run test-algebra
+ */
+
+const { ethers } = require('ethers');
+const PriceFetcher = require('../scripts/priceFetcher');
+const V3PoolModel = require('../scripts/v3PoolModel');
+const GasCalculator = require('../scripts/gasCalculator');
+const ConfigValidator = require('../scripts/configValidator');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+const POOL_ADDRESS = '0xAE81FAc689A1b4b1e06e7ef4a2ab4CD8aC0A087D';
+
+class AlgebraTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runAlgebraTests() {
+        console.log('🧬 Algebra (QuickSwap V3) Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testPairQuotes();
+            await this.testDynamicFee();
+            await this.testPoolModel();
+            await this.testCostModels();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    /**
+     * WMATIC/USDC Algebra pool at 0.90 USDC per WMATIC. The quoter charges
+     * whatever fee globalState currently holds; state.fee can be changed
+     * between quotes.
+     */
+    createMarket() {
+        const { WMATIC, USDC } = config.tokens;
+        const state = { fee: 1230 };
+        const provider = new MockMulticallProvider();
+        const priceFetcher = new PriceFetcher(provider);
+        const abis = priceFetcher.interfaces;
+        
+        const [token0, token1] = BigInt(WMATIC.address) < BigInt(USDC.address) ? [WMATIC, USDC] : [USDC, WMATIC];
+        const rawPrice = token0 === WMATIC ? 0.9e6 / 1e18 : 1e18 / 0.9e6;
+        const sqrtPriceX96 = BigInt(Math.round(Math.sqrt(rawPrice) * 2 ** 48)) * 2n ** 48n;
+        
+        provider.on(abis.algebraFactory, 'poolByPair', ([a, b]) => {
+            const pair = [a, b].map(address => address.toLowerCase());
+            const found = pair.includes(WMATIC.address.toLowerCase()) && pair.includes(USDC.address.toLowerCase());
+            return [found ? POOL_ADDRESS : ethers.ZeroAddress];
+        });
+        provider.on(abis.algebraPool, 'globalState', () => [sqrtPriceX96, V3PoolModel.getTickAtSqrtRatio(sqrtPriceX96),
+            state.fee, 0, 0, 0, true]);
+        provider.on(abis.algebraPool, 'liquidity', () => [10n ** 18n]);
+        provider.on(abis.algebraPool, 'tickSpacing', () => [60]);
+        provider.on(abis.algebraPool, 'token0', () => [token0.address]);
+        provider.on(abis.algebraPool, 'token1', () => [token1.address]);
+        provider.on(abis.algebraPool, 'tickTable', () => [0n]);
+        provider.on(abis.algebraQuoter, 'quoteExactInputSingle', ([tokenIn, , amountIn]) => {
+            const afterFee = amountIn * BigInt(1000000 - state.fee) / 1000000n;
+            const amountOut = tokenIn === WMATIC.address
+                ? afterFee * 9n / 10n ** 13n
+                : afterFee * 10n ** 13n / 9n;
+            return [amountOut, state.fee];
+        });
+        
+        for (const [symbol, price] of Object.entries({ WMATIC: 0.9, USDC: 1 })) {
+            priceFetcher.tokenPrices.set(`${symbol}_USD`, { price, timestamp: Date.now(), source: 'test' });
+        }
+        
+        return { provider, priceFetcher, state };
+    }
+    
+    async testPairQuotes() {
+        console.log('\n💱 Testing Algebra pair quotes...');
+        
+        const { priceFetcher } = this.createMarket();
+        const { USDC, WMATIC } = config.tokens;
+        
+        this.record('QuickSwap V3 configured as algebra', config.dexes.quickswapv3.type === 'algebra');
+        
+        const result = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswapv3');
+        this.record('Pair quoted through the Algebra quoter', result.success && Math.abs(result.price - 0.9 * (1 - 0.00123)) < 1e-9,
+            `${result.price} USDC`);
+        this.record('Pool resolved with poolByPair', result.poolInfo?.pool === POOL_ADDRESS &&
+            result.poolInfo?.type === 'algebra');
+        this.record('Depth read through the Algebra pool layout', result.liquidity > 0 && result.poolInfo?.depth !== null,
+            `$${Math.round(result.liquidity || 0)}`);
+            
+        const usd = await priceFetcher.getTokenPrice('WMATIC', 'quickswapv3');
+        this.record('getTokenPrice supports algebra', usd.success && Math.abs(usd.price - result.price) < 1e-9);
+        
+        const amountIn = ethers.parseUnits('1000', 6);
+        const exact = await priceFetcher.quoteExactIn('quickswapv3', USDC, WMATIC, amountIn);
+        this.record('quoteExactIn supports algebra', exact.amountOut === amountIn * 998770n / 1000000n * 10n ** 13n / 9n);
+        
+        const missing = await priceFetcher.getPairPrice('WETH', 'USDC', 'quickswapv3');
+        this.record('Pairs without a pool fail cleanly', !missing.success);
+        
+        await priceFetcher.cleanup();
+    }
+    
+    async testDynamicFee() {
+        console.log('\n🌡️  Testing dynamic fee...');
+        
+        const { priceFetcher, state } = this.createMarket();
+        
+        const calm = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswapv3', 1000);
+        state.fee = 3000;
+        const volatile = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswapv3', 2000);
+        
+        this.record('Fee read from globalState', calm.poolInfo?.feeTier === 1230, `${calm.poolInfo?.feeTier} ppm`);
+        this.record('Fee follows the pool between quotes', volatile.poolInfo?.feeTier === 3000 && volatile.price < calm.price,
+            `${volatile.poolInfo?.feeTier} ppm`);
+            
+        // calculateSwapFees charges feeTier ppm on each side
+        const fees = require('../scripts/arbitrageBot').prototype.calculateSwapFees.call(
+            null, 1000, volatile.poolInfo, calm.poolInfo
+        );
+        this.record('Swap fees use the current dynamic fee', Math.abs(fees - 4.23) < 1e-9, `$${fees.toFixed(2)}`);
+        
+        await priceFetcher.cleanup();
+    }
+    
+    async testPoolModel() {
+        console.log('\n🧮 Testing Algebra pool model...');
+        
+        const { priceFetcher, state } = this.createMarket();
+        const { USDC } = config.tokens;
+        
+        const model = await V3PoolModel.load(priceFetcher.multicall, POOL_ADDRESS, { type: 'algebra' });
+        this.record('Model takes fee and spacing from the Algebra pool', model.fee === state.fee && model.tickSpacing === 60);
+        
+        const simulation = await priceFetcher.getAdapter(config.dexes.quickswapv3)
+            .simulateSwap(POOL_ADDRESS, USDC, ethers.parseUnits('100', 6));
+        const expected = 100 * (1 - state.fee / 1e6) / 0.9;
+        const actual = parseFloat(ethers.formatUnits(simulation.amountOut, 18));
+        this.record('Local simulation matches the quoter', Math.abs(actual / expected - 1) < 0.001,
+            `${actual.toFixed(4)} vs ${expected.toFixed(4)} WMATIC`);
+            
+        await priceFetcher.cleanup();
+    }
+    
+    async testCostModels() {
+        console.log('\n⛽ Testing gas and config...');
+        
+        // Only the gas table is read here, never the MATIC price
+        const gasCalculator = new GasCalculator(null, { getTokenPriceUSD: async () => 0.9 });
+        const units = gasCalculator.estimateGasUnits('USDC', 'quickswapv3', 'quickswap');
+        this.record('Algebra swap gas used', units === Math.floor(380000 * 1.1), `${units} units`);
+        
+        const errors = [];
+        const warnings = [];
+        await ConfigValidator.validateConfig(errors, warnings);
+        const issues = [...errors, ...warnings].filter(message => message.includes('quickswapv3'));
+        this.record('Config validator accepts algebra', issues.length === 0, issues.join('; '));
+    }
+    
+    printSummary() {
+        console.log('\n📊 Algebra Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All Algebra tests passed!');
+        } else {
+            console.log('❌ Some Algebra tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new AlgebraTestSuite();
+    tester.runAlgebraTests().catch(console.error);
+}
+
+module.exports = AlgebraTestSuite;
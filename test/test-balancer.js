@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование адаптера Balancer V2 (queryBatchSwap) без сети
+ * Запуск: npm run test-balancer
+ */
+
+const { ethers } = require('ethers');
+const PriceFetcher = require('../scripts/priceFetcher');
+const GasCalculator = require('../scripts/gasCalculator');
+const ConfigValidator = require('../scripts/configValidator');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+const BAL = { address: '0x9a71012B13CA4d3D0Cdc72A177DF3ef03b0E76A3', decimals: 18 };
+const DAI = { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', decimals: 18 };
+const MIMATIC = { address: '0xa3Fa99A148fA48D14Ed51d610c367C61876997F1', decimals: 18 };
+
+const VAULT_ABI = [
+    'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+    'function queryBatchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[] assetDeltas)'
+];
+
+class BalancerTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runBalancerTests() {
+        console.log('⚖️  Balancer V2 Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testWeightedPoolQuotes();
+            await this.testStablePoolAndBestPool();
+            await this.testCostModels();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    /**
+     * Pools keyed by id. Weighted pools swap with the weighted product
+     * formula; stable pools are mocked as constant sum less the fee.
+     */
+    createPools() {
+        const { USDC, USDT, WETH, WMATIC } = config.tokens;
+        const [weighted, stable] = config.dexes.balancer.pools;
+        
+        return {
+            [weighted.id]: {
+                type: 'weighted',
+                tokens: [WMATIC, USDC, WETH, BAL],
+                balances: ['1000000', '900000', '375', '200000'],
+                weights: [0.25, 0.25, 0.25, 0.25],
+                fee: '0.0025'
+            },
+            [stable.id]: {
+                type: 'stable',
+                tokens: [USDC, DAI, MIMATIC, USDT],
+                balances: ['2000000', '2000000', '2000000', '2000000'],
+                fee: '0.0001'
+            }
+        };
+    }
+    
+    swapOut(pool, tokenIn, tokenOut, amountIn) {
+        const i = pool.tokens.findIndex(t => t.address.toLowerCase() === tokenIn.toLowerCase());
+        const o = pool.tokens.findIndex(t => t.address.toLowerCase() === tokenOut.toLowerCase());
+        const amount = parseFloat(ethers.formatUnits(amountIn, pool.tokens[i].decimals)) * (1 - parseFloat(pool.fee));
+        const balanceIn = parseFloat(pool.balances[i]);
+        const balanceOut = parseFloat(pool.balances[o]);
+        
+        const out = pool.type === 'weighted'
+            ? balanceOut * (1 - Math.pow(balanceIn / (balanceIn + amount), pool.weights[i] / pool.weights[o]))
+            : amount;
+            
+        return ethers.parseUnits(out.toFixed(pool.tokens[o].decimals), pool.tokens[o].decimals);
+    }
+    
+    createPriceFetcher(pools) {
+        const priceFetcher = new PriceFetcher(this.createProvider(pools));
+        
+        // Pin USD prices instead of the Chainlink answer
+        for (const [symbol, price] of Object.entries({ WMATIC: 0.9, WETH: 2400, USDC: 1, USDT: 1 })) {
+            priceFetcher.tokenPrices.set(`${symbol}_USD`, { price, timestamp: Date.now(), source: 'test' });
+        }
+        
+        return priceFetcher;
+    }
+    
+    createProvider(pools) {
+        const provider = new MockMulticallProvider();
+        const vault = new ethers.Interface(VAULT_ABI);
+        const poolIface = new ethers.Interface(['function getSwapFeePercentage() view returns (uint256)']);
+        
+        provider.on(vault, 'getPoolTokens', ([poolId]) => {
+            const pool = pools[poolId];
+            if (!pool) throw new Error('BAL#500');
+            return [
+                pool.tokens.map(t => t.address),
+                pool.balances.map((balance, k) => ethers.parseUnits(balance, pool.tokens[k].decimals)),
+                0
+            ];
+        }, config.dexes.balancer.vault);
+        
+        provider.on(vault, 'queryBatchSwap', ([kind, swaps, assets]) => {
+            const [swap] = swaps;
+            const pool = pools[swap.poolId];
+            const tokenIn = assets[Number(swap.assetInIndex)];
+            const tokenOut = assets[Number(swap.assetOutIndex)];
+            
+            if (kind !== 0n || !pool.tokens.some(t => t.address === tokenOut)) throw new Error('BAL#521');
+            
+            const deltas = assets.map(() => 0n);
+            deltas[Number(swap.assetInIndex)] = swap.amount;
+            deltas[Number(swap.assetOutIndex)] = -this.swapOut(pool, tokenIn, tokenOut, swap.amount);
+            return [deltas];
+        }, config.dexes.balancer.vault);
+        
+        for (const [poolId, pool] of Object.entries(pools)) {
+            provider.on(poolIface, 'getSwapFeePercentage', () => [ethers.parseUnits(pool.fee, 18)],
+                ethers.dataSlice(poolId, 0, 20));
+        }
+        
+        return provider;
+    }
+    
+    async testWeightedPoolQuotes() {
+        console.log('\n🏋️  Testing weighted pool quotes...');
+        
+        const pools = this.createPools();
+        const priceFetcher = this.createPriceFetcher(pools);
+        const { USDC, WETH } = config.tokens;
+        const weighted = pools[config.dexes.balancer.pools[0].id];
+        
+        const result = await priceFetcher.getPairPrice('WETH', 'USDC', 'balancer');
+        const expected = parseFloat(ethers.formatUnits(
+            this.swapOut(weighted, WETH.address, USDC.address, ethers.parseUnits('1', 18)), 6
+        ));
+        
+        this.record('Pair quoted through queryBatchSwap', result.success && Math.abs(result.price - expected) < 1e-6,
+            `${result.price} USDC`);
+        this.record('Pool id, type and vault reported', result.poolInfo?.poolId === config.dexes.balancer.pools[0].id &&
+            result.poolInfo?.poolType === 'weighted' && result.poolInfo?.vault === config.dexes.balancer.vault);
+        this.record('Swap fee converted to ppm', result.poolInfo?.feeTier === 2500, `${result.poolInfo?.feeTier} ppm`);
+        
+        // WMATIC $0.90, USDC $1, WETH $2400 known; BAL valued at their average
+        this.record('Liquidity counts tokens outside config.tokens', Math.round(result.liquidity) === 3600000,
+            `$${Math.round(result.liquidity || 0)}`);
+            
+        const usd = await priceFetcher.getTokenPrice('WETH', 'balancer');
+        this.record('getTokenPrice supports balancer', usd.success && Math.abs(usd.price - expected) < 1e-6,
+            `$${usd.price}`);
+            
+        const amountIn = ethers.parseUnits('5000', 6);
+        const exact = await priceFetcher.quoteExactIn('balancer', USDC, WETH, amountIn);
+        this.record('quoteExactIn supports balancer',
+            exact.amountOut === this.swapOut(weighted, USDC.address, WETH.address, amountIn));
+            
+        await priceFetcher.cleanup();
+    }
+    
+    async testStablePoolAndBestPool() {
+        console.log('\n🪙 Testing stable pool and pool selection...');
+        
+        const pools = this.createPools();
+        const { USDC, USDT, WETH } = config.tokens;
+        
+        // A third, deeper USDC/WETH pool that is not in the config
+        const deepId = ethers.zeroPadBytes('0x1111111111111111111111111111111111111111000100000000000000000099', 32);
+        pools[deepId] = { ...pools[config.dexes.balancer.pools[0].id], balances: ['2000000', '1800000', '750', '400000'] };
+        
+        const priceFetcher = this.createPriceFetcher(pools);
+        
+        const stable = await priceFetcher.getPairPrice('USDC', 'USDT', 'balancer');
+        this.record('Stable pool quoted', stable.success && Math.abs(stable.price - 0.9999) < 1e-6, `${stable.price}`);
+        this.record('Stable pool type and fee reported', stable.poolInfo?.poolType === 'stable' &&
+            stable.poolInfo?.feeTier === 100);
+            
+        const dex = {
+            ...config.dexes.balancer,
+            pools: [...config.dexes.balancer.pools, { name: 'deep', id: deepId, poolType: 'weighted' }]
+        };
+        const best = await priceFetcher.getAdapter(dex).quote(WETH, USDC, ethers.parseUnits('10', 18));
+        this.record('Best pool chosen among those holding the pair', best?.poolInfo.poolId === deepId);
+        
+        const missing = await priceFetcher.getAdapter(dex).quote(WETH, USDT, ethers.parseUnits('1', 18));
+        this.record('Pairs outside every pool fail cleanly', missing === null);
+        
+        await priceFetcher.cleanup();
+    }
+    
+    async testCostModels() {
+        console.log('\n⛽ Testing gas and config...');
+        
+        // Only the gas table is read here, never the MATIC price
+        const gasCalculator = new GasCalculator(null, { getTokenPriceUSD: async () => 0.9 });
+        const weighted = gasCalculator.estimateGasUnits('USDC', 'balancer', 'quickswap', [
+            { dex: 'balancer', poolInfo: { poolType: 'weighted' } },
+            { dex: 'quickswap', poolInfo: null }
+        ]);
+        const stable = gasCalculator.estimateGasUnits('USDC', 'balancer', 'quickswap', [
+            { dex: 'balancer', poolInfo: { poolType: 'stable' } },
+            { dex: 'quickswap', poolInfo: null }
+        ]);
+        
+        this.record('Weighted pools use the default Balancer estimate', weighted === Math.floor(300000 * 1.1),
+            `${weighted} units`);
+        this.record('Stable pools use their own estimate', stable === Math.floor(350000 * 1.1), `${stable} units`);
+        
+        const errors = [];
+        const warnings = [];
+        await ConfigValidator.validateConfig(errors, warnings);
+        const balancerIssues = [...errors, ...warnings].filter(message => message.includes('balancer'));
+        this.record('Config validator accepts balancer', balancerIssues.length === 0, balancerIssues.join('; '));
+    }
+    
+    printSummary() {
+        console.log('\n📊 Balancer Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All Balancer tests passed!');
+        } else {
+            console.log('❌ Some Balancer tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new BalancerTestSuite();
+    tester.runBalancerTests().catch(console.error);
+}
+
+module.exports = BalancerTestSuite;
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование раздельных котировок покупки (ask) и продажи (bid) по DEX (без сети)
+ * Запуск: npm run test-bid-ask
+ */
+
+const { ethers } = require('ethers');
+const DexAdapter = require('../scripts/dexAdapters/baseAdapter');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const telegramNotifier = require('../scripts/telegram');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+
+const VAULT_ABI = [
+    'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+    'function queryBatchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) returns (int256[] assetDeltas)'
+];
+
+// Adapter without exact-output quoting: 0.4% off a fixed 0.90 USDC per WMATIC
+class FixedRateAdapter extends DexAdapter {
+    async quote(token, quoteToken, amountIn) {
+        const perToken = token.symbol === 'USDC' ? 1 / 0.9 : 0.9;
+        const amount = parseFloat(ethers.formatUnits(amountIn, token.decimals)) * perToken * 0.996;
+        const amountOut = ethers.parseUnits(amount.toFixed(quoteToken.decimals), quoteToken.decimals);
+        
+        return {
+            amountOut,
+            liquidity: 1000000,
+            poolInfo: { type: 'fixed', pool: '0x00000000000000000000000000000000000F1xed', quoteToken: quoteToken.symbol },
+            candidates: [{ pool: '0x00000000000000000000000000000000000F1xed', feeTier: 4000, amountOut }]
+        };
+    }
+}
+
+class BidAskTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runBidAskTests() {
+        console.log('↔️  Bid/Ask Quoting Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testPairQuotes();
+            await this.testPairSpreads();
+            await this.testFindSpreads();
+            await this.testOtherDexes();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    // WMATIC at $0.90 on QuickSwap and at sushiPrice on SushiSwap, ~$1.8M pools
+    createMarket(sushiPrice) {
+        const { WMATIC, USDC } = config.tokens;
+        const market = new MockV2Market();
+        
+        market.addPool('quickswap', WMATIC, '1000000', USDC, '900000');
+        market.addPool('sushiswap', WMATIC, '1000000', USDC, String(sushiPrice * 1000000));
+        market.setPriceUSD('WMATIC', 0.9);
+        market.setPriceUSD('USDC', 1);
+        
+        return market;
+    }
+    
+    createBot(market) {
+        const bot = new ArbitrageBot();
+        Object.assign(bot, { priceFetcher: market.priceFetcher, poolStream: null, priceGuard: null });
+        return bot;
+    }
+    
+    async testPairQuotes() {
+        console.log('\n📖 Testing bid and ask quotes...');
+        
+        const { WMATIC, USDC } = config.tokens;
+        const market = this.createMarket(0.9);
+        const pool = market.getPool('quickswap', WMATIC.address, USDC.address);
+        const amount = await market.priceFetcher.getTradeAmount('WMATIC', 1000);
+        const tokens = parseFloat(ethers.formatUnits(amount, WMATIC.decimals));
+        
+        const [bid, ask] = await Promise.all([
+            market.priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswap', 1000),
+            market.priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswap', 1000, 'buy')
+        ]);
+        
+        const expectedBid = parseFloat(ethers.formatUnits(market.getAmountOut(pool, WMATIC.address, amount), 6)) / tokens;
+        const expectedAsk = parseFloat(ethers.formatUnits(market.getAmountIn(pool, USDC.address, amount), 6)) / tokens;
+        
+        this.record('Bid is what selling the trade size yields', bid.side === 'sell' && bid.price === expectedBid,
+            bid.price.toFixed(6));
+        this.record('Ask is the exact-output cost of buying it', ask.side === 'buy' && ask.price === expectedAsk &&
+            ask.poolInfo.pair === pool.address, ask.price.toFixed(6));
+            
+        const gap = (ask.price / bid.price - 1) * 100;
+        this.record('Ask sits above bid by both fees and price impacts', gap > 0.6 && gap < 0.9, `${gap.toFixed(3)}%`);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testPairSpreads() {
+        console.log('\n🔍 Testing pair spreads...');
+        
+        // 0.4% apart: inside the 0.6% the two pool fees take
+        const close = this.createMarket(0.9036);
+        const bids = await Promise.all(['quickswap', 'sushiswap'].map(dex =>
+            close.priceFetcher.getPairPrice('WMATIC', 'USDC', dex, 1000)));
+        const midSpread = (bids[1].price / bids[0].price - 1) * 100;
+        
+        const bot = this.createBot(close);
+        const none = await bot.scanPair('WMATIC', 'USDC');
+        this.record('A gap inside the pool fees is not an opportunity', none.length === 0 && midSpread > 0.1,
+            `${midSpread.toFixed(2)}% between bids`);
+            
+        // A constructed engine scanned above; it must also stop cleanly
+        bot.isRunning = true;
+        await bot.stop();
+        this.record('Engine constructed with new stops cleanly', bot instanceof ArbitrageBot && !bot.isRunning);
+        
+        // 2% apart
+        const wide = this.createMarket(0.918);
+        const [quickAsk, sushiBid] = await Promise.all([
+            wide.priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswap', 1000, 'buy'),
+            wide.priceFetcher.getPairPrice('WMATIC', 'USDC', 'sushiswap', 1000)
+        ]);
+        
+        const [opportunity, ...rest] = await this.createBot(wide).scanPair('WMATIC', 'USDC');
+        this.record('Spread is sell bid over buy ask', rest.length === 0 && opportunity?.buyDex === 'quickswap' &&
+            opportunity.buyPrice === quickAsk.price && opportunity.sellPrice === sushiBid.price &&
+            opportunity.spread > 1 && opportunity.spread < 1.4, opportunity ? `${opportunity.spread.toFixed(3)}%` : 'none');
+        this.record('Buy leg uses the pool the ask was quoted on', opportunity?.buyPool?.pair === quickAsk.poolInfo.pair &&
+            opportunity.roundTrip?.returnPercent > 1);
+            
+        await wide.priceFetcher.cleanup();
+    }
+    
+    testFindSpreads() {
+        console.log('\n🔀 Testing spreads between markets...');
+        
+        const market = (dex, bid, ask) => ({ dex, bid: { dex, price: bid }, ask: { dex, price: ask } });
+        const bot = new ArbitrageBot();
+        
+        const spreads = bot.findSpreads([
+            market('quickswap', 0.9, 0.905),
+            market('sushiswap', 0.92, 0.925),
+            market('uniswap', 0.9055, 0.91)
+        ]);
+        const routes = spreads.map(({ buy, sell }) => `${buy.dex}→${sell.dex}`).sort().join();
+        
+        this.record('Routes buy at the ask and sell at the other bid', routes === 'quickswap→sushiswap,uniswap→sushiswap', routes);
+        this.record('Spread measured against the buy ask', Math.abs(spreads.find(({ buy }) => buy.dex === 'quickswap').spread -
+            (0.92 / 0.905 - 1) * 100) < 1e-9);
+        this.record('Gaps of 0.1% or less are not spreads', !spreads.some(({ buy, sell }) =>
+            buy.dex === 'quickswap' && sell.dex === 'uniswap'));
+    }
+    
+    async testOtherDexes() {
+        console.log('\n🧩 Testing DEXes without getAmountsIn...');
+        
+        const { WMATIC, USDC, WETH } = config.tokens;
+        const market = this.createMarket(0.9);
+        const adapter = new FixedRateAdapter(market.priceFetcher, { name: 'Fixed' });
+        
+        const buy = await adapter.quoteBuy(WMATIC, USDC, ethers.parseUnits('1000', 18));
+        const cost = parseFloat(ethers.formatUnits(buy.amountIn, 6));
+        this.record('Cost scaled from a buy-direction exact-input quote', Math.abs(cost - 900 / 0.996) < 0.01 &&
+            buy.poolInfo.quoteToken === 'USDC' && buy.candidates[0].amountIn === buy.amountIn, `${cost.toFixed(4)} USDC`);
+            
+        // Balancer asks the Vault for a GIVEN_OUT swap
+        const [poolConfig] = config.dexes.balancer.pools;
+        const vault = new ethers.Interface(VAULT_ABI);
+        const kinds = [];
+        
+        market.provider.on(vault, 'getPoolTokens', () =>
+            [[WETH.address, USDC.address], [ethers.parseUnits('100', 18), ethers.parseUnits('240000', 6)], 0], config.dexes.balancer.vault);
+        market.provider.on(vault, 'queryBatchSwap', ([kind, [swap]]) => {
+            kinds.push(Number(kind));
+            return [[swap.amount * 24060n / 10n ** 13n, -swap.amount]];
+        }, config.dexes.balancer.vault);
+        market.provider.on(new ethers.Interface(['function getSwapFeePercentage() view returns (uint256)']),
+            'getSwapFeePercentage', () => [ethers.parseUnits('0.0025', 18)], ethers.dataSlice(poolConfig.id, 0, 20));
+        market.setPriceUSD('WETH', 2400);
+        
+        const ask = await market.priceFetcher.getPairPrice('WETH', 'USDC', 'balancer', null, 'buy');
+        this.record('Balancer asks are GIVEN_OUT queries', ask.success && kinds.join() === '1' &&
+            Math.abs(ask.price - 2406) < 1e-6 && ask.poolInfo.poolId === poolConfig.id, `${ask.price} USDC`);
+            
+        await market.priceFetcher.cleanup();
+        
+        const { sendMessage } = telegramNotifier;
+        let message = '';
+        telegramNotifier.sendMessage = async text => {
+            message = text;
+        };
+        
+        try {
+            await telegramNotifier.sendArbitrageAlert({
+                token: 'WMATIC',
+                pair: 'WMATIC/USDC',
+                buyDex: 'quickswap',
+                sellDex: 'sushiswap',
+                buyPrice: 0.905391,
+                sellPrice: 0.916943,
+                spread: 1.28,
+                buyLiquidity: 1800000,
+                sellLiquidity: 1836000,
+                analysis: { inputAmount: 1000, grossProfit: 12.8, gasCost: 0.1, swapFees: 6, slippage: 0, netProfit: 12.7, roi: 1.27 }
+            });
+            this.record('Alert shows the ask and the bid', message.includes('*Ask / Bid:* 0.905391 / 0.916943'));
+        } finally {
+            telegramNotifier.sendMessage = sendMessage;
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 Bid/Ask Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All bid/ask tests passed!');
+        } else {
+            console.log('❌ Some bid/ask tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new BidAskTestSuite();
+    tester.runBidAskTests().catch(console.error);
+}
+
+module.exports = BidAskTestSuite;
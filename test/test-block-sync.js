@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование сканирования по блокам с единым blockTag (без сети)
+ * Запуск: npm run test-block-sync
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const config = require('../config/polygon.json');
+const { sleep } = require('../scripts/utils');
+const { MockV2Market } = require('./test-quoting');
+
+const blockHash = number => ethers.zeroPadValue(ethers.toBeHex(number), 32);
+
+/**
+ * Head of a chain that announces blocks through on('block') like an
+ * ethers provider
+ */
+class MockBlockProvider extends EventEmitter {
+    constructor(head) {
+        super();
+        this.head = head;
+    }
+    
+    async getBlock(blockTag) {
+        const number = blockTag === 'latest' ? this.head : blockTag;
+        return { number, hash: blockHash(number) };
+    }
+    
+    mine() {
+        this.head++;
+        this.emit('block', this.head);
+    }
+}
+
+class BlockSyncTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runBlockSyncTests() {
+        console.log('🧱 Block-Synchronous Scanning Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testPinnedReads();
+            await this.testScanAtBlock();
+            await this.testSerializedScans();
+            await this.testBlockDrivenScans();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    createMarket() {
+        const { WMATIC, USDC } = config.tokens;
+        const market = new MockV2Market();
+        
+        market.addPool('quickswap', WMATIC, '1000000', USDC, '900000');
+        market.setPriceUSD('WMATIC', 0.9);
+        market.setPriceUSD('USDC', 1);
+        
+        return market;
+    }
+    
+    /**
+     * Engine without providers: the scan itself stubbed, with stand-ins for
+     * the other parts the scan path touches
+     */
+    createBot(provider, priceFetcher, scan) {
+        const bot = new ArbitrageBot();
+        
+        Object.assign(bot, {
+            isRunning: true,
+            priceFetcher,
+            gasCalculator: { updateGasPrice: async () => {} },
+            getProvider: () => provider,
+            scanForOpportunities: scan,
+            analyzeOpportunities: async () => [],
+            processProfitableOpportunities: async () => {}
+        });
+        
+        return bot;
+    }
+    
+    async testPinnedReads() {
+        console.log('\n📌 Testing pinned block tag...');
+        
+        const market = this.createMarket();
+        const { priceFetcher, provider } = market;
+        
+        priceFetcher.setBlock({ number: 100, hash: blockHash(100) });
+        const first = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswap');
+        const tags = [...new Set(provider.requests.map(request => request.blockTag))];
+        this.record('Every read of a scan uses the pinned block', first.success && tags.length === 1 && tags[0] === 100,
+            `${provider.requests.length} requests at ${tags.join(', ')}`);
+            
+        const requests = provider.requests.length;
+        await priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswap');
+        this.record('Quotes are cached within a block', provider.requests.length === requests);
+        
+        priceFetcher.setBlock({ number: 101, hash: blockHash(101) });
+        await priceFetcher.getPairPrice('WMATIC', 'USDC', 'quickswap');
+        const newReads = provider.requests.slice(requests);
+        this.record('A new block re-reads instead of reusing the cache', newReads.length > 0 &&
+            newReads.every(request => request.blockTag === 101));
+            
+        priceFetcher.setBlock(null);
+        this.record('Unpinned reads go to latest', priceFetcher.multicall.blockTag === 'latest');
+        
+        await priceFetcher.cleanup();
+    }
+    
+    async testScanAtBlock() {
+        console.log('\n🔍 Testing scan provenance...');
+        
+        const chain = new MockBlockProvider(500);
+        const market = this.createMarket();
+        let tagDuringScan = null;
+        
+        const bot = this.createBot(chain, market.priceFetcher, async () => {
+            tagDuringScan = market.priceFetcher.multicall.blockTag;
+            return [{ pair: 'WMATIC/USDC', spread: 0.5 }];
+        });
+        bot.analyzeOpportunities = async opportunities => opportunities.map(opportunity => ({
+            ...opportunity,
+            analysis: { netProfit: 1 }
+        }));
+        
+        const profitable = await bot.runScan();
+        this.record('Scan pinned to the current head', tagDuringScan === 500);
+        this.record('Opportunities record block number and hash', profitable[0]?.blockNumber === 500 &&
+            profitable[0].blockHash === blockHash(500));
+        this.record('Pin released after the scan', market.priceFetcher.multicall.blockTag === 'latest' &&
+            bot.stats.lastBlock === 500);
+            
+        await bot.runScan({ number: 480, hash: blockHash(480) });
+        this.record('An explicit block is scanned as given', tagDuringScan === 480);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testSerializedScans() {
+        console.log('\n🔒 Testing serialized scans...');
+        
+        const chain = new MockBlockProvider(600);
+        const market = this.createMarket();
+        const events = [];
+        
+        const bot = this.createBot(chain, market.priceFetcher, async () => {
+            events.push(`scan start @${market.priceFetcher.multicall.blockTag}`);
+            chain.head = 601;
+            await sleep(30);
+            events.push(`scan end @${market.priceFetcher.multicall.blockTag}`);
+            return [];
+        });
+        bot.scanPair = async () => {
+            events.push(`pair @${market.priceFetcher.multicall.blockTag}`);
+            return [];
+        };
+        
+        const scan = bot.runScan();
+        await sleep(5);
+        const evaluation = bot.evaluatePairs(['WMATIC/USDC']);
+        await Promise.all([scan, evaluation]);
+        
+        this.record('Event re-evaluation waits for the running scan',
+            events.join(' | ') === 'scan start @600 | scan end @600 | pair @601', events.join(' | '));
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testBlockDrivenScans() {
+        console.log('\n⛓️  Testing block-driven scans...');
+        
+        const chain = new MockBlockProvider(700);
+        const market = this.createMarket();
+        const scanned = [];
+        
+        const bot = this.createBot(chain, market.priceFetcher, async () => {
+            scanned.push(market.priceFetcher.multicall.blockTag);
+            await sleep(30);
+            return [];
+        });
+        
+        bot.startBlockScans();
+        this.record('Subscribed to new blocks', chain.listenerCount('block') === 1);
+        
+        chain.mine(); // 701
+        await sleep(5);
+        chain.mine(); // 702, arrives mid-scan
+        chain.mine(); // 703 supersedes it
+        await sleep(100);
+        
+        this.record('Each scan runs at the announced block', scanned[0] === 701);
+        this.record('Blocks missed during a scan collapse into the newest', scanned.join(',') === '701,703' &&
+            bot.stats.skippedBlocks === 1, scanned.join(','));
+            
+        bot.stopBlockScans();
+        chain.mine();
+        await sleep(50);
+        this.record('Stopping unsubscribes', chain.listenerCount('block') === 0 && scanned.length === 2);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Block Sync Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All block sync tests passed!');
+        } else {
+            console.log('❌ Some block sync tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new BlockSyncTestSuite();
+    tester.runBlockSyncTests().catch(console.error);
+}
+
+module.exports = BlockSyncTestSuite;
@@ -202,7 +202,7 @@ class ConnectionTester {
             const config = require('../config/polygon.json');
             
             // Проверка основных секций
-            const requiredSections = ['tokens', 'dexes', 'tradingPaths', 'settings'];
+            const requiredSections = ['tokens', 'dexes', 'tradingPairs', 'settings'];
             for (const section of requiredSections) {
                 if (!config[section]) {
                     throw new Error(`Missing configuration section: ${section}`);
@@ -219,9 +219,9 @@ class ConnectionTester {
             const dexCount = Object.keys(config.dexes).length;
             console.log(`  ✅ ${dexCount} DEXes configured`);
             
-            // Проверка торговых путей
-            const pathCount = Object.keys(config.tradingPaths).length;
-            console.log(`  ✅ ${pathCount} trading paths configured`);
+            // Проверка торговых пар
+            const pairCount = config.tradingPairs.length;
+            console.log(`  ✅ ${pairCount} trading pairs configured`);
             
             this.results.configStatus = 'valid';
             
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование адаптера Curve StableSwap (без сети)
+ * Запуск: npm run test-curve
+ */
+
+const { ethers } = require('ethers');
+const CurvePool = require('../scripts/curvePool');
+const PriceFetcher = require('../scripts/priceFetcher');
+const GasCalculator = require('../scripts/gasCalculator');
+const ConfigValidator = require('../scripts/configValidator');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+const DAI = '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063';
+
+class CurveTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runCurveTests() {
+        console.log('🌊 Curve StableSwap Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            this.testInvariantMath();
+            await this.testPriceFetcherQuotes();
+            await this.testCostModels();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    // DAI / USDC / USDT pool with A = 200 and a 0.03% fee
+    createPool(balances = ['10000000', '10000000', '10000000']) {
+        return new CurvePool({
+            address: config.dexes.curve.pools[0].address,
+            coins: [DAI, config.tokens.USDC.address, config.tokens.USDT.address],
+            decimals: [18, 6, 6],
+            balances: balances.map((balance, k) => ethers.parseUnits(balance, [18, 6, 6][k])),
+            A: 200,
+            fee: 3000000,
+            underlying: true
+        });
+    }
+    
+    /**
+     * Float solution of the StableSwap invariant for the new balance of coin j:
+     * Ann·Σx + D = Ann·D + D^(n+1) / (n^n·Πx), with Curve's Ann = A·n
+     */
+    referenceDy(xp, A, i, j, dx) {
+        const n = xp.length;
+        const ann = A * n;
+        const sum = xp.reduce((a, b) => a + b, 0);
+        
+        let d = sum;
+        for (let k = 0; k < 255; k++) {
+            const prod = xp.reduce((a, b) => a * b, 1);
+            const f = ann * sum + d - ann * d - Math.pow(d, n + 1) / (Math.pow(n, n) * prod);
+            const df = 1 - ann - (n + 1) * Math.pow(d, n) / (Math.pow(n, n) * prod);
+            d -= f / df;
+        }
+        
+        const x = [...xp];
+        x[i] += dx;
+        
+        let y = x[j];
+        for (let k = 0; k < 255; k++) {
+            x[j] = y;
+            const prod = x.reduce((a, b) => a * b, 1);
+            const s = x.reduce((a, b) => a + b, 0);
+            const f = ann * s + d - ann * d - Math.pow(d, n + 1) / (Math.pow(n, n) * prod);
+            const df = ann + Math.pow(d, n + 1) / (Math.pow(n, n) * prod * y);
+            y -= f / df;
+        }
+        
+        return xp[j] - y;
+    }
+    
+    testInvariantMath() {
+        console.log('\n🧮 Testing StableSwap invariant...');
+        
+        const balanced = this.createPool();
+        const xp = balanced.balances.map((balance, k) => balance * balanced.rates[k] / 10n ** 18n);
+        
+        this.record('D equals the sum for a balanced pool',
+            CurvePool.getD(xp, balanced.A) === xp.reduce((a, b) => a + b, 0n));
+            
+        const dx = ethers.parseUnits('100000', 6);
+        const dy = balanced.getDy(1, 2, dx);
+        const noFee = 100000 * (1 - 0.0003);
+        this.record('Balanced swap is ~1:1 less the fee',
+            Math.abs(parseFloat(ethers.formatUnits(dy, 6)) / noFee - 1) < 0.0005,
+            `${ethers.formatUnits(dy, 6)} USDT`);
+            
+        const skewed = this.createPool(['10000000', '16000000', '4000000']);
+        const expected = this.referenceDy([10e6, 16e6, 4e6], 200, 1, 2, 100000) * (1 - 0.0003);
+        const actual = parseFloat(ethers.formatUnits(skewed.getDy(1, 2, dx), 6));
+        
+        this.record('Matches the invariant on a skewed pool', Math.abs(actual / expected - 1) < 1e-6,
+            `${actual.toFixed(4)} vs ${expected.toFixed(4)}`);
+        this.record('Swapping into the scarce coin costs more',
+            actual < noFee && skewed.getDy(2, 1, dx) > dx);
+        this.record('Decimals normalized (18 → 6)',
+            Math.abs(parseFloat(ethers.formatUnits(balanced.getDy(0, 1, ethers.parseUnits('1000', 18)), 6)) - 999.7) < 0.01);
+    }
+    
+    createProvider(pool) {
+        const provider = new MockMulticallProvider();
+        const iface = new ethers.Interface(CurvePool.ABI);
+        const erc20 = new ethers.Interface(['function decimals() view returns (uint8)']);
+        
+        provider.on(iface, 'underlying_coins', ([i]) => {
+            if (i >= BigInt(pool.coins.length)) throw new Error('index out of range');
+            return [pool.coins[Number(i)]];
+        });
+        provider.on(iface, 'balances', ([i]) => {
+            if (i >= BigInt(pool.coins.length)) throw new Error('index out of range');
+            return [pool.balances[Number(i)]];
+        });
+        provider.on(iface, 'A', () => [pool.A]);
+        provider.on(iface, 'fee', () => [pool.fee]);
+        provider.on(iface, 'get_dy_underlying', ([i, j, dx]) => [pool.getDy(Number(i), Number(j), dx)]);
+        provider.on(erc20, 'decimals', (args, target) => [pool.decimals[pool.indexOf(target)]]);
+        
+        return provider;
+    }
+    
+    async testPriceFetcherQuotes() {
+        console.log('\n💱 Testing PriceFetcher on a Curve DEX...');
+        
+        const pool = this.createPool(['10000000', '12000000', '8000000']);
+        const provider = this.createProvider(pool);
+        const priceFetcher = new PriceFetcher(provider);
+        for (const symbol of ['USDC', 'USDT']) {
+            priceFetcher.tokenPrices.set(`${symbol}_USD`, { price: 1, timestamp: Date.now(), source: 'test' });
+        }
+        
+        const result = await priceFetcher.getPairPrice('USDC', 'USDT', 'curve', 10000);
+        const expected = parseFloat(ethers.formatUnits(pool.getDy(1, 2, ethers.parseUnits('10000', 6)), 6)) / 10000;
+        
+        this.record('Pair quoted through get_dy_underlying', result.success && Math.abs(result.price - expected) < 1e-9,
+            `${result.price}`);
+        this.record('Coin indexes and fee reported', result.poolInfo?.i === 1 && result.poolInfo?.j === 2 &&
+            result.poolInfo?.feeTier === 300);
+        this.record('Liquidity counts coins outside config.tokens', Math.round(result.liquidity) === 30000000,
+            `$${Math.round(result.liquidity || 0)}`);
+            
+        const usd = await priceFetcher.getTokenPrice('USDT', 'curve');
+        this.record('getTokenPrice supports curve', usd.success && usd.price > 1,
+            `$${usd.price}`);
+            
+        const missing = await priceFetcher.getPairPrice('WETH', 'USDC', 'curve');
+        this.record('Tokens outside every pool fail cleanly', !missing.success);
+        
+        const localFetcher = new PriceFetcher(provider);
+        const localConfig = { ...config.dexes.curve.pools[0], quote: 'local' };
+        const local = await localFetcher.getAdapter({ ...config.dexes.curve, pools: [localConfig] })
+            .quote(config.tokens.USDC, config.tokens.USDT, ethers.parseUnits('10000', 6));
+        this.record('Local simulation agrees with get_dy',
+            local?.amountOut === pool.getDy(1, 2, ethers.parseUnits('10000', 6)));
+            
+        await priceFetcher.cleanup();
+        await localFetcher.cleanup();
+    }
+    
+    async testCostModels() {
+        console.log('\n⛽ Testing gas, fees and config...');
+        
+        // Only the gas table is read here, never the MATIC price
+        const gasCalculator = new GasCalculator(null, { getTokenPriceUSD: async () => 0.9 });
+        const units = gasCalculator.estimateGasUnits('USDC', 'curve', 'quickswap');
+        this.record('Curve swap gas used', units === Math.floor(450000 * 1.1), `${units} units`);
+        
+        const errors = [];
+        const warnings = [];
+        await ConfigValidator.validateConfig(errors, warnings);
+        const curveIssues = [...errors, ...warnings].filter(message => message.includes('curve'));
+        this.record('Config validator accepts curve', curveIssues.length === 0, curveIssues.join('; '));
+    }
+    
+    printSummary() {
+        console.log('\n📊 Curve Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All Curve tests passed!');
+        } else {
+            console.log('❌ Some Curve tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new CurveTestSuite();
+    tester.runCurveTests().catch(console.error);
+}
+
+module.exports = CurveTestSuite;
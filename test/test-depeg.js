@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование курса стейблкоинов по Chainlink и мониторинга депега (без сети)
+ * Запуск: npm run test-depeg
+ */
+
+const { ethers } = require('ethers');
+const DepegMonitor = require('../scripts/depegMonitor');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const telegramNotifier = require('../scripts/telegram');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+
+const USDC_FEED = '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7';
+
+class DepegTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runDepegTests() {
+        console.log('💱 Stablecoin Depeg Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testFeedConversion();
+            await this.testMonitor();
+            await this.testEngine();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    /**
+     * V2 market whose USDC/USD feed answers usdc.price; a null price makes
+     * the feed revert
+     */
+    createMarket() {
+        const market = new MockV2Market();
+        const usdc = { price: 1 };
+        
+        market.provider.on(market.abis.chainlinkAggregator, 'latestRoundData', () => {
+            if (usdc.price === null) {
+                throw new Error('feed down');
+            }
+            return [1n, BigInt(Math.round(usdc.price * 1e8)), 0n, BigInt(Math.floor(Date.now() / 1000)), 1n];
+        }, USDC_FEED);
+        
+        return { market, usdc };
+    }
+    
+    async testFeedConversion() {
+        console.log('\n💵 Testing USD conversion...');
+        
+        const { market, usdc } = this.createMarket();
+        usdc.price = 0.97;
+        
+        const usd = await market.priceFetcher.convertToUSD(ethers.parseUnits('1000', 6), config.tokens.USDC);
+        this.record('USDC converted at its feed price', Math.abs(usd - 970) < 1e-6, `$${usd.toFixed(2)}`);
+        this.record('Stablecoin price sourced from Chainlink', market.priceFetcher.getPriceSourceInfo('USDC').source === 'chainlink');
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testMonitor() {
+        console.log('\n📉 Testing depeg monitor...');
+        
+        const { market, usdc } = this.createMarket();
+        const monitor = new DepegMonitor(market.priceFetcher, { tokens: ['USDC'], thresholdPercent: 0.5, recoveryPercent: 0.25 });
+        const events = [];
+        monitor.on('depeg', status => events.push(`depeg ${status.symbol}`));
+        monitor.on('recovered', status => events.push(`recovered ${status.symbol}`));
+        
+        await monitor.check();
+        this.record('On peg: no event', events.length === 0 && !monitor.isDepegged('USDC'));
+        
+        usdc.price = 0.992;
+        const depegged = await monitor.check();
+        this.record('Drift past the threshold raises a depeg', events.join() === 'depeg USDC' &&
+            depegged.length === 1 && Math.abs(depegged[0].deviation + 0.8) < 1e-9);
+            
+        usdc.price = 0.996;
+        await monitor.check();
+        this.record('Stays depegged until inside the recovery band', monitor.isDepegged('USDC') && events.length === 1);
+        
+        usdc.price = null;
+        await monitor.check();
+        this.record('A failed read keeps the last state', monitor.isDepegged('USDC') && monitor.getStats().failures === 1);
+        
+        usdc.price = 0.999;
+        await monitor.check();
+        this.record('Recovery reported once back on peg', events.join() === 'depeg USDC,recovered USDC' &&
+            monitor.getStats().depegs === 1);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testEngine() {
+        console.log('\n⏸️  Testing engine pause...');
+        
+        const { market, usdc } = this.createMarket();
+        const alerts = [];
+        const { sendDepegAlert, sendDepegRecovery } = telegramNotifier;
+        telegramNotifier.sendDepegAlert = async (status, settings) => alerts.push({ status, settings });
+        telegramNotifier.sendDepegRecovery = async status => alerts.push({ status });
+        
+        let scans = 0;
+        const bot = new ArbitrageBot();
+        Object.assign(bot, {
+            isRunning: true,
+            priceFetcher: market.priceFetcher,
+            scanForOpportunities: async () => {
+                scans++;
+                return [];
+            }
+        });
+        
+        try {
+            usdc.price = 0.9;
+            await bot.initializeDepegMonitor();
+            await bot.depegMonitor.stop();
+            
+            this.record('Telegram alert sent on depeg', alerts.length === 1 && alerts[0].status.symbol === 'USDC' &&
+                alerts[0].settings.thresholdPercent === config.settings.depeg.thresholdPercent);
+                
+            bot.depegMonitor.settings.pauseScanning = false;
+            this.record('Scanning continues unless configured to pause', bot.isScanPaused() === false);
+            
+            bot.depegMonitor.settings.pauseScanning = true;
+            const polled = await bot.runScan();
+            const evaluated = await bot.evaluatePairs(['WMATIC/USDC']);
+            this.record('Scans pause while a stablecoin is off peg', polled.length === 0 && evaluated.length === 0 &&
+                scans === 0 && bot.stats.pausedScans === 2);
+            this.record('Pause reported in stats', bot.getStats().depeg.paused === true &&
+                bot.getStats().depeg.tokens.USDC.depegged === true);
+                
+            usdc.price = 1;
+            await bot.depegMonitor.check();
+            this.record('Recovery resumes scanning', bot.isScanPaused() === false && alerts.length === 2);
+            
+        } finally {
+            telegramNotifier.sendDepegAlert = sendDepegAlert;
+            telegramNotifier.sendDepegRecovery = sendDepegRecovery;
+            await market.priceFetcher.cleanup();
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 Depeg Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All depeg tests passed!');
+        } else {
+            console.log('❌ Some depeg tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new DepegTestSuite();
+    tester.runDepegTests().catch(console.error);
+}
+
+module.exports = DepegTestSuite;
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование реестра DEX-адаптеров (без сети)
+ * Запуск: npm run test-adapters
+ */
+
+const { ethers } = require('ethers');
+const dexAdapters = require('../scripts/dexAdapters');
+const DexAdapter = require('../scripts/dexAdapters/baseAdapter');
+const PriceFetcher = require('../scripts/priceFetcher');
+const GasCalculator = require('../scripts/gasCalculator');
+const SlippageCalculator = require('../scripts/slippageCalculator');
+const ConfigValidator = require('../scripts/configValidator');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+/**
+ * A family that exists only in this test: every pair trades at dex.rates
+ * with a flat fee, without any on-chain reads
+ */
+class FixedRateAdapter extends DexAdapter {
+    async discoverPools(token, quoteToken) {
+        const rate = this.dex.rates[`${token.symbol}/${quoteToken.symbol}`];
+        return rate ? [{ address: ethers.ZeroAddress, rate }] : [];
+    }
+    
+    async quote(token, quoteToken, amountIn) {
+        const [pool] = await this.discoverPools(token, quoteToken);
+        if (!pool) return null;
+        
+        const amount = parseFloat(ethers.formatUnits(amountIn, token.decimals)) * pool.rate * (1 - this.dex.fee / 1e6);
+        
+        return {
+            amountOut: ethers.parseUnits(amount.toFixed(quoteToken.decimals), quoteToken.decimals),
+            liquidity: (await this.getDepth(pool)).liquidityUSD,
+            poolInfo: { type: 'fixed', pool: pool.address, feeTier: this.dex.fee, quoteToken: quoteToken.symbol }
+        };
+    }
+    
+    async getDepth() {
+        return { liquidityUSD: 1000000, depth: null };
+    }
+}
+
+FixedRateAdapter.defaultFee = 1000;
+FixedRateAdapter.gasProfile = { swap: 90000 };
+FixedRateAdapter.baseSlippage = 0.0001;
+
+class DexAdapterTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runAdapterTests() {
+        console.log('🔌 DEX Adapter Registry Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            this.testRegistry();
+            await this.testValidatorDelegation();
+            await this.testNewFamily();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    testRegistry() {
+        console.log('\n📚 Testing registry...');
+        
+        const configured = [...new Set(Object.values(config.dexes).map(dex => dex.type))];
+        this.record('Every configured DEX type has an adapter', configured.every(type => dexAdapters.has(type)),
+            configured.join(', '));
+            
+        let error = null;
+        try {
+            dexAdapters.get('orderbook');
+        } catch (e) {
+            error = e;
+        }
+        this.record('Unknown types are rejected by name', error?.message.includes('orderbook'));
+        
+        const priceFetcher = new PriceFetcher(new MockMulticallProvider());
+        const abiNames = ['v2Router', 'v3Quoter', 'algebraQuoter', 'curvePool', 'balancerVault', 'chainlinkAggregator'];
+        this.record('Adapter ABIs merged into PriceFetcher', abiNames.every(name => priceFetcher.interfaces[name]));
+        this.record('Adapter created once per DEX entry',
+            priceFetcher.getAdapter(config.dexes.uniswap) === priceFetcher.getAdapter(config.dexes.uniswap));
+            
+        // Fee, gas and slippage come from the pool's family
+        const sushi = dexAdapters.forDex('sushiswap');
+        this.record('Names resolve through config type, not spelling',
+            dexAdapters.forDex('quickswapv3') === dexAdapters.get('algebra') && sushi === dexAdapters.get('v2'));
+        this.record('V2 pairs default to a 0.3% fee', dexAdapters.forPool(null).getFee(null) === 3000);
+    }
+    
+    async testValidatorDelegation() {
+        console.log('\n🔍 Testing config validation...');
+        
+        // ConfigValidator reads config from disk, so spy on the configured families
+        const checked = [];
+        const originals = new Map();
+        
+        for (const type of dexAdapters.getTypes()) {
+            const Adapter = dexAdapters.get(type);
+            originals.set(Adapter, Object.getOwnPropertyDescriptor(Adapter, 'validateConfig'));
+            const validate = Adapter.validateConfig;
+            Adapter.validateConfig = function (name, dex, errors) {
+                checked.push(name);
+                return validate.call(this, name, dex, errors);
+            };
+        }
+        
+        const errors = [];
+        const warnings = [];
+        
+        try {
+            await ConfigValidator.validateConfig(errors, warnings);
+        } finally {
+            for (const [Adapter, descriptor] of originals) {
+                if (descriptor) {
+                    Object.defineProperty(Adapter, 'validateConfig', descriptor);
+                } else {
+                    delete Adapter.validateConfig;
+                }
+            }
+        }
+        
+        this.record('Each DEX entry checked by its adapter',
+            Object.keys(config.dexes).every(name => checked.includes(name)), checked.join(', '));
+        this.record('Configured DEXes pass their adapter checks',
+            !errors.some(message => Object.keys(config.dexes).some(name => message.endsWith(` ${name}`))), errors.join('; '));
+    }
+    
+    async testNewFamily() {
+        console.log('\n🧩 Testing a family added only through the registry...');
+        
+        dexAdapters.register('fixed', FixedRateAdapter);
+        config.dexes.fixedrate = {
+            name: 'Fixed Rate',
+            type: 'fixed',
+            fee: 500,
+            rates: { 'WMATIC/USDC': 0.9, 'USDC/WMATIC': 1 / 0.9 }
+        };
+        
+        try {
+            const priceFetcher = new PriceFetcher(new MockMulticallProvider());
+            priceFetcher.tokenPrices.set('WMATIC_USD', { price: 0.9, timestamp: Date.now(), source: 'test' });
+            priceFetcher.tokenPrices.set('USDC_USD', { price: 1, timestamp: Date.now(), source: 'test' });
+            
+            const pair = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'fixedrate');
+            this.record('getPairPrice quotes the new family', pair.success && Math.abs(pair.price - 0.9 * 0.9995) < 1e-6,
+                `${pair.price}`);
+                
+            const usd = await priceFetcher.getTokenPrice('WMATIC', 'fixedrate');
+            this.record('getTokenPrice quotes the new family', usd.success && Math.abs(usd.price - pair.price) < 1e-9);
+            
+            const roundTrip = await priceFetcher.quoteRoundTrip({
+                token: 'WMATIC',
+                quoteToken: 'USDC',
+                buyDex: 'fixedrate',
+                sellDex: 'fixedrate'
+            }, ethers.parseUnits('1000', 6));
+            this.record('Round trips use the default quoteExactIn', Math.abs(roundTrip.amountOut - 1000 * 0.9995 ** 2) < 0.01,
+                `${roundTrip.amountOut} USDC`);
+                
+            const gasCalculator = new GasCalculator(null, priceFetcher);
+            const units = gasCalculator.estimateGasUnits('USDC', 'fixedrate', 'fixedrate');
+            this.record('Gas profile used by GasCalculator', units === Math.floor(180000 * 1.1), `${units} units`);
+            
+            const slippageCalculator = new SlippageCalculator(null);
+            const slippage = slippageCalculator.calculateSingleSlippage(1000, 10000000, pair.poolInfo);
+            const v2Slippage = slippageCalculator.calculateSingleSlippage(1000, 10000000, null);
+            this.record('Base slippage used by SlippageCalculator', slippage < v2Slippage,
+                `${(slippage * 100).toFixed(4)}% vs ${(v2Slippage * 100).toFixed(4)}% on V2`);
+                
+            const fees = require('../scripts/arbitrageBot').prototype.calculateSwapFees.call(null, 1000, pair.poolInfo, null);
+            this.record('Pool fee used by calculateSwapFees', Math.abs(fees - 3.5) < 1e-9, `$${fees.toFixed(2)}`);
+            
+                        await priceFetcher.cleanup();
+            
+        } finally {
+            delete config.dexes.fixedrate;
+            dexAdapters.adapters.delete('fixed');
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 DEX Adapter Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All DEX adapter tests passed!');
+        } else {
+            console.log('❌ Some DEX adapter tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new DexAdapterTestSuite();
+    tester.runAdapterTests().catch(console.error);
+}
+
+module.exports = DexAdapterTestSuite;
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование оценки газа через eth_estimateGas по каждому свопу маршрута (без сети)
+ * Запуск: npm run test-gas-estimation
+ */
+
+const { ethers } = require('ethers');
+const GasCalculator = require('../scripts/gasCalculator');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const telegramNotifier = require('../scripts/telegram');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+const { FakeNode } = require('./test-simulation');
+
+const EXECUTOR = config.settings.simulation.executor;
+const GAS_PRICE = ethers.parseUnits('100', 'gwei');
+
+// The fake node estimates 30k plus 100k per swap: 109k per leg once the 21k base is taken out
+const ESTIMATED_ROUTE_GAS = 21000 + 2 * 109000;
+
+class GasEstimationTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runGasEstimationTests() {
+        console.log('⛽ Gas Estimation Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testEstimates();
+            await this.testCache();
+            await this.testFallback();
+            await this.testAlerts();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    /**
+     * WMATIC at $0.90 on QuickSwap and $0.918 on SushiSwap, the round trip
+     * found by a pair scan, and a bot costing gas on a fake node at 100 gwei
+     */
+    async createScenario(options = { enabled: true }) {
+        const { WMATIC, USDC } = config.tokens;
+        const market = new MockV2Market();
+        
+        market.addPool('quickswap', WMATIC, '1000000', USDC, '900000');
+        market.addPool('sushiswap', WMATIC, '1000000', USDC, '918000');
+        market.setPriceUSD('WMATIC', 0.9);
+        market.setPriceUSD('USDC', 1);
+        
+        const node = new FakeNode(market);
+        const provider = {
+            getFeeData: async () => ({ gasPrice: GAS_PRICE }),
+            send: (method, params) => node.send(method, params)
+        };
+        const gasCalculator = new GasCalculator(provider, market.priceFetcher, options);
+        
+        const bot = new ArbitrageBot();
+        Object.assign(bot, { priceFetcher: market.priceFetcher, gasCalculator, poolStream: null, priceGuard: null });
+        
+        const [opportunity] = await bot.scanPair('WMATIC', 'USDC');
+        
+        return { market, node, gasCalculator, bot, opportunity };
+    }
+    
+    estimates(node) {
+        return node.requests.filter(({ method }) => method === 'eth_estimateGas');
+    }
+    
+    async testEstimates() {
+        console.log('\n📏 Testing estimated legs...');
+        
+        const { WMATIC, USDC } = config.tokens;
+        const { market, node, bot, opportunity } = await this.createScenario();
+        const analysis = await bot.calculateQuotedProfit(opportunity);
+        const estimates = this.estimates(node);
+        const [quickswap, sushiswap] = ['quickswap', 'sushiswap'].map(dex =>
+            estimates.find(({ params }) => params[0].to === config.dexes[dex].router));
+            
+        this.record('Each leg estimated on its own router call', analysis.gas?.source === 'estimated' && estimates.length === 2 &&
+            quickswap && sushiswap && estimates.every(({ params }) => params[0].from === EXECUTOR), analysis.gas?.source);
+        this.record('Route pays the base transaction cost once', analysis.gas?.units === ESTIMATED_ROUTE_GAS &&
+            analysis.gas.legs.every(leg => leg.gas === 109000 && leg.source === 'estimated'), `${analysis.gas?.units} gas`);
+        this.record('Gas cost priced from the estimate', Math.abs(analysis.gasCost - ESTIMATED_ROUTE_GAS * 100e-9 * 0.9) < 1e-9,
+            `$${analysis.gasCost.toFixed(4)}`);
+            
+        // Each leg spends what it was quoted on, approved to its own router
+        const [amountIn, baseAmount] = opportunity.roundTrip.raw.amounts;
+        const stored = (request, token, kind, keys) => {
+            const layout = bot.gasCalculator.swapEstimator.slots.get(`${token.address.toLowerCase()}:${kind}`);
+            return BigInt(request.params[2][token.address]?.stateDiff[bot.gasCalculator.swapEstimator.mappingKey(layout, keys)] ?? 0);
+        };
+        this.record('Balance and approval of every leg written by state overrides',
+            stored(quickswap, USDC, 'balance', [EXECUTOR]) === BigInt(amountIn) &&
+            stored(quickswap, USDC, 'allowance', [EXECUTOR, config.dexes.quickswap.router]) === ethers.MaxUint256 &&
+            stored(sushiswap, WMATIC, 'balance', [EXECUTOR]) === BigInt(baseAmount) &&
+            stored(sushiswap, WMATIC, 'allowance', [EXECUTOR, config.dexes.sushiswap.router]) === ethers.MaxUint256);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testCache() {
+        console.log('\n🗃️  Testing the estimate cache...');
+        
+        const { market, node, gasCalculator, bot, opportunity } = await this.createScenario();
+        await bot.calculateQuotedProfit(opportunity);
+        
+        const again = await bot.calculateQuotedProfit(opportunity);
+        const keys = [...gasCalculator.swapGasCache.keys()].sort();
+        this.record('Estimates cached per DEX, pool and token', this.estimates(node).length === 2 &&
+            again.gas.units === ESTIMATED_ROUTE_GAS && keys.join() ===
+                `quickswap:${opportunity.buyPool.pair}:USDC,sushiswap:${opportunity.sellPool.pair}:WMATIC`, keys.join(', '));
+                
+        // Selling WMATIC on the QuickSwap pool is another entry
+        const reverse = await gasCalculator.estimateRouteGas('WMATIC', 'quickswap', 'quickswap', [{
+            dex: 'quickswap',
+            tokenIn: 'WMATIC',
+            tokenOut: 'USDC',
+            amountIn: opportunity.roundTrip.raw.amounts[1],
+            poolInfo: opportunity.buyPool
+        }]);
+        this.record('Other direction on the same pool estimated separately', reverse.source === 'estimated' &&
+            this.estimates(node).length === 3 && gasCalculator.swapGasCache.size === 3);
+            
+        for (const entry of gasCalculator.swapGasCache.values()) {
+            entry.timestamp -= gasCalculator.settings.cacheTtlMs;
+        }
+        await bot.calculateQuotedProfit(opportunity);
+        this.record('Expired estimates are made again', this.estimates(node).length === 5);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testFallback() {
+        console.log('\n📋 Testing the static table fallback...');
+        
+        const reverting = await this.createScenario();
+        reverting.node.reverts.sushiswap = 'UniswapV2: K';
+        const mixed = await reverting.bot.calculateQuotedProfit(reverting.opportunity);
+        const tableGas = reverting.gasCalculator.estimateGasUnits('WMATIC', 'quickswap', 'sushiswap', [
+            { dex: 'sushiswap', poolInfo: reverting.opportunity.sellPool }
+        ]);
+        
+        this.record('A reverting estimate falls back to the table', mixed.gas.source === 'mixed' &&
+            mixed.gas.legs[0].source === 'estimated' && mixed.gas.legs[1].source === 'fallback' &&
+            mixed.gas.units === 21000 + 109000 + tableGas, `${mixed.gas.units} gas`);
+            
+        await reverting.bot.calculateQuotedProfit(reverting.opportunity);
+        this.record('Failed estimates are cached too', this.estimates(reverting.node).length === 2);
+        
+        const withoutAmounts = await reverting.gasCalculator.calculateRouteGasCost('WMATIC', 'quickswap', 'sushiswap');
+        this.record('Legs without quoted amounts use the table', withoutAmounts.source === 'fallback' &&
+            withoutAmounts.gasUnits === reverting.gasCalculator.estimateGasUnits('WMATIC', 'quickswap', 'sushiswap') &&
+            this.estimates(reverting.node).length === 2);
+            
+        await reverting.market.priceFetcher.cleanup();
+        
+        const disabled = await this.createScenario({});
+        const analysis = await disabled.bot.calculateQuotedProfit(disabled.opportunity);
+        this.record('Estimation is off unless configured', disabled.gasCalculator.swapEstimator === null &&
+            analysis.gas.source === 'fallback' && disabled.node.requests.length === 0);
+            
+        await disabled.market.priceFetcher.cleanup();
+    }
+    
+    async testAlerts() {
+        console.log('\n📣 Testing gas in alerts...');
+        
+        const estimated = await this.createScenario();
+        const reverting = await this.createScenario();
+        reverting.node.reverts.sushiswap = 'UniswapV2: K';
+        const disabled = await this.createScenario({});
+        
+        const messages = [];
+        const { sendMessage } = telegramNotifier;
+        telegramNotifier.sendMessage = async text => {
+            messages.push(text);
+        };
+        
+        try {
+            for (const { bot, opportunity } of [estimated, reverting, disabled]) {
+                const analysis = await bot.calculateQuotedProfit(opportunity);
+                await telegramNotifier.sendArbitrageAlert({ ...opportunity, analysis });
+            }
+            
+            this.record('Alert says the gas was estimated', messages[0]?.includes(`_(${ESTIMATED_ROUTE_GAS.toLocaleString()} gas, estimated)_`));
+            this.record('Alert counts estimated legs of a mixed route', /Gas Cost: .*_\([\d,]+ gas, 1 of 2 legs estimated\)_/.test(messages[1] || ''));
+            this.record('Alert flags table gas', /Gas Cost: .*_\([\d,]+ gas, fallback\)_/.test(messages[2] || ''));
+            
+        } finally {
+            telegramNotifier.sendMessage = sendMessage;
+        }
+        
+        for (const { market } of [estimated, reverting, disabled]) {
+            await market.priceFetcher.cleanup();
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 Gas Estimation Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All gas estimation tests passed!');
+        } else {
+            console.log('❌ Some gas estimation tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new GasEstimationTestSuite();
+    tester.runGasEstimationTests().catch(console.error);
+}
+
+module.exports = GasEstimationTestSuite;
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование Multicall3 батчинга на mock-провайдере (без сети)
+ * Запуск: npm run test-multicall
+ */
+
+const { ethers } = require('ethers');
+const Multicall = require('../scripts/multicall');
+const PriceFetcher = require('../scripts/priceFetcher');
+const config = require('../config/polygon.json');
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const ERC20_ABI = [
+    'function balanceOf(address) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+];
+
+/**
+ * Mock provider that answers aggregate3 calls from registered handlers
+ */
+class MockMulticallProvider {
+    constructor() {
+        this.multicall = new ethers.Interface(MULTICALL3_ABI);
+        this.handlers = new Map();
+        this.requests = [];
+    }
+    
+    // handler(args, target) returns the function outputs as an array, or throws to revert
+    on(iface, method, handler, target = '*') {
+        const fragment = iface.getFunction(method);
+        this.handlers.set(`${target.toLowerCase()}:${fragment.selector}`, { iface, fragment, handler });
+    }
+    
+    async call(tx) {
+        this.requests.push({ to: tx.to, blockTag: tx.blockTag });
+        
+        const [calls] = this.multicall.decodeFunctionData('aggregate3', tx.data);
+        const results = calls.map(({ target, callData }) => {
+            const selector = callData.slice(0, 10);
+            const entry = this.handlers.get(`${target.toLowerCase()}:${selector}`) ||
+                this.handlers.get(`*:${selector}`);
+                
+            if (!entry) {
+                return [false, '0x'];
+            }
+            
+            try {
+                const args = entry.iface.decodeFunctionData(entry.fragment, callData);
+                const outputs = entry.handler(args, target);
+                return [true, entry.iface.encodeFunctionResult(entry.fragment, outputs)];
+            } catch (error) {
+                const reason = ethers.AbiCoder.defaultAbiCoder().encode(['string'], [error.message]);
+                return [false, '0x08c379a0' + reason.slice(2)];
+            }
+        });
+        
+        return this.multicall.encodeFunctionResult('aggregate3', [results]);
+    }
+}
+
+class MulticallTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runMulticallTests() {
+        console.log('📦 Multicall Batching Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testAggregateSingleRequest();
+            await this.testPerCallFailure();
+            await this.testAutoBatching();
+            await this.testChunking();
+            await this.testPriceFetcherBatching();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    createERC20Provider() {
+        const provider = new MockMulticallProvider();
+        const erc20 = new ethers.Interface(ERC20_ABI);
+        
+        provider.on(erc20, 'balanceOf', ([owner]) => [BigInt(owner) % 1000n]);
+        provider.on(erc20, 'decimals', () => [18]);
+        
+        return { provider, erc20 };
+    }
+    
+    async testAggregateSingleRequest() {
+        console.log('\n🧪 Testing aggregate() at a single block tag...');
+        
+        const { provider, erc20 } = this.createERC20Provider();
+        const multicall = new Multicall(provider);
+        multicall.setBlockTag(12345);
+        
+        const calls = [1, 2, 3].map(i => ({
+            target: config.tokens.USDC.address,
+            iface: erc20,
+            method: 'balanceOf',
+            args: [ethers.toBeHex(i, 20)]
+        }));
+        calls.push({ target: config.tokens.WETH.address, iface: erc20, method: 'decimals' });
+        
+        const results = await multicall.aggregate(calls);
+        
+        this.record('One RPC request for 4 reads', provider.requests.length === 1,
+            `${provider.requests.length} request(s)`);
+        this.record('Request uses configured block tag', provider.requests[0]?.blockTag === 12345);
+        this.record('Results decoded in order',
+            results.every(r => r.success) &&
+            results[0].value === 1n && results[2].value === 3n && results[3].value === 18n);
+    }
+    
+    async testPerCallFailure() {
+        console.log('\n🛡️ Testing per-call failure tolerance...');
+        
+        const { provider, erc20 } = this.createERC20Provider();
+        provider.on(erc20, 'balanceOf', () => {
+            throw new Error('BLACKLISTED');
+        }, config.tokens.USDT.address);
+        
+        const multicall = new Multicall(provider);
+        const results = await multicall.aggregate([
+            { target: config.tokens.USDC.address, iface: erc20, method: 'balanceOf', args: [ethers.ZeroAddress] },
+            { target: config.tokens.USDT.address, iface: erc20, method: 'balanceOf', args: [ethers.ZeroAddress] },
+            { target: config.tokens.WETH.address, iface: erc20, method: 'decimals' }
+        ]);
+        
+        this.record('Reverting call reported as failure', !results[1].success && results[1].error.includes('BLACKLISTED'),
+            results[1].error);
+        this.record('Other calls still succeed', results[0].success && results[2].success);
+        
+        const rejected = await multicall.call(config.tokens.USDT.address, erc20, 'balanceOf', [ethers.ZeroAddress])
+            .then(() => false, () => true);
+        const fallback = await multicall.tryCall(config.tokens.USDT.address, erc20, 'balanceOf', [ethers.ZeroAddress]);
+        
+        this.record('call() rejects on revert', rejected);
+        this.record('tryCall() resolves null on revert', fallback === null);
+    }
+    
+    async testAutoBatching() {
+        console.log('\n⏱️ Testing auto-batching of concurrent calls...');
+        
+        const { provider, erc20 } = this.createERC20Provider();
+        const multicall = new Multicall(provider);
+        
+        const values = await Promise.all(
+            Array.from({ length: 25 }, (_, i) =>
+                multicall.call(config.tokens.USDC.address, erc20, 'balanceOf', [ethers.toBeHex(i, 20)])
+            )
+        );
+        
+        this.record('25 concurrent calls share one request', provider.requests.length === 1,
+            `${provider.requests.length} request(s)`);
+        this.record('Each caller receives its own result', values.every((value, i) => value === BigInt(i)));
+    }
+    
+    async testChunking() {
+        console.log('\n✂️ Testing batch size limit...');
+        
+        const { provider, erc20 } = this.createERC20Provider();
+        const multicall = new Multicall(provider, { maxBatchSize: 10 });
+        
+        const calls = Array.from({ length: 25 }, (_, i) => ({
+            target: config.tokens.USDC.address,
+            iface: erc20,
+            method: 'balanceOf',
+            args: [ethers.toBeHex(i, 20)]
+        }));
+        
+        const results = await multicall.aggregate(calls);
+        
+        this.record('25 calls split into 3 requests', provider.requests.length === 3,
+            `${provider.requests.length} request(s)`);
+        this.record('All chunk results returned', results.length === 25 && results[24].value === 24n);
+    }
+    
+    async testPriceFetcherBatching() {
+        console.log('\n💱 Testing PriceFetcher reads through multicall...');
+        
+        const provider = new MockMulticallProvider();
+        const priceFetcher = new PriceFetcher(provider);
+        const abis = priceFetcher.interfaces;
+        const tickData = new ethers.Interface([
+            'function tickSpacing() view returns (int24)',
+            'function tickBitmap(int16 wordPosition) view returns (uint256)'
+        ]);
+        
+        const { WMATIC, USDC } = config.tokens;
+        const pairAddress = '0x6e7a5FAFcec6BB1e78bAE2A1F0B612012BF14827';
+        const poolAddress = '0xA374094527e1673A86dE625aa59517c5dE346d32';
+        const wmaticIsToken0 = BigInt(WMATIC.address) < BigInt(USDC.address);
+        
+        // V2: 1 WMATIC = 0.90 USDC on both V2 DEXes, $2M reserves
+        provider.on(abis.v2Factory, 'getPair', () => [pairAddress]);
+        provider.on(abis.v2Router, 'getAmountsOut', ([amountIn]) => [[amountIn, 900000n]]);
+        provider.on(abis.v2Pair, 'getReserves', () => wmaticIsToken0
+            ? [ethers.parseUnits('1000000', 18), ethers.parseUnits('900000', 6), 0]
+            : [ethers.parseUnits('900000', 6), ethers.parseUnits('1000000', 18), 0]);
+        provider.on(abis.v2Pair, 'token0', () => [wmaticIsToken0 ? WMATIC.address : USDC.address]);
+        
+        // V3: only the 0.05% tier exists
+        provider.on(abis.v3Factory, 'getPool', ([, , fee]) => [fee === 500n ? poolAddress : ethers.ZeroAddress]);
+        provider.on(abis.v3Pool, 'slot0', () => [2n ** 96n, 0, 0, 0, 0, 0, true]);
+        provider.on(abis.v3Pool, 'liquidity', () => [10n ** 18n]);
+        provider.on(abis.v3Pool, 'token1', () => [wmaticIsToken0 ? USDC.address : WMATIC.address]);
+        provider.on(abis.v3Pool, 'fee', () => [500]);
+        provider.on(tickData, 'tickSpacing', () => [10]);
+        provider.on(tickData, 'tickBitmap', () => [0n]);
+        provider.on(abis.v3QuoterV2, 'quoteExactInputSingle', () => [901000n, 2n ** 96n, 0, 80000n]);
+        
+        // Chainlink MATIC/USD and USDC/USD for liquidity valuation
+        provider.on(abis.chainlinkAggregator, 'latestRoundData', () =>
+            [1n, 90000000n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n]);
+        provider.on(abis.chainlinkAggregator, 'latestRoundData', () =>
+            [1n, 100000000n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n], '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7');
+        provider.on(abis.chainlinkAggregator, 'decimals', () => [8]);
+        
+        const dexNames = Object.keys(config.dexes).filter(name => ['v2', 'v3'].includes(config.dexes[name].type));
+        const results = await Promise.all(
+            dexNames.map(dex => priceFetcher.getPairPrice('WMATIC', 'USDC', dex))
+        );
+        
+        const succeeded = results.filter(r => r.success);
+        const v2Result = results.find(r => r.poolInfo?.type === 'v2');
+        const v3Result = results.find(r => r.poolInfo?.type === 'v3');
+        
+        this.record(`Quoted WMATIC/USDC on ${dexNames.length} DEXes`, succeeded.length === dexNames.length,
+            `${succeeded.length}/${dexNames.length}`);
+        this.record('V2 price in quote units', v2Result?.price === 0.9, `${v2Result?.price}`);
+        this.record('V2 liquidity valued in USD', Math.round(v2Result?.liquidity || 0) === 1800000,
+            `${v2Result?.liquidity}`);
+        this.record('V3 picks the existing fee tier', v3Result?.poolInfo.feeTier === 500);
+        this.record('Whole pair scan in a handful of requests', provider.requests.length <= 6,
+            `${provider.requests.length} request(s), ${priceFetcher.multicall.getStats().calls} calls`);
+            
+        await priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Multicall Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All multicall tests passed!');
+        } else {
+            console.log('❌ Some multicall tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new MulticallTestSuite();
+    tester.runMulticallTests().catch(console.error);
+}
+
+module.exports = MulticallTestSuite;
+module.exports.MockMulticallProvider = MockMulticallProvider;
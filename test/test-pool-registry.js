@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование реестра пулов по событиям фабрик (без сети)
+ * Запуск: npm run test-pool-registry
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+const PoolRegistry = require('../scripts/poolRegistry');
+const PriceFetcher = require('../scripts/priceFetcher');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const dexAdapters = require('../scripts/dexAdapters');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+const POOLS = {
+    uniswap500: '0x45dDa9cb7c25131DF268515131f647d726f50608',
+    uniswap3000: '0x0e44cEb592AcFC5D3F09D996302eB4C499ff8c10',
+    quickswap: '0x6e7a5FAFcec6BB1e78bAE2A1F0B612012BF14827',
+    quickswapv3: '0xAE81FAc689A1b4b1e06e7ef4a2ab4CD8aC0A087D',
+    late: '0xA374094527e1673A86dE625aa59517c5dE346d32'
+};
+
+/**
+ * Factory logs served through getLogs, with the block ranges requested.
+ * failAt makes the chunk containing that block fail, maxRange rejects wider
+ * ranges the way capped RPCs do, and hold() keeps requests pending.
+ */
+class MockLogProvider extends MockMulticallProvider {
+    constructor(blockNumber) {
+        super();
+        this.blockNumber = blockNumber;
+        this.logs = [];
+        this.logRequests = [];
+        this.failAt = null;
+        this.maxRange = null;
+        this.held = null;
+    }
+    
+    hold() {
+        let release;
+        this.held = new Promise(resolve => {
+            release = resolve;
+        });
+        return () => {
+            this.held = null;
+            release();
+        };
+    }
+    
+    emit(dex, values, blockNumber) {
+        const iface = new ethers.Interface([dexAdapters.get(dex.type).poolEvent]);
+        const event = iface.fragments.find(fragment => fragment.type === 'event');
+        const { data, topics } = iface.encodeEventLog(event, values);
+        
+        this.logs.push({ address: dex.factory, topics, data, blockNumber });
+    }
+    
+    async getBlockNumber() {
+        return this.blockNumber;
+    }
+    
+    async getLogs(filter) {
+        this.logRequests.push({ address: filter.address, fromBlock: filter.fromBlock, toBlock: filter.toBlock });
+        
+        if (this.held) {
+            await this.held;
+        }
+        
+        if (this.maxRange !== null && filter.toBlock - filter.fromBlock + 1 > this.maxRange) {
+            throw new Error(`could not coalesce error (error={ "code": -32600, "message": "block range is too wide, max ${this.maxRange}" })`);
+        }
+        
+        if (this.failAt !== null && filter.fromBlock <= this.failAt && this.failAt <= filter.toBlock) {
+            throw new Error('query timeout');
+        }
+        
+        return this.logs.filter(log =>
+            log.address.toLowerCase() === filter.address.toLowerCase() &&
+            log.topics[0] === filter.topics[0] &&
+            log.blockNumber >= filter.fromBlock &&
+            log.blockNumber <= filter.toBlock);
+    }
+}
+
+class PoolRegistryTestSuite {
+    constructor() {
+        this.testResults = [];
+        this.file = path.join(os.tmpdir(), `pool_registry_test_${process.pid}.json`);
+    }
+    
+    async runPoolRegistryTests() {
+        console.log('🗂️  Pool Registry Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testBackfill();
+            await this.testResume();
+            await this.testInterruptedBackfill();
+            await this.testReorgedPools();
+            await this.testCappedRanges();
+            await this.testAdapterDiscovery();
+            await this.testBackgroundCatchUp();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+            
+        } finally {
+            await fs.remove(this.file);
+            await fs.remove(`${this.file}.tmp`);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    // Configured DEXes with recent deploy blocks, so the backfill is a few chunks
+    createDexes() {
+        const dexes = {};
+        for (const name of ['quickswap', 'uniswap', 'quickswapv3', 'curve', 'balancer']) {
+            dexes[name] = { ...config.dexes[name], deployBlock: config.dexes[name].factory ? 1000 : undefined };
+        }
+        
+        return dexes;
+    }
+    
+    /**
+     * WMATIC/USDC pools on three factories, created inside the
+     * [1000, 12000] block range
+     */
+    createChain(dexes) {
+        const { WMATIC, USDC } = config.tokens;
+        const [token0, token1] = BigInt(WMATIC.address) < BigInt(USDC.address) ? [WMATIC, USDC] : [USDC, WMATIC];
+        const provider = new MockLogProvider(12000);
+        
+        provider.emit(dexes.quickswap, [token0.address, token1.address, POOLS.quickswap, 1n], 1500);
+        provider.emit(dexes.uniswap, [token0.address, token1.address, 3000, 60, POOLS.uniswap3000], 2000);
+        provider.emit(dexes.uniswap, [token0.address, token1.address, 500, 10, POOLS.uniswap500], 7500);
+        provider.emit(dexes.quickswapv3, [token0.address, token1.address, POOLS.quickswapv3], 11999);
+        
+        return { provider, token0, token1 };
+    }
+    
+    createRegistry(provider, dexes) {
+        return new PoolRegistry(provider, { file: this.file, blockRange: 5000, dexes });
+    }
+    
+    async testBackfill() {
+        console.log('\n📜 Testing backfill from factory events...');
+        
+        await fs.remove(this.file);
+        
+        const dexes = this.createDexes();
+        const { provider } = this.createChain(dexes);
+        const { WMATIC, USDC, WETH } = config.tokens;
+        const registry = this.createRegistry(provider, dexes);
+        
+        this.record('Nothing resolved before the first sync',
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address) === null);
+            
+        await registry.sync();
+        
+        const uniswapRanges = provider.logRequests
+            .filter(request => request.address === dexes.uniswap.factory)
+            .map(request => `${request.fromBlock}-${request.toBlock}`);
+        this.record('Logs fetched in blockRange chunks from deployBlock',
+            uniswapRanges.join(',') === '1000-5999,6000-10999,11000-12000', uniswapRanges.join(', '));
+            
+        const indexedFactories = new Set(provider.logRequests.map(request => request.address));
+        const factories = [dexes.quickswap, dexes.uniswap, dexes.quickswapv3].map(dex => dex.factory);
+        this.record('Only factory DEXes are indexed', indexedFactories.size === 3 &&
+            factories.every(factory => indexedFactories.has(factory)));
+            
+        const uniswapPools = registry.getPools(dexes.uniswap.factory, USDC.address, WMATIC.address);
+        const pool500 = uniswapPools.find(pool => pool.fee === 500);
+        this.record('V3 pools keep fee, tick spacing and creation block', uniswapPools.length === 2 &&
+            pool500?.address === POOLS.uniswap500 && pool500.tickSpacing === 10 && pool500.createdBlock === 7500);
+            
+        const [pair] = registry.getPools(dexes.quickswap.factory, WMATIC.address, USDC.address);
+        this.record('V2 pairs indexed from PairCreated', pair?.address === POOLS.quickswap && pair.fee === 3000);
+        
+        const [algebraPool] = registry.getPools(dexes.quickswapv3.factory, WMATIC.address, USDC.address);
+        this.record('Algebra pools indexed with no fixed fee', algebraPool?.address === POOLS.quickswapv3 &&
+            algebraPool.fee === null && algebraPool.tickSpacing === 60);
+            
+        this.record('Pairs without pools resolve to none',
+            registry.getPools(dexes.uniswap.factory, WETH.address, USDC.address).length === 0);
+            
+        const saved = await fs.readJson(this.file);
+        const savedEntry = saved.factories[dexes.uniswap.factory.toLowerCase()];
+        this.record('Index persisted with the last indexed block', savedEntry?.lastBlock === 12000 && savedEntry.synced);
+    }
+    
+    async testResume() {
+        console.log('\n🔁 Testing catch-up after restart...');
+        
+        const dexes = this.createDexes();
+        const { provider, token0, token1 } = this.createChain(dexes);
+        const { WMATIC, USDC } = config.tokens;
+        
+        // Restart: the file from the backfill above is loaded, then new blocks follow
+        provider.blockNumber = 14000;
+        provider.emit(dexes.uniswap, [token0.address, token1.address, 100, 1, POOLS.late], 13000);
+        
+        const registry = this.createRegistry(provider, dexes);
+        await registry.load();
+        
+        this.record('Loaded index resolves pools before syncing',
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address)?.length === 2);
+            
+        await registry.sync();
+        
+        const firstRequest = provider.logRequests.find(request => request.address === dexes.uniswap.factory);
+        this.record('Catch-up re-reads the last reorgDepth indexed blocks', firstRequest?.fromBlock === 12001 - 64 &&
+            provider.logRequests.length === 3, `from ${firstRequest?.fromBlock}`);
+        this.record('Pools created while stopped are added',
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address).some(pool => pool.address === POOLS.late));
+            
+        // A replayed range must not duplicate pools
+        registry.factories[dexes.uniswap.factory.toLowerCase()].lastBlock = 999;
+        await registry.sync();
+        this.record('Replayed logs are not duplicated',
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address).length === 3);
+    }
+    
+    async testInterruptedBackfill() {
+        console.log('\n⚠️  Testing interrupted backfill...');
+        
+        await fs.remove(this.file);
+        
+        const dexes = this.createDexes();
+        const { provider } = this.createChain(dexes);
+        const { WMATIC, USDC } = config.tokens;
+        const registry = this.createRegistry(provider, dexes);
+        
+        provider.failAt = 8000;
+        await registry.sync();
+        
+        const entry = registry.factories[dexes.uniswap.factory.toLowerCase()];
+        this.record('Progress kept up to the failed chunk', entry.lastBlock === 5999 && !entry.synced);
+        this.record('Partial index is not used for lookups',
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address) === null);
+            
+        provider.failAt = null;
+        provider.logRequests = [];
+        await registry.sync();
+        
+        const resumed = provider.logRequests.find(request => request.address === dexes.uniswap.factory);
+        this.record('Backfill resumes from the failed chunk', resumed?.fromBlock === 6000 &&
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address).length === 2);
+    }
+    
+    async testReorgedPools() {
+        console.log('\n🔀 Testing pools orphaned by a reorg...');
+        
+        await fs.remove(this.file);
+        
+        const dexes = this.createDexes();
+        const { provider, token0, token1 } = this.createChain(dexes);
+        const { WMATIC, USDC } = config.tokens;
+        const registry = this.createRegistry(provider, dexes);
+        await registry.sync();
+        
+        // Block 11999 is replaced: its QuickSwap V3 pool was never created, another block made a Uniswap one
+        provider.logs = provider.logs.filter(log => log.blockNumber !== 11999);
+        provider.emit(dexes.uniswap, [token0.address, token1.address, 100, 1, POOLS.late], 12005);
+        provider.blockNumber = 12010;
+        await registry.sync();
+        
+        this.record('Pools whose creation block was reorged out are dropped',
+            registry.getPools(dexes.quickswapv3.factory, WMATIC.address, USDC.address)?.length === 0);
+        this.record('Pools from the new chain are indexed and older pools kept',
+            registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address)?.length === 3);
+    }
+    
+    async testCappedRanges() {
+        console.log('\n✂️  Testing RPCs that cap getLogs ranges...');
+        
+        await fs.remove(this.file);
+        
+        const dexes = this.createDexes();
+        const { provider } = this.createChain(dexes);
+        const { WMATIC, USDC } = config.tokens;
+        const registry = this.createRegistry(provider, dexes);
+        
+        provider.maxRange = 2000;
+        await registry.sync();
+        
+        const entry = registry.factories[dexes.uniswap.factory.toLowerCase()];
+        this.record('Range halved until the RPC accepts it', registry.blockRange === 1250 && entry.synced &&
+            entry.lastBlock === 12000, `${registry.blockRange} blocks`);
+        this.record('Backfill completes with every pool', registry.getPools(dexes.uniswap.factory, WMATIC.address, USDC.address).length === 2 &&
+            registry.getPools(dexes.quickswapv3.factory, WMATIC.address, USDC.address).length === 1);
+            
+        provider.maxRange = null;
+        provider.failAt = 3000;
+        await fs.remove(this.file);
+        const failing = this.createRegistry(provider, dexes);
+        await failing.sync();
+        this.record('Other getLogs errors keep the range', failing.blockRange === 5000);
+    }
+    
+    async testAdapterDiscovery() {
+        console.log('\n🔎 Testing pool resolution through the registry...');
+        
+        const dexes = this.createDexes();
+        const { provider } = this.createChain(dexes);
+        const { WMATIC, USDC } = config.tokens;
+        const priceFetcher = new PriceFetcher(provider);
+        const abis = priceFetcher.interfaces;
+        
+        const factoryCalls = { getPool: 0, getPair: 0 };
+        provider.on(abis.v3Factory, 'getPool', () => {
+            factoryCalls.getPool++;
+            return [ethers.ZeroAddress];
+        });
+        provider.on(abis.v2Factory, 'getPair', () => {
+            factoryCalls.getPair++;
+            return [ethers.ZeroAddress];
+        });
+        
+        const uniswap = priceFetcher.getAdapter(config.dexes.uniswap);
+        const quickswap = priceFetcher.getAdapter(config.dexes.quickswap);
+        
+        await uniswap.discoverPools(WMATIC, USDC);
+        this.record('Factory lookups without a registry', factoryCalls.getPool === uniswap.feeTiers.length);
+        
+        const registry = this.createRegistry(provider, dexes);
+        await registry.sync();
+        priceFetcher.setPoolRegistry(registry);
+        factoryCalls.getPool = 0;
+        
+        const v3Pools = await uniswap.discoverPools(WMATIC, USDC);
+        this.record('V3 pools resolved from the registry in fee tier order', factoryCalls.getPool === 0 &&
+            v3Pools.map(pool => pool.feeTier).join(',') === '500,3000' && v3Pools[0].address === POOLS.uniswap500);
+            
+        const v2Pools = await quickswap.discoverPools(USDC, WMATIC);
+        this.record('V2 pairs resolved from the registry', factoryCalls.getPair === 0 &&
+            v2Pools.length === 1 && v2Pools[0].address === POOLS.quickswap);
+            
+        await priceFetcher.cleanup();
+    }
+    
+    async testBackgroundCatchUp() {
+        console.log('\n⏳ Testing catch-up in the background...');
+        
+        await fs.remove(this.file);
+        
+        const dexes = this.createDexes();
+        const { provider } = this.createChain(dexes);
+        const { WMATIC, USDC } = config.tokens;
+        const priceFetcher = new PriceFetcher(provider);
+        
+        let getPoolCalls = 0;
+        provider.on(priceFetcher.interfaces.v3Factory, 'getPool', () => {
+            getPoolCalls++;
+            return [ethers.ZeroAddress];
+        });
+        
+        const bot = new ArbitrageBot();
+        bot.priceFetcher = priceFetcher;
+        
+        const { poolRegistry } = config.settings;
+        config.settings.poolRegistry = { ...poolRegistry, file: this.file, dexes };
+        const release = provider.hold();
+        
+        try {
+            const initialized = await Promise.race([
+                bot.initializePoolRegistry(provider).then(() => true),
+                new Promise(resolve => setTimeout(() => resolve(false), 1000))
+            ]);
+            this.record('Engine starts while the backfill is pending', initialized && provider.logRequests.length > 0 &&
+                !bot.poolRegistry.factories[dexes.uniswap.factory.toLowerCase()]?.synced);
+                
+            await priceFetcher.getAdapter(config.dexes.uniswap).discoverPools(WMATIC, USDC);
+            this.record('Factory lookups serve DEXes until their index is synced', getPoolCalls > 0);
+            
+        } finally {
+            release();
+            await bot.poolRegistry?.stop();
+            config.settings.poolRegistry = poolRegistry;
+            await priceFetcher.cleanup();
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 Pool Registry Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All pool registry tests passed!');
+        } else {
+            console.log('❌ Some pool registry tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new PoolRegistryTestSuite();
+    tester.runPoolRegistryTests().catch(console.error);
+}
+
+module.exports = PoolRegistryTestSuite;
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование выбора лучшего пула по уровням комиссий и котируемым токенам (без сети)
+ * Запуск: npm run test-pool-selection
+ */
+
+const { ethers } = require('ethers');
+const PriceFetcher = require('../scripts/priceFetcher');
+const V3PoolModel = require('../scripts/v3PoolModel');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const telegramNotifier = require('../scripts/telegram');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+/**
+ * Uniswap V3 WETH market of constant-product pools: a dust pool on the
+ * cheapest tier with the best spot price, a deep 0.05% pool and a 0.3% pool
+ * against USDC, and a deeper 0.05% pool against USDT
+ */
+class MockV3Market {
+    constructor() {
+        this.provider = new MockMulticallProvider();
+        this.priceFetcher = new PriceFetcher(this.provider);
+        this.abis = this.priceFetcher.interfaces;
+        
+        const { WETH, USDC, USDT } = config.tokens;
+        this.pools = [
+            { quote: USDC, fee: 100, weth: '5', price: 1851 },
+            { quote: USDC, fee: 500, weth: '1000', price: 1850 },
+            { quote: USDC, fee: 3000, weth: '50', price: 1850 },
+            { quote: USDT, fee: 500, weth: '5000', price: 1850.5 }
+        ].map((pool, i) => ({
+            ...pool,
+            address: ethers.getAddress(ethers.toBeHex(0xa000 + i, 20)),
+            reserves: {
+                [WETH.address]: ethers.parseUnits(pool.weth, 18),
+                [pool.quote.address]: ethers.parseUnits((parseFloat(pool.weth) * pool.price).toFixed(6), 6)
+            }
+        }));
+        
+        const find = (tokenA, tokenB, fee) => this.pools.find(pool => Number(fee) === pool.fee &&
+            [tokenA, tokenB].map(a => a.toLowerCase()).sort().join() ===
+            [WETH.address, pool.quote.address].map(a => a.toLowerCase()).sort().join());
+            
+        this.provider.on(this.abis.v3Factory, 'getPool', ([tokenA, tokenB, fee]) => {
+            const pool = find(tokenA, tokenB, fee);
+            return [pool ? pool.address : ethers.ZeroAddress];
+        });
+        
+        // QuoterV2; the price after the swap is not modelled
+        this.provider.on(this.abis.v3QuoterV2, 'quoteExactInputSingle', ([{ tokenIn, tokenOut, amountIn, fee }]) => {
+            const pool = find(tokenIn, tokenOut, fee);
+            const reserveIn = pool.reserves[ethers.getAddress(tokenIn)];
+            const reserveOut = pool.reserves[ethers.getAddress(tokenOut)];
+            const afterFee = amountIn * BigInt(1000000 - pool.fee) / 1000000n;
+            return [reserveOut * afterFee / (reserveIn + afterFee), pool.sqrtPriceX96, 0, 80000n];
+        });
+        
+        this.provider.on(this.abis.v3QuoterV2, 'quoteExactOutputSingle', ([{ tokenIn, tokenOut, amount: amountOut, fee }]) => {
+            const pool = find(tokenIn, tokenOut, fee);
+            const reserveIn = pool.reserves[ethers.getAddress(tokenIn)];
+            const reserveOut = pool.reserves[ethers.getAddress(tokenOut)];
+            if (amountOut >= reserveOut) throw new Error('SPL');
+            const beforeFee = reserveIn * amountOut / (reserveOut - amountOut) + 1n;
+            return [beforeFee * 1000000n / BigInt(1000000 - pool.fee) + 1n, pool.sqrtPriceX96, 0, 80000n];
+        });
+        
+        // Pool state for the depth model
+        const tickData = new ethers.Interface([
+            'function tickSpacing() view returns (int24)',
+            'function tickBitmap(int16 wordPosition) view returns (uint256)'
+        ]);
+        
+        for (const pool of this.pools) {
+            const wethIsToken0 = BigInt(WETH.address) < BigInt(pool.quote.address);
+            const [token0, token1] = wethIsToken0 ? [WETH, pool.quote] : [pool.quote, WETH];
+            const rawPrice = Number(pool.reserves[token1.address]) / Number(pool.reserves[token0.address]);
+            const sqrtPriceX96 = BigInt(Math.round(Math.sqrt(rawPrice) * 2 ** 48)) * 2n ** 48n;
+            pool.sqrtPriceX96 = sqrtPriceX96;
+            const liquidity = BigInt(Math.floor(Math.sqrt(Number(pool.reserves[token0.address]) * Number(pool.reserves[token1.address]))));
+            
+            this.provider.on(this.abis.v3Pool, 'slot0', () =>
+                [sqrtPriceX96, V3PoolModel.getTickAtSqrtRatio(sqrtPriceX96), 0, 0, 0, 0, true], pool.address);
+            this.provider.on(this.abis.v3Pool, 'liquidity', () => [pool.empty ? 0n : liquidity], pool.address);
+            this.provider.on(this.abis.v3Pool, 'fee', () => [pool.fee], pool.address);
+            this.provider.on(this.abis.v3Pool, 'token0', () => [token0.address], pool.address);
+            this.provider.on(this.abis.v3Pool, 'token1', () => [token1.address], pool.address);
+            this.provider.on(tickData, 'tickSpacing', () => [10], pool.address);
+            this.provider.on(tickData, 'tickBitmap', () => [0n], pool.address);
+        }
+        
+        for (const [symbol, price] of Object.entries({ WETH: 1850, USDC: 1, USDT: 1 })) {
+            this.priceFetcher.tokenPrices.set(`${symbol}_USD`, { price, timestamp: Date.now(), source: 'test' });
+        }
+    }
+}
+
+class PoolSelectionTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runPoolSelectionTests() {
+        console.log('🏊 Best Pool Selection Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testFeeTiers();
+            await this.testQuoteTokens();
+            await this.testOpportunityCandidates();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    async testFeeTiers() {
+        console.log('\n🎚️  Testing fee tier selection...');
+        
+        const market = new MockV3Market();
+        
+        const small = await market.priceFetcher.getPairPrice('WETH', 'USDC', 'uniswap', 1);
+        this.record('Small trades take the best-priced tier', small.poolInfo?.feeTier === 100, `${small.poolInfo?.feeTier}`);
+        
+        const sized = await market.priceFetcher.getPairPrice('WETH', 'USDC', 'uniswap', 10000);
+        this.record('At trade size the deep tier wins over the dust pool', sized.poolInfo?.feeTier === 500 &&
+            sized.poolInfo.pool === market.pools[1].address, `${sized.poolInfo?.feeTier} @ ${sized.price.toFixed(2)}`);
+            
+        const tiers = sized.candidates.map(candidate => candidate.feeTier);
+        this.record('Every tier kept as a candidate, best first', tiers.length === 3 && tiers[0] === 500 &&
+            sized.candidates.every((c, i) => i === 0 || c.price <= sized.candidates[i - 1].price) &&
+            sized.candidates[0].price === sized.price, tiers.join(', '));
+            
+        market.pools[1].empty = true;
+        const withoutDeep = await market.priceFetcher.getPairPrice('WETH', 'USDC', 'uniswap', 20000);
+        this.record('Pools without liquidity are not candidates', withoutDeep.poolInfo?.feeTier === 3000 &&
+            withoutDeep.candidates.length === 2);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testQuoteTokens() {
+        console.log('\n🔀 Testing quote token selection...');
+        
+        const market = new MockV3Market();
+        
+        const result = await market.priceFetcher.getTokenPrice('WETH', 'uniswap', 10000);
+        this.record('USD price taken from the best quote token', result.poolInfo?.quoteToken === 'USDT' &&
+            result.poolInfo.pool === market.pools[3].address, `${result.poolInfo?.quoteToken} $${result.price?.toFixed(2)}`);
+        this.record('Candidates span every quote token', new Set(result.candidates.map(c => c.quoteToken)).size === 2 &&
+            result.candidates.length === 4 && result.candidates[0].price === result.price);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testOpportunityCandidates() {
+        console.log('\n📋 Testing candidates on opportunities...');
+        
+        const market = new MockV3Market();
+        const bot = new ArbitrageBot();
+        Object.assign(bot, { priceFetcher: market.priceFetcher, poolStream: null, priceGuard: null });
+        
+        const [buy, sell] = await Promise.all([
+            market.priceFetcher.getPairPrice('WETH', 'USDC', 'uniswap', 1000),
+            market.priceFetcher.getPairPrice('WETH', 'USDC', 'uniswap', 1000)
+        ]);
+        const sizes = [];
+        const { getPairPrice } = market.priceFetcher;
+        market.priceFetcher.getPairPrice = (base, quote, dex, amountUSD, side) => {
+            sizes.push(amountUSD);
+            return getPairPrice.call(market.priceFetcher, base, quote, dex, amountUSD, side);
+        };
+        
+        await bot.scanPair('WETH', 'USDC');
+        const tradeSize = parseFloat(process.env.INPUT_AMOUNT_USD) || 1000;
+        this.record('Pair scans quote at the trade size', sizes.length === 2 * Object.keys(config.dexes).length &&
+            sizes.every(size => size === tradeSize));
+            
+        const opportunity = {
+            token: 'WETH',
+            pair: 'WETH/USDC',
+            quoteToken: 'USDC',
+            buyDex: 'uniswap',
+            sellDex: 'quickswap',
+            spread: 1,
+            buyCandidates: buy.candidates,
+            sellCandidates: [sell.candidates[0]],
+            buyLiquidity: 1000000,
+            sellLiquidity: 1000000,
+            analysis: { inputAmount: 1000, grossProfit: 10, gasCost: 1, swapFees: 6, slippage: 0, netProfit: 3, roi: 0.3 }
+        };
+        
+        const { sendMessage } = telegramNotifier;
+        let message = '';
+        telegramNotifier.sendMessage = async text => {
+            message = text;
+        };
+        
+        try {
+            await telegramNotifier.sendArbitrageAlert(opportunity);
+            this.record('Alert lists the alternative pools', message.includes('Pools Considered') &&
+                message.includes('- Buy: 0.05% USDC') && message.includes('0.01% USDC') && !/- Sell: .*@/.test(message));
+        } finally {
+            telegramNotifier.sendMessage = sendMessage;
+        }
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Pool Selection Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All pool selection tests passed!');
+        } else {
+            console.log('❌ Some pool selection tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new PoolSelectionTestSuite();
+    tester.runPoolSelectionTests().catch(console.error);
+}
+
+module.exports = PoolSelectionTestSuite;
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование потоковых обновлений пулов по событиям Sync/Swap (без сети)
+ * Запуск: npm run test-stream
+ */
+
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const PoolStream = require('../scripts/poolStream');
+const V3PoolModel = require('../scripts/v3PoolModel');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const dexAdapters = require('../scripts/dexAdapters');
+const { sleep } = require('../scripts/utils');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+const { MockQuoterV2Market } = require('./test-quoter-v2');
+
+const V2_PAIR = '0x6e7a5FAFcec6BB1e78bAE2A1F0B612012BF14827';
+const V3_POOL = '0x45dDa9cb7c25131DF268515131f647d726f50608';
+const ALGEBRA_POOL = '0xAE81FAc689A1b4b1e06e7ef4a2ab4CD8aC0A087D';
+const OTHER_POOL = '0xA374094527e1673A86dE625aa59517c5dE346d32';
+
+/**
+ * Stands in for a WebSocketProvider: subscriptions are plain listeners on
+ * a local emitter and pushLog delivers a log to all of them
+ */
+class MockWebSocketProvider extends EventEmitter {
+    constructor() {
+        super();
+        this.subscriptions = 0;
+        this.filter = null;
+    }
+    
+    on(filter, listener) {
+        this.subscriptions++;
+        this.filter = filter;
+        return super.on('log', listener);
+    }
+    
+    off(filter, listener) {
+        return super.off('log', listener);
+    }
+    
+    pushLog(log) {
+        this.emit('log', log);
+    }
+}
+
+// Encoded state event log of a DEX type
+function stateLog(type, address, values, blockNumber) {
+    const iface = new ethers.Interface([dexAdapters.get(type).stateEvent]);
+    const event = iface.fragments.find(fragment => fragment.type === 'event');
+    const { data, topics } = iface.encodeEventLog(event, values);
+    
+    return { address, topics, data, blockNumber };
+}
+
+function swapLog(address, sqrtPriceX96, liquidity, tick, blockNumber) {
+    return stateLog('v3', address, [ethers.ZeroAddress, ethers.ZeroAddress, -100n, 90n, sqrtPriceX96, liquidity, tick], blockNumber);
+}
+
+class PoolStreamTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runStreamTests() {
+        console.log('📡 Pool Event Streaming Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            this.testSubscription();
+            await this.testStateUpdates();
+            await this.testRouteDebounce();
+            await this.testStreamedPricing();
+            await this.testEngineReevaluation();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    createStream(options = {}) {
+        const provider = new MockWebSocketProvider();
+        const stream = new PoolStream(provider, { debounceMs: 20, ...options });
+        
+        stream.track(V2_PAIR, 'quickswap', 'v2', 'WMATIC/USDC');
+        stream.track(V3_POOL, 'uniswap', 'v3', 'WMATIC/USDC');
+        stream.track(ALGEBRA_POOL, 'quickswapv3', 'algebra', 'WETH/USDC');
+        stream.subscribe();
+        
+        return { provider, stream };
+    }
+    
+    testSubscription() {
+        console.log('\n🔌 Testing subscription...');
+        
+        const { provider, stream } = this.createStream();
+        
+        this.record('One subscription for all tracked pools', provider.subscriptions === 1 &&
+            provider.filter.address.length === 3 && provider.listenerCount('log') === 1);
+        this.record('Filter covers Sync and Swap topics', provider.filter.topics[0].length === 2);
+        
+        this.record('Curve and Balancer pools are left to polling',
+            !stream.track(OTHER_POOL, 'curve', 'curve', 'USDC/USDT') && !stream.track(OTHER_POOL, 'balancer', 'balancer', 'USDC/USDT'));
+            
+        stream.track(V2_PAIR, 'quickswap', 'v2', 'WMATIC/USDT');
+        stream.subscribe();
+        this.record('Known pools do not resubscribe', provider.subscriptions === 1);
+        
+        stream.track(OTHER_POOL, 'sushiswap', 'v2', 'WETH/USDT');
+        stream.subscribe();
+        this.record('New pools replace the subscription', provider.subscriptions === 2 &&
+            provider.listenerCount('log') === 1 && provider.filter.address.length === 4);
+            
+        stream.stop();
+        this.record('Stop unsubscribes', provider.listenerCount('log') === 0);
+    }
+    
+    async testStateUpdates() {
+        console.log('\n📈 Testing pool state updates...');
+        
+        const { provider, stream } = this.createStream();
+        const updates = [];
+        stream.on('poolUpdate', update => updates.push(update));
+        
+        provider.pushLog(stateLog('v2', V2_PAIR, [1000n, 2000n], 100));
+        const v2State = stream.getPoolState(V2_PAIR);
+        this.record('Sync updates V2 reserves', v2State?.reserve0 === 1000n && v2State.reserve1 === 2000n &&
+            v2State.blockNumber === 100);
+            
+        const sqrtPriceX96 = 2n ** 96n;
+        provider.pushLog(swapLog(V3_POOL, sqrtPriceX96, 5n * 10n ** 18n, -5, 101));
+        const v3State = stream.getPoolState(V3_POOL);
+        this.record('Swap updates V3 price, liquidity and tick', v3State?.sqrtPriceX96 === sqrtPriceX96 &&
+            v3State.liquidity === 5n * 10n ** 18n && v3State.tick === -5);
+            
+        provider.pushLog(swapLog(ALGEBRA_POOL, sqrtPriceX96 * 2n, 10n ** 18n, 13863, 101));
+        this.record('Algebra Swap parsed with the V3 layout', stream.getPoolState(ALGEBRA_POOL)?.tick === 13863);
+        
+        provider.pushLog(stateLog('v2', V2_PAIR, [1n, 1n], 99));
+        this.record('Older logs do not overwrite newer state', stream.getPoolState(V2_PAIR).reserve0 === 1000n);
+        
+        provider.pushLog(stateLog('v2', OTHER_POOL, [5n, 5n], 102));
+        provider.pushLog(swapLog(V2_PAIR, sqrtPriceX96, 1n, 0, 103));
+        this.record('Untracked pools and foreign topics are ignored', updates.length === 3 &&
+            stream.getPoolState(V2_PAIR).blockNumber === 100);
+            
+        this.record('poolUpdate reports pool and DEX', updates[0].address === V2_PAIR && updates[0].dex === 'quickswap');
+        
+        stream.stop();
+    }
+    
+    async testRouteDebounce() {
+        console.log('\n⏱️  Testing route debounce...');
+        
+        const { provider, stream } = this.createStream();
+        const batches = [];
+        stream.on('routesChanged', routes => batches.push(routes));
+        
+        provider.pushLog(stateLog('v2', V2_PAIR, [1000n, 2000n], 100));
+        provider.pushLog(swapLog(V3_POOL, 2n ** 96n, 10n ** 18n, 0, 100));
+        provider.pushLog(stateLog('v2', V2_PAIR, [1100n, 1900n], 101));
+        
+        this.record('Routes wait for the debounce window', batches.length === 0);
+        
+        await sleep(50);
+        this.record('A burst of logs re-evaluates each route once', batches.length === 1 &&
+            batches[0].length === 1 && batches[0][0] === 'WMATIC/USDC', JSON.stringify(batches));
+            
+        provider.pushLog(swapLog(ALGEBRA_POOL, 2n ** 96n, 10n ** 18n, 0, 102));
+        await sleep(50);
+        this.record('Only routes on the changed pool are emitted', batches.length === 2 &&
+            batches[1].join() === 'WETH/USDC');
+            
+        stream.stop();
+    }
+    
+    async testStreamedPricing() {
+        console.log('\n💱 Testing pricing from streamed state...');
+        
+        const { WMATIC, USDC, WETH } = config.tokens;
+        const market = new MockV2Market();
+        market.addPool('quickswap', WMATIC, '1000000', USDC, '900000');
+        market.setPriceUSD('WMATIC', 0.9);
+        market.setPriceUSD('USDC', 1);
+        
+        const fetcher = market.priceFetcher;
+        const v2 = fetcher.getAdapter(config.dexes.quickswap);
+        const pair = market.getPool('quickswap', WMATIC.address, USDC.address);
+        const amountIn = ethers.parseUnits('1000', 18);
+        
+        // Sync after a sell moved the pair to 1.1M WMATIC / 820k USDC
+        const reserves = { [WMATIC.address]: ethers.parseUnits('1100000', 18), [USDC.address]: ethers.parseUnits('820000', 6) };
+        fetcher.applyPoolState(pair.address, {
+            reserve0: reserves[pair.token0],
+            reserve1: reserves[pair.token1],
+            blockNumber: 100,
+            updatedAt: Date.now()
+        });
+        
+        const streamed = { ...pair, reserves };
+        const sell = await v2.quote(WMATIC, USDC, amountIn);
+        const buy = await v2.quoteBuy(WMATIC, USDC, amountIn);
+        this.record('V2 quotes priced from Sync reserves without the router', market.swaps.length === 0 &&
+            sell?.amountOut === market.getAmountOut(streamed, WMATIC.address, amountIn) &&
+            buy?.amountIn === market.getAmountIn(streamed, USDC.address, amountIn),
+            `${ethers.formatUnits(sell?.amountOut ?? 0n, 6)} USDC`);
+        this.record('V2 liquidity from the streamed reserves', Math.abs(sell?.liquidity - (1100000 * 0.9 + 820000)) < 1e-6);
+        
+        fetcher.setBlock({ number: 99, hash: ethers.ZeroHash });
+        const pinned = await v2.quote(WMATIC, USDC, amountIn);
+        this.record('State newer than the pinned block is not used', market.swaps.length === 1 &&
+            pinned?.amountOut === market.getAmountOut(pair, WMATIC.address, amountIn));
+        fetcher.setBlock(null);
+        
+        fetcher.poolStates.get(pair.address.toLowerCase()).updatedAt -= fetcher.poolStateTtlMs + 1;
+        await v2.quote(WMATIC, USDC, amountIn);
+        this.record('Stale streamed state falls back to the router', market.swaps.length === 2);
+        
+        await fetcher.cleanup();
+        
+        // V3: the tick data is read once, then each Swap is simulated on it
+        const v3Market = new MockQuoterV2Market();
+        const v3 = v3Market.priceFetcher.getAdapter(config.dexes.uniswap);
+        const wethIn = ethers.parseUnits('10', 18);
+        const viaQuoter = await v3.quote(WETH, USDC, wethIn);
+        const [{ address: pool }] = await v3.discoverPools(WETH, USDC);
+        const model = await v3.getPoolModel(pool);
+        const wethIsToken0 = WETH.address === model.token0;
+        
+        const applySwap = (sqrtPriceX96, blockNumber) => v3Market.priceFetcher.applyPoolState(pool, {
+            sqrtPriceX96,
+            liquidity: model.liquidity,
+            tick: V3PoolModel.getTickAtSqrtRatio(sqrtPriceX96),
+            blockNumber,
+            updatedAt: Date.now()
+        });
+        
+        applySwap(model.sqrtPriceX96, 100);
+        v3Market.quoterCalls.length = 0;
+        const { loadedAt } = v3.loadedModels.get(pool.toLowerCase());
+        const same = await v3.quote(WETH, USDC, wethIn);
+        this.record('V3 quote simulated from the Swap state without the quoter', v3Market.quoterCalls.length === 0 &&
+            v3.loadedModels.get(pool.toLowerCase()).loadedAt === loadedAt && same?.poolInfo.execution?.sqrtPriceX96After !== undefined &&
+            Math.abs(Number(same.amountOut - viaQuoter.amountOut)) / Number(viaQuoter.amountOut) < 0.001,
+            `${ethers.formatUnits(same?.amountOut ?? 0n, 6)} vs ${ethers.formatUnits(viaQuoter.amountOut, 6)} USDC`);
+            
+        // Price of token0 in token1 up 2%: WETH is worth 2% more USDC when it is token0
+        const sqrtPriceX96 = model.sqrtPriceX96 * 101n / 100n;
+        applySwap(sqrtPriceX96, 101);
+        const moved = await v3.quote(WETH, USDC, wethIn);
+        const ratio = Number(moved?.amountOut) / Number(same?.amountOut);
+        const expected = wethIsToken0 ? 1.0201 : 1 / 1.0201;
+        this.record('V3 quote follows the streamed price', Math.abs(ratio - expected) < 0.001, ratio.toFixed(4));
+        
+        const ask = await v3.quoteBuy(WETH, USDC, wethIn);
+        const streamedModel = model.withState({ sqrtPriceX96, tick: V3PoolModel.getTickAtSqrtRatio(sqrtPriceX96), liquidity: model.liquidity });
+        const filled = streamedModel.simulateSwap(!wethIsToken0, ask?.amountIn ?? 0n);
+        const short = streamedModel.simulateSwap(!wethIsToken0, (ask?.amountIn ?? 1n) - 1n);
+        this.record('V3 exact output is the smallest input that buys the amount', v3Market.quoterCalls.length === 0 &&
+            filled.amountOut >= wethIn && short.amountOut < wethIn, `${ethers.formatUnits(ask?.amountIn ?? 0n, 6)} USDC`);
+            
+        await v3Market.priceFetcher.cleanup();
+    }
+    
+    async testEngineReevaluation() {
+        console.log('\n⚙️  Testing engine re-evaluation...');
+        
+        const { provider, stream } = this.createStream();
+        
+        // Engine without providers: stand-ins for the parts evaluatePairs touches
+        const scanned = [];
+        const applied = [];
+        const bot = new ArbitrageBot();
+        Object.assign(bot, {
+            isRunning: true,
+            priceFetcher: { applyPoolState: (address, state) => applied.push({ address, state }), setBlock: () => {} },
+            getBlock: async () => ({ number: 200, hash: ethers.ZeroHash }),
+            scanPair: async (base, quote) => {
+                scanned.push(`${base}/${quote}`);
+                return [{ pair: `${base}/${quote}` }];
+            },
+            analyzeOpportunities: async opportunities => opportunities.map(opportunity => ({
+                ...opportunity,
+                analysis: { netProfit: 1.5 }
+            })),
+            processProfitableOpportunities: async () => {}
+        });
+        bot.attachPoolStream(stream);
+        
+        provider.pushLog(swapLog(V3_POOL, 2n ** 96n, 10n ** 18n, 0, 200));
+        await sleep(50);
+        
+        this.record('Changed pool state is handed to the price fetcher', applied.length === 1 &&
+            applied[0].address === V3_POOL && applied[0].state.sqrtPriceX96 === 2n ** 96n);
+        this.record('Only the affected pair is re-scanned', scanned.join() === 'WMATIC/USDC', scanned.join());
+        this.record('Event scans are counted', bot.stats.eventScans === 1 && bot.stats.profitableOpportunities === 1);
+        
+        bot.streamingPairs.add('WETH/USDC');
+        const skipped = await bot.evaluatePairs(['WETH/USDC']);
+        this.record('Pairs already being evaluated are skipped', skipped.length === 0 && scanned.length === 1);
+        
+        bot.isRunning = false;
+        await bot.evaluatePairs(['WMATIC/USDC']);
+        this.record('Nothing is evaluated once stopped', scanned.length === 1);
+        
+        stream.stop();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Streaming Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All streaming tests passed!');
+        } else {
+            console.log('❌ Some streaming tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new PoolStreamTestSuite();
+    tester.runStreamTests().catch(console.error);
+}
+
+module.exports = PoolStreamTestSuite;
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование проверки котировок DEX по оракулу Chainlink (без сети)
+ * Запуск: npm run test-price-guard
+ */
+
+const PriceGuard = require('../scripts/priceGuard');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+
+const WMATIC_FEED = '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0';
+
+class PriceGuardTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runPriceGuardTests() {
+        console.log('🛡️  Oracle Deviation Guard Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testDeviation();
+            await this.testFlagMode();
+            await this.testTokenLimits();
+            await this.testMissingOracle();
+            await this.testScanPair();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    // Chainlink says WMATIC is $0.90: QuickSwap agrees, the SushiSwap pool is broken at $2
+    createMarket() {
+        const { WMATIC, USDC } = config.tokens;
+        const market = new MockV2Market();
+        
+        market.addPool('quickswap', WMATIC, '1000000', USDC, '901000');
+        market.addPool('sushiswap', WMATIC, '1000000', USDC, '2000000');
+        market.setPriceUSD('WMATIC', 0.9);
+        market.setPriceUSD('USDC', 1);
+        
+        return market;
+    }
+    
+    async getQuotes(market) {
+        return Promise.all(['quickswap', 'sushiswap'].map(dex =>
+            market.priceFetcher.getPairPrice('WMATIC', 'USDC', dex)));
+    }
+    
+    async testDeviation() {
+        console.log('\n📏 Testing deviation check...');
+        
+        const market = this.createMarket();
+        const guard = new PriceGuard(market.priceFetcher, { maxDeviation: 5 });
+        const quotes = await this.getQuotes(market);
+        
+        const kept = await guard.filter('WMATIC', 'USDC', quotes);
+        this.record('Quotes near the oracle are kept', kept.length === 1 && kept[0].dex === 'quickswap');
+        
+        const stats = guard.getStats();
+        const pool = stats.pools[0];
+        this.record('Outlier rejected with a reason', stats.rejected === 1 && stats.reasons.above_oracle === 1,
+            JSON.stringify(stats.reasons));
+        this.record('Rejections are counted per pool', pool?.dex === 'sushiswap' &&
+            pool.pool === quotes[1].poolInfo.pair && pool.lastDeviation > 100,
+            pool ? `${pool.dex} ${pool.lastDeviation.toFixed(1)}%` : 'none');
+            
+        const requests = market.provider.requests.length;
+        await guard.filter('WMATIC', 'USDC', quotes);
+        this.record('Oracle read once per block', market.provider.requests.length === requests &&
+            guard.getStats().pools[0].rejections === 2);
+            
+        const invalid = await guard.filter('WMATIC', 'USDC', [{ ...quotes[0], price: Infinity }]);
+        this.record('Invalid prices are rejected', invalid.length === 0 && guard.getStats().reasons.invalid_price === 1);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testFlagMode() {
+        console.log('\n🚩 Testing flag mode...');
+        
+        const market = this.createMarket();
+        const guard = new PriceGuard(market.priceFetcher, { action: 'flag' });
+        
+        const kept = await guard.filter('WMATIC', 'USDC', await this.getQuotes(market));
+        const flagged = kept.find(quote => quote.oracleCheck);
+        
+        this.record('Outliers are kept but flagged', kept.length === 2 && flagged?.dex === 'sushiswap' &&
+            flagged.oracleCheck.reason === 'above_oracle' && Math.abs(flagged.oracleCheck.reference - 0.9) < 1e-9);
+        this.record('Flags are counted apart from rejections', guard.getStats().flagged === 1 && guard.getStats().rejected === 0);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testTokenLimits() {
+        console.log('\n🎚️  Testing per-token limits...');
+        
+        const market = this.createMarket();
+        const guard = new PriceGuard(market.priceFetcher, { maxDeviation: 5, tokenDeviation: { WMATIC: 150 } });
+        
+        this.record('A pair uses the looser token limit', guard.getMaxDeviation('WMATIC', 'USDC') === 150 &&
+            guard.getMaxDeviation('WETH', 'USDC') === 5);
+            
+        const kept = await guard.filter('WMATIC', 'USDC', await this.getQuotes(market));
+        this.record('Quotes within a token limit pass', kept.length === 2 && guard.getStats().passed === 2);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testMissingOracle() {
+        console.log('\n🕳️  Testing missing oracle...');
+        
+        const market = this.createMarket();
+        const guard = new PriceGuard(market.priceFetcher);
+        
+        market.provider.on(market.abis.chainlinkAggregator, 'latestRoundData', () => {
+            throw new Error('feed down');
+        }, WMATIC_FEED);
+        
+        const kept = await guard.filter('WMATIC', 'USDC', await this.getQuotes(market));
+        this.record('Quotes pass unchecked without an oracle price', kept.length === 2 &&
+            guard.getStats().unchecked === 2 && guard.getStats().rejected === 0);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testScanPair() {
+        console.log('\n🔍 Testing pair scans...');
+        
+        const market = this.createMarket();
+        const bot = new ArbitrageBot();
+        Object.assign(bot, { priceFetcher: market.priceFetcher, poolStream: null, priceGuard: null });
+        
+        const unguarded = await bot.scanPair('WMATIC', 'USDC');
+        this.record('A broken pool shows up as a huge spread', unguarded.length === 1 && unguarded[0].spread > 100,
+            unguarded[0] ? `${unguarded[0].spread.toFixed(1)}%` : 'none');
+            
+        bot.priceGuard = new PriceGuard(market.priceFetcher);
+        const guarded = await bot.scanPair('WMATIC', 'USDC');
+        this.record('The guard removes it before the spread', guarded.length === 0 &&
+            bot.priceGuard.getStats().rejected === 1);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Price Guard Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All price guard tests passed!');
+        } else {
+            console.log('❌ Some price guard tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new PriceGuardTestSuite();
+    tester.runPriceGuardTests().catch(console.error);
+}
+
+module.exports = PriceGuardTestSuite;
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование настраиваемой цепочки источников цен и их статистики (без сети)
+ * Запуск: npm run test-price-sources
+ */
+
+const priceSources = require('../scripts/priceSources');
+const ChainlinkSource = require('../scripts/priceSources/chainlinkSource');
+const CoinGeckoSource = require('../scripts/priceSources/coingeckoSource');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+
+const TEST_FEED = '0x00000000000000000000000000000000000Fee01';
+
+class PriceSourcesTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runPriceSourcesTests() {
+        console.log('🧭 Price Source Chain Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testConfiguredOrder();
+            await this.testTimeout();
+            await this.testStaleness();
+            await this.testCoinGecko();
+            await this.testStats();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    /**
+     * V2 market with CoinGecko offline; fetches counts the calls that reached
+     * each source's fetch()
+     */
+    createMarket() {
+        const market = new MockV2Market();
+        const fetches = { coingecko: 0 };
+        
+        market.priceFetcher.twapOracle = null;
+        market.priceFetcher.priceSources.get('coingecko').fetch = async () => {
+            fetches.coingecko++;
+            throw new Error('offline');
+        };
+        
+        return { market, fetches };
+    }
+    
+    // A token added to config only, with its own source order
+    async withToken(priceSourceEntries, test) {
+        config.tokens.TEST = {
+            address: '0x000000000000000000000000000000000000C0de',
+            decimals: 18,
+            symbol: 'TEST',
+            ...(priceSourceEntries && { priceSources: priceSourceEntries })
+        };
+        
+        try {
+            await test();
+        } finally {
+            delete config.tokens.TEST;
+        }
+    }
+    
+    async testConfiguredOrder() {
+        console.log('\n📋 Testing configured source order...');
+        
+        const { market, fetches } = this.createMarket();
+        market.provider.on(market.abis.chainlinkAggregator, 'latestRoundData', () =>
+            [1n, 4200000000n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n], TEST_FEED);
+            
+        await this.withToken([
+            { source: 'coingecko', id: 'test-token' },
+            { source: 'chainlink', feed: TEST_FEED }
+        ], async () => {
+            const price = await market.priceFetcher.getTokenPriceUSD('TEST');
+            const info = market.priceFetcher.getPriceSourceInfo('TEST');
+            this.record('A token added in config alone is priced', price === 42 && info.source === 'chainlink', `$${price}`);
+            this.record('Sources tried in the declared priority', fetches.coingecko === 1);
+        });
+        
+        await this.withToken(null, async () => {
+            this.record('Tokens without sources use the defaults',
+                JSON.stringify(priceSources.getEntries('TEST')) === JSON.stringify(config.settings.priceSources.defaultSources));
+        });
+        
+        const weth = await market.priceFetcher.getChainlinkPrice('WETH');
+        this.record('Chainlink feeds come from the token config', Math.abs(weth - 0.9) < 1e-9 &&
+            market.provider.requests.length > 0);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testTimeout() {
+        console.log('\n⏱️  Testing timeouts...');
+        
+        const { market } = this.createMarket();
+        const chainlink = market.priceFetcher.priceSources.get('chainlink');
+        chainlink.fetch = () => new Promise(resolve => setTimeout(() => resolve({ price: 1 }), 200));
+        
+        await this.withToken([
+            { source: 'chainlink', feed: TEST_FEED, timeoutMs: 20 },
+            { source: 'coingecko', id: 'test-token' }
+        ], async () => {
+            const error = await market.priceFetcher.getTokenPriceUSD('TEST').then(() => null, e => e);
+            this.record('A slow source times out and the next is tried', error !== null &&
+                chainlink.getStats().timeouts === 1 && market.priceFetcher.getSourceStats().coingecko.failures === 1);
+            this.record('Entry timeout overrides the source default', chainlink.getStats().lastLatencyMs < 150,
+                `${chainlink.getStats().lastLatencyMs}ms`);
+        });
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testStaleness() {
+        console.log('\n🕰️  Testing staleness...');
+        
+        const { market } = this.createMarket();
+        const updatedAt = Math.floor(Date.now() / 1000) - 2 * 3600;
+        market.provider.on(market.abis.chainlinkAggregator, 'latestRoundData', () =>
+            [1n, 4200000000n, 0n, BigInt(updatedAt), 1n], TEST_FEED);
+            
+        await this.withToken([{ source: 'chainlink', feed: TEST_FEED }], async () => {
+            const error = await market.priceFetcher.getChainlinkPrice('TEST').then(() => null, e => e);
+            const stats = market.priceFetcher.getSourceStats().chainlink;
+            this.record('Answers older than maxAgeSeconds are rejected', /stale/.test(error?.message) && stats.stale === 1);
+            
+            const fresh = await market.priceFetcher.getSourcePrice('chainlink', 'TEST',
+                { source: 'chainlink', feed: TEST_FEED, maxAgeSeconds: 3 * 3600 });
+            this.record('Entry may accept older answers', fresh.price === 42 &&
+                Math.abs(market.priceFetcher.getSourceStats().chainlink.lastAgeSeconds - 7200) < 5);
+        });
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testCoinGecko() {
+        console.log('\n🦎 Testing CoinGecko settings...');
+        
+        const source = new CoinGeckoSource(null, { rateLimitPerMinute: 2, apiKeyEnv: 'TEST_COINGECKO_KEY' });
+        const requests = [];
+        const originalFetch = global.fetch;
+        const updatedAt = Math.floor(Date.now() / 1000) - 30;
+        
+        process.env.TEST_COINGECKO_KEY = 'secret';
+        global.fetch = async (url, options) => {
+            requests.push({ url, headers: options.headers });
+            return { ok: true, json: async () => ({ 'test-token': { usd: 1.5, last_updated_at: updatedAt } }) };
+        };
+        
+        try {
+            const result = await source.getPrice('TEST', { source: 'coingecko', id: 'test-token' });
+            this.record('API key sent from the configured variable', requests[0]?.headers['x-cg-demo-api-key'] === 'secret' &&
+                requests[0].url.includes('ids=test-token'));
+            this.record('Answer timestamp kept for staleness', result.price === 1.5 &&
+                Math.abs(source.getStats().lastAgeSeconds - 30) < 5);
+                
+            await source.getPrice('TEST', { source: 'coingecko', id: 'test-token' });
+            const limited = await source.getPrice('TEST', { source: 'coingecko', id: 'test-token' }).then(() => null, e => e);
+            this.record('Requests past the rate limit are not sent', /rate limit/.test(limited?.message) &&
+                requests.length === 2 && source.getStats().rateLimited === 1);
+                
+        } finally {
+            global.fetch = originalFetch;
+            delete process.env.TEST_COINGECKO_KEY;
+        }
+    }
+    
+    async testStats() {
+        console.log('\n📊 Testing source stats...');
+        
+        const { market } = this.createMarket();
+        
+        await market.priceFetcher.getTokenPriceUSD('WETH');
+        const stats = market.priceFetcher.getSourceStats();
+        
+        this.record('Every registered source reported', Object.keys(stats).sort().join() === priceSources.getNames().sort().join());
+        this.record('Success, latency and health per source', stats.chainlink.successes === 1 &&
+            stats.chainlink.successRate === 100 && stats.chainlink.avgLatencyMs >= 0 && stats.chainlink.healthy === true &&
+            stats.coingecko.healthy === null);
+            
+        const errors = [];
+        ChainlinkSource.validateEntry('TEST', { source: 'chainlink', feed: 'nope' }, errors);
+        CoinGeckoSource.validateEntry('TEST', { source: 'coingecko' }, errors);
+        this.record('Entries validated by their source', errors.length === 2, errors.join('; '));
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Price Sources Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All price source tests passed!');
+        } else {
+            console.log('❌ Some price source tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new PriceSourcesTestSuite();
+    tester.runPriceSourcesTests().catch(console.error);
+}
+
+module.exports = PriceSourcesTestSuite;
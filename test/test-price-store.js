@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование хранилища последних известных цен и устаревания цен (без сети)
+ * Запуск: npm run test-price-store
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+const PriceStore = require('../scripts/priceStore');
+const GasCalculator = require('../scripts/gasCalculator');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const config = require('../config/polygon.json');
+const { MockV2Market } = require('./test-quoting');
+
+class PriceStoreTestSuite {
+    constructor() {
+        this.testResults = [];
+        this.file = path.join(os.tmpdir(), `last_prices_${process.pid}.json`);
+    }
+    
+    async runPriceStoreTests() {
+        console.log('🗄️  Last Known Price Store Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testPersistence();
+            await this.testFallback();
+            await this.testGasPrice();
+            await this.testOpportunities();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+            
+        } finally {
+            await fs.remove(this.file);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    /**
+     * V2 market whose Chainlink feeds can all be taken down, with CoinGecko
+     * unreachable and a price store of the given staleness limit
+     */
+    createMarket(maxStalenessMs = 3600000) {
+        const market = new MockV2Market();
+        const feeds = { down: false };
+        
+        market.priceFetcher.twapOracle = null;
+        market.priceFetcher.priceStore = new PriceStore({ file: this.file, maxStalenessMs });
+        market.priceFetcher.priceSources.get('coingecko').fetch = async () => {
+            throw new Error('offline');
+        };
+        
+        market.provider.on(market.abis.chainlinkAggregator, 'latestRoundData', () => {
+            if (feeds.down) {
+                throw new Error('feed down');
+            }
+            return [1n, 185000000000n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n];
+        });
+        
+        return { market, feeds };
+    }
+    
+    // Make symbol's last live price older than it is
+    age(priceFetcher, symbol, ms) {
+        priceFetcher.priceStore.prices[symbol].observedAt -= ms;
+        priceFetcher.tokenPrices.delete(`${symbol}_USD`);
+    }
+    
+    async testPersistence() {
+        console.log('\n💾 Testing persistence...');
+        
+        await fs.remove(this.file);
+        const store = new PriceStore({ file: this.file, saveIntervalMs: 10 });
+        
+        store.record('WETH', 1850, 'chainlink');
+        await new Promise(resolve => setTimeout(resolve, 30));
+        this.record('Nothing written before the saved prices are read', !await fs.pathExists(this.file));
+        
+        await store.load();
+        store.record('WMATIC', 0.52, 'twap');
+        await store.stop();
+        
+        const reloaded = new PriceStore({ file: this.file });
+        await reloaded.load();
+        const weth = reloaded.get('WETH');
+        this.record('Prices survive a restart with source and time', weth?.price === 1850 && weth.source === 'chainlink' &&
+            reloaded.get('WMATIC')?.source === 'twap' && weth.age >= 0);
+            
+        const fresh = new PriceStore({ file: this.file });
+        fresh.record('WETH', 1900, 'coingecko');
+        await fresh.load();
+        this.record('Prices seen before loading win over saved ones', fresh.get('WETH').price === 1900 &&
+            fresh.get('WMATIC').price === 0.52);
+    }
+    
+    async testFallback() {
+        console.log('\n🔁 Testing last known fallback...');
+        
+        const { market, feeds } = this.createMarket();
+        const fetcher = market.priceFetcher;
+        
+        await fetcher.getTokenPriceUSD('WETH');
+        this.record('Live prices are recorded', fetcher.priceStore.get('WETH')?.price === 1850 &&
+            fetcher.priceStore.get('WETH').source === 'chainlink');
+            
+        feeds.down = true;
+        this.age(fetcher, 'WETH', 60000);
+        const price = await fetcher.getTokenPriceUSD('WETH');
+        this.record('Last known price used when every source fails', price === 1850 &&
+            fetcher.getStalePrices(['WETH']).length === 0, `$${price}`);
+            
+        let error = null;
+        await fetcher.getTokenPriceUSD('LINK').catch(e => {
+            error = e;
+        });
+        this.record('No invented price for a token never observed', error !== null);
+        
+        this.age(fetcher, 'WETH', 2 * 3600000);
+        const [stale] = fetcher.getStalePrices(['WETH', 'USDC']);
+        this.record('Past the staleness limit the price is reported stale', stale?.symbol === 'WETH' &&
+            fetcher.getPriceSourceInfo('WETH').lastKnown.stale === true);
+            
+        await fetcher.cleanup();
+    }
+    
+    async testGasPrice() {
+        console.log('\n⛽ Testing gas cost in USD...');
+        
+        const { market } = this.createMarket();
+        const provider = { getFeeData: async () => ({ gasPrice: ethers.parseUnits('100', 'gwei') }) };
+        const gasCalculator = new GasCalculator(provider, market.priceFetcher);
+        
+        const units = gasCalculator.estimateGasUnits('USDC', 'quickswap', 'sushiswap');
+        const cost = await gasCalculator.calculateTotalGasCost('USDC', 'quickswap', 'sushiswap');
+        const expected = units * 100e-9 * 1850;
+        this.record('Gas priced at the fetched MATIC price', Math.abs(cost - expected) < 1e-9,
+            `$${cost.toFixed(4)}`);
+            
+        let refused = null;
+        try {
+            new GasCalculator(provider);
+        } catch (error) {
+            refused = error.message;
+        }
+        this.record('A calculator without a price fetcher is refused', refused === 'GasCalculator requires a PriceFetcher', refused);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testOpportunities() {
+        console.log('\n🚦 Testing stale-price opportunities...');
+        
+        const { market, feeds } = this.createMarket();
+        const bot = new ArbitrageBot();
+        Object.assign(bot, {
+            priceFetcher: market.priceFetcher,
+            minNetProfit: 1,
+            calculateRealProfit: async () => ({ netProfit: 10 })
+        });
+        
+        const opportunity = { token: 'WETH', quoteToken: 'USDC', pair: 'WETH/USDC', buyDex: 'quickswap', sellDex: 'sushiswap' };
+        const onStale = config.settings.priceStore.onStale;
+        
+        try {
+            await Promise.all(['WETH', 'USDC', 'LINK', 'WMATIC'].map(symbol => market.priceFetcher.getTokenPriceUSD(symbol)));
+            
+            const [fresh] = await bot.analyzeOpportunities([opportunity]);
+            this.record('Fresh prices: opportunity analysed as usual', fresh && !fresh.degraded);
+            
+            feeds.down = true;
+            this.age(market.priceFetcher, 'WMATIC', 2 * 3600000);
+            
+            config.settings.priceStore.onStale = 'degrade';
+            const [degraded] = await bot.analyzeOpportunities([opportunity]);
+            this.record('Stale gas price marks the opportunity degraded', degraded?.degraded?.reason === 'stale_price' &&
+                degraded.degraded.prices.map(entry => entry.symbol).join() === 'WMATIC' && bot.stats.degradedOpportunities === 1);
+                
+            this.age(market.priceFetcher, 'LINK', 2 * 3600000);
+            const [cycle] = await bot.analyzeOpportunities([{
+                ...opportunity,
+                route: [{ tokenIn: 'USDC', tokenOut: 'LINK' }, { tokenIn: 'LINK', tokenOut: 'USDC' }]
+            }]);
+            this.record('Route tokens are checked too', cycle?.degraded?.prices.map(entry => entry.symbol).sort().join() === 'LINK,WMATIC');
+            
+            config.settings.priceStore.onStale = 'suppress';
+            const suppressed = await bot.analyzeOpportunities([opportunity]);
+            this.record('Suppressed when configured', suppressed.length === 0 && bot.stats.suppressedOpportunities === 1);
+            
+        } finally {
+            config.settings.priceStore.onStale = onStale;
+            await market.priceFetcher.cleanup();
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 Price Store Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All price store tests passed!');
+        } else {
+            console.log('❌ Some price store tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new PriceStoreTestSuite();
+    tester.runPriceStoreTests().catch(console.error);
+}
+
+module.exports = PriceStoreTestSuite;
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование котировок с учетом размера сделки (без сети)
+ * Запуск: npm run test-quoting
+ */
+
+const { ethers } = require('ethers');
+const PriceFetcher = require('../scripts/priceFetcher');
+const TradeSizeOptimizer = require('../scripts/tradeSizeOptimizer');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+// Chainlink USDC/USD and USDT/USD
+const STABLECOIN_FEEDS = ['0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7', '0x0A6513e40db6EB1b165753AD52E80663aeA50545'];
+
+/**
+ * Constant-product V2 market on top of the mock multicall provider.
+ * Any number of pairs per DEX, each with its own reserves.
+ */
+class MockV2Market {
+    constructor() {
+        this.provider = new MockMulticallProvider();
+        this.priceFetcher = new PriceFetcher(this.provider);
+        this.abis = this.priceFetcher.interfaces;
+        this.pools = new Map();
+        this.swaps = [];
+        
+        this.provider.on(this.abis.v2Factory, 'getPair', ([tokenA, tokenB], factory) => {
+            const pool = this.getPool(this.findDex('factory', factory), tokenA, tokenB);
+            return [pool ? pool.address : ethers.ZeroAddress];
+        });
+        
+        this.provider.on(this.abis.v2Router, 'getAmountsOut', ([amountIn, path], router) => {
+            const dex = this.findDex('router', router);
+            const pool = this.getPool(dex, path[0], path[1]);
+            if (!pool) throw new Error('INVALID_PATH');
+            
+            const amountOut = this.getAmountOut(pool, path[0], amountIn);
+            this.swaps.push({ dex, tokenIn: path[0], amountIn, amountOut });
+            return [[amountIn, amountOut]];
+        });
+        
+        this.provider.on(this.abis.v2Router, 'getAmountsIn', ([amountOut, path], router) => {
+            const pool = this.getPool(this.findDex('router', router), path[0], path[1]);
+            if (!pool) throw new Error('INVALID_PATH');
+            
+            return [[this.getAmountIn(pool, path[0], amountOut), amountOut]];
+        });
+        
+        this.provider.on(this.abis.v2Pair, 'getReserves', (args, pair) => {
+            const pool = this.findPair(pair);
+            return [pool.reserves[pool.token0], pool.reserves[pool.token1], 0];
+        });
+        
+        this.provider.on(this.abis.v2Pair, 'token0', (args, pair) => [this.findPair(pair).token0]);
+        
+        // Chainlink answers $0.90 for every feed but the stablecoins' $1.00
+        this.provider.on(this.abis.chainlinkAggregator, 'latestRoundData', () =>
+            [1n, 90000000n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n]);
+        for (const feed of STABLECOIN_FEEDS) {
+            this.provider.on(this.abis.chainlinkAggregator, 'latestRoundData', () =>
+                [1n, 100000000n, 0n, BigInt(Math.floor(Date.now() / 1000)), 1n], feed);
+        }
+        this.provider.on(this.abis.chainlinkAggregator, 'decimals', () => [8]);
+    }
+    
+    addPool(dex, tokenA, amountA, tokenB, amountB) {
+        const address = ethers.getAddress(ethers.toBeHex(this.pools.size + 1, 20));
+        const [token0, token1] = BigInt(tokenA.address) < BigInt(tokenB.address)
+            ? [tokenA.address, tokenB.address]
+            : [tokenB.address, tokenA.address];
+            
+        this.pools.set(this.poolKey(dex, tokenA.address, tokenB.address), {
+            dex,
+            address,
+            token0,
+            token1,
+            reserves: {
+                [tokenA.address]: ethers.parseUnits(amountA, tokenA.decimals),
+                [tokenB.address]: ethers.parseUnits(amountB, tokenB.decimals)
+            }
+        });
+    }
+    
+    // Pin a USD price instead of the Chainlink answer
+    setPriceUSD(symbol, price) {
+        this.priceFetcher.tokenPrices.set(`${symbol}_USD`, { price, timestamp: Date.now(), source: 'test' });
+    }
+    
+    poolKey(dex, tokenA, tokenB) {
+        return [dex, ...[tokenA.toLowerCase(), tokenB.toLowerCase()].sort()].join(':');
+    }
+    
+    getPool(dex, tokenA, tokenB) {
+        return this.pools.get(this.poolKey(dex, tokenA, tokenB)) || null;
+    }
+    
+    findDex(field, address) {
+        return Object.keys(config.dexes).find(dex =>
+            config.dexes[dex][field]?.toLowerCase() === address.toLowerCase());
+    }
+    
+    findPair(address) {
+        return [...this.pools.values()].find(pool => pool.address.toLowerCase() === address.toLowerCase());
+    }
+    
+    getAmountOut(pool, tokenIn, amountIn) {
+        const tokenOut = tokenIn.toLowerCase() === pool.token0.toLowerCase() ? pool.token1 : pool.token0;
+        const reserveIn = pool.reserves[ethers.getAddress(tokenIn)];
+        const reserveOut = pool.reserves[tokenOut];
+        const amountInWithFee = amountIn * 997n;
+        
+        return amountInWithFee * reserveOut / (reserveIn * 1000n + amountInWithFee);
+    }
+    
+    // UniswapV2Library.getAmountIn
+    getAmountIn(pool, tokenIn, amountOut) {
+        const tokenOut = tokenIn.toLowerCase() === pool.token0.toLowerCase() ? pool.token1 : pool.token0;
+        const reserveIn = pool.reserves[ethers.getAddress(tokenIn)];
+        const reserveOut = pool.reserves[tokenOut];
+        if (amountOut >= reserveOut) throw new Error('INSUFFICIENT_LIQUIDITY');
+        
+        return reserveIn * amountOut * 1000n / ((reserveOut - amountOut) * 997n) + 1n;
+    }
+}
+
+class QuotingTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runQuotingTests() {
+        console.log('📏 Size-Aware Quoting Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testSizedPairPrice();
+            await this.testRoundTrip();
+            await this.testGoldenSection();
+            await this.testOptimalRoundTripSize();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    // WMATIC is $0.90 on SushiSwap and $0.92 on QuickSwap, ~$1.8M pools
+    createMarket() {
+        const { WMATIC, USDC } = config.tokens;
+        const market = new MockV2Market();
+        
+        market.addPool('sushiswap', WMATIC, '1000000', USDC, '900000');
+        market.addPool('quickswap', WMATIC, '1000000', USDC, '920000');
+        
+        return market;
+    }
+    
+    async testSizedPairPrice() {
+        console.log('\n📉 Testing quotes at trade size...');
+        
+        const market = this.createMarket();
+        const { priceFetcher } = market;
+        
+        const unit = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'sushiswap');
+        const sized = await priceFetcher.getPairPrice('WMATIC', 'USDC', 'sushiswap', 50000);
+        
+        const sizedSwap = market.swaps[market.swaps.length - 1];
+        const expected = parseFloat(ethers.formatUnits(sizedSwap.amountOut, 6)) /
+            parseFloat(ethers.formatUnits(sizedSwap.amountIn, 18));
+            
+        this.record('$50k quoted with the USD-equivalent input', Math.abs(parseFloat(ethers.formatUnits(sizedSwap.amountIn, 18)) * 0.9 - 50000) < 1e-6,
+            `${ethers.formatUnits(sizedSwap.amountIn, 18)} WMATIC`);
+        this.record('Sized price is the average execution price', Math.abs(sized.price - expected) < 1e-12,
+            `${sized.price}`);
+        this.record('Price impact lowers the sized price', sized.price < unit.price * 0.95,
+            `${unit.price.toFixed(6)} → ${sized.price.toFixed(6)}`);
+            
+        await priceFetcher.cleanup();
+    }
+    
+    async testRoundTrip() {
+        console.log('\n🔁 Testing executable round trip...');
+        
+        const market = this.createMarket();
+        const { priceFetcher } = market;
+        const { WMATIC, USDC } = config.tokens;
+        
+        const opportunity = {
+            token: 'WMATIC',
+            quoteToken: 'USDC',
+            buyDex: 'sushiswap',
+            sellDex: 'quickswap',
+            buyPool: { type: 'v2' },
+            sellPool: { type: 'v2' }
+        };
+        
+        const amountIn = await priceFetcher.getTradeAmount('USDC', 1000);
+        const roundTrip = await priceFetcher.quoteRoundTrip(opportunity, amountIn);
+        
+        const [buy, sell] = market.swaps;
+        const expectedBuy = market.getAmountOut(market.getPool('sushiswap', WMATIC.address, USDC.address), USDC.address, amountIn);
+        const expectedSell = market.getAmountOut(market.getPool('quickswap', WMATIC.address, USDC.address), WMATIC.address, expectedBuy);
+        
+        this.record('Buy leg spends $1000 of USDC on the buy DEX',
+            buy?.dex === 'sushiswap' && buy.amountIn === ethers.parseUnits('1000', 6));
+        this.record('Sell leg sells exactly the buy output', sell?.dex === 'quickswap' && sell.amountIn === buy.amountOut,
+            `${ethers.formatUnits(sell?.amountIn || 0n, 18)} WMATIC`);
+        this.record('Round trip output matches both pools', roundTrip.raw.amountOut === expectedSell.toString(),
+            `${roundTrip.amountOut} USDC`);
+            
+        // 2.2% spread at unit prices, minus 2 × 0.3% fees and impact on both legs
+        const unitSpreadOutput = 1000 * 0.92 / 0.9;
+        this.record('Output is below the spread estimate', roundTrip.amountOut < unitSpreadOutput * 0.994,
+            `${roundTrip.amountOut.toFixed(2)} < ${unitSpreadOutput.toFixed(2)}`);
+        this.record('USD values reported', Math.abs(roundTrip.amountInUSD - 1000) < 1e-9 &&
+            Math.abs(roundTrip.amountOutUSD - roundTrip.amountOut) < 1e-9);
+        this.record('Result is JSON-safe', typeof JSON.stringify(roundTrip) === 'string');
+        
+        await priceFetcher.cleanup();
+    }
+    
+    async testGoldenSection() {
+        console.log('\n🌀 Testing golden-section search...');
+        
+        const optimizer = new TradeSizeOptimizer(null, { minAmountUSD: 10, maxAmountUSD: 100000, iterations: 20 });
+        
+        // Concave profit 0.02x - 1e-6x² peaks at $10,000
+        const result = await optimizer.optimize(async (amountUSD) => ({
+            grossProfit: 0.02 * amountUSD - 1e-6 * amountUSD * amountUSD,
+            roundTrip: { amountUSD }
+        }));
+        
+        this.record('Finds the maximum of a concave curve', Math.abs(result.amountUSD / 10000 - 1) < 0.01,
+            `$${result.amountUSD.toFixed(2)} in ${result.evaluations} evaluations`);
+        this.record('Curve includes reference sizes and the optimum',
+            result.curve.map(p => Math.round(p.amountUSD)).join(',') === '100,500,1000,5000,10000,10000');
+            
+        // Quotes revert above $3,000 (e.g. not enough liquidity in range)
+        const capped = await optimizer.optimize(async (amountUSD) => {
+            if (amountUSD > 3000) throw new Error('SPL');
+            return { grossProfit: amountUSD / 1000, roundTrip: { amountUSD } };
+        });
+        
+        this.record('Reverting sizes are avoided', capped.amountUSD <= 3000 && capped.amountUSD > 2500,
+            `$${capped.amountUSD.toFixed(2)}`);
+        this.record('Failed reference sizes reported as n/a', capped.curve.find(p => p.amountUSD === 5000).grossProfit === null);
+        
+        const none = await optimizer.optimize(async () => {
+            throw new Error('no pool');
+        });
+        this.record('No quotable size returns null', none === null);
+        
+        this.record('Size capped by shallower pool', optimizer.getMaxAmountUSD(20000, 5000000) === 2000);
+    }
+    
+    async testOptimalRoundTripSize() {
+        console.log('\n📐 Testing optimal size for a two-pool round trip...');
+        
+        const market = this.createMarket();
+        const { priceFetcher } = market;
+        const optimizer = new TradeSizeOptimizer(priceFetcher, config.settings.tradeSize);
+        
+        const opportunity = {
+            token: 'WMATIC',
+            quoteToken: 'USDC',
+            buyDex: 'sushiswap',
+            sellDex: 'quickswap',
+            buyPool: { type: 'v2' },
+            sellPool: { type: 'v2' },
+            buyLiquidity: 1800000,
+            sellLiquidity: 1840000
+        };
+        
+        const result = await optimizer.optimizeRoundTrip(opportunity);
+        
+        // Two constant-product pools compose into one with these virtual reserves
+        const fee = 0.997;
+        const [buyIn, buyOut, sellIn, sellOut] = [900000, 1000000, 1000000, 920000];
+        const virtualIn = buyIn * sellIn / (sellIn + fee * buyOut);
+        const virtualOut = fee * buyOut * sellOut / (sellIn + fee * buyOut);
+        const expected = (Math.sqrt(virtualIn * virtualOut * fee) - virtualIn) / fee;
+        
+        this.record('Optimal size matches closed form', Math.abs(result.amountUSD / expected - 1) < 0.02,
+            `$${result.amountUSD.toFixed(0)} vs $${expected.toFixed(0)}`);
+        this.record('Optimum beats every reference size',
+            result.curve.every(point => point.grossProfit <= result.grossProfit + 1e-9));
+        this.record('Round trip returned for the optimal size',
+            Math.abs(result.roundTrip.amountInUSD - result.amountUSD) < 0.01,
+            `$${result.grossProfit.toFixed(2)} gross`);
+            
+        await priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 Quoting Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All quoting tests passed!');
+        } else {
+            console.log('❌ Some quoting tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new QuotingTestSuite();
+    tester.runQuotingTests().catch(console.error);
+}
+
+module.exports = QuotingTestSuite;
+module.exports.MockV2Market = MockV2Market;
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование обработки реорганизаций цепочки (без сети)
+ * Запуск: npm run test-reorg
+ */
+
+const { ethers } = require('ethers');
+const ReorgTracker = require('../scripts/reorgTracker');
+const ArbitrageBot = require('../scripts/arbitrageBot');
+const telegramNotifier = require('../scripts/telegram');
+
+/**
+ * Canonical chain that can be rewritten from a given height. Block hashes
+ * encode the fork so orphaned and replacement blocks differ. Orphaned blocks
+ * stay readable by hash unless servesOrphans is turned off.
+ */
+class MockChain {
+    constructor(length) {
+        this.blocks = [];
+        this.byHash = new Map();
+        this.forks = 0;
+        this.getBlockCalls = 0;
+        this.servesOrphans = true;
+        
+        for (let number = 0; number <= length; number++) {
+            this.append();
+        }
+    }
+    
+    append() {
+        const number = this.blocks.length;
+        const parentHash = number > 0 ? this.blocks[number - 1].hash : ethers.ZeroHash;
+        const hash = ethers.keccak256(ethers.toUtf8Bytes(`${this.forks}:${number}:${parentHash}`));
+        
+        this.blocks.push({ number, hash, parentHash });
+        this.byHash.set(hash, this.blocks[number]);
+        return this.blocks[number];
+    }
+    
+    // Replace every block from fromNumber upwards with a new branch of the same length
+    reorg(fromNumber) {
+        const length = this.blocks.length;
+        this.forks++;
+        this.blocks = this.blocks.slice(0, fromNumber);
+        
+        while (this.blocks.length < length) {
+            this.append();
+        }
+    }
+    
+    get head() {
+        return this.blocks[this.blocks.length - 1];
+    }
+    
+    async getBlock(blockTag) {
+        this.getBlockCalls++;
+        
+        if (ethers.isHexString(blockTag, 32)) {
+            const block = this.byHash.get(blockTag);
+            return block && (this.servesOrphans || this.blocks[block.number] === block) ? block : null;
+        }
+        
+        return this.blocks[blockTag === 'latest' ? this.blocks.length - 1 : blockTag] || null;
+    }
+}
+
+class ReorgTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runReorgTests() {
+        console.log('⛓️  Chain Reorg Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testDetection();
+            await this.testSparseBlocks();
+            await this.testRetraction();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    async testDetection() {
+        console.log('\n🔍 Testing reorg detection...');
+        
+        const chain = new MockChain(10);
+        const tracker = new ReorgTracker(chain, { trackDepth: 8 });
+        
+        for (let number = 1; number <= 10; number++) {
+            await tracker.addBlock(chain.blocks[number]);
+        }
+        this.record('A linear chain is not a reorg', tracker.getStats().reorgs === 0 && chain.getBlockCalls === 0,
+            `${chain.getBlockCalls} extra block reads`);
+        this.record('Only trackDepth blocks are kept', tracker.getStats().trackedBlocks === 8);
+        
+        const orphaned9 = chain.blocks[9];
+        chain.reorg(9);
+        const reorg = await tracker.addBlock(chain.append());
+        
+        this.record('Orphaned blocks found through parent hashes', reorg?.depth === 2 &&
+            reorg.orphaned[0].hash === orphaned9.hash && reorg.ancestor === 8,
+            `depth ${reorg?.depth}, ancestor ${reorg?.ancestor}`);
+        this.record('Orphaned hashes are dropped for the new head', tracker.isCanonical(11, chain.head.hash) &&
+            tracker.isCanonical(9, orphaned9.hash) !== true);
+            
+        // A competing block at the head's own height
+        const sibling = { ...chain.head, hash: ethers.id('sibling') };
+        const replaced = await tracker.addBlock(sibling);
+        this.record('A replaced head is a depth-1 reorg', replaced?.depth === 1 && replaced.ancestor === 10,
+            `depth ${replaced?.depth}, ancestor ${replaced?.ancestor}`);
+        
+        const stats = tracker.getStats();
+        this.record('Reorg depth and frequency reported', stats.reorgs === 2 && stats.maxDepth === 2 &&
+            stats.avgDepth === 1.5 && stats.reorgsPerHour > 0);
+    }
+    
+    async testSparseBlocks() {
+        console.log('\n🕳️  Testing polled (non-consecutive) blocks...');
+        
+        const chain = new MockChain(40);
+        const tracker = new ReorgTracker(chain);
+        
+        await tracker.addBlock(chain.blocks[20]);
+        chain.getBlockCalls = 0;
+        const clean = await tracker.addBlock(chain.blocks[30]);
+        this.record('A gap costs one canonical lookup', clean === null && chain.getBlockCalls === 1);
+        
+        // Blocks 28 and up replaced: one stored block orphaned, three blocks deep
+        chain.reorg(28);
+        const reorg = await tracker.addBlock(chain.blocks[40]);
+        this.record('Orphaned scan block found across a gap', reorg?.orphaned.length === 1 && reorg.orphaned[0].number === 30);
+        this.record('Depth measured from the common ancestor between stored blocks', reorg?.depth === 3 &&
+            reorg.ancestor === 27 && tracker.getStats().maxDepth === 3 && tracker.getStats().avgDepth === 3,
+            `depth ${reorg?.depth}, ancestor ${reorg?.ancestor}`);
+            
+        const lagging = await tracker.addBlock(chain.blocks[35]);
+        this.record('A lagging head is not mistaken for a reorg', lagging === null && tracker.getStats().reorgs === 1);
+        
+        // Every stored block orphaned: the ancestor is still found below them
+        const deep = new MockChain(100);
+        const deepTracker = new ReorgTracker(deep);
+        await deepTracker.addBlock(deep.blocks[70]);
+        await deepTracker.addBlock(deep.blocks[85]);
+        deep.reorg(60);
+        const unanchored = await deepTracker.addBlock(deep.blocks[100]);
+        this.record('Ancestor found when no stored block is canonical', unanchored?.orphaned.length === 2 &&
+            unanchored.ancestor === 59 && unanchored.depth === 26, `depth ${unanchored?.depth}, ancestor ${unanchored?.ancestor}`);
+            
+        // A node that dropped the orphaned branch bounds the depth by the last canonical stored block
+        const pruned = new MockChain(40);
+        const prunedTracker = new ReorgTracker(pruned);
+        await prunedTracker.addBlock(pruned.blocks[20]);
+        await prunedTracker.addBlock(pruned.blocks[30]);
+        pruned.servesOrphans = false;
+        pruned.reorg(28);
+        const bounded = await prunedTracker.addBlock(pruned.blocks[40]);
+        this.record('Without the orphaned branch depth is bounded by stored blocks', bounded?.depth === 10 &&
+            bounded.ancestor === 20, `depth ${bounded?.depth}, ancestor ${bounded?.ancestor}`);
+    }
+    
+    async testRetraction() {
+        console.log('\n↩️  Testing retraction of orphaned opportunities...');
+        
+        const chain = new MockChain(100);
+        const retractions = [];
+        const sendRetraction = telegramNotifier.sendRetraction;
+        telegramNotifier.sendRetraction = async (opportunity, reorg) => retractions.push({ opportunity, reorg });
+        
+        try {
+            const bot = new ArbitrageBot();
+            const stillProfitable = new Set(['WETH/USDC']);
+            
+            Object.assign(bot, {
+                reorgTracker: new ReorgTracker(chain),
+                priceFetcher: { setBlock: () => {} },
+                scanPair: async (token, quoteToken) => stillProfitable.has(`${token}/${quoteToken}`)
+                    ? [{ pair: `${token}/${quoteToken}`, buyDex: 'quickswap', sellDex: 'uniswap' }]
+                    : [],
+                analyzeOpportunities: async opportunities => opportunities.map(opportunity => ({
+                    ...opportunity,
+                    analysis: { netProfit: 2 }
+                }))
+            });
+            
+            await bot.observeBlock(chain.blocks[99]);
+            
+            const observedAt = chain.blocks[99];
+            const opportunity = (pair, netProfit, extra = {}) => {
+                const [token, quoteToken] = pair.split('/');
+                return {
+                    pair, token, quoteToken, buyDex: 'quickswap', sellDex: 'uniswap',
+                    blockNumber: observedAt.number, blockHash: observedAt.hash,
+                    analysis: { netProfit }, ...extra
+                };
+            };
+            
+            const alerted = opportunity('WMATIC/USDC', 5, { alerted: true });
+            const silent = opportunity('LINK/USDC', 1);
+            const holds = opportunity('WETH/USDC', 3, { alerted: true });
+            const cycle = opportunity('USDC/USDC', 4, { alerted: true, route: [] });
+            const older = { ...opportunity('WBTC/USDC', 6, { alerted: true }), blockNumber: 98, blockHash: chain.blocks[98].hash };
+            
+            const profitable = [alerted, silent, holds, cycle, older];
+            bot.stats.profitableOpportunities = profitable.length;
+            bot.stats.totalNetProfit = 19;
+            bot.stats.bestOpportunity = alerted;
+            bot.recordOpportunities(profitable);
+            
+            chain.reorg(99);
+            await bot.observeBlock(chain.append());
+            
+            const retracted = retractions.map(({ opportunity }) => opportunity.pair);
+            this.record('Alerted opportunities on orphaned blocks are retracted',
+                retracted.includes('WMATIC/USDC') && retracted.includes('USDC/USDC'), retracted.join(', '));
+            this.record('Only alerted opportunities get a retraction message', !retracted.includes('LINK/USDC') &&
+                retractions.length === 2 && retractions[0].reorg.depth === 1);
+            this.record('Opportunities that still hold are kept on the new block', !retracted.includes('WETH/USDC') &&
+                holds.blockHash === chain.head.hash);
+            this.record('Opportunities below the fork are untouched', !retracted.includes('WBTC/USDC') &&
+                bot.recentOpportunities.includes(older));
+            this.record('Stats drop retracted profit', bot.stats.profitableOpportunities === 2 &&
+                bot.stats.totalNetProfit === 9 && bot.stats.retractedOpportunities === 3 && bot.stats.bestOpportunity === null,
+                `${bot.stats.profitableOpportunities} profitable, $${bot.stats.totalNetProfit}`);
+                
+            const stats = bot.reorgTracker.getStats();
+            this.record('Reorgs counted in engine stats', stats.reorgs === 1 && stats.maxDepth === 1);
+            
+        } finally {
+            telegramNotifier.sendRetraction = sendRetraction;
+        }
+    }
+    
+    printSummary() {
+        console.log('\n📊 Reorg Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All reorg tests passed!');
+        } else {
+            console.log('❌ Some reorg tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new ReorgTestSuite();
+    tester.runReorgTests().catch(console.error);
+}
+
+module.exports = ReorgTestSuite;
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование TWAP-оракула Uniswap V3 и цепочки источников цен (без сети)
+ * Запуск: npm run test-twap
+ */
+
+const { ethers } = require('ethers');
+const PriceFetcher = require('../scripts/priceFetcher');
+const PriceGuard = require('../scripts/priceGuard');
+const config = require('../config/polygon.json');
+const { MockMulticallProvider } = require('./test-multicall');
+
+const WETH_FEED = '0xF9680D99D6C9589e2a93a78A04A279e509205945';
+const USDC_FEED = '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7';
+
+const DEEP_POOL = '0x45dDa9cb7c25131DF268515131f647d726f50608';    // WETH/USDC 0.05%
+const SHALLOW_POOL = '0x0e44cEb592AcFC5D3F09D996302eB4C499ff8c10'; // WETH/USDC 0.3%
+const USDT_POOL = '0x4CcD010148379ea531D6C587CfDd60180196F9b1';    // WETH/USDT 0.05%
+
+/**
+ * Uniswap V3 WETH market at a given price with pools of different depth;
+ * every pool's observations average to the same tick
+ */
+class MockTwapMarket {
+    constructor(priceUSD) {
+        this.provider = new MockMulticallProvider();
+        this.priceFetcher = new PriceFetcher(this.provider);
+        this.abis = this.priceFetcher.interfaces;
+        this.feeds = { [WETH_FEED]: priceUSD, [USDC_FEED]: 1 };
+        this.observations = [];
+        this.poolLookups = 0;
+        
+        const { WETH, USDC, USDT } = config.tokens;
+        const pools = {
+            [DEEP_POOL]: { quote: USDC, fee: 500n, liquidity: 10n ** 20n },
+            [SHALLOW_POOL]: { quote: USDC, fee: 3000n, liquidity: 10n ** 17n },
+            [USDT_POOL]: { quote: USDT, fee: 500n, liquidity: 10n ** 18n }
+        };
+        
+        this.provider.on(this.abis.v3Factory, 'getPool', ([tokenA, tokenB, fee]) => {
+            this.poolLookups++;
+            const pool = Object.entries(pools).find(([, info]) => info.fee === fee &&
+                [tokenA, tokenB].map(a => a.toLowerCase()).sort().join() ===
+                [WETH.address, info.quote.address].map(a => a.toLowerCase()).sort().join());
+            return [pool ? pool[0] : ethers.ZeroAddress];
+        });
+        
+        for (const [address, info] of Object.entries(pools)) {
+            const wethIsToken0 = BigInt(WETH.address) < BigInt(info.quote.address);
+            const [token0, token1] = wethIsToken0 ? [WETH, info.quote] : [info.quote, WETH];
+            
+            // Raw token1 per token0 at priceUSD
+            const rawPrice = (wethIsToken0 ? priceUSD : 1 / priceUSD) * Math.pow(10, token1.decimals - token0.decimals);
+            const tick = Math.round(Math.log(rawPrice) / Math.log(1.0001));
+            
+            this.provider.on(this.abis.v3Pool, 'slot0', () =>
+                [BigInt(Math.floor(Math.sqrt(rawPrice) * 2 ** 96)), tick, 0, 0, 0, 0, true], address);
+            this.provider.on(this.abis.v3Pool, 'liquidity', () => [info.liquidity], address);
+            this.provider.on(this.abis.v3Pool, 'token0', () => [token0.address], address);
+            this.provider.on(this.abis.v3Pool, 'observe', ([secondsAgos]) => {
+                this.observations.push({ address, secondsAgos: secondsAgos.map(Number) });
+                const [from] = secondsAgos;
+                return [[1000000n, 1000000n + BigInt(tick) * from], [0n, 0n]];
+            }, address);
+        }
+        
+        for (const feed of [WETH_FEED, USDC_FEED]) {
+            this.provider.on(this.abis.chainlinkAggregator, 'latestRoundData', () => {
+                if (this.feeds[feed] === null) {
+                    throw new Error('feed down');
+                }
+                return [1n, BigInt(Math.round(this.feeds[feed] * 1e8)), 0n, BigInt(Math.floor(Date.now() / 1000)), 1n];
+            }, feed);
+        }
+        this.provider.on(this.abis.chainlinkAggregator, 'decimals', () => [8]);
+    }
+}
+
+class TwapTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runTwapTests() {
+        console.log('⏳ Uniswap V3 TWAP Oracle Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            await this.testTwap();
+            await this.testMeanTick();
+            await this.testSourceChain();
+            await this.testCrossCheck();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    async testTwap() {
+        console.log('\n📈 Testing TWAP reads...');
+        
+        const market = new MockTwapMarket(2000);
+        const oracle = market.priceFetcher.twapOracle;
+        
+        const twap = await oracle.getTwap('WETH');
+        this.record('Deepest pool across fee tiers and quote tokens', twap.pool === DEEP_POOL && twap.quoteToken === 'USDC',
+            `${twap.dex} ${twap.pool}`);
+        this.record('TWAP converted to USD', Math.abs(twap.price - 2000) / 2000 < 0.0001, `$${twap.price.toFixed(2)}`);
+        this.record('Observed over the configured window', market.observations[0]?.secondsAgos.join() ===
+            `${config.settings.twap.windowSeconds},0`);
+            
+        const lookups = market.poolLookups;
+        await oracle.getTwap('WETH');
+        this.record('Pool choice is reused between reads', market.poolLookups === lookups && market.observations.length === 2);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testMeanTick() {
+        console.log('\n🧮 Testing mean tick...');
+        
+        const market = new MockTwapMarket(2000);
+        const oracle = market.priceFetcher.twapOracle;
+        const pool = '0x0000000000000000000000000000000000000abc';
+        let cumulatives = [0n, 0n];
+        market.provider.on(market.abis.v3Pool, 'observe', () => [cumulatives, [0n, 0n]], pool);
+        
+        cumulatives = [100n, 93n];
+        const negative = await oracle.getMeanTick(pool, 2);
+        cumulatives = [100n, 107n];
+        const positive = await oracle.getMeanTick(pool, 2);
+        
+        this.record('Negative ticks round towards negative infinity', negative === -4 && positive === 3,
+            `${negative}, ${positive}`);
+            
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testSourceChain() {
+        console.log('\n🔗 Testing price source chain...');
+        
+        const market = new MockTwapMarket(2000);
+        market.feeds[WETH_FEED] = null;
+        
+        const price = await market.priceFetcher.getTokenPriceUSD('WETH');
+        const info = market.priceFetcher.getPriceSourceInfo('WETH');
+        this.record('TWAP used when Chainlink fails', Math.abs(price - 2000) < 1 && info.source === 'twap',
+            `${info.source} $${price.toFixed(2)}`);
+        this.record('Source info names the TWAP pool', info.detail?.pool === DEEP_POOL &&
+            info.detail.windowSeconds === config.settings.twap.windowSeconds);
+            
+        const guard = new PriceGuard(market.priceFetcher);
+        const reference = await guard.getReferenceUSD('WETH');
+        this.record('Deviation guard falls back to the TWAP', Math.abs(reference - 2000) < 1);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    async testCrossCheck() {
+        console.log('\n⚖️  Testing source cross-check...');
+        
+        const market = new MockTwapMarket(2000);
+        
+        market.feeds[WETH_FEED] = 2010;
+        await market.priceFetcher.getTokenPriceUSD('WETH');
+        let checks = await market.priceFetcher.crossCheckPrices();
+        this.record('Close sources agree', checks.WETH?.agrees === true && Math.abs(checks.WETH.deviation + 0.4975) < 0.01,
+            `${checks.WETH?.deviation?.toFixed(3)}%`);
+        this.record('Chainlink stays the source in use', market.priceFetcher.getPriceSourceInfo('WETH').source === 'chainlink');
+        
+        market.feeds[WETH_FEED] = 2100;
+        checks = await market.priceFetcher.crossCheckPrices();
+        const info = market.priceFetcher.getPriceSourceInfo('WETH');
+        this.record('Disagreement past the limit reported', info.crossCheck?.agrees === false &&
+            info.crossCheck.deviation < -config.settings.twap.maxSourceDeviation, `${info.crossCheck?.deviation?.toFixed(2)}%`);
+        this.record('Tokens without a V3 pool are still checked', checks.LINK?.twap === null && checks.LINK.agrees === null);
+        
+        await market.priceFetcher.cleanup();
+    }
+    
+    printSummary() {
+        console.log('\n📊 TWAP Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All TWAP tests passed!');
+        } else {
+            console.log('❌ Some TWAP tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new TwapTestSuite();
+    tester.runTwapTests().catch(console.error);
+}
+
+module.exports = TwapTestSuite;
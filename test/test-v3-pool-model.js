@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Тестирование модели ликвидности Uniswap V3 (без сети)
+ * Запуск: npm run test-v3-model
+ */
+
+const { ethers } = require('ethers');
+const V3PoolModel = require('../scripts/v3PoolModel');
+const Multicall = require('../scripts/multicall');
+const { MockMulticallProvider } = require('./test-multicall');
+
+const Q96 = 2 ** 96;
+
+class V3PoolModelTestSuite {
+    constructor() {
+        this.testResults = [];
+    }
+    
+    async runModelTests() {
+        console.log('📐 V3 Pool Model Test Suite');
+        console.log('═'.repeat(50));
+        
+        try {
+            this.testTickMath();
+            this.testSwapWithinRange();
+            this.testSwapCrossingTicks();
+            this.testSwapBeyondLoadedRange();
+            this.testDepthBands();
+            await this.testLoadFromPool();
+            
+            this.printSummary();
+            
+        } catch (error) {
+            console.error('❌ Test suite failed:', error.message);
+            process.exit(1);
+        }
+    }
+    
+    record(test, passed, details = '') {
+        console.log(`  ${passed ? '✅' : '❌'} ${test}${details ? ` - ${details}` : ''}`);
+        this.testResults.push({ test, status: passed ? 'passed' : 'failed', details });
+    }
+    
+    closeTo(actual, expected, tolerance = 1e-9) {
+        return Math.abs(actual / expected - 1) < tolerance;
+    }
+    
+    // Two positions: a wide one [-600, 600] and a concentrated one [-60, 60]
+    createModel(overrides = {}) {
+        return new V3PoolModel({
+            address: ethers.ZeroAddress,
+            token0: '0x0000000000000000000000000000000000000001',
+            token1: '0x0000000000000000000000000000000000000002',
+            fee: 3000,
+            tickSpacing: 60,
+            sqrtPriceX96: V3PoolModel.getSqrtRatioAtTick(0),
+            tick: 0,
+            liquidity: 3n * 10n ** 18n,
+            ticks: [
+                { tick: -600, liquidityNet: 10n ** 18n },
+                { tick: -60, liquidityNet: 2n * 10n ** 18n },
+                { tick: 60, liquidityNet: -2n * 10n ** 18n },
+                { tick: 600, liquidityNet: -(10n ** 18n) }
+            ],
+            minLoadedTick: -15360,
+            maxLoadedTick: 15300,
+            ...overrides
+        });
+    }
+    
+    testTickMath() {
+        console.log('\n🧮 Testing TickMath port...');
+        
+        this.record('Tick 0 is price 1', V3PoolModel.getSqrtRatioAtTick(0) === 2n ** 96n);
+        this.record('MIN_TICK matches MIN_SQRT_RATIO',
+            V3PoolModel.getSqrtRatioAtTick(V3PoolModel.MIN_TICK) === 4295128739n);
+        this.record('MAX_TICK matches MAX_SQRT_RATIO',
+            V3PoolModel.getSqrtRatioAtTick(V3PoolModel.MAX_TICK) === 1461446703485210103287273052203988822378723970342n);
+            
+        const ticks = [-276324, -50000, -1, 1, 887, 200311];
+        const roundTrip = ticks.every(tick => {
+            const sqrt = V3PoolModel.getSqrtRatioAtTick(tick);
+            return V3PoolModel.getTickAtSqrtRatio(sqrt) === tick &&
+                V3PoolModel.getTickAtSqrtRatio(sqrt - 1n) === tick - 1;
+        });
+        this.record('getTickAtSqrtRatio inverts getSqrtRatioAtTick', roundTrip);
+    }
+    
+    testSwapWithinRange() {
+        console.log('\n🔄 Testing swap inside one tick range...');
+        
+        const model = this.createModel();
+        const amountIn = 10n ** 15n;
+        const result = model.simulateSwap(true, amountIn);
+        
+        // Continuous x*y=L^2 math with the 0.3% fee taken from the input
+        const L = 3e18;
+        const inLessFee = Number(amountIn) * 0.997;
+        const sqrtNext = L / (L + inLessFee);
+        const expectedOut = L * (1 - sqrtNext);
+        
+        this.record('Output matches constant-liquidity formula', this.closeTo(Number(result.amountOut), expectedOut, 1e-9),
+            `${result.amountOut}`);
+        this.record('No ticks crossed', result.ticksCrossed === 0);
+        this.record('Whole input consumed', result.amountIn === amountIn && result.complete);
+        this.record('Fee is 0.3% of input', this.closeTo(Number(result.feePaid), Number(amountIn) * 0.003, 1e-6));
+    }
+    
+    testSwapCrossingTicks() {
+        console.log('\n🪜 Testing swap crossing initialized ticks...');
+        
+        const model = this.createModel();
+        const amountIn = 2n * 10n ** 16n;
+        const result = model.simulateSwap(true, amountIn);
+        
+        // Piecewise: 3e18 liquidity down to tick -60, then 1e18 below it
+        const s0 = 1;
+        const s60 = Math.pow(1.0001, -30);
+        const inLessFee = Number(amountIn) * 0.997;
+        const firstLegIn = 3e18 * (1 / s60 - 1 / s0);
+        const sEnd = 1 / (1 / s60 + (inLessFee - firstLegIn) / 1e18);
+        const expectedOut = 3e18 * (s0 - s60) + 1e18 * (s60 - sEnd);
+        
+        this.record('Crossed the -60 tick', result.ticksCrossed === 1 && result.tickAfter < -60,
+            `tick ${result.tickAfter}`);
+        this.record('Output matches piecewise liquidity', this.closeTo(Number(result.amountOut), expectedOut, 1e-6),
+            `${result.amountOut}`);
+        this.record('Final price matches', this.closeTo(Number(result.sqrtPriceX96After) / Q96, sEnd, 1e-9));
+        
+        const reverse = model.simulateSwap(false, amountIn);
+        this.record('oneForZero crosses the +60 tick', reverse.ticksCrossed === 1 && reverse.tickAfter >= 60,
+            `tick ${reverse.tickAfter}`);
+    }
+    
+    testSwapBeyondLoadedRange() {
+        console.log('\n🚧 Testing swap past loaded liquidity...');
+        
+        const model = this.createModel();
+        const result = model.simulateSwap(true, 10n ** 21n);
+        
+        this.record('Swap reported incomplete', !result.complete);
+        this.record('Only part of the input is used', result.amountIn < 10n ** 21n);
+        this.record('Both ticks below price crossed', result.ticksCrossed === 2);
+    }
+    
+    testDepthBands() {
+        console.log('\n💧 Testing depth within price bands...');
+        
+        const model = this.createModel();
+        
+        // Tick 60 is ~0.6% away, so a 1% band reaches into the wide position only
+        const { amount0, amount1 } = model.getDepth(100);
+        
+        const sLow = Math.sqrt(0.99);
+        const sHigh = Math.sqrt(1.01);
+        const s60 = Math.pow(1.0001, 30);
+        
+        const expected1 = 3e18 * (1 - 1 / s60) + 1e18 * (1 / s60 - sLow);
+        const expected0 = 3e18 * (1 - 1 / s60) + 1e18 * (1 / s60 - 1 / sHigh);
+        
+        this.record('Token1 depth below price', this.closeTo(Number(amount1), expected1, 1e-6), `${amount1}`);
+        this.record('Token0 depth above price', this.closeTo(Number(amount0), expected0, 1e-6), `${amount0}`);
+        
+        const narrow = model.getDepth(10);
+        const wide = model.getDepth(500);
+        this.record('Depth grows with band width', narrow.amount1 < amount1 && amount1 < wide.amount1);
+    }
+    
+    async testLoadFromPool() {
+        console.log('\n📡 Testing pool loading through multicall...');
+        
+        const provider = new MockMulticallProvider();
+        const pool = new ethers.Interface([
+            'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)',
+            'function liquidity() view returns (uint128)',
+            'function fee() view returns (uint24)',
+            'function tickSpacing() view returns (int24)',
+            'function token0() view returns (address)',
+            'function token1() view returns (address)',
+            'function tickBitmap(int16 wordPosition) view returns (uint256)',
+            'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)'
+        ]);
+        
+        // Current tick -70 with spacing 10 -> compressed -7, word -1
+        const tickNet = { '-2560': 5n, '-600': 7n, '2550': -12n };
+        provider.on(pool, 'slot0', () => [V3PoolModel.getSqrtRatioAtTick(-70), -70, 0, 0, 0, 0, true]);
+        provider.on(pool, 'liquidity', () => [12n]);
+        provider.on(pool, 'fee', () => [500]);
+        provider.on(pool, 'tickSpacing', () => [10]);
+        provider.on(pool, 'token0', () => ['0x0000000000000000000000000000000000000001']);
+        provider.on(pool, 'token1', () => ['0x0000000000000000000000000000000000000002']);
+        provider.on(pool, 'tickBitmap', ([word]) => {
+            // Compressed ticks -256 (word -1, bit 0), -60 (word -1, bit 196), 255 (word 0, bit 255)
+            if (word === -1n) return [(1n << 0n) | (1n << 196n)];
+            if (word === 0n) return [1n << 255n];
+            return [0n];
+        });
+        provider.on(pool, 'ticks', ([tick]) => [1n, tickNet[tick.toString()], 0n, 0n, 0n, 0n, 0n, true]);
+        
+        const multicall = new Multicall(provider);
+        const model = await V3PoolModel.load(multicall, '0x45dDa9cb7c25131DF268515131f647d726f50608', { bitmapWords: 1 });
+        
+        this.record('Initialized ticks decoded from bitmap',
+            JSON.stringify(model.ticks.map(t => t.tick)) === JSON.stringify([-2560, -600, 2550]),
+            model.ticks.map(t => t.tick).join(', '));
+        this.record('liquidityNet attached to ticks', model.ticks[1].liquidityNet === 7n);
+        this.record('Loaded range spans three words', model.minLoadedTick === -5120 && model.maxLoadedTick === 2550,
+            `${model.minLoadedTick}..${model.maxLoadedTick}`);
+        this.record('Loaded in three multicall requests', provider.requests.length === 3,
+            `${provider.requests.length} request(s)`);
+    }
+    
+    printSummary() {
+        console.log('\n📊 V3 Model Testing Summary');
+        console.log('═'.repeat(30));
+        
+        const passed = this.testResults.filter(r => r.status === 'passed').length;
+        const failed = this.testResults.filter(r => r.status === 'failed').length;
+        
+        console.log(`✅ Passed: ${passed}`);
+        console.log(`❌ Failed: ${failed}`);
+        
+        console.log('\n' + '═'.repeat(30));
+        
+        if (failed === 0) {
+            console.log('🎉 All V3 model tests passed!');
+        } else {
+            console.log('❌ Some V3 model tests failed.');
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Запуск тестов
+if (require.main === module) {
+    const tester = new V3PoolModelTestSuite();
+    tester.runModelTests().catch(console.error);
+}
+
+module.exports = V3PoolModelTestSuite;